@@ -0,0 +1,174 @@
+/**
+ * performance-analytics.js - Analítica de Rendimiento para A.T.L.A.S.
+ *
+ * Función:
+ * - Calcular las métricas de rendimiento a partir de una lista de operaciones cerradas,
+ *   tanto del diario en vivo como del backtester.
+ * - Curva de capital, drawdown máximo, Sharpe/Sortino, profit factor, esperanza y rachas.
+ * - Desglose por hora del día (UTC) y por dirección.
+ */
+
+// === FUNCIONES AUXILIARES ===
+
+function round(value, decimals = 4) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Desviación típica muestral.
+ */
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Instante de una operación: cierre, colocación o campo `time`, el primero disponible.
+ */
+function tradeTime(trade) {
+  const value = trade.closedAt || trade.placedAt || trade.time;
+  if (value === undefined || value === null) return null;
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Conteo básico de un grupo de operaciones.
+ */
+function summarizeGroup(trades) {
+  const wins = trades.filter(t => t.result === 'win').length;
+  const losses = trades.filter(t => t.result === 'loss').length;
+  const ties = trades.filter(t => t.result === 'tie').length;
+  const decided = wins + losses;
+  return {
+    trades: trades.length,
+    wins,
+    losses,
+    ties,
+    winRate: decided > 0 ? round(wins / decided) : 0,
+    profit: round(trades.reduce((sum, t) => sum + t.profit, 0), 2),
+  };
+}
+
+function groupBy(trades, keyOf) {
+  return trades.reduce((groups, trade) => {
+    const key = keyOf(trade);
+    if (key === null) return groups;
+    (groups[key] = groups[key] || []).push(trade);
+    return groups;
+  }, {});
+}
+
+/**
+ * Rachas consecutivas de aciertos y fallos. Los empates no rompen ni alargan la racha.
+ */
+function computeStreaks(trades) {
+  let maxWinStreak = 0;
+  let maxLossStreak = 0;
+  let current = { type: null, length: 0 };
+
+  trades.forEach(trade => {
+    if (trade.result !== 'win' && trade.result !== 'loss') return;
+    current = trade.result === current.type
+      ? { type: current.type, length: current.length + 1 }
+      : { type: trade.result, length: 1 };
+    if (current.type === 'win') maxWinStreak = Math.max(maxWinStreak, current.length);
+    else maxLossStreak = Math.max(maxLossStreak, current.length);
+  });
+
+  return { maxWinStreak, maxLossStreak, current };
+}
+
+// === API PÚBLICA ===
+
+/**
+ * Calcula las métricas de rendimiento de una serie de operaciones cerradas.
+ * Las operaciones se procesan en orden cronológico si todas tienen fecha, si no en el orden recibido.
+ * @param {object[]} trades - Operaciones con { result: 'win'|'loss'|'tie', profit, direction?, stake?, closedAt?|placedAt?|time? }.
+ * @param {object} [options]
+ * @param {number} [options.initialBalance] - Capital inicial de la curva.
+ * @param {number} [options.annualizationFactor] - Operaciones por año para anualizar Sharpe/Sortino (1 = por operación).
+ * @returns {object} Métricas de rendimiento.
+ */
+function computePerformance(trades, { initialBalance = 1000, annualizationFactor = 1 } = {}) {
+  const closed = trades.filter(t => t && typeof t.profit === 'number' && ['win', 'loss', 'tie'].includes(t.result));
+  if (closed.every(t => tradeTime(t) !== null)) {
+    closed.sort((a, b) => tradeTime(a) - tradeTime(b)); // sort es estable: empates en el orden recibido
+  }
+
+  // Curva de capital y drawdown
+  let balance = initialBalance;
+  let peak = initialBalance;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  const returns = [];
+  const equityCurve = [{ index: 0, time: null, balance: initialBalance, drawdown: 0 }];
+
+  closed.forEach((trade, i) => {
+    returns.push(balance > 0 ? trade.profit / balance : 0);
+    balance += trade.profit;
+    peak = Math.max(peak, balance);
+    const drawdown = peak - balance;
+    maxDrawdown = Math.max(maxDrawdown, drawdown);
+    maxDrawdownPct = Math.max(maxDrawdownPct, peak > 0 ? drawdown / peak : 0);
+    const time = tradeTime(trade);
+    equityCurve.push({
+      index: i + 1,
+      time: time !== null ? new Date(time).toISOString() : null,
+      balance: round(balance, 2),
+      drawdown: round(drawdown, 2),
+    });
+  });
+
+  // Ratios sobre el rendimiento por operación
+  const avgReturn = mean(returns);
+  const volatility = stdDev(returns);
+  const downsideDeviation = returns.length > 0
+    ? Math.sqrt(returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / returns.length)
+    : 0;
+  const scale = Math.sqrt(annualizationFactor);
+
+  const winProfits = closed.filter(t => t.profit > 0).map(t => t.profit);
+  const lossProfits = closed.filter(t => t.profit < 0).map(t => t.profit);
+  const grossProfit = winProfits.reduce((sum, p) => sum + p, 0);
+  const grossLoss = Math.abs(lossProfits.reduce((sum, p) => sum + p, 0));
+
+  return {
+    summary: {
+      ...summarizeGroup(closed),
+      initialBalance,
+      finalBalance: round(balance, 2),
+      returnPct: initialBalance > 0 ? round((balance - initialBalance) / initialBalance) : null,
+    },
+    equityCurve,
+    maxDrawdown: round(maxDrawdown, 2),
+    maxDrawdownPct: round(maxDrawdownPct),
+    sharpeRatio: volatility > 0 ? round((avgReturn / volatility) * scale) : null,
+    sortinoRatio: downsideDeviation > 0 ? round((avgReturn / downsideDeviation) * scale) : null,
+    // Sin pérdidas el profit factor no está definido (infinito): se devuelve null.
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+    grossProfit: round(grossProfit, 2),
+    grossLoss: round(grossLoss, 2),
+    expectancy: round(mean(closed.map(t => t.profit)), 2),
+    avgWin: round(mean(winProfits), 2),
+    avgLoss: round(mean(lossProfits), 2),
+    streaks: computeStreaks(closed),
+    byHour: Object.fromEntries(Object.entries(groupBy(closed, t => {
+      const time = tradeTime(t);
+      return time !== null ? new Date(time).getUTCHours() : null;
+    })).map(([hour, group]) => [hour, summarizeGroup(group)])),
+    byDirection: Object.fromEntries(Object.entries(groupBy(closed, t => t.direction || null))
+      .map(([direction, group]) => [direction, summarizeGroup(group)])),
+  };
+}
+
+module.exports = {
+  computePerformance,
+};
@@ -6,7 +6,7 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
-const { readJsonFile, saveJsonFile, fileExists, setupLogger, delay } = require('./utils/helpers');
+const { readJsonFile, saveJsonFile, fileExists, setupLogger, splitSymbol, delay } = require('./utils/helpers');
 const { fetchWithRetry } = require('./utils/network-helpers');
 
 // Importar todos los módulos de IA y ejecución
@@ -16,19 +16,48 @@ const riskmapIA = require('./riskmap-ia/riskmap-ia');
 const techIA = require('./tech-ia/tech-ia');
 const compoundLogic = require('./compound-logic/compound-logic');
 const scraping = require('./scraping/scraping-forexfactory');
+const marketData = require('./market-data/market-data');
+const tradeJournal = require('./journal/trade-journal');
+const decisionJournal = require('./journal/decision-journal');
+const reportGenerator = require('./reporting/report-generator');
+const sessionScheduler = require('./session-scheduler/session-scheduler');
+const bankroll = require('./bankroll/bankroll-service');
+const decisionPipeline = require('./decision-pipeline/decision-pipeline');
+const { createModuleRegistry } = require('./module-registry/module-registry');
+const { eventBus, EVENTS, ALL_EVENTS } = require('./event-bus/event-bus');
+// Módulos de análisis que aportan señales a signalrank-ia (a través del registro de módulos)
+const predIA = require('./pred-ia/pred-ia');
+const sentIA = require('./sent-ia/sent-ia');
+const volIA = require('./vol-ia/vol-ia');
+const newsFilter = require('./news-filter/news-filter');
+const geoUSA = require('./geo-usa/geo-usa');
+const geoEUR = require('./geo-eur/geo-eur');
 
 
 // === 2. CONFIGURACIÓN CENTRALIZADA ===
+// Los parámetros de decisión (umbral, límite por ciclo, vencimiento, temporalidad base y MTF) viven en
+// decision-pipeline, que comparten el orquestador y la reproducción de decisiones.
+const decisionConfig = decisionPipeline.config;
 const config = {
   port: process.env.PORT || 3000,
   backtestMode: process.env.BACKTEST_MODE === 'true',
   logLevel: process.env.LOG_LEVEL || 'info',
-  operationInterval: parseInt(process.env.OPERATION_INTERVAL, 10) || 60000,
-  minSignalScore: parseFloat(process.env.MIN_SIGNAL_SCORE) || 0.7,
   stateFilePath: path.join(__dirname, 'automation-state.json'),
   logFilePath: path.join(__dirname, 'logs', 'automation.log'),
-  symbol: process.env.SYMBOL || 'EURUSD',
-  bankroll: parseFloat(process.env.DEFAULT_BANKROLL) || 1000,
+  // Lista de símbolos a vigilar (WATCHLIST=EURUSD,GBPUSD,...). SYMBOL se mantiene para un único par.
+  symbols: (process.env.WATCHLIST || process.env.SYMBOL || 'EURUSD').split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+  // Datos de mercado: en modo LIVE se usan los ticks del broker, en BACKTEST el generador mock.
+  marketDataProvider: process.env.MARKET_DATA_PROVIDER || (process.env.BACKTEST_MODE === 'true' ? 'mock' : 'broker'),
+  // Velas mínimas antes de empezar a calcular indicadores.
+  minCandles: parseInt(process.env.MIN_CANDLES, 10) || 100,
+  indicatorParams: {
+    rsiPeriod: 14,
+    emaPeriods: [20, 50],
+    macdParams: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+    atrPeriod: 14,
+  },
+  // Módulos de análisis activos ('none' para usar solo tech-ia).
+  analysisModules: (process.env.ANALYSIS_MODULES || 'sent,vol,pred,news,geo-usa,geo-eur').split(',').map(m => m.trim()).filter(m => m && m !== 'none'),
 };
 
 // === 3. LOGGER ===
@@ -41,18 +70,323 @@ let systemState = {
   isCycleRunning: false,
   // El estado de las operaciones abiertas se gestiona en exec-ia,
   // pero podríamos tener un resumen aquí si fuera necesario.
-  stats: { wins: 0, losses: 0, total: 0 },
+  stats: { wins: 0, losses: 0, ties: 0, total: 0 },
   version: '2.1.0', // Versión integrada
+  // Día (UTC) del informe en curso, señales evaluadas y errores para el informe.
+  reportDay: new Date().toISOString().slice(0, 10),
+  signalsEvaluated: 0,
+  errors: [],
 };
+// Por símbolo: motor de indicadores incremental y los indicadores del ciclo anterior
+// (necesarios para detectar cruces y pendientes en tech-ia).
+const symbolContexts = new Map(config.symbols.map(symbol => [symbol, {
+  indicatorStream: techIA.createIndicatorStream(config.indicatorParams),
+  previousIndicators: null,
+}]));
+// Símbolos con vela cerrada pendientes de evaluar. Las velas que cierran durante un ciclo
+// se evalúan en el siguiente, que empieza en cuanto termina el actual.
+const pendingSymbols = new Set();
+let cycleScheduled = false;
+let cycleCount = 0;
 
-// === 5. LÓGICA DE TRADING (CICLO ÚNICO) ===
-async function runTradingCycle() {
-  if (systemState.isCycleRunning) {
-    logger.warn('El ciclo de trading anterior todavía está en ejecución. Omitiendo este ciclo.');
-    return;
+// Registro de los módulos de análisis. Se consultan en este orden: pred-ia usa las señales de sent-ia y vol-ia.
+const HOUR_MS = 3600000;
+const ANALYSIS_MODULES = {
+  sent: {
+    init: () => sentIA.initSentIA({ autoUpdate: false }),
+    refresh: () => sentIA.updateData(),
+    refreshIntervalMs: HOUR_MS,
+    maxAgeMs: 3 * HOUR_MS,
+    getSignal: () => sentIA.getCurrentSentiment(),
+  },
+  vol: {
+    init: () => volIA.initVolIA(),
+    // Un precio por ciclo; sin ventana completa todavía no hay señal.
+    getSignal: async ({ symbol, ohlcv }) => {
+      await volIA.updatePriceHistory(ohlcv.close[ohlcv.close.length - 1], symbol);
+      return volIA.generateSignal(symbol);
+    },
+  },
+  pred: {
+    init: () => predIA.initPredIA(),
+    // Sin modelo entrenado (o con uno demasiado antiguo) no se consulta.
+    lastUpdate: () => predIA.getState().lastTrained,
+    maxAgeMs: 7 * 24 * HOUR_MS,
+    getSignal: ({ indicators, ohlcv, signals }) => {
+      const price = ohlcv.close[ohlcv.close.length - 1];
+      const ema = indicators.emas && indicators.emas.ema20;
+      const sentimentSign = signals.sent ? { positive: 1, negative: -1 }[signals.sent.sentiment] || 0 : 0;
+      return predIA.predictDirection({
+        rsi: indicators.rsi,
+        ema: ema ? price / ema - 1 : 0,
+        sentiment: signals.sent ? sentimentSign * signals.sent.confidence : 0,
+        volatility: signals.vol ? signals.vol.value : 0,
+      });
+    },
+  },
+  news: {
+    init: () => newsFilter.initNewsFilter({ autoUpdate: false }),
+    refresh: () => newsFilter.updateCalendar(),
+    refreshIntervalMs: HOUR_MS / 2,
+    maxAgeMs: 6 * HOUR_MS,
+    // No vota dirección: bloquea los pares afectados por una ventana de noticias.
+    getSignal: ({ symbol }) => {
+      const { isNewsWindowActive, currentEvent } = newsFilter.getCurrentStatus();
+      const currencies = splitSymbol(symbol) || [];
+      const blocked = isNewsWindowActive
+        && (!currentEvent || currencies.some(currency => String(currentEvent.currency).includes(currency)));
+      return { blocked, event: blocked ? currentEvent : null };
+    },
+  },
+  'geo-usa': {
+    init: () => geoUSA.initGeoUSA(),
+    refresh: () => geoUSA.updateData(),
+    refreshIntervalMs: HOUR_MS,
+    maxAgeMs: 3 * HOUR_MS,
+    getSignal: ({ symbol }) => geoUSA.getCurrentSignal(symbol),
+  },
+  'geo-eur': {
+    init: () => geoEUR.initGeoEUR(),
+    refresh: () => geoEUR.updateCalendar(),
+    refreshIntervalMs: HOUR_MS,
+    maxAgeMs: 3 * HOUR_MS,
+    getSignal: ({ symbol }) => geoEUR.getCurrentSignal(symbol),
+  },
+};
+const analysisModules = createModuleRegistry();
+config.analysisModules.forEach(name => {
+  if (!ANALYSIS_MODULES[name]) throw new Error(`Módulo de análisis desconocido: ${name}. Opciones: ${Object.keys(ANALYSIS_MODULES).join(', ')}`);
+  analysisModules.register({ name, ...ANALYSIS_MODULES[name] });
+});
+
+// === 5. INFORMES ===
+function collectModuleStates() {
+  return {
+    // Solo el estado actual del cortacircuitos; los contadores del periodo se derivan del diario.
+    riskmap: (({ isPaused, lossesInRow, pauseUntil, pauseReason, dailyPnl, drawdownPct }) => ({
+      isPaused, lossesInRow, pauseUntil, pauseReason, dailyPnl, drawdownPct,
+    }))(riskmapIA.getState()),
+    // Estrategia de stake y lote actual; los totales del periodo también se derivan del diario.
+    compound: (({ strategy, currentLotSize, winStreak, step }) => ({
+      strategy, currentLotSize, winStreak, step,
+    }))(compoundLogic.getState()),
+    'tech-ia': { status: 'active', signals: systemState.signalsEvaluated },
+    // Estrategia, pesos actuales y estadísticas persistidas de señales: evaluadas, aceptadas, descartadas
+    // (por motivo) y confianza media. El diario solo tiene las que llegaron a operarse.
+    signalrank: (({ strategy, learnedWeights, totalSignals, acceptedSignals, filteredOut, rejections, avgConfidence }) => ({
+      strategy, learnedWeights, totalSignals, acceptedSignals, filteredOut, rejections, avgConfidence,
+    }))(signalRankIA.getState()),
+    'market-data': marketData.getState(),
+    'session-scheduler': sessionScheduler.getState(),
+    bankroll: (({ balance, lastSyncAt, lastBrokerBalance, lastMismatch }) => ({
+      balance, lastSyncAt, lastBrokerBalance, lastMismatch,
+    }))(bankroll.getState()),
+    'analysis-modules': analysisModules.getStatus(),
+    'exec-ia': {
+      openTrades: execIA.getActiveTrades().length,
+      orphanedTrades: execIA.getOrphanedTrades().length,
+      connection: execIA.getConnectionState().state,
+    },
+  };
+}
+
+/**
+ * Genera el informe del día (UTC) indicado, o del día en curso hasta ahora.
+ */
+async function writeReport(day) {
+  // El capital al inicio del día sale del historial de bankroll-service, también tras un reinicio.
+  const options = {
+    moduleStates: collectModuleStates(),
+    errors: systemState.errors,
+    symbols: config.symbols,
+    initialBalance: bankroll.getBalanceAt(`${day || systemState.reportDay}T00:00:00.000Z`),
+  };
+  if (day) {
+    options.from = `${day}T00:00:00.000Z`;
+    options.to = `${day}T23:59:59.999Z`;
+  }
+  try {
+    await reportGenerator.generateReport(options);
+  } catch (error) {
+    logger.error('No se pudo generar el informe.', error);
+  }
+}
+
+/**
+ * Al cambiar de día se cierra el informe del día anterior.
+ */
+async function rollDailyReport() {
+  const today = new Date().toISOString().slice(0, 10);
+  if (today === systemState.reportDay) return;
+  await writeReport(systemState.reportDay);
+  systemState.reportDay = today;
+  systemState.signalsEvaluated = 0;
+  systemState.errors = [];
+}
+
+// === 6. LÓGICA DE TRADING (CICLO ÚNICO) ===
+
+/**
+ * Actualiza los indicadores de un símbolo y evalúa su señal.
+ * @returns {Promise<{evaluation: object, candidate: object|null}>} La evaluación para el registro de decisiones
+ *   ({ symbol, outcome, reason, inputs, signalrank, mtf, score }) y la oportunidad ({ symbol, direction, score,
+ *   finalScore, finalSignal, ... }), que es null si no hay datos suficientes, está fuera de sesión, hay una
+ *   ventana de noticias, la señal es HOLD o el análisis MTF la veta (`outcome` indica cuál).
+ * @param {string} symbol
+ * @param {number} now - Instante del ciclo en ms (sesiones, caducidad de señales y cooldown).
+ */
+async function evaluateSymbol(symbol, now) {
+  const context = symbolContexts.get(symbol);
+  const evaluation = { symbol, outcome: null, reason: null };
+  const discard = (outcome, reason) => {
+    evaluation.outcome = outcome;
+    evaluation.reason = reason;
+    return { evaluation, candidate: null };
+  };
+
+  // Las velas ya están cerradas: el ciclo se lanza con el evento candle-closed de market-data.
+  const ohlcv = marketData.getOHLCV(symbol, decisionConfig.timeframe);
+  evaluation.inputs = {
+    candles: ohlcv.close.length,
+    lastCandleTime: ohlcv.time.length > 0 ? new Date(ohlcv.time[ohlcv.time.length - 1]).toISOString() : null,
+    candlesHash: decisionJournal.hashCandles(ohlcv),
+  };
+  if (ohlcv.close.length < config.minCandles) {
+    logger.warn(`Velas insuficientes para ${symbol} (${ohlcv.close.length}/${config.minCandles}). Omitiendo análisis.`);
+    return discard('no-data', `Velas insuficientes (${ohlcv.close.length}/${config.minCandles}).`);
+  }
+
+  // El stream ignora las velas ya procesadas, así que solo se actualiza con las nuevas.
+  marketData.getCandles(symbol, decisionConfig.timeframe).forEach(candle => context.indicatorStream.update(candle));
+  const indicators = context.indicatorStream.getIndicators();
+  const techSignal = techIA.deriveSignal(indicators, {
+    previous: context.previousIndicators,
+    price: ohlcv.close[ohlcv.close.length - 1],
+  });
+  context.previousIndicators = indicators;
+  evaluation.inputs.indicators = indicators;
+
+  // Fuera de las sesiones del símbolo (o en fin de semana, festivo o ventana de exclusión) no se buscan
+  // entradas; los indicadores se siguen actualizando para no perder el calentamiento.
+  const schedule = sessionScheduler.isTradingAllowed(symbol, now);
+  if (!schedule.allowed) {
+    logger.info(`Sin operativa para ${symbol}: ${schedule.reason}`);
+    return discard('out-of-session', schedule.reason);
   }
+  systemState.signalsEvaluated++;
+  logger.debug(`Señal técnica de ${symbol}: ${techSignal.direction} (${techSignal.score.toFixed(2)}).`, { rules: techSignal.rules });
+
+  // Señales de los módulos de análisis; los que fallan o tienen datos caducados se omiten.
+  const { signals, skipped } = await analysisModules.gatherSignals({ symbol, indicators, ohlcv }, { tech: techSignal });
+  if (Object.keys(skipped).length > 0) logger.debug(`Módulos omitidos para ${symbol}.`, { skipped });
+  evaluation.inputs.signals = signals;
+  evaluation.inputs.skippedModules = skipped;
+
+  // Noticias, signalrank-ia y MTF: los mismos pasos que repite replay/replay.js.
+  const scored = decisionPipeline.scoreSymbol({
+    symbol,
+    signals,
+    openTrades: execIA.getActiveTrades(),
+    now,
+    checkAlignment: direction => techIA.checkTradeAlignment(
+      techIA.analyzeMultiTimeframe(
+        { [decisionConfig.timeframe]: ohlcv },
+        config.indicatorParams,
+        { baseTimeframe: decisionConfig.timeframe, timeframes: decisionConfig.mtf.timeframes }
+      ),
+      direction,
+      decisionConfig.mtf
+    ),
+    logger,
+  });
+  const { finalSignal } = scored;
+  if (scored.signalrank) evaluation.signalrank = scored.signalrank;
+  if (scored.mtf) evaluation.mtf = scored.mtf;
+  if (finalSignal) await eventBus.publish(EVENTS.SIGNAL_UPDATED, { symbol, signal: finalSignal });
+  if (scored.outcome !== 'candidate') return discard(scored.outcome, scored.reason);
+
+  evaluation.outcome = 'candidate';
+  evaluation.reason = scored.reason;
+  evaluation.score = scored.score;
+  return {
+    evaluation,
+    candidate: {
+      symbol,
+      direction: finalSignal.direction,
+      score: scored.score,
+      finalScore: finalSignal.finalScore,
+      finalSignal,
+      signals,
+      indicators,
+    },
+  };
+}
+
+/**
+ * Abre la operación de una oportunidad aceptada por el gestor de riesgo y la estrategia de stake
+ * (ver decisionPipeline.selectTrades) y la anota en el diario.
+ * @returns {Promise<string>} El ID de la operación.
+ */
+async function placeCandidate(candidate, riskAssessment, stake) {
+  const { symbol, direction, score, finalSignal, signals } = candidate;
+  const tradeId = await execIA.placeTrade({
+    symbol,
+    direction,
+    stake: stake.stake,
+    expiryMinutes: decisionConfig.expiryMinutes,
+  });
+  await signalRankIA.recordTradeSignals(tradeId, finalSignal);
+  const placedTrade = execIA.getOpenTrades().find(t => t.tradeId === tradeId);
+  await tradeJournal.recordPlaced(placedTrade, {
+    signals,
+    finalSignal,
+    effectiveScore: score,
+    rank: candidate.rank,
+    risk: riskAssessment,
+    mode: config.backtestMode ? 'backtest' : 'live',
+  });
+  return tradeId;
+}
+
+/**
+ * Estado de los módulos de decisión al empezar a evaluar un ciclo: capital, operaciones abiertas, riesgo
+ * (con los perfiles de ATR de la lista), stake y reloj del cooldown. Con él y las entradas de cada símbolo
+ * se puede repetir la decisión.
+ */
+function snapshotDecisionState() {
+  const { lastTradeTimes, learnedWeights } = signalRankIA.getState();
+  return {
+    balance: bankroll.getBalance(),
+    openTrades: execIA.getActiveTrades().map(({ tradeId, symbol, direction, stake }) => ({ tradeId, symbol, direction, stake })),
+    riskmap: riskmapIA.getState(),
+    atrProfiles: riskmapIA.getAtrProfiles(config.symbols),
+    compound: compoundLogic.getState(),
+    signalrank: { lastTradeTimes, learnedWeights },
+  };
+}
+
+/**
+ * Ciclo de decisión: liquida las operaciones vencidas y evalúa los símbolos indicados.
+ * Cada ciclo deja su decisión (entradas, desglose y acción final) en el registro de decisiones.
+ * @param {string[]} [symbols] - Símbolos con vela cerrada (por defecto, toda la lista).
+ */
+async function runTradingCycle(symbols = config.symbols) {
   systemState.isCycleRunning = true;
-  logger.info(`--- Iniciando nuevo ciclo de trading para ${config.symbol} ---`);
+  await rollDailyReport();
+  logger.info(`--- Iniciando nuevo ciclo de trading para ${symbols.join(', ')} ---`);
+  const startedAt = Date.now();
+  cycleCount++;
+  const decision = {
+    cycleId: `cycle-${startedAt}-${cycleCount}`,
+    time: new Date(startedAt).toISOString(),
+    symbols,
+    closedTrades: [],
+    evaluations: [],
+    ranking: [],
+    decisions: [],
+    action: 'no-trade',
+    reason: null,
+  };
 
   try {
     // 1. Chequear resultados de operaciones abiertas
@@ -61,81 +395,192 @@ async function runTradingCycle() {
       const result = await execIA.checkTradeResult(trade);
       if (result.status === 'closed') {
         logger.info(`Operación ${trade.tradeId} cerrada. Resultado: ${result.result}, Ganancia: ${result.profit}`);
+        decision.closedTrades.push({ tradeId: trade.tradeId, result: result.result, profit: result.profit });
         systemState.stats.total++;
-        if (result.result === 'win') systemState.stats.wins++; else systemState.stats.losses++;
-        config.bankroll += result.profit; // Actualizar bankroll
+        if (result.result === 'win') systemState.stats.wins++;
+        else if (result.result === 'tie') systemState.stats.ties++;
+        else systemState.stats.losses++;
+        const balance = await bankroll.applyTradeResult({ profit: result.profit, tradeId: trade.tradeId });
+        await riskmapIA.recordTradeResult({ result: result.result, profit: result.profit, balance });
+        await compoundLogic.recordTradeResult({ result: result.result, balance });
+        await signalRankIA.recordTradeOutcome({ tradeId: trade.tradeId, result: result.result });
+        // El diario (y cualquier otro suscriptor) registra el cierre a partir del evento.
+        await eventBus.publish(EVENTS.TRADE_CLOSED, { trade, result, balance });
         await execIA.removeTrade(trade.tradeId);
       }
     }
 
-    // 2. Obtener datos y señales
-    const upcomingEvents = await scraping.getUpcomingHighImpactEvents(60);
-    // Para una implementación real, aquí se obtendrían datos OHLCV frescos.
-    // Para este ejemplo, asumimos que techIA puede obtenerlos o se le pasan.
-    // const ohlcv = await getFreshOHLCV();
-    const indicators = techIA.computeIndicators(/* ohlcv */); // Placeholder
-
-    // 3. Evaluar riesgo
-    const riskAssessment = riskmapIA.assessRisk({ upcomingEvents, indicators });
-    if (!riskAssessment.allowed) {
-      logger.warn(`Operación denegada por gestor de riesgo: ${riskAssessment.reason}`);
-      systemState.isCycleRunning = false;
-      return;
-    }
-
-    // 4. Obtener puntuación de la señal
-    const finalSignal = signalRankIA.getFinalScore({
-      signals: { tech: { score: 0.8, direction: 'CALL' } }, // Placeholder de señal
-      openTrades: execIA.getOpenTrades(),
-      // lastTradeTimes se debería gestionar en el estado del sistema
-      symbol: config.symbol,
+    // Cuadrar el capital con el saldo real del broker (modo LIVE, como mucho cada BANKROLL_SYNC_INTERVAL_MS)
+    const sync = await bankroll.syncWithBroker({
+      openStake: execIA.getActiveTrades().reduce((sum, t) => sum + (t.stake || 0), 0),
     });
-
-    // 5. Decidir y ejecutar
-    if (finalSignal.finalScore >= config.minSignalScore) {
-      logger.info(`Señal fuerte (${finalSignal.finalScore.toFixed(2)}) y riesgo aceptado. Procediendo a operar.`);
-
-      const stake = compoundLogic.calculateStake({
-        bankroll: config.bankroll,
-        recommendedStakePct: riskAssessment.recommendedStakePct,
+    if (sync && sync.mismatch) {
+      systemState.errors.push({
+        time: new Date().toISOString(),
+        message: `Descuadre de capital: calculado ${sync.computed}, broker ${sync.actual}.`,
       });
+    }
 
-      await execIA.placeTrade({
-        symbol: config.symbol,
-        direction: finalSignal.direction,
-        stake,
-        expiryMinutes: 5,
-      });
+    // Estado de partida de la decisión, para poder reproducir el ciclo (replay/replay.js).
+    decision.state = snapshotDecisionState();
 
-    } else {
-      logger.info(`La puntuación de la señal (${finalSignal.finalScore.toFixed(2)}) no supera el umbral (${config.minSignalScore}).`);
+    // 2. Evaluar cada símbolo de la lista por separado
+    const upcomingEvents = await scraping.getUpcomingHighImpactEvents(60);
+    decision.upcomingEvents = upcomingEvents;
+    const candidates = [];
+    for (const symbol of symbols) {
+      try {
+        const { evaluation, candidate } = await evaluateSymbol(symbol, startedAt);
+        decision.evaluations.push(evaluation);
+        if (candidate) candidates.push(candidate);
+      } catch (error) {
+        // Un fallo en un símbolo no debe impedir evaluar el resto.
+        logger.error(`Error al evaluar ${symbol}.`, error);
+        systemState.errors.push({ time: new Date().toISOString(), message: `${symbol}: ${error.message}` });
+        decision.evaluations.push({ symbol, outcome: 'error', reason: error.message });
+      }
     }
 
+    // 3. Cartera: ordenar las oportunidades y tomar las mejores que acepten el gestor de riesgo y el stake
+    const selection = await decisionPipeline.selectTrades({
+      candidates,
+      openTrades: execIA.getActiveTrades(),
+      balance: bankroll.getBalance(),
+      upcomingEvents,
+      now: startedAt,
+      getPayout: symbol => execIA.getPayout(symbol, decisionConfig.expiryMinutes),
+      place: placeCandidate,
+      logger,
+    });
+    Object.assign(decision, selection);
   } catch (error) {
     logger.error('Ocurrió un error durante el ciclo de trading.', error);
+    systemState.errors.push({ time: new Date().toISOString(), message: error.message });
+    decision.action = 'error';
+    decision.reason = error.message;
   } finally {
+    decision.durationMs = Date.now() - startedAt;
+    await signalRankIA.saveStats();
+    await decisionJournal.recordDecision(decision);
     systemState.lastRun = new Date().toISOString();
     systemState.isCycleRunning = false;
     logger.info('--- Ciclo de trading finalizado ---');
   }
 }
 
-// === 6. SERVIDOR WEB (EXPRESS) ===
+/**
+ * Lanza el ciclo con los símbolos pendientes. Las velas de varios símbolos que cierran a la vez se
+ * evalúan en un mismo ciclo; si hay un ciclo en curso, se evalúan al terminar.
+ */
+function scheduleCycle() {
+  if (cycleScheduled || systemState.isCycleRunning) return;
+  cycleScheduled = true;
+  setImmediate(async () => {
+    cycleScheduled = false;
+    const symbols = config.symbols.filter(symbol => pendingSymbols.has(symbol));
+    pendingSymbols.clear();
+    await runTradingCycle(symbols);
+    if (pendingSymbols.size > 0) scheduleCycle();
+  });
+}
+
+function onCandleClosed({ symbol, timeframe }) {
+  if (timeframe !== decisionConfig.timeframe || !symbolContexts.has(symbol)) return;
+  pendingSymbols.add(symbol);
+  scheduleCycle();
+}
+
+// === 7. SERVIDOR WEB (EXPRESS) ===
 const app = express();
 app.get('/health', (req, res) => res.status(200).json({ status: 'ok', ...systemState }));
-app.get('/status', (req, res) => res.status(200).json({ systemState, openTrades: execIA.getOpenTrades() }));
+app.get('/status', (req, res) => res.status(200).json({
+  systemState,
+  watchlist: config.symbols,
+  analysisModules: analysisModules.getStatus(),
+  openTrades: execIA.getActiveTrades(),
+  // Operaciones que el broker no reconoce o que no se resolvieron tras el vencimiento: requieren revisión manual.
+  orphanedTrades: execIA.getOrphanedTrades(),
+  brokerConnection: execIA.getConnectionState(),
+  bankroll: bankroll.getState(),
+}));
+// Historial del capital, ej: /bankroll?from=2025-07-01
+app.get('/bankroll', (req, res) => {
+  const { from, to } = req.query;
+  res.status(200).json({ balance: bankroll.getBalance(), history: bankroll.getHistory({ from, to }) });
+});
+// Pesos de señal aprendidos y su evolución, ej: /signal-weights?from=2025-07-01
+app.get('/signal-weights', (req, res) => {
+  const { from, to } = req.query;
+  res.status(200).json({ ...signalRankIA.getState(), history: signalRankIA.getWeightHistory({ from, to }) });
+});
+// Historial de operaciones, ej: /trades?from=2025-07-01&symbol=EURUSD&result=loss
+app.get('/trades', async (req, res) => {
+  const { from, to, symbol, direction, result, status } = req.query;
+  try {
+    const trades = await tradeJournal.queryTrades({ from, to, symbol, direction, result, status });
+    res.status(200).json({ count: trades.length, trades });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-// === 7. ARRANQUE Y APAGADO SEGURO ===
+// Decisiones de cada ciclo, ej: /decisions?symbol=EURUSD&action=no-trade&limit=20
+app.get('/decisions', async (req, res) => {
+  const { from, to, symbol, action, cycleId } = req.query;
+  const limit = parseInt(req.query.limit, 10) || undefined;
+  try {
+    const decisions = await decisionJournal.queryDecisions({ from, to, symbol, action, cycleId, limit });
+    res.status(200).json({ count: decisions.length, decisions });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+// Eventos del bot en tiempo real (Server-Sent Events) para los dashboards, ej: /events?recent=20
+app.get('/events', (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const send = (payload, { event, time }) => res.write(`event: ${event}\ndata: ${JSON.stringify({ time, ...payload })}\n\n`);
+  const recent = parseInt(req.query.recent, 10) || 0;
+  if (recent > 0) eventBus.getRecentEvents({ limit: recent }).forEach(({ payload, ...meta }) => send(payload, meta));
+  const unsubscribe = eventBus.subscribe(ALL_EVENTS, send);
+  req.on('close', unsubscribe);
+});
+
+// === 8. ARRANQUE Y APAGADO SEGURO ===
 async function start() {
   logger.info('*** Iniciando A.T.L.A.S. ***');
 
   // Cargar estado de los módulos que lo necesiten
-  await execIA.init();
+  // En modo BACKTEST las operaciones se liquidan contra el precio del feed de mercado.
+  await execIA.init({ priceSource: (symbol, time) => marketData.getPriceAt(symbol, time) });
+  tradeJournal.subscribeToEvents(eventBus);
+  await marketData.init({
+    symbols: config.symbols,
+    candleClock: true,
+    provider: config.marketDataProvider,
+    providerOptions: { subscribeQuotes: execIA.subscribeQuotes },
+  });
   await scraping.initScraping();
+  await sessionScheduler.init();
+  await tradeJournal.init();
+  await decisionJournal.init();
+  // En modo LIVE el saldo del broker es el autoritativo; en BACKTEST el capital solo se calcula.
+  await bankroll.init({
+    balanceSource: config.backtestMode ? null : () => execIA.getBalance(),
+    openStake: execIA.getActiveTrades().reduce((sum, t) => sum + (t.stake || 0), 0),
+  });
+  await riskmapIA.init({ balance: bankroll.getBalance() });
+  await compoundLogic.init();
+  await signalRankIA.init();
+  // Un módulo de análisis que no arranca se desactiva y se reintenta más tarde, sin detener el bot.
+  await analysisModules.initAll();
+  // Las estadísticas se reconstruyen desde el diario para sobrevivir a los reinicios.
+  const { wins, losses, ties, total } = await tradeJournal.getSummary();
+  systemState.stats = { wins, losses, ties, total };
   // ... otros inits si fueran necesarios
 
-  // Iniciar el ciclo de trading programado
-  setInterval(runTradingCycle, config.operationInterval);
+  // El ciclo de decisión se lanza con cada vela cerrada de la temporalidad base (reloj de market-data).
+  eventBus.subscribe(EVENTS.CANDLE_CLOSED, onCandleClosed);
 
   // Iniciar el servidor web
   app.listen(config.port, () => {
@@ -147,16 +592,31 @@ async function start() {
 async function gracefulShutdown() {
   logger.warn('Iniciando apagado seguro del sistema...');
   await saveJsonFile(config.stateFilePath, systemState);
+  await signalRankIA.saveStats();
+  // Informe del día hasta el momento del apagado.
+  await writeReport();
+  await marketData.shutdown();
+  await execIA.shutdown();
   // Aquí también se podrían guardar los estados de otros módulos si fuera necesario.
   logger.info('Apagado completado.');
   process.exit(0);
 }
 
-process.on('SIGINT', gracefulShutdown);
-process.on('SIGTERM', gracefulShutdown);
+// === 9. INICIAR EL BOT ===
+// Solo al ejecutarlo directamente (npm start); al importarlo (pruebas) no arranca nada.
+if (require.main === module) {
+  process.on('SIGINT', gracefulShutdown);
+  process.on('SIGTERM', gracefulShutdown);
+  start().catch(error => {
+    logger.error('Fallo catastrófico durante el arranque.', error);
+    process.exit(1);
+  });
+}
 
-// === 8. INICIAR EL BOT ===
-start().catch(error => {
-  logger.error('Fallo catastrófico durante el arranque.', error);
-  process.exit(1);
-});
+module.exports = {
+  app,
+  start,
+  runTradingCycle,
+  collectModuleStates,
+  config,
+};
@@ -11,10 +11,13 @@ require('dotenv').config();
 const path = require('path');
 const fs = require('fs').promises;
 const { fetchWithRetry } = require('../utils/network-helpers');
-const { computeIndicators } = require('../tech-ia/tech-ia');
-const { getFinalScore } = require('../signalrank-ia/signalrank-ia');
-const { assessRisk } = require('../riskmap-ia/riskmap-ia');
-const { calculateStake } = require('../compound-logic/compound-logic');
+const { createIndicatorStream, deriveSignal } = require('../tech-ia/tech-ia');
+const signalRankIA = require('../signalrank-ia/signalrank-ia');
+const riskmapIA = require('../riskmap-ia/riskmap-ia');
+const sessionScheduler = require('../session-scheduler/session-scheduler');
+const compoundLogic = require('../compound-logic/compound-logic');
+const { getPayout, settleTrade } = require('../exec-ia/exec-ia');
+const { computePerformance } = require('../analytics/performance-analytics');
 const { fileExists, setupLogger } = require('../utils/helpers');
 
 // === CONFIGURACIÓN ===
@@ -28,6 +31,7 @@ const config = {
     outputSize: 'full', // 'compact' o 'full'
     initialBankroll: 1000,
     expiryCandles: 4, // Operación expira después de 4 velas de 15min = 1 hora
+    expiryMinutes: 60, // Vencimiento equivalente, usado para elegir el payout
   },
   // Parámetros para los indicadores
   indicatorParams: {
@@ -80,9 +84,11 @@ async function fetchHistoricalData(symbol, timeframe) {
 
     // 3. Parsear y transformar los datos al formato OHLCV
     const dates = Object.keys(timeSeries).sort(); // Ordenar de más antiguo a más reciente
-    const ohlcv = { open: [], high: [], low: [], close: [], volume: [] };
+    const ohlcv = { time: [], open: [], high: [], low: [], close: [], volume: [] };
 
     for (const date of dates) {
+      // Simplificación: la marca de tiempo se interpreta como UTC (usada solo para el desglose por hora).
+      ohlcv.time.push(new Date(`${date.replace(' ', 'T')}Z`).getTime());
       ohlcv.open.push(parseFloat(timeSeries[date]['1. open']));
       ohlcv.high.push(parseFloat(timeSeries[date]['2. high']));
       ohlcv.low.push(parseFloat(timeSeries[date]['3. low']));
@@ -122,58 +128,104 @@ async function runBacktest() {
   let bankroll = config.backtestParams.initialBankroll;
   const trades = [];
   const history = []; // Para registrar el equity
-
-  // 3. Iterar a través de las velas (dejando espacio para que los indicadores se calienten)
-  for (let i = 100; i < totalCandles - config.backtestParams.expiryCandles; i++) {
-    const currentSlice = {
-      open: ohlcv.open.slice(0, i + 1),
-      high: ohlcv.high.slice(0, i + 1),
-      low: ohlcv.low.slice(0, i + 1),
-      close: ohlcv.close.slice(0, i + 1),
-      volume: ohlcv.volume.slice(0, i + 1),
-    };
+  let previousIndicators = null; // Para detectar cruces y pendientes en el motor de reglas
+  // El cortacircuitos de riesgo se simula con un estado propio que no toca el archivo del bot en vivo.
+  await riskmapIA.init({ balance: bankroll, persist: false, reset: true });
+  // Las sesiones, festivos y ventanas de exclusión se aplican con la hora de cada vela.
+  await sessionScheduler.init();
+  // La estrategia de stake también se simula sin tocar compound-state.json.
+  await compoundLogic.init({ persist: false, reset: true });
+  // Los pesos se aprenden desde cero con las operaciones simuladas (estrategia 'learned').
+  await signalRankIA.init({ persist: false, reset: true });
+
+  // 3. Iterar a través de las velas. Los indicadores se actualizan de forma incremental (O(1) por vela)
+  // desde la primera vela, pero solo se opera tras dejar espacio para que se calienten.
+  const indicatorStream = createIndicatorStream(config.indicatorParams);
+  for (let i = 0; i < totalCandles - config.backtestParams.expiryCandles; i++) {
+    const indicators = indicatorStream.update({
+      open: ohlcv.open[i],
+      high: ohlcv.high[i],
+      low: ohlcv.low[i],
+      close: ohlcv.close[i],
+      volume: ohlcv.volume[i],
+    });
+    if (i < 100) continue;
 
     // Simular el ciclo de decisión
-    const indicators = computeIndicators(currentSlice, config.indicatorParams);
+    const techSignal = deriveSignal(indicators, { previous: previousIndicators, price: ohlcv.close[i] });
+    previousIndicators = indicators;
+    // Con datos sin marcas de tiempo se usa el reloj real (las pausas y el cooldown no se simulan con precisión).
+    const now = ohlcv.time ? ohlcv.time[i] : Date.now();
     // Para este backtest, asumimos que no hay noticias y la señal de sentimiento/predicción es neutral
-    const risk = assessRisk({ upcomingEvents: [], indicators });
-
-    if (!risk.allowed) continue;
+    const signal = signalRankIA.getFinalScore({
+      signals: { tech: techSignal },
+      symbol: config.backtestParams.symbol,
+      now,
+    });
 
-    const signal = getFinalScore({
-        signals: { tech: { score: indicators.rsi > 50 ? 0.7 : 0.3, direction: indicators.rsi > 50 ? 'CALL' : 'PUT' } }, // Lógica de señal simplificada para backtest
-        symbol: config.backtestParams.symbol,
+    // Cada operación se liquida en la misma iteración, así que no hay operaciones abiertas que sumen exposición.
+    const risk = riskmapIA.assessRisk({
+      signal: signal.direction !== 'HOLD' ? { symbol: config.backtestParams.symbol, direction: signal.direction } : null,
+      balance: bankroll,
+      symbol: config.backtestParams.symbol,
+      timeframe: config.backtestParams.timeframe,
+      upcomingEvents: [],
+      indicators,
+      now,
     });
 
+    if (!risk.allowed) continue;
+
     if (signal.finalScore > 0.7) {
-      const stake = calculateStake({ bankroll, recommendedStakePct: risk.recommendedStakePct });
+      const payout = getPayout(config.backtestParams.symbol, config.backtestParams.expiryMinutes);
+      const stake = compoundLogic.calculateStake({ bankroll, recommendedStakePct: risk.recommendedStakePct, payout, maxStake: risk.maxStake });
+      if (stake <= 0) continue; // La estrategia de stake descarta la operación (ej. Kelly sin ventaja).
       const entryPrice = ohlcv.close[i];
       const exitPrice = ohlcv.close[i + config.backtestParams.expiryCandles];
 
-      let result = 'loss';
-      if ((signal.direction === 'CALL' && exitPrice > entryPrice) || (signal.direction === 'PUT' && exitPrice < entryPrice)) {
-        result = 'win';
-      }
-
-      const profit = result === 'win' ? stake * 0.85 : -stake;
+      const { result, profit } = settleTrade({ direction: signal.direction, stake, entryPrice, exitPrice, payout });
       bankroll += profit;
-
-      trades.push({ index: i, direction: signal.direction, result, profit, bankroll });
+      await riskmapIA.recordTradeResult({ result, profit, balance: bankroll, now });
+      await compoundLogic.recordTradeResult({ result, balance: bankroll });
+      await signalRankIA.recordTradeSignals(i, signal, { now });
+      await signalRankIA.recordTradeOutcome({ tradeId: i, result });
+
+      trades.push({
+        index: i,
+        time: ohlcv.time ? ohlcv.time[i] : undefined,
+        direction: signal.direction,
+        stake,
+        entryPrice,
+        exitPrice,
+        result,
+        profit,
+        bankroll,
+      });
     }
     history.push(bankroll);
   }
 
   // 4. Reportar resultados
   logger.info('*** Resultados del Backtest ***');
-  const wins = trades.filter(t => t.result === 'win').length;
-  const losses = trades.filter(t => t.result === 'loss').length;
-  const winRate = trades.length > 0 ? (wins / trades.length) * 100 : 0;
-  logger.info(`Período de prueba: ${trades.length} operaciones`);
-  logger.info(`- Aciertos: ${wins}`);
-  logger.info(`- Fallos: ${losses}`);
-  logger.info(`- Tasa de Acierto (Win Rate): ${winRate.toFixed(2)}%`);
+  const performance = computePerformance(trades, { initialBalance: config.backtestParams.initialBankroll });
+  const { summary, streaks } = performance;
+  const formatRatio = value => (value === null ? 'n/d' : value.toFixed(2));
+  logger.info(`Período de prueba: ${summary.trades} operaciones`);
+  logger.info(`- Aciertos: ${summary.wins}`);
+  logger.info(`- Fallos: ${summary.losses}`);
+  logger.info(`- Empates (devueltos): ${summary.ties}`);
+  logger.info(`- Tasa de Acierto (Win Rate): ${(summary.winRate * 100).toFixed(2)}%`);
   logger.info(`- Beneficio/Pérdida Final: ${(bankroll - config.backtestParams.initialBankroll).toFixed(2)}`);
   logger.info(`- Capital Final: ${bankroll.toFixed(2)}`);
+  logger.info(`- Drawdown Máximo: ${performance.maxDrawdown.toFixed(2)} (${(performance.maxDrawdownPct * 100).toFixed(2)}%)`);
+  logger.info(`- Sharpe / Sortino (por operación): ${formatRatio(performance.sharpeRatio)} / ${formatRatio(performance.sortinoRatio)}`);
+  logger.info(`- Profit Factor: ${formatRatio(performance.profitFactor)} | Esperanza por operación: ${performance.expectancy.toFixed(2)}`);
+  logger.info(`- Rachas máximas: ${streaks.maxWinStreak} aciertos / ${streaks.maxLossStreak} fallos`);
+  Object.entries(performance.byDirection).forEach(([direction, stats]) => {
+    logger.info(`- ${direction}: ${stats.trades} operaciones, win rate ${(stats.winRate * 100).toFixed(2)}%, P&L ${stats.profit.toFixed(2)}`);
+  });
+
+  return { trades, history, performance };
 }
 
 // Para ejecutar el backtester desde la línea de comandos: node atlas-bot/backtest/backtester.js
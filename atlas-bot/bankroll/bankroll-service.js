@@ -0,0 +1,228 @@
+/**
+ * bankroll-service.js - Servicio de Capital para A.T.L.A.S.
+ *
+ * Función:
+ * - Ser la fuente única del capital (bankroll) del bot: se actualiza con cada operación cerrada
+ *   y se persiste con su historial en bankroll/bankroll-state.json, de modo que sobrevive a los reinicios.
+ * - En modo LIVE, sincronizarse periódicamente con el saldo real del broker, que es el autoritativo,
+ *   y detectar descuadres entre el saldo calculado y el real.
+ * - Proporcionar el capital a calculateStake, riskmap-ia y los informes (incluido el saldo en una fecha pasada).
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { saveJsonFile, readJsonFile, fileExists, setupLogger } = require('../utils/helpers');
+
+// === CONFIGURACIÓN ===
+const config = {
+  initialBalance: parseFloat(process.env.DEFAULT_BANKROLL) || 1000,
+  // Diferencia (en la divisa de la cuenta) a partir de la cual el saldo calculado y el del broker no cuadran.
+  mismatchTolerance: parseFloat(process.env.BANKROLL_MISMATCH_TOLERANCE) || 1,
+  // Intervalo mínimo entre sincronizaciones con el broker.
+  syncIntervalMs: parseInt(process.env.BANKROLL_SYNC_INTERVAL_MS, 10) || 300000,
+  historyLimit: parseInt(process.env.BANKROLL_HISTORY_LIMIT, 10) || 1000,
+  stateFilePath: path.join(__dirname, 'bankroll-state.json'),
+  // Si es false el estado no se lee ni escribe en disco.
+  persist: true,
+};
+
+const logger = setupLogger('bankroll', path.join(__dirname, 'logs', 'bankroll.log'));
+
+// === ESTADO ===
+const MAX_MISMATCHES = 20;
+
+function createInitialState(balance) {
+  return {
+    balance,
+    initialBalance: balance,
+    lastSyncAt: null,
+    lastBrokerBalance: null,
+    // Descuadres detectados: { time, computed, actual, difference }
+    mismatches: [],
+    // Movimientos del capital: { time, balance, change, reason: 'init'|'trade'|'sync', tradeId? }
+    history: [{ time: new Date().toISOString(), balance, change: 0, reason: 'init' }],
+  };
+}
+
+let state = createInitialState(config.initialBalance);
+// Función que devuelve el saldo real del broker (solo en modo LIVE).
+let balanceSource = null;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function addHistory(entry) {
+  state.history.push({ time: new Date().toISOString(), ...entry, balance: state.balance });
+  if (state.history.length > config.historyLimit) {
+    state.history.splice(0, state.history.length - config.historyLimit);
+  }
+}
+
+async function loadState() {
+  if (!config.persist || !(await fileExists(config.stateFilePath))) return false;
+  try {
+    const loadedState = await readJsonFile(config.stateFilePath);
+    state = { ...state, ...loadedState };
+    return true;
+  } catch (error) {
+    logger.error('No se pudo cargar el estado del capital.', error);
+    return false;
+  }
+}
+
+async function saveState() {
+  if (!config.persist) return;
+  try {
+    await saveJsonFile(config.stateFilePath, state);
+  } catch (error) {
+    logger.error('No se pudo guardar el estado del capital.', error);
+  }
+}
+
+// === API PÚBLICA ===
+
+/**
+ * Inicializa el servicio: recupera el capital persistido y, si hay broker, lo sincroniza con el saldo real.
+ * @param {object} [options]
+ * @param {function(): Promise<number>} [options.balanceSource] - Devuelve el saldo real del broker (modo LIVE).
+ * @param {number} [options.openStake] - Stakes de las operaciones abiertas al arrancar (ver syncWithBroker).
+ * @param {number} [options.initialBalance] - Capital inicial si no hay estado previo (por defecto DEFAULT_BANKROLL).
+ * @param {boolean} [options.persist] - Si es false no se lee ni escribe el archivo de estado.
+ * @param {boolean} [options.reset] - Descarta el estado previo.
+ * @param {string} [options.stateFilePath] - Ruta del archivo de estado.
+ */
+async function init(options = {}) {
+  if (options.persist !== undefined) config.persist = options.persist;
+  if (options.stateFilePath) config.stateFilePath = options.stateFilePath;
+  balanceSource = options.balanceSource || null;
+
+  state = createInitialState(options.initialBalance !== undefined ? options.initialBalance : config.initialBalance);
+  const restored = !options.reset && await loadState();
+  logger.info(`Capital ${restored ? 'recuperado' : 'inicial'}: ${state.balance}.`);
+
+  // El estado se guarda con el primer movimiento (sincronización u operación).
+  if (balanceSource) await syncWithBroker({ openStake: options.openStake, force: true });
+}
+
+/**
+ * Capital actual.
+ * @returns {number}
+ */
+function getBalance() {
+  return state.balance;
+}
+
+/**
+ * Aplica el resultado de una operación cerrada al capital.
+ * @param {object} params
+ * @param {number} params.profit - Beneficio (negativo si es pérdida, 0 si es empate).
+ * @param {string} [params.tradeId] - Id de la operación.
+ * @returns {Promise<number>} El capital actualizado.
+ */
+async function applyTradeResult({ profit, tradeId }) {
+  if (typeof profit !== 'number' || !Number.isFinite(profit)) {
+    throw new Error(`Beneficio no válido para el capital: ${profit}`);
+  }
+  state.balance = round(state.balance + profit);
+  addHistory({ change: profit, reason: 'trade', ...(tradeId ? { tradeId } : {}) });
+  await saveState();
+  return state.balance;
+}
+
+/**
+ * Compara el capital calculado con el saldo real del broker y adopta este último, que es el autoritativo.
+ * Los stakes de las operaciones abiertas ya están descontados en el broker, así que se le suman antes de comparar.
+ * @param {object} [options]
+ * @param {number} [options.openStake] - Suma de los stakes de las operaciones abiertas.
+ * @param {boolean} [options.force] - Sincroniza aunque no haya pasado el intervalo mínimo.
+ * @returns {Promise<{computed: number, actual: number, difference: number, mismatch: boolean}|null>}
+ *   Null si no hay broker, no toca sincronizar o el broker no responde.
+ */
+async function syncWithBroker({ openStake = 0, force = false } = {}) {
+  if (!balanceSource) return null;
+  const now = Date.now();
+  if (!force && state.lastSyncAt && now - new Date(state.lastSyncAt).getTime() < config.syncIntervalMs) return null;
+
+  let brokerBalance;
+  try {
+    brokerBalance = await balanceSource();
+  } catch (error) {
+    logger.warn(`No se pudo consultar el saldo del broker: ${error.message}`);
+    return null;
+  }
+  if (typeof brokerBalance !== 'number' || !Number.isFinite(brokerBalance)) {
+    logger.warn(`Saldo del broker no válido: ${brokerBalance}`);
+    return null;
+  }
+
+  // El saldo real equivale al calculado más los stakes que el broker ya ha descontado.
+  const actual = round(brokerBalance + openStake);
+  const computed = state.balance;
+  const difference = round(actual - computed);
+  const mismatch = Math.abs(difference) > config.mismatchTolerance;
+
+  state.lastSyncAt = new Date(now).toISOString();
+  state.lastBrokerBalance = brokerBalance;
+  if (mismatch) {
+    logger.warn(`Descuadre de capital: calculado ${computed}, broker ${actual} (diferencia ${difference}). Se adopta el saldo del broker.`);
+    state.mismatches.push({ time: state.lastSyncAt, computed, actual, difference });
+    if (state.mismatches.length > MAX_MISMATCHES) state.mismatches.splice(0, state.mismatches.length - MAX_MISMATCHES);
+  }
+  if (difference !== 0) {
+    state.balance = actual;
+    addHistory({ change: difference, reason: 'sync' });
+  }
+  await saveState();
+  return { computed, actual, difference, mismatch };
+}
+
+/**
+ * Capital en un instante pasado según el historial (el del primer registro si es anterior a todos).
+ * @param {string|number|Date} time
+ * @returns {number}
+ */
+function getBalanceAt(time) {
+  const ms = new Date(time).getTime();
+  let balance = state.history.length > 0 ? state.history[0].balance - state.history[0].change : state.balance;
+  for (const entry of state.history) {
+    if (new Date(entry.time).getTime() > ms) break;
+    balance = entry.balance;
+  }
+  return balance;
+}
+
+/**
+ * Historial de movimientos del capital, opcionalmente filtrado por fechas.
+ * @param {object} [filters]
+ * @param {string|number|Date} [filters.from]
+ * @param {string|number|Date} [filters.to]
+ * @returns {object[]}
+ */
+function getHistory({ from, to } = {}) {
+  const fromMs = from !== undefined ? new Date(from).getTime() : -Infinity;
+  const toMs = to !== undefined ? new Date(to).getTime() : Infinity;
+  return state.history.filter(entry => {
+    const ms = new Date(entry.time).getTime();
+    return ms >= fromMs && ms <= toMs;
+  });
+}
+
+function getState() {
+  const { history, mismatches, ...rest } = state;
+  return {
+    ...rest,
+    historyLength: history.length,
+    lastMismatch: mismatches.length > 0 ? mismatches[mismatches.length - 1] : null,
+  };
+}
+
+module.exports = {
+  init,
+  getBalance,
+  applyTradeResult,
+  syncWithBroker,
+  getBalanceAt,
+  getHistory,
+  getState,
+};
@@ -2,13 +2,20 @@
  * compound-logic.js - Módulo de Cálculo de Tamaño de Operación (Versión Refactorizada)
  *
  * Función:
- * - Proporcionar una función pura para calcular el tamaño de la apuesta (stake)
- *   para una operación, basado en el capital y el riesgo recomendado.
+ * - Calcular el tamaño de la apuesta (stake) para una operación según la estrategia de gestión
+ *   de capital configurada (STAKING_STRATEGY):
+ *   - 'fixed': importe fijo.
+ *   - 'fixed-fractional': porcentaje fijo del capital (el riesgo recomendado por riskmap-ia).
+ *   - 'kelly': Kelly fraccional a partir del win rate reciente y el payout. Sin ventaja no se opera (stake 0).
+ *   - 'anti-martingale': sube el stake tras cada acierto, con un tope de escalones, y vuelve al base tras un fallo.
  * - Aplicar límites de seguridad absolutos.
- * - Este módulo es stateless.
+ * - Persistir el estado de la estrategia (lote actual, rachas, resultados recientes) en compound-state.json,
+ *   que leen los dashboards.
  */
 
 require('dotenv').config();
+const path = require('path');
+const { saveJsonFile, readJsonFile, fileExists, setupLogger } = require('../utils/helpers');
 
 // === CONFIGURACIÓN ===
 // Se cargan los valores desde las variables de entorno para la configuración centralizada.
@@ -18,38 +25,248 @@ const config = {
   // Límites absolutos para el tamaño de la operación, como medida de seguridad.
   minStakeAbsolute: parseFloat(process.env.MIN_STAKE_ABSOLUTE) || 1,
   maxStakeAbsolute: parseFloat(process.env.MAX_STAKE_ABSOLUTE) || 100,
+  strategy: process.env.STAKING_STRATEGY || 'fixed-fractional',
+  // Riesgo base (%): el recomendado por riskmap-ia se compara con él para escalar las estrategias que no son porcentuales.
+  baseRiskPct: parseFloat(process.env.MAX_RISK_PCT) || 1.0,
+  fixedStake: parseFloat(process.env.FIXED_STAKE) || 10,
+  // Kelly: fracción de la apuesta de Kelly completa, ventana de resultados y operaciones mínimas antes de aplicarlo.
+  kellyFraction: parseFloat(process.env.KELLY_FRACTION) || 0.25,
+  kellyWindow: parseInt(process.env.KELLY_WINDOW, 10) || 50,
+  kellyMinTrades: parseInt(process.env.KELLY_MIN_TRADES, 10) || 20,
+  kellyMaxPct: parseFloat(process.env.KELLY_MAX_PCT) || 5,
+  // Tras este número de operaciones descartadas por falta de ventaja, se coloca una con el stake mínimo
+  // para que el win rate siga renovándose (0 = nunca).
+  kellyProbeAfter: Number.isNaN(parseInt(process.env.KELLY_PROBE_AFTER, 10)) ? 10 : parseInt(process.env.KELLY_PROBE_AFTER, 10),
+  defaultPayout: parseFloat(process.env.PAYOUT_DEFAULT) || 0.85,
+  // Anti-martingala: multiplicador por acierto consecutivo y número máximo de escalones.
+  antiMartingaleMultiplier: parseFloat(process.env.ANTI_MARTINGALE_MULTIPLIER) || 1.5,
+  antiMartingaleMaxSteps: parseInt(process.env.ANTI_MARTINGALE_MAX_STEPS, 10) || 3,
+  stateFilePath: path.join(__dirname, 'compound-state.json'),
+  // Si es false el estado no se escribe en disco (backtests).
+  persist: true,
 };
 
+const logger = setupLogger('compound-logic', path.join(__dirname, 'logs', 'compound-logic.log'));
+
+// === ESTADO ===
+function createInitialState() {
+  const now = new Date().toISOString();
+  return {
+    strategy: config.strategy,
+    tradeCount: 0,
+    lastBalance: 0,
+    currentLotSize: 0,
+    // Veces que el lote ha crecido respecto al anterior (la ganancia se ha reinvertido).
+    totalCompounds: 0,
+    winStreak: 0,
+    // Escalón actual de la anti-martingala (0 = stake base).
+    step: 0,
+    // Últimos resultados ('win' | 'loss') para estimar el win rate de Kelly.
+    recentResults: [],
+    // Operaciones descartadas seguidas por Kelly sin ventaja (ver kellyProbeAfter).
+    kellySkips: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+let state = createInitialState();
+// Cola de guardado: calculateStake guarda sin esperar y no debe pisar otra escritura en curso.
+let saveQueue = Promise.resolve();
+
+/**
+ * Inicializa el módulo cargando el estado persistido.
+ * @param {object} [options]
+ * @param {string} [options.strategy] - Estrategia de stake (por defecto STAKING_STRATEGY).
+ * @param {boolean} [options.persist] - Si es false no se lee ni escribe el archivo de estado.
+ * @param {boolean} [options.reset] - Descarta el estado previo.
+ * @param {object} [options.state] - Estado a restaurar (ej. el de getState()); sustituye al persistido.
+ *   La estrategia sigue siendo la configurada.
+ */
+async function init(options = {}) {
+  if (options.persist !== undefined) config.persist = options.persist;
+  if (options.stateFilePath) config.stateFilePath = options.stateFilePath;
+  if (options.strategy) config.strategy = options.strategy;
+  if (!STAKING_STRATEGIES[config.strategy]) {
+    throw new Error(`Estrategia de stake desconocida: ${config.strategy}. Opciones: ${Object.keys(STAKING_STRATEGIES).join(', ')}`);
+  }
+
+  state = createInitialState();
+  if (options.state) state = { ...state, ...JSON.parse(JSON.stringify(options.state)) };
+  else if (!options.reset) await loadState();
+  state.strategy = config.strategy;
+  logger.info(`Compound-logic inicializado con la estrategia '${config.strategy}'.`);
+}
+
+// === ESTRATEGIAS ===
+
 /**
- * Calcula el tamaño de la apuesta (stake) para una operación.
+ * Win rate reciente (sin empates). Null si no hay suficientes operaciones.
+ */
+function recentWinRate() {
+  if (state.recentResults.length < config.kellyMinTrades) return null;
+  return state.recentResults.filter(r => r === 'win').length / state.recentResults.length;
+}
+
+// Cada estrategia devuelve el stake bruto (antes de los límites absolutos).
+// riskFactor < 1 cuando riskmap-ia recomienda reducir el riesgo respecto al base.
+const STAKING_STRATEGIES = {
+  fixed: ({ riskFactor }) => config.fixedStake * riskFactor,
+
+  'fixed-fractional': ({ bankroll, recommendedStakePct }) => bankroll * (recommendedStakePct / 100),
+
+  /**
+   * Kelly completo para opciones binarias: f* = (p·b − q) / b, con b = payout y q = 1 − p.
+   * Se aplica una fracción y un tope; sin historial suficiente se usa el porcentaje fijo.
+   * Sin ventaja (f* <= 0) devuelve 0: la operación tiene esperanza negativa y se descarta. Cada KELLY_PROBE_AFTER
+   * descartes se opera una con el stake mínimo (sondeo), porque el win rate solo cambia con operaciones cerradas.
+   */
+  kelly: ({ bankroll, recommendedStakePct, riskFactor, payout }) => {
+    const winRate = recentWinRate();
+    if (winRate === null) return bankroll * (recommendedStakePct / 100);
+    const kelly = (winRate * payout - (1 - winRate)) / payout;
+    if (kelly <= 0) {
+      state.kellySkips++;
+      if (config.kellyProbeAfter > 0 && state.kellySkips >= config.kellyProbeAfter) {
+        state.kellySkips = 0;
+        logger.warn(`Kelly sin ventaja tras ${config.kellyProbeAfter} descartes. Operación de sondeo con el stake mínimo.`);
+        return config.minStakeAbsolute;
+      }
+      logger.warn(`Kelly sin ventaja (win rate ${(winRate * 100).toFixed(1)}%, payout ${payout}). No se opera.`);
+      return 0;
+    }
+    state.kellySkips = 0;
+    const pct = Math.min(kelly * config.kellyFraction * 100, config.kellyMaxPct);
+    return bankroll * (pct / 100) * riskFactor;
+  },
+
+  'anti-martingale': ({ bankroll, recommendedStakePct }) => bankroll * (recommendedStakePct / 100)
+    * config.antiMartingaleMultiplier ** Math.min(state.step, config.antiMartingaleMaxSteps),
+};
+
+// === API PÚBLICA ===
+
+/**
+ * Calcula el tamaño de la apuesta (stake) para una operación y lo registra como lote actual.
  *
  * @param {object} params - Parámetros para el cálculo.
  * @param {number} params.bankroll - El capital actual disponible. Si no se proporciona, se usa el valor por defecto.
  * @param {number} params.recommendedStakePct - El porcentaje de riesgo recomendado por el riskmap-ia (ej. 1.0 para 1%).
+ * @param {number} [params.payout] - Payout de la operación (para Kelly), ej. 0.85.
+ * @param {string} [params.strategy] - Estrategia a usar en lugar de la configurada.
+ * @param {number|null} [params.maxStake] - Tope del stake (el maxStake de riskmap-ia: hueco bajo el límite de exposición total).
+ *   Prevalece sobre el mínimo absoluto.
  *
- * @returns {number} - El tamaño de la apuesta final, ajustado a los límites de seguridad.
+ * @returns {number} - El tamaño de la apuesta final, ajustado a los límites de seguridad. 0 si no se debe operar
+ *   (la estrategia no da stake, ej. Kelly sin ventaja, o no queda hueco de exposición): el mínimo absoluto no se aplica.
  */
-function calculateStake({ bankroll = config.defaultBankroll, recommendedStakePct }) {
+function calculateStake({
+  bankroll = config.defaultBankroll, recommendedStakePct, payout = config.defaultPayout, strategy = config.strategy, maxStake = null,
+}) {
   if (typeof bankroll !== 'number' || bankroll <= 0) {
     throw new Error(`El capital (bankroll) proporcionado no es válido: ${bankroll}`);
   }
   if (typeof recommendedStakePct !== 'number' || recommendedStakePct < 0) {
     throw new Error(`El porcentaje de riesgo recomendado no es válido: ${recommendedStakePct}`);
   }
+  const computeRawStake = STAKING_STRATEGIES[strategy];
+  if (!computeRawStake) {
+    throw new Error(`Estrategia de stake desconocida: ${strategy}`);
+  }
 
-  // 1. Calcular el stake basado en el porcentaje de riesgo.
-  // Se divide por 100 para convertir el porcentaje (ej. 1.0) a un multiplicador (0.01).
-  const rawStake = bankroll * (recommendedStakePct / 100);
+  // 1. Calcular el stake según la estrategia.
+  const riskFactor = config.baseRiskPct > 0 ? recommendedStakePct / config.baseRiskPct : 1;
+  const rawStake = computeRawStake({ bankroll, recommendedStakePct, riskFactor, payout });
+  if (!(rawStake > 0)) {
+    // El contador de descartes de Kelly forma parte del estado.
+    if (config.persist) saveState().catch(error => logger.error('No se pudo guardar el estado de compound-logic.', error));
+    return 0;
+  }
 
   // 2. Aplicar los límites de seguridad (mínimo y máximo absoluto).
   const clampedStake = Math.max(config.minStakeAbsolute, Math.min(rawStake, config.maxStakeAbsolute));
 
-  // 3. Redondear a 2 decimales, ya que se trata de dinero.
-  const finalStake = Math.round(clampedStake * 100) / 100;
+  // 3. Redondear a 2 decimales, ya que se trata de dinero. El tope de exposición se redondea hacia abajo.
+  let finalStake = Math.round(clampedStake * 100) / 100;
+  if (typeof maxStake === 'number' && finalStake > maxStake) {
+    finalStake = Math.floor(maxStake * 100) / 100;
+    logger.warn(`Stake limitado a ${finalStake} por la exposición total abierta.`);
+    if (finalStake <= 0) return 0;
+  }
+
+  // 4. Registrar el lote para los dashboards.
+  if (state.currentLotSize > 0 && finalStake > state.currentLotSize) state.totalCompounds++;
+  state.currentLotSize = finalStake;
+  state.lastBalance = bankroll;
+  state.updatedAt = new Date().toISOString();
+  if (config.persist) saveState().catch(error => logger.error('No se pudo guardar el estado de compound-logic.', error));
 
   return finalStake;
 }
 
+/**
+ * Registra el resultado de una operación cerrada: rachas, escalón de la anti-martingala y win rate de Kelly.
+ * @param {object} params
+ * @param {'win'|'loss'|'tie'} params.result - Resultado de la operación.
+ * @param {number} [params.balance] - Capital tras la operación.
+ * @returns {Promise<object>} El estado actualizado.
+ */
+async function recordTradeResult({ result, balance }) {
+  state.tradeCount++;
+  if (typeof balance === 'number') state.lastBalance = balance;
+
+  // Los empates devuelven el stake: no cambian la racha ni el escalón.
+  if (result === 'win') {
+    state.winStreak++;
+    // Al completar los escalones se recoge el beneficio y se vuelve al stake base.
+    state.step = state.step < config.antiMartingaleMaxSteps ? state.step + 1 : 0;
+  } else if (result === 'loss') {
+    state.winStreak = 0;
+    state.step = 0;
+  }
+  if (result === 'win' || result === 'loss') {
+    state.recentResults.push(result);
+    if (state.recentResults.length > config.kellyWindow) {
+      state.recentResults.splice(0, state.recentResults.length - config.kellyWindow);
+    }
+  }
+  state.updatedAt = new Date().toISOString();
+
+  if (config.persist) await saveState();
+  return getState();
+}
+
+/**
+ * Carga el estado desde compound-state.json
+ */
+async function loadState() {
+  if (!config.persist || !(await fileExists(config.stateFilePath))) return;
+  try {
+    const loadedState = await readJsonFile(config.stateFilePath);
+    state = { ...state, ...loadedState };
+    if (!Array.isArray(state.recentResults)) state.recentResults = [];
+  } catch (error) {
+    logger.error('No se pudo cargar el estado de compound-logic.', error);
+  }
+}
+
+/**
+ * Guarda el estado en compound-state.json
+ */
+function saveState() {
+  const save = saveQueue.then(() => saveJsonFile(config.stateFilePath, state));
+  saveQueue = save.catch(() => {});
+  return save;
+}
+
+function getState() {
+  return { ...state, recentResults: [...state.recentResults] };
+}
+
 module.exports = {
+  init,
   calculateStake,
+  recordTradeResult,
+  getState,
+  STAKING_STRATEGIES,
 };
@@ -0,0 +1,177 @@
+/**
+ * decision-pipeline.js - Pasos de Decisión Compartidos para A.T.L.A.S.
+ *
+ * Función:
+ * - Reunir los pasos que convierten las señales de un ciclo en operaciones, para que el orquestador
+ *   (atlas-automation.js) y la reproducción de decisiones (replay/replay.js) ejecuten exactamente el mismo código:
+ *   - scoreSymbol: ventana de noticias, puntuación de signalrank-ia y confirmación multi-temporalidad (MTF).
+ *   - selectTrades: clasificación de las oportunidades, límite por ciclo, gestor de riesgo y cálculo del stake.
+ * - Centralizar los parámetros de decisión (umbral, límite por ciclo, vencimiento, temporalidad base y MTF).
+ *
+ * Lo que depende del entorno se inyecta: el análisis MTF (velas en vivo o resultado registrado),
+ * el payout y la apertura de la operación (broker o simulación).
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { setupLogger } = require('../utils/helpers');
+const signalRankIA = require('../signalrank-ia/signalrank-ia');
+const riskmapIA = require('../riskmap-ia/riskmap-ia');
+const compoundLogic = require('../compound-logic/compound-logic');
+
+// === CONFIGURACIÓN ===
+const config = {
+  // Puntuación mínima para que una oportunidad entre en la clasificación.
+  minSignalScore: parseFloat(process.env.MIN_SIGNAL_SCORE) || 0.7,
+  // Operaciones nuevas como máximo por ciclo: se toman las mejores oportunidades de la lista que acepte el riesgo.
+  maxTradesPerCycle: parseInt(process.env.MAX_TRADES_PER_CYCLE, 10) || 1,
+  expiryMinutes: 5,
+  // Temporalidad base: la de las velas del ciclo y la de los perfiles de ATR de riskmap-ia.
+  timeframe: (process.env.MARKET_TIMEFRAMES || '1m').split(',')[0].trim(),
+  // Confirmación Multi-Timeframe: temporalidades superiores remuestreadas desde la base.
+  mtf: {
+    timeframes: (process.env.MTF_TIMEFRAMES || '5m,15m').split(',').map(tf => tf.trim()).filter(Boolean),
+    mode: process.env.MTF_MODE || 'downweight', // 'veto', 'downweight' u 'off'
+    downweightFactor: parseFloat(process.env.MTF_DOWNWEIGHT_FACTOR) || 0.5,
+  },
+};
+
+const defaultLogger = setupLogger('decision-pipeline', path.join(__dirname, 'logs', 'decision-pipeline.log'));
+
+// === EVALUACIÓN DE UN SÍMBOLO ===
+
+/**
+ * Puntúa las señales de un símbolo que ya está en sesión.
+ * @param {object} params
+ * @param {string} params.symbol
+ * @param {object} params.signals - Señales por fuente (tech y módulos de análisis).
+ * @param {Array} params.openTrades - Operaciones abiertas (de-duplicación de signalrank-ia).
+ * @param {number} params.now - Instante del ciclo en ms (caducidad de señales y cooldown).
+ * @param {function(string): object|null} [params.checkAlignment] - Resultado de techIA.checkTradeAlignment para la
+ *   dirección propuesta, o null si no hay análisis MTF. No se llama con MTF_MODE=off.
+ * @param {object} [params.logger] - Logger del llamador.
+ * @returns {{outcome: 'news-blocked'|'hold'|'mtf-veto'|'candidate', reason: string, finalSignal?: object,
+ *   signalrank?: object, mtf?: object, score?: number}} score es la puntuación tras el ajuste MTF.
+ */
+function scoreSymbol({ symbol, signals, openTrades, now, checkAlignment, logger = defaultLogger }) {
+  if (signals.news && signals.news.blocked) {
+    const reason = `Ventana de noticias (${signals.news.event ? signals.news.event.event : 'evento de alto impacto'}).`;
+    logger.info(`Sin operativa para ${symbol}: ${reason}`);
+    return { outcome: 'news-blocked', reason };
+  }
+
+  // El cooldown usa el reloj de signalrank-ia, que se actualiza con recordTradeSignals.
+  const finalSignal = signalRankIA.getFinalScore({ signals, openTrades, symbol, now });
+  const signalrank = (({ direction, finalScore, reason, rejection, strategy, breakdown }) => ({
+    direction, finalScore, reason, rejection, strategy, breakdown,
+  }))(finalSignal);
+  if (finalSignal.direction === 'HOLD') {
+    logger.info(`${symbol}: sin operación. ${finalSignal.reason}`);
+    return { outcome: 'hold', reason: finalSignal.reason, finalSignal, signalrank };
+  }
+
+  let score = finalSignal.finalScore;
+  let mtf;
+  const alignment = config.mtf.mode !== 'off' && checkAlignment ? checkAlignment(finalSignal.direction) : null;
+  if (alignment) {
+    mtf = { action: alignment.action, factor: alignment.factor, reason: alignment.reason };
+    if (alignment.insufficientData) {
+      mtf.insufficientData = true;
+      logger.warn(`Análisis MTF de ${symbol} sin confirmar: ${alignment.reason}`);
+    }
+    if (alignment.action === 'veto') {
+      logger.warn(`Operación en ${symbol} vetada por análisis MTF: ${alignment.reason}`);
+      return { outcome: 'mtf-veto', reason: alignment.reason, finalSignal, signalrank, mtf };
+    }
+    if (alignment.action === 'downweight') {
+      logger.info(`Señal de ${symbol} penalizada por análisis MTF (x${alignment.factor}): ${alignment.reason}`);
+    }
+    score *= alignment.factor;
+  }
+
+  return { outcome: 'candidate', reason: finalSignal.reason, finalSignal, signalrank, mtf, score };
+}
+
+// === SELECCIÓN DE OPERACIONES ===
+
+/**
+ * Ordena las oportunidades del ciclo y abre las mejores que acepten el gestor de riesgo y la estrategia de stake.
+ * La exposición incluye las operaciones abiertas en este mismo ciclo.
+ * @param {object} params
+ * @param {Array<{symbol: string, direction: string, score: number, indicators?: object}>} params.candidates
+ * @param {Array} params.openTrades - Operaciones abiertas al empezar la selección.
+ * @param {number} params.balance - Capital actual.
+ * @param {Array} params.upcomingEvents - Eventos de alto impacto próximos.
+ * @param {number} params.now - Instante del ciclo en ms.
+ * @param {function(string): number} params.getPayout - Payout de un símbolo para el vencimiento configurado.
+ * @param {function(object, object, object): Promise<string|undefined>} params.place - Abre la operación
+ *   (candidato, evaluación de riesgo, cálculo del stake) y devuelve su ID.
+ * @param {object} [params.logger] - Logger del llamador.
+ * @returns {Promise<{ranking: object[], decisions: object[], action: 'traded'|'no-trade', reason: string}>}
+ */
+async function selectTrades({ candidates, openTrades, balance, upcomingEvents, now, getPayout, place, logger = defaultLogger }) {
+  const ranked = signalRankIA.rankCandidates(candidates, { minScore: config.minSignalScore });
+  const ranking = ranked.map(({ rank, symbol, direction, score }) => ({ rank, symbol, direction, score }));
+  const decisions = [];
+  if (ranked.length === 0) {
+    logger.info('Ninguna oportunidad supera el umbral en este ciclo.');
+    return { ranking, decisions, action: 'no-trade', reason: 'Ninguna oportunidad supera el umbral.' };
+  }
+  logger.info(`Oportunidades: ${ranked.map(c => `${c.rank}. ${c.symbol} ${c.direction} (${c.score.toFixed(2)})`).join(', ')}`);
+
+  const open = [...openTrades];
+  let placed = 0;
+  for (const candidate of ranked) {
+    const { symbol, direction } = candidate;
+    if (placed >= config.maxTradesPerCycle) {
+      logger.info(`Límite de ${config.maxTradesPerCycle} operaciones por ciclo alcanzado. Se descarta ${symbol}.`);
+      decisions.push({ symbol, direction, action: 'cycle-limit', reason: `Límite de ${config.maxTradesPerCycle} operaciones por ciclo.` });
+      continue;
+    }
+    const risk = riskmapIA.assessRisk({
+      signal: { symbol, direction },
+      openTrades: open,
+      balance,
+      symbol,
+      timeframe: config.timeframe,
+      upcomingEvents,
+      indicators: candidate.indicators,
+      now,
+    });
+    if (!risk.allowed) {
+      logger.warn(`Operación en ${symbol} denegada por gestor de riesgo: ${risk.reason}`);
+      decisions.push({ symbol, direction, action: 'risk-denied', reason: risk.reason, risk });
+      continue;
+    }
+
+    const stakeInputs = {
+      bankroll: balance,
+      recommendedStakePct: risk.recommendedStakePct,
+      payout: getPayout(symbol),
+      maxStake: risk.maxStake,
+    };
+    const stakeValue = compoundLogic.calculateStake(stakeInputs);
+    const stake = { ...stakeInputs, strategy: compoundLogic.getState().strategy, stake: stakeValue };
+    if (stakeValue <= 0) {
+      logger.warn(`Sin stake para ${symbol} con la estrategia '${stake.strategy}'. No se opera.`);
+      decisions.push({ symbol, direction, action: 'stake-skipped', reason: 'La estrategia de stake no da importe (sin ventaja).', risk, stake });
+      continue;
+    }
+
+    logger.info(`Señal fuerte en ${symbol} (${candidate.score.toFixed(2)}) y riesgo aceptado. Procediendo a operar.`);
+    const tradeId = await place(candidate, risk, stake);
+    open.push({ tradeId, symbol, direction, stake: stakeValue });
+    decisions.push({ symbol, direction, action: 'placed', tradeId, risk, stake });
+    placed++;
+  }
+
+  return placed > 0
+    ? { ranking, decisions, action: 'traded', reason: `${placed} operación(es) abierta(s).` }
+    : { ranking, decisions, action: 'no-trade', reason: 'El gestor de riesgo o la estrategia de stake no aceptaron ninguna oportunidad.' };
+}
+
+module.exports = {
+  scoreSymbol,
+  selectTrades,
+  config,
+};
@@ -0,0 +1,118 @@
+/**
+ * event-bus.js - Bus de Eventos Interno para A.T.L.A.S.
+ *
+ * Función:
+ * - Publicar los eventos del bot (vela cerrada, operación cerrada, ventana de noticias abierta,
+ *   señal actualizada, operativa pausada) para que el orquestador, el diario y los dashboards
+ *   reaccionen a ellos en lugar de consultar periódicamente.
+ * - Aislar a los suscriptores: el error de uno se registra sin afectar a quien publica ni al resto.
+ * - Conservar los últimos eventos para los suscriptores que se conectan tarde (ej. GET /events).
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { setupLogger } = require('../utils/helpers');
+
+// === CONFIGURACIÓN ===
+const config = {
+  // Eventos recientes que se conservan en memoria.
+  historyLimit: parseInt(process.env.EVENT_HISTORY_LIMIT, 10) || 100,
+};
+
+// Eventos del bot y sus datos:
+// - candle-closed: { symbol, timeframe, candle } (market-data)
+// - trade-closed: { trade, result, balance } (orquestador)
+// - news-window-opened: { event } (news-filter)
+// - signal-updated: { symbol, signal } (orquestador)
+// - risk-paused: { reason, until } (riskmap-ia)
+const EVENTS = Object.freeze({
+  CANDLE_CLOSED: 'candle-closed',
+  TRADE_CLOSED: 'trade-closed',
+  NEWS_WINDOW_OPENED: 'news-window-opened',
+  SIGNAL_UPDATED: 'signal-updated',
+  RISK_PAUSED: 'risk-paused',
+});
+// Suscripción a todos los eventos.
+const ALL_EVENTS = '*';
+
+const logger = setupLogger('event-bus', path.join(__dirname, 'logs', 'event-bus.log'));
+
+/**
+ * Crea un bus de eventos.
+ * @param {object} [options]
+ * @param {number} [options.historyLimit] - Eventos recientes que se conservan.
+ * @returns {object} Bus con la interfaz { subscribe, publish, getRecentEvents }.
+ */
+function createEventBus({ historyLimit = config.historyLimit } = {}) {
+  const eventNames = new Set(Object.values(EVENTS));
+  // evento -> Set de manejadores
+  const handlers = new Map();
+  const history = [];
+
+  function checkEvent(event) {
+    if (event !== ALL_EVENTS && !eventNames.has(event)) {
+      throw new Error(`Evento desconocido: ${event}. Opciones: ${[...eventNames].join(', ')}`);
+    }
+  }
+
+  return {
+    /**
+     * Suscribe un manejador a un evento ('*' para todos).
+     * @param {string} event - Nombre del evento (ver EVENTS).
+     * @param {function(object, {event: string, time: string}): (void|Promise<void>)} handler - Recibe los datos
+     *   del evento y su nombre y hora.
+     * @returns {function(): void} Función que cancela la suscripción.
+     */
+    subscribe(event, handler) {
+      checkEvent(event);
+      if (!handlers.has(event)) handlers.set(event, new Set());
+      handlers.get(event).add(handler);
+      return () => handlers.get(event).delete(handler);
+    },
+
+    /**
+     * Publica un evento. Los manejadores se ejecutan en orden de suscripción y se espera a cada uno,
+     * así que quien publica con await sabe que todos han terminado. Nunca lanza por un manejador.
+     * @param {string} event - Nombre del evento (ver EVENTS).
+     * @param {object} [payload] - Datos del evento.
+     * @returns {Promise<void>}
+     */
+    async publish(event, payload = {}) {
+      checkEvent(event);
+      const meta = { event, time: new Date().toISOString() };
+      history.push({ ...meta, payload });
+      if (history.length > historyLimit) history.splice(0, history.length - historyLimit);
+
+      const subscribers = [...(handlers.get(event) || []), ...(handlers.get(ALL_EVENTS) || [])];
+      for (const handler of subscribers) {
+        try {
+          await handler(payload, meta);
+        } catch (error) {
+          logger.error(`Error en un suscriptor de ${event}.`, error);
+        }
+      }
+    },
+
+    /**
+     * Últimos eventos publicados, del más antiguo al más reciente.
+     * @param {object} [filters]
+     * @param {string} [filters.event] - Solo eventos con este nombre.
+     * @param {number} [filters.limit] - Número máximo de eventos.
+     * @returns {object[]} Eventos { event, time, payload }.
+     */
+    getRecentEvents({ event, limit } = {}) {
+      const events = event ? history.filter(entry => entry.event === event) : history.slice();
+      return limit ? events.slice(-limit) : events;
+    },
+  };
+}
+
+// Bus compartido por los módulos del bot.
+const eventBus = createEventBus();
+
+module.exports = {
+  EVENTS,
+  ALL_EVENTS,
+  createEventBus,
+  eventBus,
+};
@@ -0,0 +1,92 @@
+/**
+ * iqoption-adapter.js - Adaptador de broker para IQ Option.
+ *
+ * Función:
+ * - Envolver la librería @mvh/iqoption (ES Module) detrás de la interfaz común de brokers de exec-ia:
+ *   { name, connect, isConnected, buy, getTradeResult, getBalance, subscribeQuotes, getOpenPositions, disconnect }.
+ * - Los cortes de conexión se detectan con el heartbeat de exec-ia, que consulta isConnected().
+ */
+
+let IqOption; // Se cargará dinámicamente
+
+/**
+ * Carga dinámicamente la librería de IQ Option que es un ES Module.
+ */
+async function loadIqOptionLibrary() {
+  if (IqOption) return;
+  const module = await import('@mvh/iqoption');
+  IqOption = module.default; // Los ES modules suelen exponer la clase como export por defecto
+}
+
+/**
+ * Crea un adaptador de IQ Option.
+ * @param {object} options
+ * @param {string} options.email - Email de la cuenta.
+ * @param {string} options.password - Contraseña de la cuenta.
+ * @returns {object} Adaptador con la interfaz común de brokers.
+ */
+function createIqOptionAdapter({ email, password } = {}) {
+  let client = null;
+
+  return {
+    name: 'iqoption',
+
+    async connect() {
+      await loadIqOptionLibrary();
+      client = new IqOption(email, password);
+      await client.connect();
+    },
+
+    isConnected() {
+      return Boolean(client && client.isConnected);
+    },
+
+    async buy({ symbol, direction, stake, expiryMinutes }) {
+      const result = await client.buy(stake, symbol, direction, expiryMinutes);
+      return { id: result.id, entryPrice: result.entryPrice };
+    },
+
+    async getTradeResult(tradeId) {
+      const result = await client.getTradeResult(tradeId);
+      // La librería no devuelve resultado mientras la operación sigue abierta.
+      if (!result || !result.result) return { status: 'open' };
+      return { status: 'closed', result: result.result, profit: result.profit, exitPrice: result.exitPrice };
+    },
+
+    async getOpenPositions() {
+      // Sin soporte en la librería no es posible reconciliar: null indica a exec-ia que lo omita.
+      if (typeof client.getOpenPositions !== 'function') return null;
+      const positions = await client.getOpenPositions();
+      return positions.map(position => ({
+        id: position.id,
+        symbol: position.symbol,
+        direction: position.direction,
+        stake: position.amount,
+        entryPrice: position.entryPrice,
+        openedAt: new Date(position.openedAt).getTime(),
+        expiresAt: new Date(position.expiresAt).getTime(),
+      }));
+    },
+
+    async getBalance() {
+      return client.getBalance();
+    },
+
+    async subscribeQuotes(symbol, onQuote) {
+      return client.subscribeQuotes(symbol, quote => onQuote({
+        price: quote.price,
+        time: quote.time ? new Date(quote.time).getTime() : Date.now(),
+        volume: quote.volume || 0,
+      }));
+    },
+
+    async disconnect() {
+      if (client && typeof client.disconnect === 'function') await client.disconnect();
+      client = null;
+    },
+  };
+}
+
+module.exports = {
+  createIqOptionAdapter,
+};
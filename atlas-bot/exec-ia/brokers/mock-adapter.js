@@ -0,0 +1,151 @@
+/**
+ * mock-adapter.js - Adaptador de broker para el broker simulado local (mock-broker-server.js).
+ *
+ * Función:
+ * - Hablar con el broker simulado por WebSocket con la misma interfaz que el adaptador real:
+ *   { name, connect, isConnected, buy, getTradeResult, getBalance, subscribeQuotes, getOpenPositions, ping, disconnect }.
+ * - Correlacionar peticiones y respuestas por id, con tiempo de espera máximo.
+ * - Avisar de los cortes de conexión y restaurar las suscripciones al reconectar.
+ */
+
+const WebSocket = require('ws');
+
+/**
+ * Crea un adaptador para el broker simulado.
+ * @param {object} options
+ * @param {string} options.url - URL del servidor, ej: 'ws://127.0.0.1:8765'.
+ * @param {number} [options.requestTimeoutMs] - Tiempo máximo de espera de cada respuesta.
+ * @returns {object} Adaptador con la interfaz común de brokers.
+ */
+function createMockBrokerAdapter({ url, requestTimeoutMs = 5000 } = {}) {
+  let socket = null;
+  let nextRequestId = 1;
+  const pending = new Map(); // id -> { resolve, reject, timer }
+  const quoteHandlers = new Map(); // símbolo -> Set(callbacks)
+
+  function rejectPending(reason) {
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(reason));
+    });
+    pending.clear();
+  }
+
+  function onMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+
+    if (message.type === 'quote') {
+      const handlers = quoteHandlers.get(message.symbol);
+      if (handlers) handlers.forEach(handler => handler({ price: message.price, time: message.time, volume: 0 }));
+      return;
+    }
+
+    const request = pending.get(message.id);
+    if (!request) return;
+    pending.delete(message.id);
+    clearTimeout(request.timer);
+    if (message.ok) request.resolve(message.data);
+    else request.reject(new Error(message.error));
+  }
+
+  function request(type, payload = {}) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('Sin conexión con el broker simulado.'));
+    }
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Tiempo de espera agotado para la petición "${type}".`));
+      }, requestTimeoutMs);
+      pending.set(id, { resolve, reject, timer });
+      socket.send(JSON.stringify({ id, type, ...payload }));
+    });
+  }
+
+  return {
+    name: 'mock',
+
+    /**
+     * @param {{onDisconnect?: function(string): void}} [handlers] - Aviso de cortes no solicitados.
+     */
+    async connect({ onDisconnect } = {}) {
+      await new Promise((resolve, reject) => {
+        const ws = new WebSocket(url);
+        ws.once('open', () => {
+          socket = ws;
+          resolve();
+        });
+        ws.once('error', reject);
+        ws.on('message', onMessage);
+        ws.on('close', () => {
+          rejectPending('Conexión con el broker simulado cerrada.');
+          // Solo se avisa si el cierre no lo pidió disconnect().
+          if (socket === ws) {
+            socket = null;
+            if (onDisconnect) onDisconnect('conexión con el broker simulado cerrada');
+          }
+        });
+      });
+      // Tras una reconexión se restauran las suscripciones a cotizaciones.
+      await Promise.all(Array.from(quoteHandlers.keys()).map(symbol => request('subscribe', { symbol })));
+    },
+
+    isConnected() {
+      return Boolean(socket && socket.readyState === WebSocket.OPEN);
+    },
+
+    async buy({ symbol, direction, stake, expiryMinutes }) {
+      return request('buy', { symbol, direction, stake, expiryMinutes });
+    },
+
+    async getTradeResult(tradeId) {
+      return request('getTradeResult', { tradeId });
+    },
+
+    async getOpenPositions() {
+      return request('getOpenPositions');
+    },
+
+    async ping() {
+      return request('ping');
+    },
+
+    async getBalance() {
+      const { balance } = await request('getBalance');
+      return balance;
+    },
+
+    async subscribeQuotes(symbol, onQuote) {
+      if (!quoteHandlers.has(symbol)) quoteHandlers.set(symbol, new Set());
+      quoteHandlers.get(symbol).add(onQuote);
+      await request('subscribe', { symbol });
+
+      return () => {
+        const handlers = quoteHandlers.get(symbol);
+        if (!handlers) return;
+        handlers.delete(onQuote);
+        if (handlers.size === 0) {
+          quoteHandlers.delete(symbol);
+          request('unsubscribe', { symbol }).catch(() => {});
+        }
+      };
+    },
+
+    async disconnect() {
+      if (!socket) return;
+      const ws = socket;
+      socket = null;
+      ws.terminate();
+    },
+  };
+}
+
+module.exports = {
+  createMockBrokerAdapter,
+};
@@ -0,0 +1,270 @@
+/**
+ * mock-broker-server.js - Broker simulado local sobre WebSocket.
+ *
+ * Función:
+ * - Simular un broker de opciones binarias para probar el camino LIVE de exec-ia sin cuenta real.
+ * - Ejecutar órdenes al precio actual, liquidarlas al vencimiento con el payout configurado y llevar el saldo.
+ * - Emitir cotizaciones (paseo aleatorio con semilla) a los clientes suscritos.
+ * - Simular latencia y desconexiones, aleatorias o forzadas con dropConnections().
+ *
+ * Protocolo (JSON):
+ * - Petición:  { id, type: 'buy'|'getTradeResult'|'getOpenPositions'|'getBalance'|'subscribe'|'unsubscribe'|'ping', ...datos }
+ * - Respuesta: { id, ok: true, data } | { id, ok: false, error }
+ * - Cotización: { type: 'quote', symbol, price, time }
+ *
+ * Uso independiente: node exec-ia/brokers/mock-broker-server.js (puerto en MOCK_BROKER_PORT).
+ */
+
+const { WebSocketServer } = require('ws');
+const { createSeededRandom } = require('../../utils/helpers');
+
+const DEFAULT_BASE_PRICES = {
+  EURUSD: 1.08,
+  GBPUSD: 1.27,
+  USDJPY: 150,
+};
+
+/**
+ * Crea un servidor de broker simulado.
+ * @param {object} options
+ * @param {number} [options.port] - Puerto de escucha (0 = puerto libre aleatorio).
+ * @param {string} [options.host] - Interfaz de escucha.
+ * @param {number} [options.initialBalance] - Saldo inicial de la cuenta.
+ * @param {number} [options.payout] - Payout por defecto (fracción del stake).
+ * @param {object} [options.payouts] - Payout por símbolo, ej: { EURUSD: 0.8 }.
+ * @param {number} [options.latencyMs] - Retardo aplicado a cada respuesta.
+ * @param {number} [options.disconnectRate] - Probabilidad de cortar la conexión en cada petición (0 a 1).
+ * @param {number} [options.expiryUnitMs] - Duración de un "minuto" de vencimiento (acelera las pruebas).
+ * @param {number} [options.tickIntervalMs] - Intervalo entre cotizaciones.
+ * @param {number} [options.volatility] - Desviación relativa por cotización.
+ * @param {number} [options.seed] - Semilla del generador aleatorio.
+ * @returns {{start: function(): Promise<number>, stop: function(): Promise<void>, dropConnections: function(): void, getState: function(): object}}
+ */
+function createMockBrokerServer({
+  port = 0,
+  host = '127.0.0.1',
+  initialBalance = 10000,
+  payout = 0.85,
+  payouts = {},
+  latencyMs = 50,
+  disconnectRate = 0,
+  expiryUnitMs = 60000,
+  tickIntervalMs = 1000,
+  volatility = 0.0002,
+  seed = 42,
+  basePrices = {},
+} = {}) {
+  const random = createSeededRandom(seed);
+  const prices = { ...DEFAULT_BASE_PRICES, ...basePrices };
+  const positions = new Map();
+  const settleTimers = new Set();
+  const subscriptions = new Map(); // socket -> Set(símbolos)
+  let balance = initialBalance;
+  let nextId = 1;
+  let wss = null;
+  let tickTimer = null;
+
+  // === PRECIOS ===
+
+  function currentPrice(symbol) {
+    if (prices[symbol] === undefined) prices[symbol] = 1;
+    return prices[symbol];
+  }
+
+  function stepPrice(symbol) {
+    prices[symbol] = currentPrice(symbol) * (1 + (random() - 0.5) * volatility);
+    return prices[symbol];
+  }
+
+  function broadcastQuotes() {
+    const time = Date.now();
+    const symbols = new Set();
+    subscriptions.forEach(set => set.forEach(symbol => symbols.add(symbol)));
+    symbols.forEach(symbol => {
+      const price = stepPrice(symbol);
+      subscriptions.forEach((set, socket) => {
+        if (set.has(symbol)) send(socket, { type: 'quote', symbol, price, time });
+      });
+    });
+  }
+
+  // === ÓRDENES ===
+
+  function settle(position) {
+    const exitPrice = stepPrice(position.symbol);
+    const isTie = exitPrice === position.entryPrice;
+    const isWin = position.direction === 'CALL' ? exitPrice > position.entryPrice : exitPrice < position.entryPrice;
+
+    position.exitPrice = exitPrice;
+    position.status = 'closed';
+    if (isTie) {
+      position.result = 'tie';
+      position.profit = 0;
+    } else {
+      position.result = isWin ? 'win' : 'loss';
+      position.profit = isWin ? Math.round(position.stake * position.payout * 100) / 100 : -position.stake;
+    }
+    // El stake se descontó al ejecutar la orden; se devuelve junto con la ganancia si no se pierde.
+    if (position.result !== 'loss') balance += position.stake + position.profit;
+  }
+
+  function buy({ symbol, direction, stake, expiryMinutes }) {
+    if (!symbol || !['CALL', 'PUT'].includes(direction)) throw new Error('Orden inválida: símbolo o dirección incorrectos.');
+    if (!(stake > 0)) throw new Error('Orden inválida: el stake debe ser positivo.');
+    if (stake > balance) throw new Error('Saldo insuficiente.');
+
+    balance -= stake;
+    const openedAt = Date.now();
+    const position = {
+      id: `mock-${nextId++}`,
+      symbol,
+      direction,
+      stake,
+      payout: payouts[symbol] !== undefined ? payouts[symbol] : payout,
+      entryPrice: currentPrice(symbol),
+      exitPrice: null,
+      openedAt,
+      expiresAt: openedAt + Math.max(0, expiryMinutes) * expiryUnitMs,
+      status: 'open',
+    };
+    positions.set(position.id, position);
+
+    const timer = setTimeout(() => {
+      settleTimers.delete(timer);
+      settle(position);
+    }, position.expiresAt - openedAt);
+    settleTimers.add(timer);
+
+    return { id: position.id, entryPrice: position.entryPrice };
+  }
+
+  function getTradeResult({ tradeId }) {
+    const position = positions.get(tradeId);
+    if (!position) throw new Error(`Operación desconocida: ${tradeId}`);
+    if (position.status === 'open') return { status: 'open' };
+    return { status: 'closed', result: position.result, profit: position.profit, exitPrice: position.exitPrice };
+  }
+
+  // === TRANSPORTE ===
+
+  function send(socket, message) {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  }
+
+  function handleRequest(socket, request) {
+    switch (request.type) {
+      case 'buy':
+        return buy(request);
+      case 'getTradeResult':
+        return getTradeResult(request);
+      case 'getOpenPositions':
+        return Array.from(positions.values())
+          .filter(p => p.status === 'open')
+          .map(({ id, symbol, direction, stake, payout: positionPayout, entryPrice, openedAt, expiresAt }) => ({
+            id, symbol, direction, stake, payout: positionPayout, entryPrice, openedAt, expiresAt,
+          }));
+      case 'getBalance':
+        return { balance };
+      case 'ping':
+        return { time: Date.now() };
+      case 'subscribe':
+        subscriptions.get(socket).add(request.symbol);
+        return { symbol: request.symbol, price: currentPrice(request.symbol) };
+      case 'unsubscribe':
+        subscriptions.get(socket).delete(request.symbol);
+        return { symbol: request.symbol };
+      default:
+        throw new Error(`Tipo de petición desconocido: ${request.type}`);
+    }
+  }
+
+  function onMessage(socket, raw) {
+    let request;
+    try {
+      request = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (disconnectRate > 0 && random() < disconnectRate) {
+      socket.terminate();
+      return;
+    }
+    setTimeout(() => {
+      try {
+        send(socket, { id: request.id, ok: true, data: handleRequest(socket, request) });
+      } catch (error) {
+        send(socket, { id: request.id, ok: false, error: error.message });
+      }
+    }, latencyMs);
+  }
+
+  // === API ===
+
+  return {
+    /**
+     * Arranca el servidor.
+     * @returns {Promise<number>} Puerto en el que escucha.
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        wss = new WebSocketServer({ port, host });
+        wss.once('error', reject);
+        wss.once('listening', () => {
+          tickTimer = setInterval(broadcastQuotes, tickIntervalMs);
+          resolve(wss.address().port);
+        });
+        wss.on('connection', socket => {
+          subscriptions.set(socket, new Set());
+          socket.on('message', raw => onMessage(socket, raw));
+          socket.on('close', () => subscriptions.delete(socket));
+        });
+      });
+    },
+
+    /**
+     * Detiene el servidor, cierra los clientes y cancela las liquidaciones pendientes.
+     */
+    stop() {
+      clearInterval(tickTimer);
+      settleTimers.forEach(timer => clearTimeout(timer));
+      settleTimers.clear();
+      if (!wss) return Promise.resolve();
+      wss.clients.forEach(socket => socket.terminate());
+      return new Promise(resolve => wss.close(() => {
+        wss = null;
+        resolve();
+      }));
+    },
+
+    /**
+     * Corta todas las conexiones activas (simula una caída de red).
+     */
+    dropConnections() {
+      if (wss) wss.clients.forEach(socket => socket.terminate());
+    },
+
+    getState: () => ({
+      balance,
+      clients: wss ? wss.clients.size : 0,
+      positions: Array.from(positions.values()).map(p => ({ ...p })),
+    }),
+  };
+}
+
+module.exports = {
+  createMockBrokerServer,
+};
+
+// Permite arrancar el broker simulado como proceso independiente.
+if (require.main === module) {
+  require('dotenv').config();
+  // 0 es una latencia válida: solo se usa el valor por defecto si la variable no es un número.
+  const latencyMs = parseInt(process.env.MOCK_BROKER_LATENCY_MS, 10);
+  const server = createMockBrokerServer({
+    port: parseInt(process.env.MOCK_BROKER_PORT, 10) || 8765,
+    latencyMs: Number.isNaN(latencyMs) ? 50 : latencyMs,
+    disconnectRate: parseFloat(process.env.MOCK_BROKER_DISCONNECT_RATE) || 0,
+  });
+  server.start().then(port => console.log(`Broker simulado escuchando en ws://127.0.0.1:${port}`));
+  process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+}
@@ -3,67 +3,354 @@
  *
  * Función:
  * - Abstraer la lógica de ejecución de operaciones, soportando modo real y de simulación.
- * - Conectar con el broker (IQ Option) en modo real.
- * - Simular operaciones en modo de backtesting.
+ * - Conectar con el broker en modo real a través de un adaptador intercambiable (IQ Option o broker simulado).
+ * - Simular operaciones en modo de backtesting, liquidándolas contra el precio real al vencimiento.
  * - Gestionar el estado de las operaciones abiertas.
+ * - Mantener viva la conexión con el broker: heartbeat, reconexión con backoff y
+ *   reconciliación de las operaciones abiertas tras cada reconexión.
  */
 
 require('dotenv').config();
 const path = require('path');
 const { saveJsonFile, readJsonFile, fileExists, setupLogger } = require('../utils/helpers');
+const clock = require('../utils/clock');
+const { createIqOptionAdapter } = require('./brokers/iqoption-adapter');
+const { createMockBrokerAdapter } = require('./brokers/mock-adapter');
+
+// El logger se crea antes que la configuración para poder avisar de valores inválidos al leerla.
+const logger = setupLogger('exec-ia', path.join(__dirname, 'logs', 'exec-ia.log'));
+
+/**
+ * Interpreta la tabla de payouts definida en el .env (JSON). Una tabla inválida se ignora.
+ */
+function parsePayoutTable(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.warn(`PAYOUT_TABLE no es un JSON válido y se ignorará: ${error.message}`);
+    return {};
+  }
+}
 
 // === CONFIGURACIÓN ===
 const config = {
   // Valores por defecto que pueden ser sobreescritos por la función init
   backtestMode: process.env.BACKTEST_MODE === 'true',
+  // Adaptador de broker para el modo LIVE: 'iqoption' o 'mock' (broker simulado local).
+  broker: process.env.BROKER || 'iqoption',
+  mockBrokerUrl: process.env.MOCK_BROKER_URL || 'ws://127.0.0.1:8765',
   email: process.env.IQ_OPTION_EMAIL,
   password: process.env.IQ_OPTION_PASSWORD,
   stateFilePath: path.join(__dirname, 'exec-ia-state.json'),
+  // Payout por defecto y tabla por símbolo/vencimiento, ej: {"EURUSD": {"default": 0.85, "1": 0.8, "5": 0.82}}
+  defaultPayout: parseFloat(process.env.PAYOUT_DEFAULT) || 0.85,
+  payoutTable: parsePayoutTable(process.env.PAYOUT_TABLE),
+  // Reconexión automática con backoff exponencial (maxAttempts 0 = sin límite).
+  reconnect: {
+    initialDelayMs: parseInt(process.env.RECONNECT_INITIAL_DELAY_MS, 10) || 1000,
+    maxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS, 10) || 60000,
+    factor: 2,
+    maxAttempts: parseInt(process.env.RECONNECT_MAX_ATTEMPTS, 10) || 0,
+    // Tiempo que placeTrade espera a que vuelva la conexión antes de fallar.
+    waitMs: parseInt(process.env.RECONNECT_WAIT_MS, 10) || 10000,
+  },
+  heartbeatIntervalMs: parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 15000,
+  heartbeatTimeoutMs: parseInt(process.env.HEARTBEAT_TIMEOUT_MS, 10) || 5000,
+  // Margen tras el vencimiento a partir del cual una operación sin resolver se marca como huérfana.
+  orphanGraceMs: (parseFloat(process.env.ORPHAN_GRACE_MINUTES) || 10) * 60000,
 };
 
-const logger = setupLogger('exec-ia', path.join(__dirname, 'logs', 'exec-ia.log'));
-
 // === ESTADO Y CONEXIÓN ===
-let state = {
-  openTrades: [],
+function createInitialState() {
+  return {
+    openTrades: [],
+  };
+}
+
+let state = createInitialState();
+let broker = null;
+// Máquina de estados de la conexión con el broker (solo modo LIVE).
+const CONNECTION_TRANSITIONS = {
+  disconnected: ['connecting'],
+  connecting: ['connected', 'reconnecting', 'disconnected'],
+  connected: ['reconnecting', 'disconnected'],
+  reconnecting: ['connecting', 'disconnected'],
+};
+let connection = {
+  state: 'disconnected',
+  attempts: 0,
+  lastConnectedAt: null,
+  lastDisconnectedAt: null,
+  lastError: null,
 };
-let iqOptionClient = null;
-let IqOption; // Se cargará dinámicamente
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let connectionWaiters = []; // { resolve, reject, timer } a la espera de reconexión
+// Fuente de precios para liquidar operaciones simuladas: (symbol, timestampMs) => number | null
+let priceSource = null;
+
+/**
+ * Crea un adaptador de broker a partir de su nombre.
+ * Todos los adaptadores exponen { name, connect, isConnected, buy, getTradeResult, getBalance, subscribeQuotes, disconnect };
+ * getOpenPositions (reconciliación) y ping (heartbeat) son opcionales.
+ * @param {string} name - 'iqoption' o 'mock'.
+ * @param {object} options - Opciones específicas del adaptador.
+ * @returns {object} Adaptador de broker.
+ */
+function createBrokerAdapter(name, options = {}) {
+  switch (name) {
+    case 'iqoption':
+      return createIqOptionAdapter({ email: config.email, password: config.password, ...options });
+    case 'mock':
+      return createMockBrokerAdapter({ url: config.mockBrokerUrl, ...options });
+    default:
+      throw new Error(`Broker desconocido: ${name}`);
+  }
+}
+
+function isBrokerConnected() {
+  return connection.state === 'connected' && Boolean(broker && broker.isConnected());
+}
+
+// === MÁQUINA DE ESTADOS DE LA CONEXIÓN ===
+
+function setConnectionState(next, reason) {
+  const current = connection.state;
+  if (current === next) return;
+  if (!CONNECTION_TRANSITIONS[current].includes(next)) {
+    logger.warn(`Transición de conexión inválida: ${current} -> ${next}. Se ignora.`);
+    return;
+  }
+  connection.state = next;
+  if (next === 'connected') connection.lastConnectedAt = new Date().toISOString();
+  if (current === 'connected') connection.lastDisconnectedAt = new Date().toISOString();
+  logger.info(`Conexión con el broker: ${current} -> ${next}${reason ? ` (${reason})` : ''}`);
+}
+
+function settleConnectionWaiters(error) {
+  connectionWaiters.forEach(({ resolve, reject, timer }) => {
+    clearTimeout(timer);
+    if (error) reject(error);
+    else resolve();
+  });
+  connectionWaiters = [];
+}
+
+/**
+ * Espera a que la conexión con el broker esté disponible.
+ * Falla de inmediato si no hay una reconexión en curso.
+ * @param {number} timeoutMs - Tiempo máximo de espera.
+ * @returns {Promise<void>}
+ */
+function waitForConnection(timeoutMs) {
+  if (isBrokerConnected()) return Promise.resolve();
+  if (connection.state === 'disconnected') {
+    return Promise.reject(new Error('No conectado al broker y sin reconexión en curso.'));
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      connectionWaiters = connectionWaiters.filter(w => w !== waiter);
+      reject(new Error(`No conectado al broker tras esperar ${timeoutMs} ms a la reconexión.`));
+    }, timeoutMs);
+    connectionWaiters.push(waiter);
+  });
+}
+
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+/**
+ * Comprueba periódicamente que la conexión sigue viva (ping si el adaptador lo soporta).
+ */
+function startHeartbeat() {
+  stopHeartbeat();
+  heartbeatTimer = setInterval(async () => {
+    if (connection.state !== 'connected') return;
+    try {
+      if (!broker.isConnected()) throw new Error('El adaptador informa de conexión caída');
+      if (typeof broker.ping === 'function') {
+        await Promise.race([
+          broker.ping(),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Sin respuesta al ping')), config.heartbeatTimeoutMs)),
+        ]);
+      }
+    } catch (error) {
+      handleDisconnect(`Heartbeat fallido: ${error.message}`);
+    }
+  }, config.heartbeatIntervalMs);
+}
+
+/**
+ * Gestiona una pérdida de conexión detectada por el adaptador o por el heartbeat.
+ */
+function handleDisconnect(reason) {
+  if (connection.state !== 'connected') return;
+  stopHeartbeat();
+  connection.lastError = reason;
+  setConnectionState('reconnecting', reason);
+  // Se descarta la conexión anterior antes de abrir una nueva.
+  broker.disconnect().catch(() => {});
+  scheduleReconnect();
+}
+
+function scheduleReconnect() {
+  const { initialDelayMs, maxDelayMs, factor, maxAttempts } = config.reconnect;
+  if (maxAttempts > 0 && connection.attempts >= maxAttempts) {
+    logger.error(`Reconexión abandonada tras ${connection.attempts} intentos.`);
+    setConnectionState('disconnected', 'máximo de intentos alcanzado');
+    settleConnectionWaiters(new Error('No conectado al broker: se agotaron los intentos de reconexión.'));
+    return;
+  }
+  const waitMs = Math.min(maxDelayMs, initialDelayMs * factor ** connection.attempts);
+  connection.attempts++;
+  logger.warn(`Reintentando conexión con el broker en ${waitMs} ms (intento ${connection.attempts}).`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connectBroker().catch(() => {});
+  }, waitMs);
+}
 
 /**
- * Carga dinámicamente la librería de IQ Option que es un ES Module.
+ * Conecta el adaptador actual y, si es una reconexión, reconcilia las operaciones abiertas.
+ * En la conexión inicial los errores se propagan; en las reconexiones se programa un nuevo intento.
  */
-async function loadIqOptionLibrary() {
-  if (IqOption) return;
+async function connectBroker() {
+  const isReconnect = connection.state === 'reconnecting';
+  setConnectionState('connecting');
+  try {
+    await broker.connect({ onDisconnect: reason => handleDisconnect(reason || 'conexión cerrada por el broker') });
+  } catch (error) {
+    connection.lastError = error.message;
+    if (!isReconnect) {
+      setConnectionState('disconnected', error.message);
+      throw error;
+    }
+    setConnectionState('reconnecting', error.message);
+    scheduleReconnect();
+    return;
+  }
+
+  connection.attempts = 0;
+  connection.lastError = null;
+  setConnectionState('connected');
+  startHeartbeat();
   try {
-    const module = await import('@mvh/iqoption');
-    console.log('Inspecting @mvh/iqoption module:', module);
-    IqOption = module.default; // Probable fix: ES modules often use a default export
+    await reconcileOpenTrades();
   } catch (error) {
-    logger.error('No se pudo cargar la librería @mvh/iqoption. Asegúrate de que está instalada.', error);
-    throw error;
+    logger.error('No se pudieron reconciliar las operaciones abiertas con el broker.', error);
   }
+  settleConnectionWaiters();
+}
+
+/**
+ * Contrasta state.openTrades con las posiciones abiertas del broker.
+ * - Las posiciones del broker que no estaban registradas se adoptan (caída entre la orden y el guardado).
+ * - Las operaciones locales que el broker no reconoce se marcan como huérfanas.
+ * @returns {Promise<{adopted: number, orphaned: number}|null>} Resumen, o null si el adaptador no lo soporta.
+ */
+async function reconcileOpenTrades() {
+  if (typeof broker.getOpenPositions !== 'function') return null;
+
+  const positions = await broker.getOpenPositions();
+  if (!positions) return null;
+  const brokerIds = new Set(positions.map(position => position.id));
+  const localIds = new Set(state.openTrades.map(trade => trade.tradeId));
+  let adopted = 0;
+  let orphaned = 0;
+
+  positions.filter(position => !localIds.has(position.id)).forEach(position => {
+    state.openTrades.push({
+      tradeId: position.id,
+      symbol: position.symbol,
+      direction: position.direction,
+      stake: position.stake,
+      payout: position.payout,
+      entryPrice: typeof position.entryPrice === 'number' ? position.entryPrice : null,
+      exitPrice: null,
+      placedAt: new Date(position.openedAt).toISOString(),
+      expiryAt: new Date(position.expiresAt).toISOString(),
+      status: 'open',
+      adopted: true,
+    });
+    adopted++;
+  });
+
+  // Las que ya no están abiertas en el broker deberían tener resultado; si no lo tienen, se pierden de vista.
+  for (const trade of state.openTrades.filter(t => t.status === 'open' && !brokerIds.has(t.tradeId))) {
+    try {
+      await broker.getTradeResult(trade.tradeId);
+    } catch (error) {
+      markOrphaned(trade, `el broker no la reconoce: ${error.message}`);
+      orphaned++;
+    }
+  }
+
+  if (adopted > 0 || orphaned > 0) await saveState();
+  logger.info(`Reconciliación con el broker: ${positions.length} posiciones abiertas, ${adopted} adoptadas, ${orphaned} huérfanas.`);
+  return { adopted, orphaned };
+}
+
+function markOrphaned(trade, reason) {
+  if (trade.status === 'orphaned') return;
+  trade.status = 'orphaned';
+  trade.orphanedAt = new Date().toISOString();
+  trade.orphanReason = reason;
+  logger.error(`Operación ${trade.tradeId} marcada como huérfana: ${reason}`);
+}
+
+/**
+ * Resultado de una operación que no se ha podido resolver: sigue abierta,
+ * salvo que haya superado el margen tras su vencimiento, en cuyo caso queda huérfana.
+ */
+async function unresolvedResult(trade, reason) {
+  const overdueMs = clock.now() - new Date(trade.expiryAt).getTime();
+  if (trade.status !== 'orphaned' && overdueMs > config.orphanGraceMs) {
+    markOrphaned(trade, `${reason} (${Math.round(overdueMs / 60000)} min tras el vencimiento)`);
+    await saveState();
+  }
+  return { status: trade.status === 'orphaned' ? 'orphaned' : 'open' };
 }
 
 /**
  * Inicializa el módulo de ejecución.
  * Carga el estado y, si no está en modo backtest, conecta con el broker.
+ * @param {object} [options]
+ * @param {boolean} [options.backtestMode] - Fuerza el modo de operación.
+ * @param {string} [options.broker] - Nombre del adaptador de broker (sobrescribe BROKER).
+ * @param {object} [options.brokerInstance] - Adaptador ya construido (útil para pruebas).
+ * @param {object} [options.brokerOptions] - Opciones para el adaptador.
+ * @param {function} [options.priceSource] - Fuente de precios para liquidar operaciones simuladas.
+ * @param {boolean} [options.reset] - Descarta las operaciones abiertas en lugar de cargarlas de exec-ia-state.json.
+ * @param {object} [options.state] - Estado a restaurar, ej. { openTrades }; sustituye al persistido.
  */
 async function init(options = {}) {
   // Sobrescribir config por defecto con las opciones pasadas
   config.backtestMode = options.backtestMode !== undefined ? options.backtestMode : config.backtestMode;
+  if (options.broker) config.broker = options.broker;
+  if (options.priceSource !== undefined) priceSource = options.priceSource;
+  if (options.payoutTable) config.payoutTable = options.payoutTable;
+  if (options.defaultPayout) config.defaultPayout = options.defaultPayout;
+  if (options.reconnect) config.reconnect = { ...config.reconnect, ...options.reconnect };
+  if (options.heartbeatIntervalMs) config.heartbeatIntervalMs = options.heartbeatIntervalMs;
+  if (options.orphanGraceMs !== undefined) config.orphanGraceMs = options.orphanGraceMs;
 
-  await loadState();
+  state = createInitialState();
+  if (options.state) state = { ...state, ...JSON.parse(JSON.stringify(options.state)) };
+  else if (!options.reset) await loadState();
 
   if (!config.backtestMode) {
     try {
-      await loadIqOptionLibrary();
-      logger.info('Modo LIVE: Conectando a IQ Option...');
-      iqOptionClient = new IqOption(config.email, config.password);
-      await iqOptionClient.connect();
-      logger.info('Conectado a IQ Option con éxito.');
+      await shutdown();
+      broker = options.brokerInstance || createBrokerAdapter(config.broker, options.brokerOptions);
+      logger.info(`Modo LIVE: Conectando al broker "${broker.name}"...`);
+      await connectBroker();
+      logger.info(`Conectado al broker "${broker.name}" con éxito.`);
     } catch (error) {
-      logger.error('Fallo catastrófico al conectar con IQ Option.', error);
+      logger.error('Fallo catastrófico al conectar con el broker.', error);
       // Re-lanzar el error para que el orquestador principal decida cómo manejarlo.
       throw error;
     }
@@ -72,34 +359,84 @@ async function init(options = {}) {
   }
 }
 
+/**
+ * Devuelve el payout (fracción del stake que se gana) para un símbolo y vencimiento.
+ * Prioridad: tabla[símbolo][vencimiento] > tabla[símbolo].default > tabla.default > PAYOUT_DEFAULT.
+ * @param {string} symbol - Símbolo, ej: 'EURUSD'.
+ * @param {number} expiryMinutes - Vencimiento en minutos.
+ * @returns {number}
+ */
+function getPayout(symbol, expiryMinutes) {
+  const table = config.payoutTable;
+  const symbolTable = table[symbol];
+  if (symbolTable && typeof symbolTable === 'object') {
+    if (typeof symbolTable[expiryMinutes] === 'number') return symbolTable[expiryMinutes];
+    if (typeof symbolTable.default === 'number') return symbolTable.default;
+  }
+  if (typeof table.default === 'number') return table.default;
+  return config.defaultPayout;
+}
+
+/**
+ * Liquida una operación binaria comparando el precio de entrada con el de salida.
+ * Un empate (salida == entrada) se trata como devolución del stake.
+ * @param {{direction: 'CALL'|'PUT', stake: number, entryPrice: number, exitPrice: number, payout: number}} params
+ * @returns {{result: 'win'|'loss'|'tie', profit: number}}
+ */
+function settleTrade({ direction, stake, entryPrice, exitPrice, payout }) {
+  if (exitPrice === entryPrice) {
+    return { result: 'tie', profit: 0 };
+  }
+  const isWin = direction === 'CALL' ? exitPrice > entryPrice : exitPrice < entryPrice;
+  const profit = isWin ? Math.round(stake * payout * 100) / 100 : -stake;
+  return { result: isWin ? 'win' : 'loss', profit };
+}
+
+/**
+ * Obtiene el precio de un símbolo en un instante desde la fuente de precios configurada.
+ * @returns {number|null}
+ */
+function getPriceAt(symbol, timestamp) {
+  if (!priceSource) return null;
+  const price = priceSource(symbol, timestamp);
+  return typeof price === 'number' && !Number.isNaN(price) ? price : null;
+}
+
 /**
  * Coloca una nueva operación (real o simulada).
  * @param {{symbol: string, direction: 'CALL'|'PUT', stake: number, expiryMinutes: number}} tradeParams
  * @returns {Promise<string>} El ID de la operación colocada.
  */
 async function placeTrade({ symbol, direction, stake, expiryMinutes }) {
+  const placedAt = clock.now();
   const trade = {
     symbol,
     direction,
     stake,
-    placedAt: new Date().toISOString(),
-    expiryAt: new Date(Date.now() + expiryMinutes * 60000).toISOString(),
+    expiryMinutes,
+    payout: getPayout(symbol, expiryMinutes),
+    entryPrice: getPriceAt(symbol, placedAt),
+    exitPrice: null,
+    placedAt: new Date(placedAt).toISOString(),
+    expiryAt: new Date(placedAt + expiryMinutes * 60000).toISOString(),
     status: 'open',
   };
 
   if (config.backtestMode) {
-    trade.tradeId = `sim-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+    trade.tradeId = `sim-${placedAt}-${clock.random().toString(36).substring(2, 9)}`;
     logger.info(`[BACKTEST] Simulando operación: ${trade.tradeId} para ${symbol}.`);
   } else {
-    if (!iqOptionClient || !iqOptionClient.isConnected) {
-      throw new Error('No conectado a IQ Option. Imposible colocar operación real.');
+    if (!isBrokerConnected()) {
+      logger.warn(`[LIVE] Broker no disponible (${connection.state}). Esperando reconexión para colocar la operación...`);
+      await waitForConnection(config.reconnect.waitMs);
     }
     try {
-      const result = await iqOptionClient.buy(stake, symbol, direction, expiryMinutes);
+      const result = await broker.buy({ symbol, direction, stake, expiryMinutes });
       trade.tradeId = result.id;
+      if (typeof result.entryPrice === 'number') trade.entryPrice = result.entryPrice;
       logger.info(`[LIVE] Operación real colocada: ${trade.tradeId} para ${symbol}.`);
     } catch (error) {
-      logger.error('Fallo al colocar operación real en IQ Option.', error);
+      logger.error(`Fallo al colocar operación real en el broker "${broker.name}".`, error);
       throw error; // Re-lanzar para que el orquestador lo maneje.
     }
   }
@@ -112,33 +449,100 @@ async function placeTrade({ symbol, direction, stake, expiryMinutes }) {
 /**
  * Verifica el resultado de una operación abierta.
  * @param {object} trade - El objeto de la operación a verificar.
- * @returns {Promise<{status: 'open'|'closed', result?: 'win'|'loss', profit?: number}>}
+ * Las operaciones que siguen sin resolverse pasado ORPHAN_GRACE_MINUTES tras su vencimiento
+ * se marcan como huérfanas ('orphaned') y requieren revisión manual.
+ * @returns {Promise<{status: 'open'|'closed'|'orphaned', result?: 'win'|'loss'|'tie', profit?: number, entryPrice?: number, exitPrice?: number}>}
  */
 async function checkTradeResult(trade) {
-  if (new Date() < new Date(trade.expiryAt)) {
+  if (clock.now() < new Date(trade.expiryAt).getTime()) {
     return { status: 'open' }; // La operación aún no ha expirado.
   }
 
   if (config.backtestMode) {
-    // Simulación simple: 50% de probabilidad de ganar.
-    const isWin = Math.random() < 0.5;
-    const profit = isWin ? trade.stake * 0.85 : -trade.stake; // Asumir un payout del 85%
-    logger.info(`[BACKTEST] Resultado de ${trade.tradeId}: ${isWin ? 'win' : 'loss'}`);
-    return { status: 'closed', result: isWin ? 'win' : 'loss', profit };
+    // Liquidación contra el precio real del mercado al vencimiento.
+    // Si no hubo precio al colocar la operación, se intenta recuperar a posteriori.
+    const entryPrice = typeof trade.entryPrice === 'number'
+      ? trade.entryPrice
+      : getPriceAt(trade.symbol, new Date(trade.placedAt).getTime());
+    const exitPrice = getPriceAt(trade.symbol, new Date(trade.expiryAt).getTime());
+    if (entryPrice === null || exitPrice === null) {
+      logger.warn(`[BACKTEST] Sin precio de ${entryPrice === null ? 'entrada' : 'salida'} para ${trade.tradeId}. Se reintentará.`);
+      return unresolvedResult(trade, `sin precio de ${entryPrice === null ? 'entrada' : 'salida'}`);
+    }
+
+    const payout = typeof trade.payout === 'number' ? trade.payout : getPayout(trade.symbol, trade.expiryMinutes);
+    const { result, profit } = settleTrade({ direction: trade.direction, stake: trade.stake, entryPrice, exitPrice, payout });
+    trade.entryPrice = entryPrice;
+    trade.exitPrice = exitPrice;
+    logger.info(`[BACKTEST] Resultado de ${trade.tradeId}: ${result} (entrada ${entryPrice}, salida ${exitPrice}, profit ${profit})`);
+    return { status: 'closed', result, profit, entryPrice, exitPrice };
   } else {
-    if (!iqOptionClient) throw new Error('No conectado a IQ Option.');
+    if (!isBrokerConnected()) {
+      return unresolvedResult(trade, `broker no disponible (${connection.state})`);
+    }
     try {
-      const result = await iqOptionClient.getTradeResult(trade.tradeId);
+      const result = await broker.getTradeResult(trade.tradeId);
+      if (result.status === 'open') return unresolvedResult(trade, 'el broker la mantiene abierta');
+      const exitPrice = typeof result.exitPrice === 'number' ? result.exitPrice : getPriceAt(trade.symbol, new Date(trade.expiryAt).getTime());
+      trade.exitPrice = exitPrice;
       logger.info(`[LIVE] Resultado de ${trade.tradeId}: ${result.result}`);
-      return { status: 'closed', result: result.result, profit: result.profit };
+      return { status: 'closed', result: result.result, profit: result.profit, entryPrice: trade.entryPrice, exitPrice };
     } catch (error) {
       logger.error(`Fallo al verificar resultado de ${trade.tradeId}.`, error);
       // Si falla la API, asumimos que sigue abierta para reintentar.
-      return { status: 'open' };
+      return unresolvedResult(trade, `error del broker: ${error.message}`);
     }
   }
 }
 
+/**
+ * Consulta el saldo de la cuenta en el broker (modo LIVE).
+ * @returns {Promise<number>}
+ */
+async function getBalance() {
+  if (config.backtestMode) {
+    throw new Error('El saldo del broker no está disponible en modo BACKTEST.');
+  }
+  if (!isBrokerConnected()) {
+    throw new Error('No conectado al broker. Imposible consultar el saldo.');
+  }
+  return broker.getBalance();
+}
+
+/**
+ * Suscribe un callback a las cotizaciones en tiempo real del broker (modo LIVE).
+ * @param {string} symbol - Símbolo a seguir, ej: 'EURUSD'.
+ * @param {function({price: number, time: number, volume: number}): void} onTick - Callback por cada tick.
+ * @returns {Promise<function>} Función para cancelar la suscripción.
+ */
+async function subscribeQuotes(symbol, onTick) {
+  if (config.backtestMode) {
+    throw new Error('Las cotizaciones del broker no están disponibles en modo BACKTEST.');
+  }
+  if (!isBrokerConnected()) {
+    throw new Error('No conectado al broker. Imposible suscribirse a cotizaciones.');
+  }
+  // Los adaptadores ya entregan los ticks normalizados como { price, time (ms), volume }.
+  return broker.subscribeQuotes(symbol, onTick);
+}
+
+/**
+ * Desconecta el broker actual, si lo hay, y detiene heartbeat y reconexiones.
+ */
+async function shutdown() {
+  stopHeartbeat();
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (connection.state !== 'disconnected') setConnectionState('disconnected', 'apagado');
+  settleConnectionWaiters(new Error('Módulo de ejecución detenido.'));
+  connection.attempts = 0;
+  if (broker) {
+    await broker.disconnect();
+    logger.info(`Desconectado del broker "${broker.name}".`);
+  }
+  broker = null;
+}
+
 /**
  * Carga el estado desde exec-ia-state.json
  */
@@ -165,8 +569,21 @@ module.exports = {
   init,
   placeTrade,
   checkTradeResult,
+  subscribeQuotes,
+  getBalance,
+  shutdown,
+  reconcileOpenTrades,
+  getConnectionState: () => ({ ...connection }),
+  createBrokerAdapter,
+  getPayout,
+  settleTrade,
   // Exportar para que el orquestador pueda acceder a las operaciones abiertas.
-  getOpenTrades: () => state.openTrades,
+  // Es una copia de la lista: se añaden con placeTrade y se quitan con removeTrade.
+  getOpenTrades: () => [...state.openTrades],
+  // Las huérfanas siguen en openTrades (se reintenta su resultado y esperan revisión manual),
+  // pero el broker ya no las tiene abiertas: no cuentan como exposición ni como stake comprometido.
+  getActiveTrades: () => state.openTrades.filter(t => t.status !== 'orphaned'),
+  getOrphanedTrades: () => state.openTrades.filter(t => t.status === 'orphaned'),
   // Exportar para actualizar el estado después de cerrar una operación.
   removeTrade: async (tradeId) => {
     state.openTrades = state.openTrades.filter(t => t.tradeId !== tradeId);
@@ -13,6 +13,7 @@ const path = require('path');
 const winston = require('winston');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { splitSymbol } = require('../utils/helpers');
 
 // === CONFIGURACIÓN ===
 const config = {
@@ -25,6 +26,7 @@ const config = {
     'low': 1,
   },
   CURRENCIES: ['EUR'], // Monedas de interés
+  DEFAULT_PAIR: 'EURUSD', // Par por defecto de getCurrentSignal
 };
 
 // === LOGGING ===
@@ -201,16 +203,26 @@ function analyzeSentiment() {
     logger.info(`✅ Geo-EUR: Bajo impacto próximo (${avgImpact.toFixed(1)}). Sentimiento POSITIVO (${(state.confidence * 100).toFixed(1)}% confianza).`);
   }
 
-  await saveState();
+  // El análisis es síncrono: el estado se guarda sin esperar (saveState registra sus propios errores).
+  saveState();
 }
 
 // === OBTENER SEÑAL ACTUAL ===
-function getCurrentSignal() {
+// El sentimiento es sobre el EUR: en un par donde es la divisa base, un sentimiento positivo es CALL;
+// donde es la cotizada, es PUT. En pares sin EUR o con sentimiento neutral no hay dirección (HOLD).
+function getCurrentSignal(symbol = config.DEFAULT_PAIR) {
   analyzeSentiment();
+  const currencies = splitSymbol(symbol);
+  const side = currencies ? currencies.indexOf(config.CURRENCIES[0]) : -1;
+  let action = 'HOLD';
+  if (side !== -1 && state.sentiment !== 'neutral') {
+    action = (state.sentiment === 'positive') === (side === 0) ? 'CALL' : 'PUT';
+  }
   return {
-    action: state.sentiment === 'positive' ? 'CALL' : 'PUT',
-    confidence: state.confidence,
+    action,
+    confidence: side !== -1 ? state.confidence : 0,
     source: 'geo-eur',
+    symbol,
     details: {
       sentiment: state.sentiment,
       events: state.events.slice(0, 3), // Top 3 eventos
@@ -219,12 +231,15 @@ function getCurrentSignal() {
 }
 
 // === ACTUALIZAR CALENDARIO ===
+// Devuelve true si el calendario se actualizó.
 async function updateCalendar() {
   try {
     await fetchEconomicCalendar();
     analyzeSentiment();
+    return true;
   } catch (error) {
     logger.error(`❌ Geo-EUR: Error al actualizar calendario: ${error.message}`);
+    return false;
   }
 }
 
@@ -13,6 +13,7 @@ const path = require('path');
 const winston = require('winston');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { splitSymbol } = require('../utils/helpers');
 
 // === CONFIGURACIÓN ===
 const config = {
@@ -25,6 +26,7 @@ const config = {
     'low': 1,
   },
   CURRENCIES: ['USD'], // Monedas de interés
+  DEFAULT_PAIR: 'EURUSD', // Par por defecto de getCurrentSignal
   NEWS_SOURCES: [
     { name: 'Reuters', url: 'https://www.reuters.com/markets/us/' },
     { name: 'Bloomberg', url: 'https://www.bloomberg.com/markets' },
@@ -249,16 +251,26 @@ function analyzeSentiment() {
     logger.info(`✅ Geo-USA: Bajo impacto próximo (${avgImpact.toFixed(1)}) y sin noticias negativas. Sentimiento POSITIVO (${(state.confidence * 100).toFixed(1)}% confianza).`);
   }
 
-  await saveState();
+  // El análisis es síncrono: el estado se guarda sin esperar (saveState registra sus propios errores).
+  saveState();
 }
 
 // === OBTENER SEÑAL ACTUAL ===
-function getCurrentSignal() {
+// El sentimiento es sobre el USD: en un par donde es la divisa base, un sentimiento positivo es CALL;
+// donde es la cotizada, es PUT. En pares sin USD o con sentimiento neutral no hay dirección (HOLD).
+function getCurrentSignal(symbol = config.DEFAULT_PAIR) {
   analyzeSentiment();
+  const currencies = splitSymbol(symbol);
+  const side = currencies ? currencies.indexOf(config.CURRENCIES[0]) : -1;
+  let action = 'HOLD';
+  if (side !== -1 && state.sentiment !== 'neutral') {
+    action = (state.sentiment === 'positive') === (side === 0) ? 'CALL' : 'PUT';
+  }
   return {
-    action: state.sentiment === 'positive' ? 'CALL' : 'PUT',
-    confidence: state.confidence,
+    action,
+    confidence: side !== -1 ? state.confidence : 0,
     source: 'geo-usa',
+    symbol,
     details: {
       sentiment: state.sentiment,
       events: state.events.slice(0, 3), // Top 3 eventos
@@ -268,13 +280,16 @@ function getCurrentSignal() {
 }
 
 // === ACTUALIZAR DATOS ===
+// Devuelve true si los datos se actualizaron.
 async function updateData() {
   try {
     await fetchEconomicCalendar();
     await fetchRecentNews();
     analyzeSentiment();
+    return true;
   } catch (error) {
     logger.error(`❌ Geo-USA: Error al actualizar datos: ${error.message}`);
+    return false;
   }
 }
 
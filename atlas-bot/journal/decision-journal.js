@@ -0,0 +1,126 @@
+/**
+ * decision-journal.js - Registro de Decisiones (Auditoría) para A.T.L.A.S.
+ *
+ * Función:
+ * - Registrar de forma persistente y solo-anexar (JSONL) una decisión por ciclo de trading:
+ *   las entradas de cada símbolo (hash de las velas, indicadores, señal de cada módulo), el desglose
+ *   de signalrank-ia, la evaluación de riesgo, el cálculo del stake y la acción final.
+ * - Consultar las decisiones por fechas, símbolo y acción para reconstruir por qué se tomó o no una operación.
+ *
+ * Cada línea del archivo es un ciclo:
+ * - { cycleId, time, durationMs, symbols, closedTrades, state, upcomingEvents, evaluations, ranking, decisions,
+ *   action, reason }. `state` es el estado de partida de los módulos de decisión (capital, operaciones abiertas,
+ *   riskmap-ia, compound-logic y reloj del cooldown), con el que replay/replay.js repite el ciclo. Cada evaluación (una por símbolo) lleva sus entradas y el desglose de signalrank-ia; cada
+ *   decisión (una por oportunidad de la clasificación) su evaluación de riesgo y, si se abrió, el cálculo del stake.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, setupLogger } = require('../utils/helpers');
+
+// === CONFIGURACIÓN ===
+const config = {
+  filePath: process.env.DECISION_JOURNAL_FILE || path.join(__dirname, 'decisions.jsonl'),
+};
+
+const logger = setupLogger('decision-journal', path.join(__dirname, 'logs', 'decision-journal.log'));
+
+// === ESTADO ===
+// Cola de escritura: las líneas se anexan en el orden en que se registran.
+let writeQueue = Promise.resolve();
+
+/**
+ * Inicializa el registro de decisiones.
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Ruta del archivo JSONL (sobrescribe DECISION_JOURNAL_FILE).
+ */
+async function init(options = {}) {
+  if (options.filePath) config.filePath = options.filePath;
+  await fs.mkdir(path.dirname(config.filePath), { recursive: true });
+  logger.info(`Registro de decisiones en ${config.filePath}.`);
+}
+
+/**
+ * Huella de las velas con las que se tomó una decisión (sha256 de la serie OHLCV), para comprobar
+ * al reproducirla que se parte de los mismos datos.
+ * @param {{time: number[], open: number[], high: number[], low: number[], close: number[], volume: number[]}} ohlcv
+ * @returns {string}
+ */
+function hashCandles(ohlcv) {
+  return crypto.createHash('sha256').update(JSON.stringify(ohlcv)).digest('hex');
+}
+
+// === REGISTRO ===
+
+/**
+ * Registra la decisión de un ciclo.
+ * @param {object} record - Ciclo en el formato descrito en la cabecera. `time` por defecto es ahora.
+ * @returns {Promise<void>}
+ */
+function recordDecision(record) {
+  const line = `${JSON.stringify({ time: new Date().toISOString(), ...record })}\n`;
+  writeQueue = writeQueue
+    .then(() => fs.appendFile(config.filePath, line))
+    .catch(error => logger.error(`No se pudo escribir en el registro de decisiones: ${error.message}`));
+  return writeQueue;
+}
+
+// === CONSULTA ===
+
+/**
+ * Lee todas las decisiones. Las líneas corruptas se omiten.
+ * @returns {Promise<object[]>}
+ */
+async function readDecisions() {
+  await writeQueue;
+  if (!(await fileExists(config.filePath))) return [];
+  const content = await fs.readFile(config.filePath, 'utf8');
+  return content.split('\n').filter(Boolean).reduce((decisions, line) => {
+    try {
+      decisions.push(JSON.parse(line));
+    } catch {
+      logger.warn('Línea corrupta en el registro de decisiones. Se omite.');
+    }
+    return decisions;
+  }, []);
+}
+
+/**
+ * Consulta las decisiones registradas.
+ * @param {object} [filters]
+ * @param {string|number|Date} [filters.from] - Fecha mínima del ciclo (inclusive).
+ * @param {string|number|Date} [filters.to] - Fecha máxima del ciclo (inclusive).
+ * @param {string} [filters.symbol] - Solo ciclos que evaluaron este símbolo.
+ * @param {'traded'|'no-trade'|'error'} [filters.action] - Acción final del ciclo.
+ * @param {string} [filters.cycleId] - Un ciclo concreto.
+ * @param {number} [filters.limit] - Número máximo de ciclos (los más recientes).
+ * @returns {Promise<object[]>} Decisiones en orden cronológico.
+ */
+async function queryDecisions({ from, to, symbol, action, cycleId, limit } = {}) {
+  const fromMs = from !== undefined ? new Date(from).getTime() : -Infinity;
+  const toMs = to !== undefined ? new Date(to).getTime() : Infinity;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    throw new Error('Rango de fechas inválido en la consulta de decisiones.');
+  }
+
+  const decisions = (await readDecisions()).filter(decision => {
+    const timeMs = new Date(decision.time).getTime();
+    if (timeMs < fromMs || timeMs > toMs) return false;
+    if (symbol && !(decision.symbols || []).includes(symbol)) return false;
+    if (action && decision.action !== action) return false;
+    if (cycleId && decision.cycleId !== cycleId) return false;
+    return true;
+  });
+  return limit ? decisions.slice(-limit) : decisions;
+}
+
+module.exports = {
+  init,
+  hashCandles,
+  recordDecision,
+  readDecisions,
+  queryDecisions,
+  getState: () => ({ filePath: config.filePath }),
+};
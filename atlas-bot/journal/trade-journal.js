@@ -0,0 +1,225 @@
+/**
+ * trade-journal.js - Diario de Operaciones (Ledger) para A.T.L.A.S.
+ *
+ * Función:
+ * - Registrar de forma persistente y solo-anexar (JSONL) cada operación colocada y cerrada,
+ *   con las señales, la evaluación de riesgo, el stake, los precios y el P&L.
+ * - Reconstruir el historial de operaciones y consultarlo por fechas, símbolo, dirección y resultado.
+ * - Registrar los cierres a partir del evento trade-closed del bus de eventos.
+ *
+ * Cada línea del archivo es un evento independiente:
+ * - { type: 'placed', tradeId, time, symbol, direction, stake, entryPrice, payout, expiryAt, mode, signals, finalSignal, risk }
+ *   finalSignal guarda la puntuación de signalrank-ia (finalScore), la usada para clasificar tras el ajuste MTF
+ *   (effectiveScore) y el puesto en la clasificación del ciclo (rank).
+ * - { type: 'closed', tradeId, time, result, profit, entryPrice, exitPrice }
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, setupLogger } = require('../utils/helpers');
+const { eventBus: sharedEventBus, EVENTS } = require('../event-bus/event-bus');
+
+// === CONFIGURACIÓN ===
+const config = {
+  filePath: process.env.TRADE_JOURNAL_FILE || path.join(__dirname, 'trades.jsonl'),
+};
+
+const logger = setupLogger('trade-journal', path.join(__dirname, 'logs', 'trade-journal.log'));
+
+// === ESTADO ===
+// Cola de escritura: las líneas se anexan en el orden en que se registran.
+let writeQueue = Promise.resolve();
+
+/**
+ * Inicializa el diario.
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Ruta del archivo JSONL (sobrescribe TRADE_JOURNAL_FILE).
+ */
+async function init(options = {}) {
+  if (options.filePath) config.filePath = options.filePath;
+  await fs.mkdir(path.dirname(config.filePath), { recursive: true });
+  logger.info(`Diario de operaciones en ${config.filePath}.`);
+}
+
+function append(entry) {
+  const line = `${JSON.stringify(entry)}\n`;
+  writeQueue = writeQueue
+    .then(() => fs.appendFile(config.filePath, line))
+    .catch(error => logger.error(`No se pudo escribir en el diario: ${error.message}`));
+  return writeQueue;
+}
+
+// === REGISTRO ===
+
+/**
+ * Registra una operación recién colocada.
+ * @param {object} trade - Operación tal como la devuelve exec-ia.
+ * @param {object} [context]
+ * @param {object} [context.signals] - Señales individuales, ej: { tech: {direction, score} }.
+ * @param {object} [context.finalSignal] - Resultado de signalrank-ia.
+ * @param {number} [context.effectiveScore] - Puntuación tras el ajuste MTF (por defecto, la de signalrank-ia).
+ * @param {number} [context.rank] - Puesto de la oportunidad en la clasificación del ciclo.
+ * @param {object} [context.risk] - Evaluación de riskmap-ia.
+ * @param {string} [context.mode] - 'backtest' o 'live'.
+ */
+function recordPlaced(trade, { signals = {}, finalSignal = null, effectiveScore, rank = null, risk = null, mode = null } = {}) {
+  return append({
+    type: 'placed',
+    tradeId: trade.tradeId,
+    time: trade.placedAt || new Date().toISOString(),
+    symbol: trade.symbol,
+    direction: trade.direction,
+    stake: trade.stake,
+    entryPrice: trade.entryPrice !== undefined ? trade.entryPrice : null,
+    payout: trade.payout !== undefined ? trade.payout : null,
+    expiryAt: trade.expiryAt || null,
+    mode,
+    signals: Object.fromEntries(Object.entries(signals).map(([source, signal]) => [
+      source,
+      { direction: signal.direction, score: signal.score },
+    ])),
+    finalSignal: finalSignal
+      ? {
+        direction: finalSignal.direction,
+        finalScore: finalSignal.finalScore,
+        effectiveScore: effectiveScore !== undefined ? effectiveScore : finalSignal.finalScore,
+        rank,
+      }
+      : null,
+    risk: risk ? { allowed: risk.allowed, reason: risk.reason, recommendedStakePct: risk.recommendedStakePct } : null,
+  });
+}
+
+/**
+ * Registra el cierre de una operación.
+ * @param {string} tradeId - Identificador de la operación.
+ * @param {{result: string, profit: number, entryPrice?: number, exitPrice?: number}} outcome
+ */
+function recordClosed(tradeId, { result, profit, entryPrice = null, exitPrice = null }) {
+  return append({
+    type: 'closed',
+    tradeId,
+    time: new Date().toISOString(),
+    result,
+    profit,
+    entryPrice,
+    exitPrice,
+  });
+}
+
+/**
+ * Registra en el diario el cierre de cada operación publicada en el bus (evento trade-closed).
+ * @param {object} [eventBus] - Bus de eventos (por defecto, el compartido).
+ * @returns {function(): void} Función que cancela la suscripción.
+ */
+function subscribeToEvents(eventBus = sharedEventBus) {
+  return eventBus.subscribe(EVENTS.TRADE_CLOSED, ({ trade, result }) => recordClosed(trade.tradeId, result));
+}
+
+// === CONSULTA ===
+
+/**
+ * Lee todos los eventos del diario. Las líneas corruptas se omiten.
+ * @returns {Promise<object[]>}
+ */
+async function readEntries() {
+  await writeQueue;
+  if (!(await fileExists(config.filePath))) return [];
+  const content = await fs.readFile(config.filePath, 'utf8');
+  return content.split('\n').filter(Boolean).reduce((entries, line) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      logger.warn('Línea corrupta en el diario de operaciones. Se omite.');
+    }
+    return entries;
+  }, []);
+}
+
+/**
+ * Reconstruye las operaciones uniendo los eventos de colocación y cierre.
+ * @returns {Promise<object[]>} Operaciones ordenadas por fecha de colocación.
+ */
+async function getTrades() {
+  const trades = new Map();
+  (await readEntries()).forEach(entry => {
+    if (entry.type === 'placed') {
+      const { type, time, ...fields } = entry;
+      trades.set(entry.tradeId, {
+        ...fields,
+        placedAt: time,
+        status: 'open',
+        closedAt: null,
+        result: null,
+        profit: null,
+        exitPrice: null,
+      });
+    } else if (entry.type === 'closed' && trades.has(entry.tradeId)) {
+      const trade = trades.get(entry.tradeId);
+      trade.status = 'closed';
+      trade.closedAt = entry.time;
+      trade.result = entry.result;
+      trade.profit = entry.profit;
+      if (entry.entryPrice !== null && entry.entryPrice !== undefined) trade.entryPrice = entry.entryPrice;
+      trade.exitPrice = entry.exitPrice;
+    }
+  });
+  return Array.from(trades.values()).sort((a, b) => new Date(a.placedAt) - new Date(b.placedAt));
+}
+
+/**
+ * Consulta las operaciones del diario.
+ * @param {object} [filters]
+ * @param {string|number|Date} [filters.from] - Fecha mínima de colocación (inclusive).
+ * @param {string|number|Date} [filters.to] - Fecha máxima de colocación (inclusive).
+ * @param {string} [filters.symbol] - Símbolo, ej: 'EURUSD'.
+ * @param {'CALL'|'PUT'} [filters.direction] - Dirección.
+ * @param {'win'|'loss'|'tie'} [filters.result] - Resultado.
+ * @param {'open'|'closed'} [filters.status] - Estado.
+ * @returns {Promise<object[]>}
+ */
+async function queryTrades({ from, to, symbol, direction, result, status } = {}) {
+  const fromMs = from !== undefined ? new Date(from).getTime() : -Infinity;
+  const toMs = to !== undefined ? new Date(to).getTime() : Infinity;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    throw new Error('Rango de fechas inválido en la consulta del diario.');
+  }
+
+  return (await getTrades()).filter(trade => {
+    const placedMs = new Date(trade.placedAt).getTime();
+    if (placedMs < fromMs || placedMs > toMs) return false;
+    if (symbol && trade.symbol !== symbol) return false;
+    if (direction && trade.direction !== direction) return false;
+    if (result && trade.result !== result) return false;
+    if (status && trade.status !== status) return false;
+    return true;
+  });
+}
+
+/**
+ * Resumen de resultados de las operaciones cerradas.
+ * @returns {Promise<{wins: number, losses: number, ties: number, total: number, profit: number}>}
+ */
+async function getSummary() {
+  const closed = await queryTrades({ status: 'closed' });
+  return {
+    wins: closed.filter(t => t.result === 'win').length,
+    losses: closed.filter(t => t.result === 'loss').length,
+    ties: closed.filter(t => t.result === 'tie').length,
+    total: closed.length,
+    profit: Math.round(closed.reduce((sum, t) => sum + (t.profit || 0), 0) * 100) / 100,
+  };
+}
+
+module.exports = {
+  init,
+  recordPlaced,
+  recordClosed,
+  subscribeToEvents,
+  readEntries,
+  getTrades,
+  queryTrades,
+  getSummary,
+  getState: () => ({ filePath: config.filePath }),
+};
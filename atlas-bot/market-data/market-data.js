@@ -0,0 +1,345 @@
+/**
+ * market-data.js - Módulo de Datos de Mercado para A.T.L.A.S.
+ *
+ * Función:
+ * - Construir y mantener velas OHLCV móviles por símbolo y temporalidad.
+ * - Abstraer la fuente de datos mediante proveedores intercambiables:
+ *   replay desde archivo, ticks del broker o generador mock local.
+ * - Entregar velas frescas al orquestador y a los módulos de señal en cada ciclo.
+ * - Publicar cada vela cerrada (evento candle-closed) y, con el reloj de velas, cerrar las velas
+ *   al terminar su intervalo aunque no lleguen ticks.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { setupLogger, timeframeToMs } = require('../utils/helpers');
+const { eventBus: sharedEventBus, EVENTS } = require('../event-bus/event-bus');
+const { createReplayProvider } = require('./providers/replay-provider');
+const { createBrokerProvider } = require('./providers/broker-provider');
+const { createMockProvider } = require('./providers/mock-provider');
+
+// === CONFIGURACIÓN ===
+const config = {
+  // Proveedor de datos: 'mock', 'replay' o 'broker'.
+  provider: process.env.MARKET_DATA_PROVIDER || 'mock',
+  // Temporalidades que se construyen a partir de los ticks. La primera es la temporalidad base.
+  timeframes: (process.env.MARKET_TIMEFRAMES || '1m').split(',').map(tf => tf.trim()).filter(Boolean),
+  // Número máximo de velas cerradas que se conservan por símbolo y temporalidad.
+  // El análisis MTF remuestrea desde la temporalidad base: para la EMA 50 en 15m hacen falta más de
+  // 50 × 15 = 750 velas de 1m, así que 1500 deja margen para el calentamiento de los indicadores.
+  maxCandles: parseInt(process.env.MARKET_MAX_CANDLES, 10) || 1500,
+  // Margen tras el fin de cada vela base antes de cerrarla (ticks atrasados, latencia del proveedor).
+  candleCloseDelayMs: parseInt(process.env.MARKET_CANDLE_CLOSE_DELAY_MS, 10) || 1000,
+};
+
+const logger = setupLogger('market-data', path.join(__dirname, 'logs', 'market-data.log'));
+
+// === ESTADO ===
+// Clave `${symbol}|${timeframe}` -> { candles: [...velas cerradas], forming: vela en construcción | null }
+let series = new Map();
+let provider = null;
+let symbols = [];
+let eventBus = sharedEventBus;
+// Las velas del histórico inicial (al conectar) no se publican.
+let publishing = false;
+let candleTimer = null;
+
+// === PROVEEDORES ===
+
+/**
+ * Crea una instancia de proveedor a partir de su nombre.
+ * @param {string} name - 'mock', 'replay' o 'broker'.
+ * @param {object} options - Opciones específicas del proveedor.
+ * @returns {object} Proveedor con la interfaz { name, connect, poll, disconnect }.
+ */
+function createProvider(name, options = {}) {
+  const providerOptions = { timeframe: config.timeframes[0], ...options };
+  switch (name) {
+    case 'mock':
+      return createMockProvider(providerOptions);
+    case 'replay':
+      return createReplayProvider(providerOptions);
+    case 'broker':
+      return createBrokerProvider(providerOptions);
+    default:
+      throw new Error(`Proveedor de datos de mercado desconocido: ${name}`);
+  }
+}
+
+// === GESTIÓN DE SERIES ===
+
+function publishClosedCandle(symbol, timeframe, candle) {
+  if (!publishing) return;
+  eventBus.publish(EVENTS.CANDLE_CLOSED, { symbol, timeframe, candle });
+}
+
+function getSeries(symbol, timeframe) {
+  const key = `${symbol}|${timeframe}`;
+  if (!series.has(key)) {
+    series.set(key, { candles: [], forming: null });
+  }
+  return series.get(key);
+}
+
+function pushClosedCandle(entry, candle) {
+  const last = entry.candles[entry.candles.length - 1];
+  if (last && candle.time <= last.time) {
+    // Vela repetida o fuera de orden: se sustituye si coincide en tiempo, si no se descarta.
+    if (candle.time === last.time) entry.candles[entry.candles.length - 1] = candle;
+    return false;
+  }
+  entry.candles.push(candle);
+  if (entry.candles.length > config.maxCandles) {
+    entry.candles.splice(0, entry.candles.length - config.maxCandles);
+  }
+  return true;
+}
+
+/**
+ * Incorpora un tick de precio y actualiza las velas de todas las temporalidades configuradas.
+ * @param {string} symbol - Símbolo, ej: 'EURUSD'.
+ * @param {{price: number, time?: number, volume?: number}} tick - Tick recibido.
+ * @returns {number} Número de velas que se han cerrado con este tick.
+ */
+function ingestTick(symbol, { price, time = Date.now(), volume = 0 }) {
+  if (typeof price !== 'number' || Number.isNaN(price)) {
+    logger.warn(`Tick inválido descartado para ${symbol}: ${price}`);
+    return 0;
+  }
+
+  let closed = 0;
+  config.timeframes.forEach(timeframe => {
+    const tfMs = timeframeToMs(timeframe);
+    const bucket = Math.floor(time / tfMs) * tfMs;
+    const entry = getSeries(symbol, timeframe);
+
+    if (entry.forming && entry.forming.time !== bucket) {
+      if (bucket < entry.forming.time) return; // Tick atrasado: se ignora.
+      if (pushClosedCandle(entry, entry.forming)) {
+        closed++;
+        publishClosedCandle(symbol, timeframe, entry.forming);
+      }
+      entry.forming = null;
+    }
+
+    if (!entry.forming) {
+      entry.forming = { time: bucket, open: price, high: price, low: price, close: price, volume };
+    } else {
+      entry.forming.high = Math.max(entry.forming.high, price);
+      entry.forming.low = Math.min(entry.forming.low, price);
+      entry.forming.close = price;
+      entry.forming.volume += volume;
+    }
+  });
+  return closed;
+}
+
+/**
+ * Incorpora una vela ya cerrada (proveedores de replay o mock).
+ * @param {string} symbol - Símbolo de la vela.
+ * @param {string} timeframe - Temporalidad de la vela.
+ * @param {{time: number, open: number, high: number, low: number, close: number, volume?: number}} candle
+ * @returns {boolean} True si la vela se añadió como nueva.
+ */
+function ingestCandle(symbol, timeframe, candle) {
+  const entry = getSeries(symbol, timeframe);
+  const closedCandle = { volume: 0, ...candle };
+  const added = pushClosedCandle(entry, closedCandle);
+  if (added) publishClosedCandle(symbol, timeframe, closedCandle);
+  return added;
+}
+
+/**
+ * Cierra las velas en construcción cuyo intervalo ya ha terminado,
+ * para que un mercado sin ticks no deje la última vela abierta indefinidamente.
+ */
+function closeElapsedCandles(symbol, now = Date.now()) {
+  let closed = 0;
+  config.timeframes.forEach(timeframe => {
+    const entry = getSeries(symbol, timeframe);
+    if (entry.forming && entry.forming.time + timeframeToMs(timeframe) <= now) {
+      if (pushClosedCandle(entry, entry.forming)) {
+        closed++;
+        publishClosedCandle(symbol, timeframe, entry.forming);
+      }
+      entry.forming = null;
+    }
+  });
+  return closed;
+}
+
+/**
+ * Programa el cierre de velas para el próximo fin de vela de la temporalidad base. Cada disparo se
+ * calcula desde el reloj, así que el reloj no se desplaza aunque un ciclo se alargue.
+ */
+function scheduleCandleClose() {
+  const tfMs = timeframeToMs(config.timeframes[0]);
+  const now = Date.now();
+  const delay = (Math.floor(now / tfMs) + 1) * tfMs - now + config.candleCloseDelayMs;
+  candleTimer = setTimeout(async () => {
+    for (const symbol of symbols) {
+      try {
+        await refresh(symbol);
+      } catch (error) {
+        logger.error(`No se pudieron cerrar las velas de ${symbol}.`, error);
+      }
+    }
+    if (candleTimer) scheduleCandleClose();
+  }, delay);
+}
+
+// === API PÚBLICA ===
+
+/**
+ * Inicializa el módulo y conecta el proveedor de datos.
+ * @param {object} options
+ * @param {string[]} options.symbols - Símbolos a seguir.
+ * @param {string} [options.provider] - Nombre del proveedor (sobrescribe MARKET_DATA_PROVIDER).
+ * @param {object} [options.providerInstance] - Proveedor ya construido (útil para pruebas).
+ * @param {object} [options.providerOptions] - Opciones para el proveedor.
+ * @param {string[]} [options.timeframes] - Temporalidades a construir.
+ * @param {number} [options.maxCandles] - Tamaño de la ventana móvil.
+ * @param {object} [options.eventBus] - Bus en el que se publican las velas cerradas (por defecto, el compartido).
+ * @param {boolean} [options.candleClock] - Cierra las velas en cada fin de vela base (y publica candle-closed)
+ *   sin esperar a que alguien llame a refresh.
+ */
+async function init(options = {}) {
+  if (options.timeframes) config.timeframes = options.timeframes;
+  if (options.maxCandles) config.maxCandles = options.maxCandles;
+  if (options.provider) config.provider = options.provider;
+
+  await shutdown();
+  series = new Map();
+  symbols = options.symbols || [];
+  eventBus = options.eventBus || sharedEventBus;
+
+  provider = options.providerInstance || createProvider(config.provider, options.providerOptions);
+  await provider.connect({
+    symbols,
+    onTick: ingestTick,
+    onCandle: ingestCandle,
+  });
+  publishing = true;
+  if (options.candleClock) scheduleCandleClose();
+  logger.info(`Datos de mercado inicializados con el proveedor "${provider.name}" para ${symbols.join(', ')} (${config.timeframes.join(', ')}).`);
+}
+
+/**
+ * Solicita datos nuevos al proveedor y cierra las velas vencidas.
+ * @param {string} symbol - Símbolo a refrescar.
+ * @returns {Promise<number>} Número de velas cerradas nuevas en la temporalidad base.
+ */
+async function refresh(symbol) {
+  if (!provider) throw new Error('El módulo de datos de mercado no está inicializado.');
+
+  const baseTimeframe = config.timeframes[0];
+  const lastBefore = getSeries(symbol, baseTimeframe).candles.slice(-1)[0];
+
+  await provider.poll(symbol);
+  closeElapsedCandles(symbol, provider.now ? provider.now() : Date.now());
+
+  const { candles } = getSeries(symbol, baseTimeframe);
+  return lastBefore ? candles.filter(c => c.time > lastBefore.time).length : candles.length;
+}
+
+/**
+ * Devuelve las velas cerradas de un símbolo.
+ * @param {string} symbol - Símbolo.
+ * @param {string} [timeframe] - Temporalidad (por defecto la base).
+ * @param {number} [limit] - Número máximo de velas más recientes.
+ * @returns {object[]} Copia de las velas.
+ */
+function getCandles(symbol, timeframe = config.timeframes[0], limit) {
+  const { candles } = getSeries(symbol, timeframe);
+  return limit ? candles.slice(-limit) : candles.slice();
+}
+
+/**
+ * Devuelve las velas cerradas en el formato de arrays que usa tech-ia.
+ * @returns {{time: number[], open: number[], high: number[], low: number[], close: number[], volume: number[]}}
+ */
+function getOHLCV(symbol, timeframe = config.timeframes[0], limit) {
+  const candles = getCandles(symbol, timeframe, limit);
+  return {
+    time: candles.map(c => c.time),
+    open: candles.map(c => c.open),
+    high: candles.map(c => c.high),
+    low: candles.map(c => c.low),
+    close: candles.map(c => c.close),
+    volume: candles.map(c => c.volume),
+  };
+}
+
+/**
+ * Último precio conocido de un símbolo (vela en construcción o última vela cerrada).
+ * @returns {number|null}
+ */
+function getLastPrice(symbol) {
+  const entry = getSeries(symbol, config.timeframes[0]);
+  if (entry.forming) return entry.forming.close;
+  const last = entry.candles[entry.candles.length - 1];
+  return last ? last.close : null;
+}
+
+/**
+ * Precio de un símbolo en un instante dado, con la resolución de la temporalidad base.
+ * Devuelve el cierre de la última vela que terminó en o antes de `time` (si terminó hace menos de una vela),
+ * o el último precio de la vela en construcción si `time` cae dentro de ella. Null si no hay dato fiable.
+ * @param {string} symbol - Símbolo.
+ * @param {number} time - Instante en milisegundos.
+ * @returns {number|null}
+ */
+function getPriceAt(symbol, time) {
+  const timeframe = config.timeframes[0];
+  const tfMs = timeframeToMs(timeframe);
+  const entry = getSeries(symbol, timeframe);
+
+  if (entry.forming && time >= entry.forming.time && time < entry.forming.time + tfMs) {
+    return entry.forming.close;
+  }
+
+  for (let i = entry.candles.length - 1; i >= 0; i--) {
+    const candle = entry.candles[i];
+    const candleEnd = candle.time + tfMs;
+    if (candleEnd <= time) {
+      return time - candleEnd < tfMs ? candle.close : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Detiene el reloj de velas y desconecta el proveedor actual.
+ */
+async function shutdown() {
+  clearTimeout(candleTimer);
+  candleTimer = null;
+  publishing = false;
+  if (provider && provider.disconnect) {
+    await provider.disconnect();
+  }
+  provider = null;
+}
+
+module.exports = {
+  init,
+  refresh,
+  shutdown,
+  createProvider,
+  ingestTick,
+  ingestCandle,
+  getCandles,
+  getOHLCV,
+  getLastPrice,
+  getPriceAt,
+  getState: () => ({
+    provider: provider ? provider.name : null,
+    symbols: [...symbols],
+    timeframes: [...config.timeframes],
+    series: Array.from(series.entries()).map(([key, entry]) => ({
+      key,
+      candles: entry.candles.length,
+      lastTime: entry.candles.length > 0 ? new Date(entry.candles[entry.candles.length - 1].time).toISOString() : null,
+    })),
+  }),
+};
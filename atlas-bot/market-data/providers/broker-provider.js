@@ -0,0 +1,45 @@
+/**
+ * broker-provider.js - Proveedor de datos de mercado basado en los ticks del broker.
+ *
+ * Función:
+ * - Suscribirse a las cotizaciones en tiempo real de cada símbolo.
+ * - Reenviar cada tick al módulo de datos de mercado, que construye las velas.
+ */
+
+/**
+ * Crea un proveedor de ticks del broker.
+ * @param {object} options
+ * @param {function(string, function): (function|Promise<function>)} options.subscribeQuotes -
+ *   Función que suscribe un callback a las cotizaciones de un símbolo y devuelve la función para desuscribirse.
+ * @returns {object} Proveedor con la interfaz { name, connect, poll, disconnect }.
+ */
+function createBrokerProvider({ subscribeQuotes } = {}) {
+  let unsubscribers = [];
+
+  return {
+    name: 'broker',
+
+    async connect({ symbols, onTick }) {
+      if (typeof subscribeQuotes !== 'function') {
+        throw new Error('El proveedor "broker" necesita una función subscribeQuotes.');
+      }
+      unsubscribers = await Promise.all(
+        symbols.map(symbol => subscribeQuotes(symbol, tick => onTick(symbol, tick)))
+      );
+    },
+
+    // Los ticks llegan por suscripción; no hay nada que pedir en cada ciclo.
+    async poll() {},
+
+    async disconnect() {
+      unsubscribers.forEach(unsubscribe => {
+        if (typeof unsubscribe === 'function') unsubscribe();
+      });
+      unsubscribers = [];
+    },
+  };
+}
+
+module.exports = {
+  createBrokerProvider,
+};
@@ -0,0 +1,107 @@
+/**
+ * mock-provider.js - Proveedor de datos de mercado simulado (paseo aleatorio local).
+ *
+ * Función:
+ * - Generar velas sintéticas reproducibles (con semilla) sin depender de red ni del broker.
+ * - Rellenar un histórico inicial para que los indicadores estén disponibles desde el primer ciclo.
+ */
+
+const { timeframeToMs, createSeededRandom } = require('../../utils/helpers');
+
+// Precios de partida aproximados para los pares más comunes.
+const DEFAULT_BASE_PRICES = {
+  EURUSD: 1.08,
+  GBPUSD: 1.27,
+  USDCHF: 0.88,
+  USDJPY: 150,
+  AUDUSD: 0.66,
+  USDCAD: 1.36,
+};
+
+/**
+ * Crea un proveedor mock.
+ * @param {object} options
+ * @param {string} options.timeframe - Temporalidad de las velas generadas.
+ * @param {number} [options.seed] - Semilla del generador aleatorio.
+ * @param {object} [options.basePrices] - Precio inicial por símbolo.
+ * @param {number} [options.volatility] - Desviación relativa por vela (ej. 0.0005 = 0.05%).
+ * @param {number} [options.warmupCandles] - Velas históricas generadas al conectar.
+ * @param {function(): number} [options.now] - Reloj inyectable (ms).
+ * @returns {object} Proveedor con la interfaz { name, connect, poll, disconnect, now }.
+ */
+function createMockProvider({
+  timeframe,
+  seed = 42,
+  basePrices = {},
+  volatility = 0.0005,
+  warmupCandles = 150,
+  now = () => Date.now(),
+} = {}) {
+  const tfMs = timeframeToMs(timeframe);
+  const random = createSeededRandom(seed);
+  const prices = { ...DEFAULT_BASE_PRICES, ...basePrices };
+  const cursors = {}; // símbolo -> { nextTime, lastClose }
+  let onCandle = null;
+
+  function nextCandle(symbol) {
+    const cursor = cursors[symbol];
+    const open = cursor.lastClose;
+    let close = open;
+    let high = open;
+    let low = open;
+    // Cuatro pasos intra-vela para dar forma a máximos y mínimos.
+    for (let i = 0; i < 4; i++) {
+      close *= 1 + (random() - 0.5) * volatility;
+      high = Math.max(high, close);
+      low = Math.min(low, close);
+    }
+    const candle = {
+      time: cursor.nextTime,
+      open,
+      high,
+      low,
+      close,
+      volume: Math.round(100 + random() * 900),
+    };
+    cursor.lastClose = close;
+    cursor.nextTime += tfMs;
+    return candle;
+  }
+
+  function emitClosedCandles(symbol) {
+    // Solo se emiten velas cuyo intervalo ya ha terminado.
+    while (cursors[symbol].nextTime + tfMs <= now()) {
+      onCandle(symbol, timeframe, nextCandle(symbol));
+    }
+  }
+
+  return {
+    name: 'mock',
+    now,
+
+    async connect({ symbols, onCandle: candleHandler }) {
+      onCandle = candleHandler;
+      const currentBucket = Math.floor(now() / tfMs) * tfMs;
+      symbols.forEach(symbol => {
+        cursors[symbol] = {
+          nextTime: currentBucket - warmupCandles * tfMs,
+          lastClose: prices[symbol] || 1,
+        };
+        emitClosedCandles(symbol);
+      });
+    },
+
+    async poll(symbol) {
+      if (!cursors[symbol]) return;
+      emitClosedCandles(symbol);
+    },
+
+    async disconnect() {
+      onCandle = null;
+    },
+  };
+}
+
+module.exports = {
+  createMockProvider,
+};
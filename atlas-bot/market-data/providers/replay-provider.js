@@ -0,0 +1,93 @@
+/**
+ * replay-provider.js - Proveedor de datos de mercado que reproduce velas desde archivo.
+ *
+ * Función:
+ * - Leer series OHLCV en el formato de arrays que cachea el backtester
+ *   ({ open: [], high: [], low: [], close: [], volume: [], time?: [] }).
+ * - Entregar las velas de forma progresiva, una tanda por ciclo, para hacer paper trading sobre histórico.
+ */
+
+const path = require('path');
+const { readJsonFile, timeframeToMs } = require('../../utils/helpers');
+
+/**
+ * Crea un proveedor de replay.
+ * @param {object} options
+ * @param {string} options.timeframe - Temporalidad de las velas del archivo.
+ * @param {object} [options.files] - Ruta del archivo por símbolo. Si falta, se usa `${dataDir}/${symbol}_${timeframe}.json`.
+ * @param {string} [options.dataDir] - Directorio de datos (por defecto la caché del backtester).
+ * @param {number} [options.warmupCandles] - Velas entregadas de golpe al conectar.
+ * @param {number} [options.candlesPerPoll] - Velas entregadas en cada poll.
+ * @param {number} [options.startTime] - Tiempo de la primera vela si el archivo no trae `time`.
+ * @returns {object} Proveedor con la interfaz { name, connect, poll, disconnect, isExhausted }.
+ */
+function createReplayProvider({
+  timeframe,
+  files = {},
+  dataDir = path.join(__dirname, '..', '..', 'backtest', 'data'),
+  warmupCandles = 100,
+  candlesPerPoll = 1,
+  startTime,
+} = {}) {
+  const tfMs = timeframeToMs(timeframe);
+  const feeds = {}; // símbolo -> { data, cursor }
+  let onCandle = null;
+
+  function emit(symbol, count) {
+    const feed = feeds[symbol];
+    const end = Math.min(feed.cursor + count, feed.data.close.length);
+    for (let i = feed.cursor; i < end; i++) {
+      onCandle(symbol, timeframe, {
+        time: feed.data.time[i],
+        open: feed.data.open[i],
+        high: feed.data.high[i],
+        low: feed.data.low[i],
+        close: feed.data.close[i],
+        volume: feed.data.volume ? feed.data.volume[i] || 0 : 0,
+      });
+    }
+    feed.cursor = end;
+  }
+
+  return {
+    name: 'replay',
+
+    async connect({ symbols, onCandle: candleHandler }) {
+      onCandle = candleHandler;
+      for (const symbol of symbols) {
+        const filePath = files[symbol] || path.join(dataDir, `${symbol}_${timeframe}.json`);
+        // eslint-disable-next-line no-await-in-loop
+        const data = await readJsonFile(filePath);
+        if (!data.close || data.close.length === 0) {
+          throw new Error(`El archivo de replay ${filePath} no contiene velas.`);
+        }
+        if (!data.time) {
+          // Sin marcas de tiempo: se sintetizan de forma que la última vela termine ahora.
+          const first = startTime !== undefined
+            ? startTime
+            : Math.floor(Date.now() / tfMs) * tfMs - data.close.length * tfMs;
+          data.time = data.close.map((_, i) => first + i * tfMs);
+        }
+        feeds[symbol] = { data, cursor: 0 };
+        emit(symbol, warmupCandles);
+      }
+    },
+
+    async poll(symbol) {
+      if (!feeds[symbol]) return;
+      emit(symbol, candlesPerPoll);
+    },
+
+    async disconnect() {
+      onCandle = null;
+    },
+
+    isExhausted(symbol) {
+      return !feeds[symbol] || feeds[symbol].cursor >= feeds[symbol].data.close.length;
+    },
+  };
+}
+
+module.exports = {
+  createReplayProvider,
+};
@@ -0,0 +1,227 @@
+/**
+ * module-registry.js - Registro de Módulos de Análisis para A.T.L.A.S.
+ *
+ * Función:
+ * - Inicializar los módulos de análisis (pred-ia, sent-ia, vol-ia, news-filter, geo-usa, geo-eur...)
+ *   y reunir en cada ciclo sus señales en el objeto `signals` que consume signalrank-ia.
+ * - Degradar con elegancia: un módulo que falla al iniciar, tarda demasiado, lanza errores o tiene datos
+ *   caducados se omite (el ciclo sigue con el resto) y se reintenta más tarde.
+ * - Refrescar periódicamente los datos de los módulos que lo necesitan.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { setupLogger } = require('../utils/helpers');
+
+// === CONFIGURACIÓN ===
+const config = {
+  // Tiempo máximo de init, refresco o consulta de señal de un módulo.
+  timeoutMs: parseInt(process.env.MODULE_TIMEOUT_MS, 10) || 5000,
+  // Errores consecutivos tras los que un módulo se desactiva hasta el siguiente reintento.
+  maxFailures: parseInt(process.env.MODULE_MAX_FAILURES, 10) || 3,
+  // Espera antes de reintentar un módulo desactivado.
+  retryIntervalMs: parseInt(process.env.MODULE_RETRY_INTERVAL_MS, 10) || 600000,
+};
+
+const logger = setupLogger('module-registry', path.join(__dirname, 'logs', 'module-registry.log'));
+
+/**
+ * Ejecuta una promesa con un tiempo máximo.
+ */
+async function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label}: sin respuesta tras ${timeoutMs} ms`)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Crea un registro de módulos.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Tiempo máximo por llamada a un módulo.
+ * @param {number} [options.maxFailures] - Errores consecutivos antes de desactivar un módulo.
+ * @param {number} [options.retryIntervalMs] - Espera antes de reintentar un módulo desactivado.
+ * @param {function(): number} [options.now] - Reloj inyectable (ms).
+ * @returns {object} Registro con la interfaz { register, initAll, gatherSignals, getStatus }.
+ */
+function createModuleRegistry({
+  timeoutMs = config.timeoutMs,
+  maxFailures = config.maxFailures,
+  retryIntervalMs = config.retryIntervalMs,
+  now = () => Date.now(),
+} = {}) {
+  // nombre -> { entry, status, failures, lastError, lastRefreshAt, lastSignalAt, disabledUntil }
+  const modules = new Map();
+
+  function markFailure(module, error) {
+    module.failures++;
+    module.lastError = error.message;
+    if (module.status === 'initializing' || module.failures >= maxFailures) {
+      module.status = 'failed';
+      module.disabledUntil = now() + retryIntervalMs;
+      logger.warn(`Módulo ${module.entry.name} desactivado hasta ${new Date(module.disabledUntil).toISOString()}: ${error.message}`);
+    } else {
+      logger.warn(`Error en el módulo ${module.entry.name} (${module.failures}/${maxFailures}): ${error.message}`);
+    }
+  }
+
+  async function initModule(module) {
+    module.status = 'initializing';
+    try {
+      if (module.entry.init) await withTimeout(Promise.resolve().then(() => module.entry.init()), timeoutMs, `init de ${module.entry.name}`);
+      module.status = 'ready';
+      module.failures = 0;
+      module.lastError = null;
+      module.disabledUntil = null;
+      // El init de los módulos ya carga sus datos.
+      module.lastRefreshAt = now();
+      logger.info(`Módulo ${module.entry.name} inicializado.`);
+    } catch (error) {
+      markFailure(module, error);
+    }
+  }
+
+  /**
+   * Refresca los datos del módulo si toca. Un refresco que devuelve false cuenta como fallido
+   * (los módulos de análisis capturan sus propios errores de red).
+   */
+  async function refreshModule(module) {
+    const { entry } = module;
+    if (!entry.refresh || !entry.refreshIntervalMs) return;
+    if (module.lastRefreshAt && now() - module.lastRefreshAt < entry.refreshIntervalMs) return;
+    try {
+      const updated = await withTimeout(Promise.resolve().then(() => entry.refresh()), timeoutMs, `refresco de ${entry.name}`);
+      if (updated === false) throw new Error('No se pudieron actualizar los datos');
+      module.lastRefreshAt = now();
+    } catch (error) {
+      // Se sigue usando el dato anterior mientras no caduque.
+      module.lastError = error.message;
+      logger.warn(`No se pudo refrescar el módulo ${entry.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Momento de los últimos datos del módulo: el que indica el propio módulo o el último refresco correcto.
+   */
+  function dataTime(module) {
+    if (!module.entry.lastUpdate) return module.lastRefreshAt;
+    const time = module.entry.lastUpdate();
+    return time ? new Date(time).getTime() : null;
+  }
+
+  return {
+    /**
+     * Registra un módulo de análisis.
+     * @param {object} entry
+     * @param {string} entry.name - Nombre de la fuente en `signals` (ej. 'sent', 'geo-usa').
+     * @param {function(): Promise} [entry.init] - Inicialización del módulo.
+     * @param {function(object): (object|null|Promise<object|null>)} entry.getSignal - Señal para un contexto
+     *   ({ symbol, indicators, ohlcv, signals }); null si no hay señal. `signals` contiene las de los módulos anteriores.
+     * @param {function(): (boolean|Promise<boolean>)} [entry.refresh] - Actualiza los datos del módulo.
+     * @param {number} [entry.refreshIntervalMs] - Cada cuánto se llama a refresh.
+     * @param {function(): (string|number|null)} [entry.lastUpdate] - Momento de los datos del módulo (null = sin datos).
+     * @param {number} [entry.maxAgeMs] - Antigüedad a partir de la cual los datos se consideran caducados.
+     */
+    register(entry) {
+      if (!entry || !entry.name || typeof entry.getSignal !== 'function') {
+        throw new Error('Un módulo necesita al menos name y getSignal.');
+      }
+      if (modules.has(entry.name)) throw new Error(`Módulo ya registrado: ${entry.name}`);
+      modules.set(entry.name, {
+        entry,
+        status: 'registered',
+        failures: 0,
+        lastError: null,
+        lastRefreshAt: null,
+        lastSignalAt: null,
+        disabledUntil: null,
+      });
+    },
+
+    /**
+     * Inicializa todos los módulos registrados. Los que fallan quedan desactivados sin interrumpir al resto.
+     */
+    async initAll() {
+      for (const module of modules.values()) {
+        await initModule(module);
+      }
+    },
+
+    /**
+     * Reúne las señales vigentes de los módulos para un símbolo, en el orden de registro.
+     * @param {object} context - { symbol, indicators, ohlcv, ... } que se pasa a getSignal.
+     * @param {object} [signals] - Señales ya disponibles (ej. { tech }), a las que se añaden las de los módulos.
+     * @returns {Promise<{signals: object, skipped: Object<string, string>}>} Las señales y, por módulo omitido, el motivo.
+     */
+    async gatherSignals(context, signals = {}) {
+      const gathered = { ...signals };
+      const skipped = {};
+      for (const module of modules.values()) {
+        const { entry } = module;
+        if (module.status === 'failed' && now() >= module.disabledUntil) {
+          logger.info(`Reintentando el módulo ${entry.name}.`);
+          await initModule(module);
+        }
+        if (module.status !== 'ready') {
+          skipped[entry.name] = module.status;
+          continue;
+        }
+
+        await refreshModule(module);
+        const time = dataTime(module);
+        if (entry.maxAgeMs && (time === null || now() - time > entry.maxAgeMs)) {
+          skipped[entry.name] = 'stale';
+          continue;
+        }
+
+        try {
+          const signal = await withTimeout(
+            Promise.resolve().then(() => entry.getSignal({ ...context, signals: gathered })),
+            timeoutMs,
+            `señal de ${entry.name}`
+          );
+          module.failures = 0;
+          if (!signal) {
+            skipped[entry.name] = 'empty';
+            continue;
+          }
+          gathered[entry.name] = signal;
+          module.lastSignalAt = now();
+        } catch (error) {
+          markFailure(module, error);
+          skipped[entry.name] = 'error';
+        }
+      }
+      return { signals: gathered, skipped };
+    },
+
+    /**
+     * Estado de cada módulo para /status y los informes.
+     */
+    getStatus() {
+      const status = {};
+      modules.forEach((module, name) => {
+        status[name] = {
+          status: module.status,
+          failures: module.failures,
+          lastError: module.lastError,
+          lastRefreshAt: module.lastRefreshAt ? new Date(module.lastRefreshAt).toISOString() : null,
+          lastSignalAt: module.lastSignalAt ? new Date(module.lastSignalAt).toISOString() : null,
+          disabledUntil: module.disabledUntil ? new Date(module.disabledUntil).toISOString() : null,
+        };
+      });
+      return status;
+    },
+  };
+}
+
+module.exports = {
+  createModuleRegistry,
+};
@@ -5,6 +5,7 @@
  * - Filtrar operaciones durante ventanas de noticias de alto impacto.
  * - Monitorear el calendario económico en tiempo real.
  * - Bloquear operaciones 2 minutos antes y 3 minutos después de eventos de alto impacto.
+ * - Publicar la apertura de cada ventana de noticias en el bus de eventos (news-window-opened).
  * - Persistir estado en disco.
  */
 
@@ -13,6 +14,7 @@ const path = require('path');
 const winston = require('winston');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { eventBus, EVENTS } = require('../event-bus/event-bus');
 
 // === CONFIGURACIÓN ===
 const config = {
@@ -180,6 +182,7 @@ function checkNewsWindow() {
       state.isNewsWindowActive = true;
       state.currentEvent = activeEvent;
       logger.warn(`⚠️ NewsFilter: VENTANA DE NOTICIAS ACTIVA por ${activeEvent.event} (${activeEvent.currency}). Operaciones bloqueadas.`);
+      eventBus.publish(EVENTS.NEWS_WINDOW_OPENED, { event: activeEvent });
     }
   } else {
     if (state.isNewsWindowActive) {
@@ -193,7 +196,8 @@ function checkNewsWindow() {
   const nextEvent = state.events.find(event => new Date(event.startTime) > now);
   state.nextCheck = nextEvent ? new Date(nextEvent.startTime) : null;
 
-  await saveState();
+  // La verificación es síncrona: el estado se guarda sin esperar (saveState registra sus propios errores).
+  saveState();
 }
 
 // === OBTENER ESTADO ACTUAL ===
@@ -208,23 +212,27 @@ function getCurrentStatus() {
 }
 
 // === ACTUALIZAR CALENDARIO ===
+// Devuelve true si el calendario se actualizó.
 async function updateCalendar() {
   try {
     await fetchEconomicCalendar();
     checkNewsWindow();
+    return true;
   } catch (error) {
     logger.error(`❌ NewsFilter: Error al actualizar calendario: ${error.message}`);
+    return false;
   }
 }
 
 // === INICIALIZAR MÓDULO ===
-async function initNewsFilter() {
+// Con autoUpdate: false no se programa la actualización periódica (la hace quien use el módulo).
+async function initNewsFilter({ autoUpdate = true } = {}) {
   await loadState();
   await updateCalendar();
   logger.info('🟢 NewsFilter: Módulo iniciado. Ventana activa: ' + state.isNewsWindowActive);
 
   // Actualizar calendario periódicamente
-  setInterval(updateCalendar, config.CHECK_INTERVAL);
+  if (autoUpdate) setInterval(updateCalendar, config.CHECK_INTERVAL);
 }
 
 // === EXPORTAR MÓDULO ===
@@ -11,7 +11,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
-const { LogisticRegression } = require('ml-logistic-regression');
+const LogisticRegression = require('ml-logistic-regression');
+const { Matrix } = require('ml-matrix');
 
 // === CONFIGURACIÓN ===
 const config = {
@@ -53,12 +54,8 @@ async function loadModel() {
       const data = await fs.readFile(config.MODEL_FILE, 'utf8');
       const modelData = JSON.parse(data);
 
-      // Cargar modelo entrenado
-      const model = new LogisticRegression();
-      model.weights = modelData.weights;
-      model.bias = modelData.bias;
-
-      state.model = model;
+      // Cargar modelo entrenado (un modelo sin entrenar se guarda sin parámetros)
+      state.model = modelData.model ? LogisticRegression.load(modelData.model) : new LogisticRegression();
       state.lastTrained = modelData.lastTrained;
       state.accuracy = modelData.accuracy;
       state.trainingDataSize = modelData.trainingDataSize;
@@ -84,8 +81,7 @@ async function saveModel() {
     const modelData = {
       modelType: 'logistic-regression',
       features: config.FEATURES,
-      weights: state.model.weights,
-      bias: state.model.bias,
+      model: state.lastTrained ? state.model.toJSON() : null,
       accuracy: state.accuracy,
       lastTrained: state.lastTrained,
       trainingDataSize: state.trainingDataSize,
@@ -164,11 +160,12 @@ async function trainModel() {
     const X = state.trainingData.map(sample => config.FEATURES.map(feature => sample[feature]));
     const y = state.trainingData.map(sample => sample[config.TARGET]);
 
-    // Entrenar modelo
-    state.model.train(X, y);
+    // Entrenar modelo (la librería trabaja con matrices)
+    state.model = new LogisticRegression();
+    state.model.train(new Matrix(X), Matrix.columnVector(y));
 
     // Evaluar precisión (simplificado)
-    const predictions = X.map(x => state.model.predict(x));
+    const predictions = state.model.predict(new Matrix(X));
     const correct = predictions.reduce((acc, pred, i) => acc + (pred === y[i] ? 1 : 0), 0);
     state.accuracy = correct / predictions.length;
     state.lastTrained = new Date().toISOString();
@@ -184,12 +181,12 @@ async function trainModel() {
 // === PREDECIR DIRECCIÓN ===
 function predictDirection(features) {
   try {
-    if (!state.model) {
+    if (!state.model || !state.lastTrained) {
       throw new Error('Modelo no entrenado');
     }
 
     const input = config.FEATURES.map(feature => features[feature]);
-    const prediction = state.model.predict(input);
+    const [prediction] = state.model.predict(new Matrix([input]));
 
     return {
       direction: prediction === 1 ? 'CALL' : 'PUT',
@@ -198,9 +195,10 @@ function predictDirection(features) {
     };
   } catch (error) {
     logger.error(`❌ Error al predecir: ${error.message}`);
+    // Sin predicción no se vota ninguna dirección.
     return {
-      direction: 'PUT', // Default conservador
-      confidence: 0.5,
+      direction: 'HOLD',
+      confidence: 0,
       error: error.message,
     };
   }
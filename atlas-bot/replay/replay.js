@@ -0,0 +1,309 @@
+/**
+ * replay.js - Reproducción Determinista de Decisiones para A.T.L.A.S.
+ *
+ * Función:
+ * - Repetir los ciclos del registro de decisiones (journal/decisions.jsonl) a partir de sus entradas:
+ *   señales de cada módulo, indicadores, eventos de noticias y el estado de partida de los módulos.
+ * - Volver a ejecutar signalrank-ia, riskmap-ia y compound-logic con el reloj fijado en el instante del ciclo
+ *   y el generador aleatorio con semilla, de modo que dos reproducciones dan siempre el mismo resultado.
+ *   Los pasos de decisión y sus parámetros son los de decision-pipeline, los mismos que usa el orquestador.
+ * - Comparar las decisiones nuevas con las registradas para comprobar que un cambio de configuración
+ *   o de código solo altera las decisiones esperadas.
+ *
+ * Lo que no se repite:
+ * - Las señales de los módulos de análisis y de tech-ia se toman tal como se registraron.
+ * - El análisis multi-temporalidad (MTF) reutiliza el resultado registrado, porque las velas solo se guardan
+ *   como hash. Si la nueva dirección no es la registrada, no se aplica ningún ajuste MTF.
+ * - Los ciclos registrados sin estado de partida (anteriores a esta herramienta) se omiten.
+ * - Los ciclos registrados sin perfiles de ATR en el estado usan los de atr-profiles.json actuales,
+ *   por lo que una recalibración puede alterar sus decisiones.
+ * - El payout de cada stake es el registrado. Solo los símbolos que no llegaron a calcular stake en el ciclo
+ *   registrado usan la tabla de payouts actual (PAYOUT_TABLE), cuyos cambios sí pueden alterar la decisión.
+ *
+ * Uso desde la línea de comandos:
+ *   node replay/replay.js [--file decisions.jsonl] [--from ISO] [--to ISO] [--symbol EURUSD] [--cycle id]
+ *     [--limit N] [--seed N] [--calendar trading-calendar.json] [--json]
+ * Termina con código 1 si alguna decisión difiere de la registrada.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { parseArgs } = require('util');
+const clock = require('../utils/clock');
+const decisionJournal = require('../journal/decision-journal');
+const signalRankIA = require('../signalrank-ia/signalrank-ia');
+const decisionPipeline = require('../decision-pipeline/decision-pipeline');
+const riskmapIA = require('../riskmap-ia/riskmap-ia');
+const compoundLogic = require('../compound-logic/compound-logic');
+const sessionScheduler = require('../session-scheduler/session-scheduler');
+const { getPayout } = require('../exec-ia/exec-ia');
+const { setupLogger } = require('../utils/helpers');
+
+// === CONFIGURACIÓN ===
+// Los parámetros de decisión son los del orquestador: ambos leen los de decision-pipeline.
+const decisionConfig = decisionPipeline.config;
+const config = {
+  seed: parseInt(process.env.REPLAY_SEED, 10) || 1,
+  // Diferencia máxima entre puntuaciones o stakes para considerarlos iguales.
+  tolerance: 1e-9,
+};
+
+const logger = setupLogger('replay', path.join(__dirname, 'logs', 'replay.log'));
+
+// === REPRODUCCIÓN ===
+
+/**
+ * Evalúa de nuevo la señal de un símbolo con sus entradas registradas.
+ * @returns {{evaluation: object, candidate: object|null}} Mismo formato que la evaluación del orquestador.
+ */
+function replayEvaluation(recorded, { openTrades, now }) {
+  const { symbol } = recorded;
+  const inputs = recorded.inputs || {};
+  const evaluation = { symbol, outcome: null, reason: null, inputs };
+  const discard = (outcome, reason) => {
+    evaluation.outcome = outcome;
+    evaluation.reason = reason;
+    return { evaluation, candidate: null };
+  };
+
+  // Sin velas suficientes o con un error no hubo entradas que repetir.
+  if (recorded.outcome === 'no-data' || recorded.outcome === 'error') return discard(recorded.outcome, recorded.reason);
+
+  const schedule = sessionScheduler.isTradingAllowed(symbol, now);
+  if (!schedule.allowed) return discard('out-of-session', schedule.reason);
+
+  if (!inputs.signals) {
+    return discard('not-replayable', 'El ciclo registrado no evaluó las señales de este símbolo (estaba fuera de sesión).');
+  }
+  const { signals, indicators } = inputs;
+
+  // MTF: el resultado registrado solo es válido para la dirección con la que se calculó.
+  const recordedDirection = recorded.signalrank && recorded.signalrank.direction;
+  const scored = decisionPipeline.scoreSymbol({
+    symbol,
+    signals,
+    openTrades,
+    now,
+    checkAlignment: direction => (recorded.mtf && recordedDirection === direction ? recorded.mtf : null),
+    logger,
+  });
+  if (scored.signalrank) evaluation.signalrank = scored.signalrank;
+  if (scored.mtf) evaluation.mtf = scored.mtf;
+  if (scored.outcome !== 'candidate') return discard(scored.outcome, scored.reason);
+
+  evaluation.outcome = 'candidate';
+  evaluation.reason = scored.reason;
+  evaluation.score = scored.score;
+  return {
+    evaluation,
+    candidate: { symbol, direction: scored.finalSignal.direction, score: scored.score, finalScore: scored.finalSignal.finalScore, indicators },
+  };
+}
+
+/**
+ * Repite un ciclo registrado. Restaura el estado de partida de los módulos, fija el reloj en el instante
+ * del ciclo y la semilla del generador (semilla + instante, para no depender de qué ciclos se reproducen).
+ * @param {object} record - Ciclo del registro de decisiones.
+ * @param {object} [options]
+ * @param {number} [options.seed] - Semilla (por defecto REPLAY_SEED).
+ * @returns {Promise<object|null>} La decisión repetida (mismo formato que la registrada) o null si el ciclo
+ *   no tiene estado de partida.
+ */
+async function replayCycle(record, { seed = config.seed } = {}) {
+  if (!record.state) return null;
+  const now = new Date(record.time).getTime();
+  clock.setClock(now);
+  clock.setRandomSeed((seed + now) >>> 0);
+
+  try {
+    const { state } = record;
+    // Los perfiles de ATR guardados con el ciclo; sin ellos (registros antiguos), los de atr-profiles.json.
+    await riskmapIA.init({ persist: false, state: state.riskmap, atrProfiles: state.atrProfiles });
+    await compoundLogic.init({ persist: false, state: state.compound });
+    await signalRankIA.init({ persist: false, state: state.signalrank });
+
+    const decision = {
+      cycleId: record.cycleId,
+      time: record.time,
+      symbols: record.symbols,
+      evaluations: [],
+      ranking: [],
+      decisions: [],
+      action: 'no-trade',
+      reason: null,
+    };
+    const openTrades = state.openTrades.map(trade => ({ ...trade }));
+    const candidates = [];
+    (record.evaluations || []).forEach(recorded => {
+      const { evaluation, candidate } = replayEvaluation(recorded, { openTrades, now });
+      decision.evaluations.push(evaluation);
+      if (candidate) candidates.push(candidate);
+    });
+
+    // El payout registrado con cada stake; sin él, el de la tabla actual.
+    const recordedPayouts = new Map((record.decisions || [])
+      .filter(d => d.stake && typeof d.stake.payout === 'number')
+      .map(d => [d.symbol, d.stake.payout]));
+    const selection = await decisionPipeline.selectTrades({
+      candidates,
+      openTrades,
+      balance: state.balance,
+      upcomingEvents: record.upcomingEvents || [],
+      now,
+      getPayout: symbol => (recordedPayouts.has(symbol) ? recordedPayouts.get(symbol) : getPayout(symbol, decisionConfig.expiryMinutes)),
+      // Nada se abre al reproducir: la operación solo cuenta para la exposición del resto del ciclo.
+      place: async () => undefined,
+      logger,
+    });
+    return { ...decision, ...selection };
+  } finally {
+    clock.reset();
+  }
+}
+
+// === COMPARACIÓN ===
+
+function sameValue(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) <= config.tolerance;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compara una decisión registrada con su reproducción: acción del ciclo, resultado y puntuación de cada símbolo,
+ * clasificación y, por oportunidad, acción, evaluación de riesgo y stake.
+ * @returns {Array<{cycleId: string, field: string, recorded: *, replayed: *}>} Las diferencias (vacío si coinciden).
+ */
+function diffDecisions(recorded, replayed) {
+  const differences = [];
+  const compare = (field, a, b) => {
+    const recordedValue = a === undefined ? null : a;
+    const replayedValue = b === undefined ? null : b;
+    if (!sameValue(recordedValue, replayedValue)) {
+      differences.push({ cycleId: recorded.cycleId, field, recorded: recordedValue, replayed: replayedValue });
+    }
+  };
+
+  compare('action', recorded.action, replayed.action);
+
+  const bySymbol = list => new Map((list || []).map(item => [item.symbol, item]));
+  const recordedEvaluations = bySymbol(recorded.evaluations);
+  const replayedEvaluations = bySymbol(replayed.evaluations);
+  recordedEvaluations.forEach((a, symbol) => {
+    const b = replayedEvaluations.get(symbol) || {};
+    const signalA = a.signalrank || {};
+    const signalB = b.signalrank || {};
+    compare(`evaluations.${symbol}.outcome`, a.outcome, b.outcome);
+    compare(`evaluations.${symbol}.direction`, signalA.direction, signalB.direction);
+    compare(`evaluations.${symbol}.finalScore`, signalA.finalScore, signalB.finalScore);
+    compare(`evaluations.${symbol}.rejection`, signalA.rejection, signalB.rejection);
+    compare(`evaluations.${symbol}.score`, a.score, b.score);
+  });
+
+  const rankingKey = list => (list || []).map(({ symbol, direction }) => `${symbol} ${direction}`);
+  compare('ranking', rankingKey(recorded.ranking), rankingKey(replayed.ranking));
+
+  const recordedDecisions = bySymbol(recorded.decisions);
+  const replayedDecisions = bySymbol(replayed.decisions);
+  new Set([...recordedDecisions.keys(), ...replayedDecisions.keys()]).forEach(symbol => {
+    const a = recordedDecisions.get(symbol) || {};
+    const b = replayedDecisions.get(symbol) || {};
+    compare(`decisions.${symbol}.action`, a.action, b.action);
+    compare(`decisions.${symbol}.direction`, a.direction, b.direction);
+    compare(`decisions.${symbol}.riskAllowed`, a.risk && a.risk.allowed, b.risk && b.risk.allowed);
+    compare(`decisions.${symbol}.recommendedStakePct`, a.risk && a.risk.recommendedStakePct, b.risk && b.risk.recommendedStakePct);
+    compare(`decisions.${symbol}.stake`, a.stake && a.stake.stake, b.stake && b.stake.stake);
+  });
+  return differences;
+}
+
+/**
+ * Reproduce los ciclos del registro de decisiones que cumplan los filtros y los compara con los registrados.
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Registro de decisiones (por defecto DECISION_JOURNAL_FILE).
+ * @param {string} [options.from] - Filtros de queryDecisions: from, to, symbol, cycleId y limit.
+ * @param {number} [options.seed] - Semilla del generador aleatorio.
+ * @param {string} [options.calendarFilePath] - Calendario de sesiones (por defecto, el configurado).
+ * @param {object} [options.calendar] - Calendario en memoria, en lugar del archivo.
+ * @returns {Promise<{cycles: number, replayed: object[], skipped: Array<{cycleId: string, reason: string}>, differences: object[]}>}
+ *   `replayed` contiene las decisiones repetidas; `differences`, todas las diferencias con las registradas.
+ */
+async function runReplay({ filePath, from, to, symbol, cycleId, limit, seed = config.seed, calendarFilePath, calendar } = {}) {
+  await decisionJournal.init(filePath ? { filePath } : {});
+  await sessionScheduler.init({ calendarFilePath, calendar });
+  const records = await decisionJournal.queryDecisions({ from, to, symbol, cycleId, limit });
+
+  const result = { cycles: records.length, replayed: [], skipped: [], differences: [] };
+  for (const record of records) {
+    if (record.action === 'error') {
+      result.skipped.push({ cycleId: record.cycleId, reason: `El ciclo terminó con error: ${record.reason}` });
+      continue;
+    }
+    const replayed = await replayCycle(record, { seed });
+    if (!replayed) {
+      result.skipped.push({ cycleId: record.cycleId, reason: 'El ciclo no tiene estado de partida registrado.' });
+      continue;
+    }
+    result.replayed.push(replayed);
+    result.differences.push(...diffDecisions(record, replayed));
+  }
+  logger.info(`Reproducidos ${result.replayed.length}/${result.cycles} ciclos: ${result.differences.length} diferencias.`);
+  return result;
+}
+
+/**
+ * Informe de texto de una reproducción.
+ * @param {object} result - Resultado de runReplay.
+ * @returns {string}
+ */
+function formatReport(result) {
+  const lines = [
+    `Ciclos: ${result.cycles} | Reproducidos: ${result.replayed.length} | Omitidos: ${result.skipped.length} | Diferencias: ${result.differences.length}`,
+  ];
+  result.skipped.forEach(({ cycleId, reason }) => lines.push(`  [omitido] ${cycleId}: ${reason}`));
+  result.differences.forEach(({ cycleId, field, recorded, replayed }) => {
+    lines.push(`  [cambio] ${cycleId} ${field}: ${JSON.stringify(recorded)} -> ${JSON.stringify(replayed)}`);
+  });
+  if (result.differences.length === 0) lines.push('Las decisiones reproducidas coinciden con las registradas.');
+  return lines.join('\n');
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      file: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      symbol: { type: 'string' },
+      cycle: { type: 'string' },
+      limit: { type: 'string' },
+      seed: { type: 'string' },
+      calendar: { type: 'string' },
+      json: { type: 'boolean', default: false },
+    },
+  });
+  runReplay({
+    filePath: values.file,
+    from: values.from,
+    to: values.to,
+    symbol: values.symbol ? values.symbol.toUpperCase() : undefined,
+    cycleId: values.cycle,
+    limit: values.limit ? parseInt(values.limit, 10) : undefined,
+    seed: values.seed !== undefined ? parseInt(values.seed, 10) : config.seed,
+    calendarFilePath: values.calendar,
+  })
+    .then(result => {
+      console.log(values.json ? JSON.stringify(result, null, 2) : formatReport(result));
+      process.exitCode = result.differences.length > 0 ? 1 : 0;
+    })
+    .catch(error => {
+      logger.error('La reproducción de decisiones ha fallado.', error);
+      process.exitCode = 2;
+    });
+}
+
+module.exports = {
+  replayCycle,
+  diffDecisions,
+  runReplay,
+  formatReport,
+};
@@ -0,0 +1,328 @@
+/**
+ * report-generator.js - Generador de Informes para A.T.L.A.S.
+ *
+ * Función:
+ * - Construir el informe de sesión/día en el formato de reports/report-<fase>-YYYY-MM-DD.json
+ *   (summary, riskmap, compound, signalrank, exec y modules) a partir del diario de operaciones
+ *   y del getState() de cada módulo.
+ * - Escribir el informe en JSON y una versión HTML autocontenida que se puede abrir sin conexión.
+ *
+ * Uso desde la línea de comandos: node reporting/report-generator.js [YYYY-MM-DD]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { setupLogger } = require('../utils/helpers');
+const tradeJournal = require('../journal/trade-journal');
+const bankroll = require('../bankroll/bankroll-service');
+const { computePerformance } = require('../analytics/performance-analytics');
+
+// === CONFIGURACIÓN ===
+const config = {
+  reportsDir: path.join(__dirname, '..', 'reports'),
+  phase: process.env.PHASE || 'demo',
+  // La misma lista de símbolos que vigila el orquestador.
+  symbols: (process.env.WATCHLIST || process.env.SYMBOL || 'EURUSD').split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+  initialBalance: parseFloat(process.env.DEFAULT_BANKROLL) || 1000,
+};
+
+const logger = setupLogger('report-generator', path.join(__dirname, 'logs', 'report-generator.log'));
+
+// === FUNCIONES AUXILIARES ===
+
+function formatPair(symbol) {
+  return /^[A-Z]{6}$/.test(symbol) ? `${symbol.slice(0, 3)}/${symbol.slice(3)}` : symbol;
+}
+
+function round(value, decimals = 2) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// === CONSTRUCCIÓN DEL INFORME ===
+
+/**
+ * Construye el documento del informe. Las secciones riskmap, compound y signalrank se derivan
+ * del diario y se completan/sobrescriben con el getState() del módulo correspondiente si se aporta.
+ * @param {object} params
+ * @param {object[]} params.trades - Operaciones del diario (queryTrades).
+ * @param {string} [params.phase] - 'demo' o 'real'.
+ * @param {string[]} [params.symbols] - Símbolos vigilados (WATCHLIST). El informe lista estos y los operados en el periodo.
+ * @param {number} [params.initialBalance] - Capital al inicio del periodo.
+ * @param {string|Date} params.startTime - Inicio del periodo.
+ * @param {string|Date} params.endTime - Fin del periodo.
+ * @param {object} [params.moduleStates] - Estado de cada módulo, ej: { riskmap: {...}, 'tech-ia': {...} }.
+ * @param {Array} [params.errors] - Errores registrados durante la sesión.
+ * @returns {object} Informe en el formato de reports/report-*.json.
+ */
+function buildReport({
+  trades,
+  phase = config.phase,
+  symbols = config.symbols,
+  initialBalance = config.initialBalance,
+  startTime,
+  endTime,
+  moduleStates = {},
+  errors = [],
+}) {
+  const closed = trades.filter(t => t.status === 'closed');
+  const performance = computePerformance(closed, { initialBalance });
+  const { summary, streaks } = performance;
+  const { riskmap: riskmapState, compound: compoundState, signalrank: signalrankState, ...otherModules } = moduleStates;
+
+  // Tamaño de lote: cada aumento del stake respecto a la operación anterior cuenta como una capitalización.
+  const stakes = trades.map(t => t.stake).filter(s => typeof s === 'number');
+  const totalCompounds = stakes.filter((stake, i) => i > 0 && stake > stakes[i - 1]).length;
+
+  // Señales que llegaron a operarse, con su puntuación final.
+  const scoredSignals = trades.filter(t => t.finalSignal && typeof t.finalSignal.finalScore === 'number');
+  const bestSignal = scoredSignals.reduce((best, t) => (!best || t.finalSignal.finalScore > best.finalSignal.finalScore ? t : best), null);
+
+  const durationHours = (new Date(endTime) - new Date(startTime)) / 3600000;
+
+  // Pares de la sesión: la lista vigilada más los que aparezcan en el diario (ej. de una lista anterior).
+  const pairs = [...new Set([...symbols, ...trades.map(t => t.symbol).filter(Boolean)])].map(formatPair);
+
+  return {
+    mission: `Kamikaze Rip A.T.L.A.S. - ${phase === 'real' ? 'Fase Real (REAL)' : 'Fase de Calibración (DEMO)'}`,
+    phase,
+    pair: pairs.join(', '),
+    pairs,
+    duration: round(durationHours),
+    totalOperations: closed.length,
+    startTime: new Date(startTime).toISOString(),
+    endTime: new Date(endTime).toISOString(),
+    status: `${phase}_completed`,
+    errors,
+    summary: {
+      totalTrades: summary.trades,
+      winTrades: summary.wins,
+      lossTrades: summary.losses,
+      tieTrades: summary.ties,
+      winRate: summary.winRate,
+      initialBalance,
+      finalBalance: summary.finalBalance,
+      profit: round(summary.finalBalance - initialBalance),
+      maxDrawdown: performance.maxDrawdown,
+      maxDrawdownPct: performance.maxDrawdownPct,
+      sharpeRatio: performance.sharpeRatio,
+      sortinoRatio: performance.sortinoRatio,
+      profitFactor: performance.profitFactor,
+      expectancy: performance.expectancy,
+      maxLossStreak: streaks.maxLossStreak,
+    },
+    riskmap: {
+      isPaused: false,
+      lossesInRow: streaks.current.type === 'loss' ? streaks.current.length : 0,
+      tradeCount: closed.length,
+      maxLossStreak: streaks.maxLossStreak,
+      ...riskmapState,
+    },
+    compound: {
+      tradeCount: trades.length,
+      currentLotSize: stakes.length > 0 ? stakes[stakes.length - 1] : 0,
+      totalCompounds,
+      avgLotSize: stakes.length > 0 ? round(stakes.reduce((sum, s) => sum + s, 0) / stakes.length) : 0,
+      ...compoundState,
+    },
+    // Sin el estado de signalrank-ia solo se conocen las señales operadas; con él, las evaluadas,
+    // descartadas por motivo y su confianza media.
+    signalrank: {
+      totalSignals: scoredSignals.length,
+      avgConfidence: scoredSignals.length > 0
+        ? round(scoredSignals.reduce((sum, t) => sum + t.finalSignal.finalScore, 0) / scoredSignals.length, 4)
+        : 0,
+      bestSignal: bestSignal
+        ? { confidence: round(bestSignal.finalSignal.finalScore, 4), source: 'signalrank-ia', timestamp: bestSignal.placedAt }
+        : null,
+      ...signalrankState,
+    },
+    exec: {
+      tradeCount: trades.length,
+      operations: trades.map(t => ({
+        id: t.tradeId,
+        pair: formatPair(t.symbol),
+        action: t.direction,
+        amount: t.stake,
+        entryPrice: t.entryPrice,
+        exitPrice: t.exitPrice,
+        result: t.result || 'open',
+        profit: t.profit,
+        timestamp: t.placedAt,
+        duration: t.expiryAt ? Math.round((new Date(t.expiryAt) - new Date(t.placedAt)) / 1000) : null,
+      })),
+    },
+    modules: Object.fromEntries(Object.entries(otherModules).map(([name, moduleState]) => [
+      name,
+      { status: 'active', ...moduleState },
+    ])),
+  };
+}
+
+// === RENDERIZADO HTML ===
+
+function renderTable(object) {
+  const rows = Object.entries(object).map(([key, value]) => {
+    const display = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    return `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(display === null || display === undefined ? '—' : display)}</td></tr>`;
+  });
+  return `<table>${rows.join('')}</table>`;
+}
+
+/**
+ * Curva de capital en SVG a partir de las operaciones cerradas (sin dependencias externas).
+ */
+function renderEquityCurve(report) {
+  const balances = [report.summary.initialBalance];
+  report.exec.operations
+    .filter(op => typeof op.profit === 'number')
+    .forEach(op => balances.push(balances[balances.length - 1] + op.profit));
+  if (balances.length < 2) return '<p>Sin operaciones cerradas en el periodo.</p>';
+
+  const width = 600;
+  const height = 160;
+  const min = Math.min(...balances);
+  const range = Math.max(...balances) - min || 1;
+  const points = balances.map((balance, i) => {
+    const x = (i / (balances.length - 1)) * width;
+    const y = height - ((balance - min) / range) * height;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}" preserveAspectRatio="none">`
+    + `<polyline fill="none" stroke="#2a7ae2" stroke-width="2" points="${points.join(' ')}"/></svg>`;
+}
+
+/**
+ * Genera la versión HTML autocontenida del informe.
+ * @param {object} report - Informe construido con buildReport.
+ * @returns {string} Documento HTML.
+ */
+function renderHtml(report) {
+  const operations = report.exec.operations.map(op => `<tr class="${escapeHtml(op.result)}">`
+    + [op.timestamp, op.id, op.pair, op.action, op.amount, op.entryPrice, op.exitPrice, op.result, op.profit]
+      .map(value => `<td>${escapeHtml(value === null || value === undefined ? '—' : value)}</td>`).join('')
+    + '</tr>').join('');
+  const modules = Object.entries(report.modules)
+    .map(([name, moduleState]) => `<h3>${escapeHtml(name)}</h3>${renderTable(moduleState)}`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.mission)} - ${escapeHtml(report.startTime.slice(0, 10))}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 0.9em; }
+  th { background: #f4f4f4; }
+  tr.win td { background: #eefbea; }
+  tr.loss td { background: #fdecec; }
+  .errors { color: #b00020; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.mission)}</h1>
+<p>${escapeHtml(report.pair)} · ${escapeHtml(report.startTime)} → ${escapeHtml(report.endTime)} · ${escapeHtml(report.status)}</p>
+${report.errors.length > 0 ? `<ul class="errors">${report.errors.map(e => `<li>${escapeHtml(typeof e === 'string' ? e : JSON.stringify(e))}</li>`).join('')}</ul>` : ''}
+<h2>Resumen</h2>
+${renderTable(report.summary)}
+<h2>Curva de capital</h2>
+${renderEquityCurve(report)}
+<h2>Riesgo (riskmap)</h2>
+${renderTable(report.riskmap)}
+<h2>Gestión de capital (compound)</h2>
+${renderTable(report.compound)}
+<h2>Señales (signalrank)</h2>
+${renderTable(report.signalrank)}
+<h2>Operaciones (exec)</h2>
+<table>
+<tr><th>Fecha</th><th>ID</th><th>Par</th><th>Acción</th><th>Importe</th><th>Entrada</th><th>Salida</th><th>Resultado</th><th>P&amp;L</th></tr>
+${operations}
+</table>
+<h2>Módulos</h2>
+${modules || '<p>Sin información de módulos.</p>'}
+</body>
+</html>
+`;
+}
+
+// === GENERACIÓN ===
+
+/**
+ * Genera y escribe el informe JSON y HTML de un periodo.
+ * @param {object} [options]
+ * @param {string|Date} [options.from] - Inicio del periodo (por defecto, inicio del día UTC de `to`).
+ * @param {string|Date} [options.to] - Fin del periodo (por defecto, ahora).
+ * @param {object} [options.moduleStates] - Estado de cada módulo (ver buildReport).
+ * @param {Array} [options.errors] - Errores de la sesión.
+ * @param {string} [options.phase] - Fase del informe.
+ * @param {string[]} [options.symbols] - Símbolos vigilados (por defecto, WATCHLIST).
+ * @param {number} [options.initialBalance] - Capital al inicio del periodo.
+ * @param {string} [options.reportsDir] - Carpeta de salida.
+ * @returns {Promise<{report: object, jsonPath: string, htmlPath: string}>}
+ */
+async function generateReport(options = {}) {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(`${toDateKey(to)}T00:00:00.000Z`);
+  const phase = options.phase || config.phase;
+  const reportsDir = options.reportsDir || config.reportsDir;
+
+  const trades = await tradeJournal.queryTrades({ from, to });
+  const report = buildReport({
+    trades,
+    phase,
+    symbols: options.symbols,
+    initialBalance: options.initialBalance,
+    startTime: from,
+    endTime: to,
+    moduleStates: options.moduleStates,
+    errors: options.errors,
+  });
+
+  const baseName = `report-${phase}-${toDateKey(from)}`;
+  const jsonPath = path.join(reportsDir, `${baseName}.json`);
+  const htmlPath = path.join(reportsDir, `${baseName}.html`);
+  await fs.mkdir(reportsDir, { recursive: true });
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  await fs.writeFile(htmlPath, renderHtml(report));
+  logger.info(`Informe generado: ${jsonPath} (${report.totalOperations} operaciones cerradas).`);
+
+  return { report, jsonPath, htmlPath };
+}
+
+// Para generar el informe de un día concreto: node reporting/report-generator.js 2025-07-06
+if (require.main === module) {
+  const day = process.argv[2];
+  const options = day ? { from: `${day}T00:00:00.000Z`, to: `${day}T23:59:59.999Z` } : {};
+  Promise.all([tradeJournal.init(), bankroll.init()])
+    .then(() => generateReport({
+      ...options,
+      // Capital al inicio del día según el historial persistido del bot
+      initialBalance: bankroll.getBalanceAt(options.from || `${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`),
+    }))
+    .then(({ jsonPath, htmlPath }) => console.log(`Informe escrito en ${jsonPath} y ${htmlPath}`))
+    .catch(error => {
+      logger.error('No se pudo generar el informe.', error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  buildReport,
+  renderHtml,
+  generateReport,
+};
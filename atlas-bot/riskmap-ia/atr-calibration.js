@@ -0,0 +1,148 @@
+/**
+ * atr-calibration.js - Calibración de Umbrales de ATR por Símbolo para riskmap-ia
+ *
+ * Función:
+ * - Calcular la distribución histórica del ATR de cada símbolo y temporalidad.
+ * - Derivar bandas por percentiles: normal (stake por defecto), reducida (stake reducido) y bloqueada (no operar).
+ * - Guardar los perfiles en riskmap-ia/atr-profiles.json, que riskmap-ia carga al iniciar.
+ *
+ * Uso desde la línea de comandos: node riskmap-ia/atr-calibration.js [SIMBOLO:temporalidad ...]
+ * ej: node riskmap-ia/atr-calibration.js EURUSD:15min GBPUSD:15min
+ * Las velas se obtienen con el cargador de datos del backtester (caché local o Alpha Vantage).
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { computeIndicators } = require('../tech-ia/tech-ia');
+const { atrProfileKey } = require('./riskmap-ia');
+const { saveJsonFile, readJsonFile, fileExists, setupLogger } = require('../utils/helpers');
+
+// === CONFIGURACIÓN ===
+const config = {
+  profilesPath: process.env.ATR_PROFILES_FILE || path.join(__dirname, 'atr-profiles.json'),
+  atrPeriod: parseInt(process.env.ATR_CALIBRATION_PERIOD, 10) || 14,
+  // Por encima de este percentil el stake se reduce; por encima del segundo se bloquea la operación.
+  reducedPercentile: parseFloat(process.env.ATR_REDUCED_PERCENTILE) || 80,
+  blockedPercentile: parseFloat(process.env.ATR_BLOCKED_PERCENTILE) || 95,
+  // Mínimo de valores de ATR para que un perfil se considere fiable.
+  minSamples: parseInt(process.env.ATR_CALIBRATION_MIN_SAMPLES, 10) || 200,
+  defaultTargets: (process.env.ATR_CALIBRATION_TARGETS || 'EURUSD:15min').split(',').map(t => t.trim()).filter(Boolean),
+};
+
+const logger = setupLogger('atr-calibration', path.join(__dirname, 'logs', 'atr-calibration.log'));
+
+// === FUNCIONES AUXILIARES ===
+
+/**
+ * Percentil con interpolación lineal sobre un array ya ordenado de menor a mayor.
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// === API PÚBLICA ===
+
+/**
+ * Calcula el perfil de ATR de una serie de velas.
+ * @param {object} ohlcv - Velas con arrays { high, low, close }.
+ * @param {object} [options]
+ * @param {number} [options.atrPeriod] - Período del ATR.
+ * @param {number} [options.reducedPercentile] - Percentil a partir del cual el stake se reduce.
+ * @param {number} [options.blockedPercentile] - Percentil a partir del cual se bloquea la operación.
+ * @returns {{atrPeriod: number, samples: number, percentiles: object, reducedAbove: number, blockedAbove: number, calibratedAt: string}}
+ */
+function calibrateAtrProfile(ohlcv, {
+  atrPeriod = config.atrPeriod,
+  reducedPercentile = config.reducedPercentile,
+  blockedPercentile = config.blockedPercentile,
+} = {}) {
+  if (reducedPercentile >= blockedPercentile) {
+    throw new Error(`El percentil reducido (${reducedPercentile}) debe ser menor que el bloqueado (${blockedPercentile}).`);
+  }
+  const { series } = computeIndicators(ohlcv, { atrPeriod, series: true });
+  const values = (series.atr || []).filter(v => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+  if (values.length === 0) {
+    throw new Error(`No hay velas suficientes para calcular el ATR (período ${atrPeriod}).`);
+  }
+
+  return {
+    atrPeriod,
+    samples: values.length,
+    percentiles: Object.fromEntries([50, 75, 90, 95, 99].map(p => [`p${p}`, percentile(values, p)])),
+    reducedPercentile,
+    blockedPercentile,
+    reducedAbove: percentile(values, reducedPercentile),
+    blockedAbove: percentile(values, blockedPercentile),
+    calibratedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Carga los perfiles guardados. Devuelve {} si el archivo no existe o no se puede leer.
+ * @param {string} [profilesPath]
+ * @returns {Promise<Object<string, Object<string, object>>>} Perfiles por símbolo y temporalidad.
+ */
+async function loadAtrProfiles(profilesPath = config.profilesPath) {
+  if (!(await fileExists(profilesPath))) return {};
+  try {
+    return await readJsonFile(profilesPath);
+  } catch (error) {
+    logger.error(`No se pudieron leer los perfiles de ATR de ${profilesPath}.`, error);
+    return {};
+  }
+}
+
+/**
+ * Calibra y guarda los perfiles de varios símbolos/temporalidades, conservando los que ya existían.
+ * @param {object} params
+ * @param {Array<{symbol: string, timeframe: string}>} params.targets - Símbolos a calibrar.
+ * @param {function(string, string): Promise<object>} params.loadCandles - Devuelve las velas OHLCV de (symbol, timeframe).
+ * @param {string} [params.profilesPath] - Archivo de perfiles.
+ * @param {object} [params.options] - Opciones de calibrateAtrProfile.
+ * @returns {Promise<object>} Perfiles resultantes.
+ */
+async function runCalibration({ targets, loadCandles, profilesPath = config.profilesPath, options = {} }) {
+  const profiles = await loadAtrProfiles(profilesPath);
+
+  for (const { symbol, timeframe } of targets) {
+    try {
+      const profile = calibrateAtrProfile(await loadCandles(symbol, timeframe), options);
+      if (profile.samples < config.minSamples) {
+        logger.warn(`Perfil de ${symbol} ${timeframe} con solo ${profile.samples} valores de ATR (mínimo recomendado ${config.minSamples}).`);
+      }
+      profiles[symbol] = { ...profiles[symbol], [atrProfileKey(timeframe)]: profile };
+      logger.info(`ATR calibrado para ${symbol} ${timeframe}: reducido > ${profile.reducedAbove}, bloqueado > ${profile.blockedAbove} (${profile.samples} valores).`);
+    } catch (error) {
+      logger.error(`No se pudo calibrar el ATR de ${symbol} ${timeframe}.`, error);
+    }
+  }
+
+  await saveJsonFile(profilesPath, profiles);
+  return profiles;
+}
+
+// Para calibrar desde la línea de comandos: npm run calibrate:atr -- EURUSD:15min
+if (require.main === module) {
+  const { fetchHistoricalData } = require('../backtest/backtester');
+  const args = process.argv.slice(2);
+  const targets = (args.length > 0 ? args : config.defaultTargets).map(target => {
+    const [symbol, timeframe = '15min'] = target.split(':');
+    return { symbol: symbol.toUpperCase(), timeframe };
+  });
+  runCalibration({ targets, loadCandles: fetchHistoricalData })
+    .then(() => console.log(`Perfiles de ATR escritos en ${config.profilesPath}`))
+    .catch(error => {
+      logger.error('La calibración de ATR ha fallado.', error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  calibrateAtrProfile,
+  loadAtrProfiles,
+  runCalibration,
+};
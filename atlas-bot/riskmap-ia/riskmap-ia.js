@@ -4,13 +4,22 @@
  * Función:
  * - Evaluar el riesgo de una potencial operación ANTES de que se ejecute.
  * - Considerar la volatilidad del mercado (ATR) y los eventos de noticias de alto impacto.
+ *   El ATR se compara con las bandas por percentiles de cada símbolo/temporalidad (atr-profiles.json,
+ *   generado por atr-calibration.js); sin perfil se usa el umbral global MAX_ATR_THRESHOLD.
+ * - No permitir operar fuera de las sesiones del símbolo, en fin de semana, festivos o ventanas
+ *   de exclusión (session-scheduler).
  * - Determinar si una operación está permitida y recomendar el porcentaje de capital a arriesgar.
- * - Este módulo es stateless.
+ * - Actuar como cortacircuitos: seguir rachas de pérdidas, P&L diario y drawdown desde el pico,
+ *   y pausar la operativa cuando se superan los límites. El estado se persiste en riskmap-ia-state.json.
+ *   Cada pausa se publica en el bus de eventos (risk-paused).
  */
 
 require('dotenv').config();
 const path = require('path');
-const { setupLogger } = require('../utils/helpers');
+const { saveJsonFile, readJsonFile, fileExists, timeframeToMs, splitSymbol, setupLogger } = require('../utils/helpers');
+const clock = require('../utils/clock');
+const sessionScheduler = require('../session-scheduler/session-scheduler');
+const { eventBus, EVENTS } = require('../event-bus/event-bus');
 
 // === CONFIGURACIÓN ===
 const config = {
@@ -20,32 +29,369 @@ const config = {
   defaultRiskPct: parseFloat(process.env.MAX_RISK_PCT) || 1.0,
   // Porcentaje de riesgo reducido cuando la volatilidad es alta.
   reducedRiskPct: (parseFloat(process.env.MAX_RISK_PCT) || 1.0) / 2,
-  // Umbral de ATR (ej. en pips * 10) para considerar la volatilidad como alta.
-  // Este valor es muy dependiente del par y del timeframe, necesita calibración.
+  // Umbral global de ATR para considerar la volatilidad como alta. Solo se usa para los
+  // símbolos/temporalidades sin perfil calibrado en atr-profiles.json.
   maxAtrThreshold: parseFloat(process.env.MAX_ATR_THRESHOLD) || 150,
+  atrProfilesPath: process.env.ATR_PROFILES_FILE || path.join(__dirname, 'atr-profiles.json'),
+  // Cortacircuitos: pérdidas seguidas que provocan una pausa y duración de la pausa.
+  maxLossesInRow: parseInt(process.env.MAX_LOSSES_IN_ROW, 10) || 3,
+  pauseMinutes: parseInt(process.env.PAUSE_MINUTES, 10) || 60,
+  // Límites diarios en % del capital al inicio del día (UTC). Al alcanzarlos se pausa hasta el día siguiente.
+  dailyLossLimitPct: parseFloat(process.env.DAILY_LOSS_LIMIT_PCT) || 5,
+  dailyProfitTargetPct: parseFloat(process.env.DAILY_PROFIT_TARGET_PCT) || 10,
+  // Drawdown máximo (%) desde el pico de capital antes de pausar.
+  maxDrawdownPct: parseFloat(process.env.MAX_DRAWDOWN_PCT) || 15,
+  // Exposición: stake total abierto máximo (% del capital), operaciones abiertas por divisa
+  // y exposición direccional neta por divisa (cada operación aporta una pata larga y otra corta).
+  maxTotalExposurePct: parseFloat(process.env.MAX_TOTAL_EXPOSURE_PCT) || 5,
+  maxTradesPerCurrency: parseInt(process.env.MAX_TRADES_PER_CURRENCY, 10) || 3,
+  maxCurrencyExposure: parseInt(process.env.MAX_CURRENCY_EXPOSURE, 10) || 2,
+  // Reducción del stake cuando la operación lleva una divisa justo al límite de exposición correlacionada.
+  correlatedStakeFactor: parseFloat(process.env.CORRELATED_STAKE_FACTOR) || 0.5,
+  stateFilePath: path.join(__dirname, 'riskmap-ia-state.json'),
+  // Si es false el estado no se escribe en disco (backtests).
+  persist: true,
 };
 
 const logger = setupLogger('riskmap-ia', path.join(__dirname, 'logs', 'riskmap-ia.log'));
 
+// === ESTADO ===
+const MAX_PAUSE_HISTORY = 50;
+
+function createInitialState(balance = null) {
+  return {
+    isPaused: false,
+    pauseUntil: null,
+    pauseReason: null,
+    lossesInRow: 0,
+    maxLossStreak: 0,
+    tradeCount: 0,
+    day: null,
+    dayStartBalance: balance,
+    dailyPnl: 0,
+    balance,
+    peakBalance: balance,
+    drawdownPct: 0,
+    pauses: [],
+  };
+}
+
+let state = createInitialState();
+// Perfiles de ATR por símbolo y temporalidad (ver atr-calibration.js).
+let atrProfiles = {};
+
+/**
+ * Inicializa el módulo cargando el estado persistido.
+ * @param {object} [options]
+ * @param {number} [options.balance] - Capital actual; se usa si no hay estado previo.
+ * @param {boolean} [options.persist] - Si es false no se lee ni escribe el archivo de estado.
+ * @param {boolean} [options.reset] - Descarta el estado previo.
+ * @param {object} [options.state] - Estado a restaurar (ej. el de getState() guardado en el registro de decisiones);
+ *   sustituye al persistido.
+ * @param {object} [options.atrProfiles] - Perfiles de ATR a usar en lugar de los de atr-profiles.json.
+ */
+async function init(options = {}) {
+  if (options.persist !== undefined) config.persist = options.persist;
+  if (options.stateFilePath) config.stateFilePath = options.stateFilePath;
+  if (options.atrProfilesPath) config.atrProfilesPath = options.atrProfilesPath;
+  atrProfiles = options.atrProfiles || await loadAtrProfiles();
+
+  state = createInitialState(options.balance !== undefined ? options.balance : null);
+  if (options.state) state = { ...state, ...JSON.parse(JSON.stringify(options.state)) };
+  else if (!options.reset) await loadState();
+  if (state.balance === null && options.balance !== undefined) {
+    state.balance = options.balance;
+    state.peakBalance = options.balance;
+    state.dayStartBalance = options.balance;
+  }
+  logger.info(`RiskMap inicializado. ${state.isPaused ? `En pausa hasta ${state.pauseUntil}.` : 'Operativa activa.'}`);
+}
+
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Reinicia los contadores diarios al cambiar de día (UTC).
+ */
+function rollDay(now) {
+  const today = dayKey(now);
+  if (state.day === today) return;
+  state.day = today;
+  state.dailyPnl = 0;
+  state.dayStartBalance = state.balance;
+}
+
+/**
+ * Levanta la pausa si ya ha vencido. La racha de pérdidas se reinicia para no volver a pausar con el siguiente fallo.
+ * @returns {boolean} True si sigue en pausa.
+ */
+function refreshPause(now) {
+  if (state.isPaused && state.pauseUntil && now >= new Date(state.pauseUntil).getTime()) {
+    logger.info(`Pausa finalizada (${state.pauseReason}). Se reanuda la operativa.`);
+    state.isPaused = false;
+    state.pauseUntil = null;
+    state.pauseReason = null;
+    state.lossesInRow = 0;
+    if (config.persist) saveState().catch(error => logger.error('No se pudo guardar el estado de riesgo.', error));
+  }
+  return state.isPaused;
+}
+
+function pause(untilMs, reason, now) {
+  state.isPaused = true;
+  state.pauseUntil = new Date(untilMs).toISOString();
+  state.pauseReason = reason;
+  state.pauses.push({ at: new Date(now).toISOString(), until: state.pauseUntil, reason });
+  if (state.pauses.length > MAX_PAUSE_HISTORY) state.pauses.splice(0, state.pauses.length - MAX_PAUSE_HISTORY);
+  logger.warn(`Operativa pausada hasta ${state.pauseUntil}: ${reason}`);
+  eventBus.publish(EVENTS.RISK_PAUSED, { reason, until: state.pauseUntil });
+}
+
+/**
+ * Registra el resultado de una operación cerrada y activa el cortacircuitos si procede.
+ * @param {object} params
+ * @param {'win'|'loss'|'tie'} params.result - Resultado de la operación.
+ * @param {number} params.profit - Ganancia o pérdida.
+ * @param {number} [params.balance] - Capital tras la operación (si no, se acumula el profit).
+ * @param {number} [params.now] - Instante del cierre en ms (por defecto, ahora).
+ * @returns {Promise<object>} Copia del estado actualizado.
+ */
+async function recordTradeResult({ result, profit, balance, now = clock.now() }) {
+  rollDay(now);
+  refreshPause(now);
+
+  state.tradeCount++;
+  state.dailyPnl = Math.round((state.dailyPnl + profit) * 100) / 100;
+  state.balance = typeof balance === 'number' ? balance : (state.balance || 0) + profit;
+  state.peakBalance = Math.max(state.peakBalance !== null ? state.peakBalance : state.balance, state.balance);
+  state.drawdownPct = state.peakBalance > 0 ? ((state.peakBalance - state.balance) / state.peakBalance) * 100 : 0;
+
+  // Los empates no rompen ni alargan la racha.
+  if (result === 'loss') {
+    state.lossesInRow++;
+    state.maxLossStreak = Math.max(state.maxLossStreak, state.lossesInRow);
+  } else if (result === 'win') {
+    state.lossesInRow = 0;
+  }
+
+  if (!state.isPaused) {
+    const nextDayMs = new Date(`${state.day}T00:00:00.000Z`).getTime() + 86400000;
+    const dailyPnlPct = state.dayStartBalance > 0 ? (state.dailyPnl / state.dayStartBalance) * 100 : 0;
+
+    if (state.lossesInRow >= config.maxLossesInRow) {
+      pause(now + config.pauseMinutes * 60000, `${state.lossesInRow} pérdidas seguidas`, now);
+    } else if (dailyPnlPct <= -config.dailyLossLimitPct) {
+      pause(nextDayMs, `Límite de pérdida diaria alcanzado (${dailyPnlPct.toFixed(2)}%)`, now);
+    } else if (dailyPnlPct >= config.dailyProfitTargetPct) {
+      pause(nextDayMs, `Objetivo de beneficio diario alcanzado (${dailyPnlPct.toFixed(2)}%)`, now);
+    } else if (state.drawdownPct >= config.maxDrawdownPct) {
+      pause(now + config.pauseMinutes * 60000, `Drawdown desde el pico del ${state.drawdownPct.toFixed(2)}%`, now);
+    }
+  }
+
+  if (config.persist) await saveState();
+  return getState();
+}
+
+// === VOLATILIDAD (ATR) ===
+
+/**
+ * Clave normalizada de temporalidad para los perfiles ('15min', 'M15' y '15m' -> '15m').
+ */
+function atrProfileKey(timeframe) {
+  return `${timeframeToMs(timeframe) / 60000}m`;
+}
+
+/**
+ * Carga los perfiles de ATR calibrados. Sin archivo, todos los símbolos usan el umbral global.
+ */
+async function loadAtrProfiles() {
+  if (!(await fileExists(config.atrProfilesPath))) return {};
+  try {
+    const profiles = await readJsonFile(config.atrProfilesPath);
+    logger.info(`Perfiles de ATR cargados para: ${Object.keys(profiles).join(', ') || 'ninguno'}.`);
+    return profiles;
+  } catch (error) {
+    logger.error('No se pudieron cargar los perfiles de ATR. Se usará el umbral global.', error);
+    return {};
+  }
+}
+
+/**
+ * Clasifica el ATR actual según el perfil calibrado del símbolo y la temporalidad.
+ * @returns {{level: 'normal'|'reduced'|'blocked', reason: string|null}}
+ */
+function classifyAtr({ atr, symbol, timeframe }) {
+  if (typeof atr !== 'number' || !Number.isFinite(atr)) return { level: 'normal', reason: null };
+
+  let profile = null;
+  if (symbol && timeframe && atrProfiles[symbol]) {
+    try {
+      profile = atrProfiles[symbol][atrProfileKey(timeframe)] || null;
+    } catch (error) {
+      logger.warn(`Temporalidad no válida para el perfil de ATR: ${timeframe}.`);
+    }
+  }
+
+  if (!profile) {
+    return atr > config.maxAtrThreshold
+      ? { level: 'reduced', reason: `Volatilidad alta detectada (ATR: ${atr.toFixed(2)} > ${config.maxAtrThreshold}). Stake reducido.` }
+      : { level: 'normal', reason: null };
+  }
+  if (atr > profile.blockedAbove) {
+    return {
+      level: 'blocked',
+      reason: `Volatilidad extrema en ${symbol} ${timeframe} (ATR ${atr} > P${profile.blockedPercentile} = ${profile.blockedAbove}).`,
+    };
+  }
+  if (atr > profile.reducedAbove) {
+    return {
+      level: 'reduced',
+      reason: `Volatilidad alta en ${symbol} ${timeframe} (ATR ${atr} > P${profile.reducedPercentile} = ${profile.reducedAbove}). Stake reducido.`,
+    };
+  }
+  return { level: 'normal', reason: null };
+}
+
+// === EXPOSICIÓN Y CORRELACIÓN ===
+
+/**
+ * Exposición direccional por divisa: un CALL en EURUSD es largo EUR (+1) y corto USD (-1); un PUT, al revés.
+ * @param {Array<{symbol: string, direction: 'CALL'|'PUT'}>} trades - Operaciones abiertas.
+ * @returns {Object<string, {net: number, trades: number}>} Exposición neta y número de operaciones por divisa.
+ */
+function computeCurrencyExposure(trades) {
+  const exposure = {};
+  trades.forEach(trade => {
+    const currencies = splitSymbol(trade.symbol);
+    if (!currencies || (trade.direction !== 'CALL' && trade.direction !== 'PUT')) return;
+    const sign = trade.direction === 'CALL' ? 1 : -1;
+    currencies.forEach((currency, i) => {
+      exposure[currency] = exposure[currency] || { net: 0, trades: 0 };
+      exposure[currency].net += i === 0 ? sign : -sign;
+      exposure[currency].trades++;
+    });
+  });
+  return exposure;
+}
+
+/**
+ * Comprueba los límites de exposición de la operación propuesta frente a las abiertas.
+ * @returns {{allowed: boolean, stakeFactor: number, reason: string|null, room: number|null}} stakeFactor < 1 reduce el stake;
+ *   room es el stake que aún cabe bajo el límite de exposición total (null si no se conoce el capital).
+ */
+function checkExposure({ signal, openTrades, balance, stakePct }) {
+  // Las huérfanas ('orphaned') ya no están abiertas en el broker: no suman exposición.
+  const trades = openTrades.filter(t => t.status === undefined || t.status === 'open');
+
+  let stakeFactor = 1;
+  let reason = null;
+  let room = null;
+
+  // 1. Stake total abierto
+  if (typeof balance === 'number' && balance > 0) {
+    const openStake = trades.reduce((sum, t) => sum + (t.stake || 0), 0);
+    const maxStake = balance * (config.maxTotalExposurePct / 100);
+    room = maxStake - openStake;
+    if (room <= 0) {
+      return {
+        allowed: false,
+        stakeFactor: 0,
+        room: 0,
+        reason: `Exposición total al límite: ${openStake.toFixed(2)} abiertos de ${maxStake.toFixed(2)} permitidos (${config.maxTotalExposurePct}% del capital).`,
+      };
+    }
+    const proposedStake = balance * (stakePct / 100);
+    if (proposedStake > room) {
+      stakeFactor = room / proposedStake;
+      reason = `Stake reducido a ${room.toFixed(2)} para no superar la exposición total (${config.maxTotalExposurePct}% del capital).`;
+    }
+  }
+
+  // 2. Operaciones y exposición correlacionada por divisa
+  if (!signal || !splitSymbol(signal.symbol)) return { allowed: true, stakeFactor, reason, room };
+  const before = computeCurrencyExposure(trades);
+  const after = computeCurrencyExposure([...trades, signal]);
+
+  let correlated = false;
+  for (const currency of splitSymbol(signal.symbol)) {
+    const { net, trades: count } = after[currency];
+    const side = net > 0 ? 'larga' : 'corta';
+    if (count > config.maxTradesPerCurrency) {
+      return {
+        allowed: false,
+        stakeFactor: 0,
+        room,
+        reason: `Demasiadas operaciones abiertas con ${currency}: ${count} superaría el máximo de ${config.maxTradesPerCurrency}.`,
+      };
+    }
+    // Solo cuenta si la operación aumenta la exposición neta en esa divisa.
+    const increases = Math.abs(net) > Math.abs(before[currency] ? before[currency].net : 0);
+    if (increases && Math.abs(net) > config.maxCurrencyExposure) {
+      return {
+        allowed: false,
+        stakeFactor: 0,
+        room,
+        reason: `Exposición correlacionada excesiva: ${currency} quedaría ${Math.abs(net)} veces ${side} (máximo ${config.maxCurrencyExposure}).`,
+      };
+    }
+    if (increases && Math.abs(net) === config.maxCurrencyExposure && Math.abs(net) > 1 && !correlated) {
+      correlated = true;
+      stakeFactor *= config.correlatedStakeFactor;
+      const correlatedReason = `Exposición correlacionada: ${currency} quedaría ${Math.abs(net)} veces ${side}. Stake reducido.`;
+      reason = reason ? `${reason} ${correlatedReason}` : correlatedReason;
+    }
+  }
+  return { allowed: true, stakeFactor, reason, room };
+}
+
 /**
  * Evalúa el riesgo de una operación propuesta basándose en las condiciones del mercado.
  *
  * @param {object} assessmentParams - Parámetros para la evaluación.
- * @param {object} assessmentParams.signal - La señal de trading propuesta. (Actualmente no se usa, pero se pasa para futuro)
+ * @param {{symbol: string, direction: 'CALL'|'PUT'}} [assessmentParams.signal] - La operación propuesta, para los límites de exposición.
+ * @param {Array} [assessmentParams.openTrades] - Operaciones abiertas ({ symbol, direction, stake }).
+ * @param {number} [assessmentParams.balance] - Capital actual (por defecto, el último registrado).
+ * @param {string} [assessmentParams.symbol] - Símbolo evaluado (por defecto, el de la señal); selecciona el perfil de ATR
+ *   y las sesiones permitidas.
+ * @param {string} [assessmentParams.timeframe] - Temporalidad de los indicadores; selecciona el perfil de ATR.
  * @param {Array} assessmentParams.upcomingEvents - Array de eventos de noticias de alto impacto.
  * @param {object} assessmentParams.indicators - Objeto con los valores de los indicadores técnicos.
  * @param {number} assessmentParams.indicators.atr - Valor actual del Average True Range (ATR).
+ * @param {number} [assessmentParams.now] - Instante de la evaluación en ms (por defecto, ahora).
  *
- * @returns {{allowed: boolean, reason: string, recommendedStakePct: number}} - El resultado de la evaluación de riesgo.
+ * @returns {{allowed: boolean, reason: string, recommendedStakePct: number, maxStake?: number|null, atrLevel?: string}} - El resultado
+ *   de la evaluación de riesgo. `maxStake` es el stake máximo que cabe bajo el límite de exposición total (null si no se conoce el capital).
  */
-function assessRisk({ signal, upcomingEvents, indicators }) {
-  const now = new Date();
+function assessRisk({
+  signal, openTrades = [], balance = state.balance, symbol = signal ? signal.symbol : undefined, timeframe,
+  upcomingEvents, indicators, now = clock.now(),
+}) {
+  // 0. Cortacircuitos: no se opera mientras dure una pausa.
+  if (refreshPause(now)) {
+    return {
+      allowed: false,
+      reason: `Operación denegada: operativa en pausa hasta ${state.pauseUntil} (${state.pauseReason}).`,
+      recommendedStakePct: 0,
+    };
+  }
+
+  // Fuera de horario (sesiones del símbolo, fin de semana, festivos, exclusiones) tampoco.
+  if (symbol) {
+    const schedule = sessionScheduler.isTradingAllowed(symbol, now);
+    if (!schedule.allowed) {
+      const reason = `Operación denegada: ${schedule.reason}`;
+      logger.info(reason);
+      return { allowed: false, reason, recommendedStakePct: 0 };
+    }
+  }
 
   // 1. Comprobar ventana de noticias de alto impacto
   if (upcomingEvents && upcomingEvents.length > 0) {
     for (const event of upcomingEvents) {
       const eventTime = new Date(event.timeUTC);
-      const diffMinutes = Math.abs((eventTime - now) / (1000 * 60));
+      const diffMinutes = Math.abs((eventTime.getTime() - now) / (1000 * 60));
 
       if (diffMinutes <= config.newsWindowMinutes) {
         const reason = `Operación denegada: Noticia de alto impacto "${event.event}" para ${event.currency} en ${diffMinutes.toFixed(1)} minutos.`;
@@ -59,24 +405,89 @@ function assessRisk({ signal, upcomingEvents, indicators }) {
     }
   }
 
-  // 2. Comprobar volatilidad excesiva (ATR)
+  // 2. Comprobar volatilidad excesiva (ATR): normal, reducida o bloqueada
   let recommendedStakePct = config.defaultRiskPct;
   let reason = 'Riesgo normal. Stake por defecto.';
 
-  if (indicators && indicators.atr && indicators.atr > config.maxAtrThreshold) {
+  const atrLevel = classifyAtr({ atr: indicators ? indicators.atr : undefined, symbol, timeframe });
+  if (atrLevel.level === 'blocked') {
+    const denial = `Operación denegada: ${atrLevel.reason}`;
+    logger.warn(denial);
+    return { allowed: false, reason: denial, recommendedStakePct: 0, atrLevel: atrLevel.level };
+  }
+  if (atrLevel.level === 'reduced') {
     recommendedStakePct = config.reducedRiskPct;
-    reason = `Volatilidad alta detectada (ATR: ${indicators.atr.toFixed(2)} > ${config.maxAtrThreshold}). Stake reducido.`;
+    reason = atrLevel.reason;
     logger.warn(reason);
   }
 
-  // 3. Si todas las comprobaciones pasan, la operación está permitida.
+  // 3. Límites de exposición total y por divisa (pueden denegar o reducir el stake)
+  const exposure = checkExposure({ signal, openTrades, balance, stakePct: recommendedStakePct });
+  if (!exposure.allowed) {
+    const denial = `Operación denegada: ${exposure.reason}`;
+    logger.warn(denial);
+    return { allowed: false, reason: denial, recommendedStakePct: 0, atrLevel: atrLevel.level };
+  }
+  if (exposure.stakeFactor < 1) {
+    recommendedStakePct = Math.round(recommendedStakePct * exposure.stakeFactor * 10000) / 10000;
+    reason = `${reason} ${exposure.reason}`;
+    logger.warn(exposure.reason);
+  }
+
+  // 4. Si todas las comprobaciones pasan, la operación está permitida. El stake que calcule compound-logic
+  // (que según la estrategia puede no ser el porcentaje recomendado) no debe superar maxStake.
   return {
     allowed: true,
     reason,
     recommendedStakePct,
+    maxStake: exposure.room !== null ? Math.floor(exposure.room * 100) / 100 : null,
+    atrLevel: atrLevel.level,
   };
 }
 
+/**
+ * Carga el estado desde riskmap-ia-state.json
+ */
+async function loadState() {
+  if (!config.persist || !(await fileExists(config.stateFilePath))) return;
+  try {
+    const loadedState = await readJsonFile(config.stateFilePath);
+    state = { ...state, ...loadedState };
+    logger.info(`Estado de riesgo cargado. ${state.lossesInRow} pérdidas seguidas, P&L diario ${state.dailyPnl}.`);
+  } catch (error) {
+    logger.error('No se pudo cargar el estado de riesgo.', error);
+  }
+}
+
+/**
+ * Guarda el estado en riskmap-ia-state.json
+ */
+async function saveState() {
+  await saveJsonFile(config.stateFilePath, state);
+}
+
+function getState() {
+  return { ...state, pauses: [...state.pauses] };
+}
+
+/**
+ * Perfiles de ATR en uso (copia), para guardarlos junto a la decisión y poder reproducirla.
+ * @param {string[]} [symbols] - Símbolos a incluir. Por defecto, todos.
+ * @returns {object}
+ */
+function getAtrProfiles(symbols) {
+  const profiles = symbols
+    ? Object.fromEntries(symbols.filter(symbol => atrProfiles[symbol]).map(symbol => [symbol, atrProfiles[symbol]]))
+    : atrProfiles;
+  return JSON.parse(JSON.stringify(profiles));
+}
+
 module.exports = {
+  init,
   assessRisk,
+  recordTradeResult,
+  computeCurrencyExposure,
+  atrProfileKey,
+  getState,
+  getAtrProfiles,
 };
@@ -11,6 +11,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
 const axios = require('axios');
+const cheerio = require('cheerio');
 const natural = require('natural');
 const { SentimentAnalyzer, PorterStemmer } = natural;
 const analyzer = new SentimentAnalyzer('English', PorterStemmer, 'afinn');
@@ -197,7 +198,8 @@ function analyzeSentiment() {
     state.confidence = 0.5;
   }
 
-  await saveState();
+  // El análisis es síncrono: el estado se guarda sin esperar (saveState registra sus propios errores).
+  saveState();
   logger.info(`📊 Sent-IA: Sentimiento ${state.sentiment} (${(state.confidence * 100).toFixed(1)}% confianza).`);
 }
 
@@ -212,23 +214,27 @@ function getCurrentSentiment() {
 }
 
 // === ACTUALIZAR DATOS ===
+// Devuelve true si los datos se actualizaron.
 async function updateData() {
   try {
     await fetchRecentNews();
     analyzeSentiment();
+    return true;
   } catch (error) {
     logger.error(`❌ Error al actualizar datos: ${error.message}`);
+    return false;
   }
 }
 
 // === INICIALIZAR MÓDULO ===
-async function initSentIA() {
+// Con autoUpdate: false no se programa la actualización periódica (la hace quien use el módulo).
+async function initSentIA({ autoUpdate = true } = {}) {
   await loadState();
   await updateData();
   logger.info('🟢 Sent-IA: Módulo de análisis de sentimiento iniciado.');
 
   // Actualizar datos periódicamente
-  setInterval(updateData, config.CHECK_INTERVAL);
+  if (autoUpdate) setInterval(updateData, config.CHECK_INTERVAL);
 }
 
 // === EXPORTAR MÓDULO ===
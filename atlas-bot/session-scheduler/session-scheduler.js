@@ -0,0 +1,235 @@
+/**
+ * session-scheduler.js - Planificador de Sesiones de Mercado para A.T.L.A.S.
+ *
+ * Función:
+ * - Conocer las sesiones de Sídney, Tokio, Londres y Nueva York en su zona horaria local
+ *   (con sus cambios de horario de verano, vía Intl).
+ * - Bloquear la operativa durante el fin de semana del mercado forex, los festivos y las
+ *   ventanas de exclusión definidas por el usuario (ej. el rollover diario).
+ * - Centralizar qué sesiones permite cada símbolo.
+ *
+ * La configuración del usuario (símbolos, festivos y ventanas de exclusión) vive en
+ * session-scheduler/trading-calendar.json y se fusiona sobre los valores por defecto.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { readJsonFile, fileExists, setupLogger, splitSymbol } = require('../utils/helpers');
+const clock = require('../utils/clock');
+
+// === CONFIGURACIÓN ===
+const config = {
+  calendarFilePath: process.env.SESSION_CALENDAR_FILE || path.join(__dirname, 'trading-calendar.json'),
+};
+
+const logger = setupLogger('session-scheduler', path.join(__dirname, 'logs', 'session-scheduler.log'));
+
+// Horarios en hora local de cada plaza. Las ventanas pueden cruzar la medianoche (close < open).
+const DEFAULT_CALENDAR = {
+  // Zona horaria por defecto de los festivos y de las ventanas sin zona propia.
+  timezone: 'UTC',
+  sessions: {
+    sydney: { timezone: 'Australia/Sydney', open: '07:00', close: '16:00' },
+    tokyo: { timezone: 'Asia/Tokyo', open: '09:00', close: '18:00' },
+    london: { timezone: 'Europe/London', open: '08:00', close: '17:00' },
+    newYork: { timezone: 'America/New_York', open: '08:00', close: '17:00' },
+  },
+  // El mercado forex cierra el viernes a las 17:00 de Nueva York y abre el domingo a la misma hora (0 = domingo).
+  weekend: { timezone: 'America/New_York', close: { day: 5, time: '17:00' }, open: { day: 0, time: '17:00' } },
+  // Sesiones permitidas por símbolo; 'default' se aplica a los símbolos no listados.
+  symbols: { default: ['sydney', 'tokyo', 'london', 'newYork'] },
+  // [{ date: 'YYYY-MM-DD', name, currencies?: ['USD'], timezone? }]
+  holidays: [],
+  // Recurrentes: { name, start: 'HH:MM', end: 'HH:MM', timezone?, days?: [1..5], symbols? }
+  // Puntuales: { name, from: ISO, to: ISO, symbols? }
+  blackouts: [],
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTES_PER_DAY = 24 * 60;
+
+let calendar = DEFAULT_CALENDAR;
+
+// === FUNCIONES AUXILIARES ===
+
+const formatters = new Map();
+
+/**
+ * Fecha, día de la semana y minuto del día de un instante en una zona horaria IANA.
+ * @returns {{date: string, weekday: number, minutes: number}}
+ */
+function zonedParts(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(time)).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+  };
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match) throw new Error(`Hora no válida en el calendario de sesiones: ${value}`);
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Comprueba si un minuto cae en la ventana [start, end), que puede dar la vuelta al final del ciclo.
+ */
+function isWithin(minutes, start, end) {
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function appliesToSymbol(entry, symbol) {
+  if (entry.symbols && !entry.symbols.includes(symbol)) return false;
+  if (entry.currencies) return (splitSymbol(symbol) || []).some(c => entry.currencies.includes(c));
+  return true;
+}
+
+/**
+ * Valida zonas horarias y horas del calendario para fallar al arrancar y no en mitad de un ciclo.
+ */
+function validateCalendar(candidate) {
+  const zones = [
+    candidate.timezone,
+    candidate.weekend.timezone,
+    ...Object.values(candidate.sessions).map(s => s.timezone),
+    ...candidate.holidays.map(h => h.timezone),
+    ...candidate.blackouts.map(b => b.timezone),
+  ].filter(Boolean);
+  zones.forEach(zone => zonedParts(0, zone)); // Lanza RangeError si la zona no existe
+  Object.values(candidate.sessions).forEach(s => { parseClock(s.open); parseClock(s.close); });
+  candidate.blackouts.filter(b => !b.from).forEach(b => { parseClock(b.start); parseClock(b.end); });
+  Object.entries(candidate.symbols).forEach(([symbol, sessions]) => {
+    const unknown = sessions.filter(name => !candidate.sessions[name]);
+    if (unknown.length > 0) throw new Error(`Sesiones desconocidas para ${symbol}: ${unknown.join(', ')}`);
+  });
+}
+
+// === API PÚBLICA ===
+
+/**
+ * Carga el calendario de sesiones.
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Calendario a usar en lugar del archivo (se fusiona sobre los valores por defecto).
+ * @param {string} [options.calendarFilePath] - Ruta del archivo de calendario.
+ */
+async function init(options = {}) {
+  if (options.calendarFilePath) config.calendarFilePath = options.calendarFilePath;
+
+  let overrides = options.calendar || {};
+  if (!options.calendar && await fileExists(config.calendarFilePath)) {
+    overrides = await readJsonFile(config.calendarFilePath);
+  }
+  const candidate = {
+    ...DEFAULT_CALENDAR,
+    ...overrides,
+    sessions: { ...DEFAULT_CALENDAR.sessions, ...overrides.sessions },
+    symbols: { ...DEFAULT_CALENDAR.symbols, ...overrides.symbols },
+  };
+  validateCalendar(candidate);
+  calendar = candidate;
+  logger.info(`Calendario de sesiones cargado: ${calendar.holidays.length} festivos, ${calendar.blackouts.length} ventanas de exclusión.`);
+}
+
+/**
+ * Sesiones abiertas en un instante dado.
+ * @param {number} [now] - Instante en ms.
+ * @returns {string[]} Nombres de las sesiones abiertas.
+ */
+function getActiveSessions(now = clock.now()) {
+  return Object.entries(calendar.sessions)
+    .filter(([, session]) => isWithin(zonedParts(now, session.timezone).minutes, parseClock(session.open), parseClock(session.close)))
+    .map(([name]) => name);
+}
+
+/**
+ * Sesiones permitidas para un símbolo.
+ */
+function getSymbolSessions(symbol) {
+  return calendar.symbols[symbol] || calendar.symbols.default;
+}
+
+function isWeekend(now) {
+  const { timezone, close, open } = calendar.weekend;
+  const { weekday, minutes } = zonedParts(now, timezone);
+  const weekMinute = weekday * MINUTES_PER_DAY + minutes;
+  return isWithin(
+    weekMinute,
+    close.day * MINUTES_PER_DAY + parseClock(close.time),
+    open.day * MINUTES_PER_DAY + parseClock(open.time)
+  );
+}
+
+function findHoliday(symbol, now) {
+  return calendar.holidays.find(holiday => appliesToSymbol(holiday, symbol)
+    && zonedParts(now, holiday.timezone || calendar.timezone).date === holiday.date);
+}
+
+function findBlackout(symbol, now) {
+  return calendar.blackouts.find(blackout => {
+    if (!appliesToSymbol(blackout, symbol)) return false;
+    if (blackout.from) {
+      return now >= new Date(blackout.from).getTime() && now < new Date(blackout.to).getTime();
+    }
+    const { weekday, minutes } = zonedParts(now, blackout.timezone || calendar.timezone);
+    if (blackout.days && !blackout.days.includes(weekday)) return false;
+    return isWithin(minutes, parseClock(blackout.start), parseClock(blackout.end));
+  });
+}
+
+/**
+ * Indica si se puede abrir una operación en un símbolo en un instante dado.
+ * Orden de comprobación: fin de semana, festivos, ventanas de exclusión y sesiones del símbolo.
+ * @param {string} symbol - Símbolo, ej: 'EURUSD'.
+ * @param {number} [now] - Instante en ms.
+ * @returns {{allowed: boolean, reason: string|null, sessions: string[]}} sessions: sesiones permitidas abiertas.
+ */
+function isTradingAllowed(symbol, now = clock.now()) {
+  if (isWeekend(now)) {
+    return { allowed: false, reason: 'Mercado cerrado (fin de semana).', sessions: [] };
+  }
+  const holiday = findHoliday(symbol, now);
+  if (holiday) {
+    return { allowed: false, reason: `Festivo: ${holiday.name || holiday.date}.`, sessions: [] };
+  }
+  const blackout = findBlackout(symbol, now);
+  if (blackout) {
+    return { allowed: false, reason: `Ventana de exclusión: ${blackout.name || 'sin nombre'}.`, sessions: [] };
+  }
+  const allowedSessions = getSymbolSessions(symbol);
+  const sessions = getActiveSessions(now).filter(name => allowedSessions.includes(name));
+  if (sessions.length === 0) {
+    return { allowed: false, reason: `Fuera de las sesiones permitidas para ${symbol} (${allowedSessions.join(', ')}).`, sessions };
+  }
+  return { allowed: true, reason: null, sessions };
+}
+
+function getState(now = clock.now()) {
+  return {
+    calendarFile: config.calendarFilePath,
+    activeSessions: getActiveSessions(now),
+    holidays: calendar.holidays.length,
+    blackouts: calendar.blackouts.length,
+  };
+}
+
+module.exports = {
+  init,
+  isTradingAllowed,
+  getActiveSessions,
+  getSymbolSessions,
+  getState,
+};
@@ -2,110 +2,613 @@
  * signalrank-ia.js - Módulo de Ranking de Señales y Decisión (Versión Refactorizada)
  *
  * Función:
- * - Combinar las puntuaciones de múltiples módulos de análisis en una única puntuación final.
- * - Aplicar una fórmula de ponderación configurable.
- * - Implementar lógica de cooldown y de-duplicación para evitar sobreoperar.
- * - Este módulo es stateless.
+ * - Combinar las señales de cualquier número de fuentes (tech, sent, pred, geo-usa, geo-eur, vol...)
+ *   en una única dirección y puntuación final.
+ * - Todas las señales se normalizan a un esquema común:
+ *   { source, direction: 'CALL'|'PUT'|'HOLD', score: 0..1, timestamp (ms), ttl (ms), penalty?, blocked? }
+ *   Las señales caducadas (timestamp + ttl) se descartan. `penalty` (0..1) es opcional y lo usan
+ *   las fuentes moduladoras como vol, que no votan dirección. `blocked` lo usan las fuentes de bloqueo
+ *   como news: ni votan ni penalizan, porque el orquestador descarta la operación antes de puntuarla.
+ * - Estrategias de fusión seleccionables (SIGNAL_FUSION_STRATEGY): 'weighted', 'majority',
+ *   'unanimous', 'veto' y 'learned'.
+ * - Ordenar las oportunidades de varios símbolos para quedarse con las mejores de cada ciclo.
+ * - Implementar lógica de cooldown y de-duplicación para evitar sobreoperar. El reloj del cooldown
+ *   (última operación por par y dirección) lo lleva el propio módulo.
+ * - Llevar estadísticas de las señales evaluadas (filtradas por motivo, confianza media e historial)
+ *   en signalrank-ia-state.json, que leen los dashboards.
+ * - Aprender los pesos de cada fuente a partir del resultado de las operaciones cerradas (acierto por fuente),
+ *   con límites de peso y un mínimo de muestras, y persistir su evolución en signalrank-ia-state.json.
  */
 
 require('dotenv').config();
+const path = require('path');
+const { saveJsonFile, readJsonFile, fileExists, setupLogger } = require('../utils/helpers');
+const clock = require('../utils/clock');
 
 // === CONFIGURACIÓN ===
 const config = {
-  // Pesos para cada fuente de señal. La suma no tiene por qué ser 1.
+  // Pesos para cada fuente de señal. La suma no tiene por qué ser 1: se normaliza con las fuentes presentes.
   weights: {
     tech: parseFloat(process.env.WEIGHT_TECH) || 0.5,
     sent: parseFloat(process.env.WEIGHT_SENT) || 0.2,
     pred: parseFloat(process.env.WEIGHT_PRED) || 0.2,
+    'geo-usa': parseFloat(process.env.WEIGHT_GEO_USA) || 0.1,
+    'geo-eur': parseFloat(process.env.WEIGHT_GEO_EUR) || 0.1,
+    // Peso de las fuentes sin peso propio.
+    default: parseFloat(process.env.WEIGHT_DEFAULT) || 0.1,
     // La volatilidad no es una señal, sino un penalizador.
     volatilityPenalty: parseFloat(process.env.WEIGHT_VOL_PENALTY) || 0.1,
   },
+  fusionStrategy: process.env.SIGNAL_FUSION_STRATEGY || 'weighted',
+  // Estrategia 'veto': fuentes con dirección que anulan la operación si apuntan en contra con al menos vetoMinScore.
+  vetoSources: (process.env.SIGNAL_VETO_SOURCES || 'geo-usa,geo-eur').split(',').map(s => s.trim()).filter(Boolean),
+  vetoMinScore: parseFloat(process.env.SIGNAL_VETO_MIN_SCORE) || 0.6,
+  // Vigencia por defecto de una señal sin ttl propio.
+  defaultTtlMs: parseInt(process.env.SIGNAL_TTL_MS, 10) || 15 * 60 * 1000,
   // Umbral mínimo para considerar una operación.
   minSignalScore: parseFloat(process.env.MIN_SIGNAL_SCORE) || 0.7,
   // Minutos a esperar antes de abrir otra operación en el mismo par y dirección.
   cooldownMinutes: parseInt(process.env.COOLDOWN_MINUTES, 10) || 15,
+  // Aprendizaje de pesos: límites, operaciones mínimas por fuente, ventana de resultados e historial.
+  learning: {
+    minWeight: parseFloat(process.env.SIGNAL_WEIGHT_MIN) || 0.05,
+    maxWeight: parseFloat(process.env.SIGNAL_WEIGHT_MAX) || 1,
+    minSamples: parseInt(process.env.SIGNAL_WEIGHT_MIN_SAMPLES, 10) || 30,
+    window: parseInt(process.env.SIGNAL_WEIGHT_WINDOW, 10) || 200,
+    historyLimit: parseInt(process.env.SIGNAL_WEIGHT_HISTORY_LIMIT, 10) || 500,
+  },
+  // Puntuaciones recientes que se conservan para la confianza media.
+  confidenceHistoryLimit: parseInt(process.env.SIGNAL_CONFIDENCE_HISTORY_LIMIT, 10) || 100,
+  stateFilePath: path.join(__dirname, 'signalrank-ia-state.json'),
+  // Si es false el estado no se lee ni escribe en disco (backtests).
+  persist: true,
+};
+
+const logger = setupLogger('signalrank-ia', path.join(__dirname, 'logs', 'signalrank-ia.log'));
+
+// === ESTADO ===
+// Operaciones abiertas pendientes de resultado que se conservan como máximo.
+const MAX_PENDING_TRADES = 100;
+// Motivos por los que una señal no llega a operarse.
+const REJECTION_REASONS = ['fusion', 'dedupe', 'cooldown', 'belowThreshold'];
+
+function createInitialState() {
+  return {
+    // Señales evaluadas, las que superan todos los filtros y las descartadas.
+    totalSignals: 0,
+    acceptedSignals: 0,
+    filteredOut: 0,
+    // Descartes por motivo: sin dirección tras la fusión, operación abierta, cooldown o bajo el umbral.
+    rejections: Object.fromEntries(REJECTION_REASONS.map(reason => [reason, 0])),
+    // Puntuación de las señales con dirección más recientes y su media.
+    confidenceHistory: [],
+    avgConfidence: 0,
+    // Reloj del cooldown: { 'EURUSD-CALL': timestamp (ms) de la última operación }
+    lastTradeTimes: {},
+    updatedAt: null,
+    // Pesos por fuente de la estrategia 'learned'. Null hasta que alguna fuente tiene muestras suficientes.
+    learnedWeights: null,
+    // Aportación de cada fuente a las operaciones abiertas: { [tradeId]: { time, direction, signals: [{ source, direction, score }] } }
+    pendingTrades: {},
+    // Resultados recientes por fuente (1 = acertó la dirección, 0 = falló): { [source]: [1, 0, ...] }
+    sourceOutcomes: {},
+    // Evolución de los pesos: { time, tradeId, reason: 'learned'|'manual', weights, samples }
+    weightHistory: [],
+  };
+}
+
+let state = createInitialState();
+// Cola de guardado: cada escritura espera a la anterior para no pisarla.
+let saveQueue = Promise.resolve();
+// Estadísticas de getFinalScore pendientes de guardar (se guardan con saveStats, una vez por ciclo).
+let dirty = false;
+
+// === NORMALIZACIÓN DE SEÑALES ===
+
+function toDirection(value) {
+  return value === 'CALL' || value === 'PUT' ? value : 'HOLD';
+}
+
+function clampScore(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+}
+
+/**
+ * Convierte la salida de un módulo al esquema común de señal.
+ * Acepta el propio esquema y los formatos de los módulos: { direction|action, score|confidence },
+ * sent-ia ({ sentiment, confidence }), vol-ia ({ volatility, confidence }) y news ({ blocked, event }).
+ * @param {string} source - Nombre de la fuente, ej: 'tech', 'geo-usa'.
+ * @param {object} raw - Señal del módulo.
+ * @param {number} [now] - Instante de referencia para las señales sin timestamp.
+ * @returns {{source: string, direction: string, score: number, timestamp: number, ttl: number, penalty?: number, blocked?: boolean}|null}
+ */
+function normalizeSignal(source, raw, now = clock.now()) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  let direction = toDirection(raw.direction || raw.action);
+  if (!raw.direction && !raw.action && raw.sentiment) {
+    direction = raw.sentiment === 'positive' ? 'CALL' : raw.sentiment === 'negative' ? 'PUT' : 'HOLD';
+  }
+  const signal = {
+    source: raw.source || source,
+    direction,
+    score: clampScore(raw.score !== undefined ? raw.score : raw.confidence),
+    timestamp: raw.timestamp !== undefined ? new Date(raw.timestamp).getTime() : now,
+    ttl: typeof raw.ttl === 'number' ? raw.ttl : config.defaultTtlMs,
+  };
+
+  // Las fuentes de bloqueo no votan ni cuentan como penalización de volatilidad.
+  if (raw.blocked !== undefined) {
+    signal.direction = 'HOLD';
+    signal.blocked = Boolean(raw.blocked);
+    return signal;
+  }
+  // Las fuentes de volatilidad no votan: penalizan la puntuación cuando la volatilidad es alta.
+  if (raw.penalty !== undefined) {
+    signal.penalty = clampScore(raw.penalty);
+  } else if (raw.volatility !== undefined) {
+    signal.direction = 'HOLD';
+    signal.penalty = raw.volatility === 'high' ? signal.score : 0;
+  }
+  return signal;
+}
+
+/**
+ * Normaliza el conjunto de señales (objeto por fuente o array del esquema común) y descarta las caducadas.
+ */
+function collectSignals(signals, now) {
+  const entries = Array.isArray(signals)
+    ? signals.map(signal => [signal && signal.source, signal])
+    : Object.entries(signals || {});
+  return entries
+    .map(([source, raw]) => normalizeSignal(source, raw, now))
+    .filter(signal => signal && (!Number.isFinite(signal.timestamp) || signal.timestamp + signal.ttl >= now));
+}
+
+function weightOf(source, weights) {
+  if (weights[source] !== undefined) return weights[source];
+  return source === 'vol' ? 0 : weights.default;
+}
+
+// === ESTRATEGIAS DE FUSIÓN ===
+
+/**
+ * Suma ponderada con signo (CALL +, PUT −) normalizada por el peso de las fuentes presentes con dirección,
+ * de modo que una sola fuente fuerte puede superar el umbral aunque falten las demás.
+ */
+function fuseWeighted(signals, weights = config.weights) {
+  let net = 0;
+  let totalWeight = 0;
+  // Aportación con signo de cada fuente, para el desglose de la decisión.
+  const contributions = [];
+  signals.forEach(signal => {
+    const weight = weightOf(signal.source, weights);
+    // Las fuentes sin dirección (HOLD) se abstienen: no suman ni diluyen la puntuación de las demás.
+    if (weight <= 0 || signal.penalty !== undefined || signal.direction === 'HOLD') return;
+    const sign = signal.direction === 'CALL' ? 1 : -1;
+    net += weight * signal.score * sign;
+    totalWeight += weight;
+    contributions.push({ source: signal.source, weight, contribution: weight * signal.score * sign });
+  });
+  if (totalWeight === 0 || net === 0) return { direction: 'HOLD', score: 0, reason: 'Sin señales direccionales.', contributions };
+  return {
+    direction: net > 0 ? 'CALL' : 'PUT',
+    score: Math.abs(net) / totalWeight,
+    reason: `Suma ponderada | ${contributions.map(c => `${c.source}: ${c.contribution.toFixed(2)}`).join(' | ')}`,
+    contributions,
+  };
+}
+
+function directionalVotes(signals) {
+  return signals.filter(s => s.direction !== 'HOLD' && s.penalty === undefined && weightOf(s.source, config.weights) > 0);
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Voto por mayoría: gana la dirección con más fuentes; la puntuación es la media de las que la apoyan
+ * multiplicada por el grado de acuerdo. Un empate es HOLD.
+ */
+function fuseMajority(signals) {
+  const votes = directionalVotes(signals);
+  const calls = votes.filter(s => s.direction === 'CALL');
+  const puts = votes.filter(s => s.direction === 'PUT');
+  if (calls.length === puts.length) {
+    return { direction: 'HOLD', score: 0, reason: `Sin mayoría (${calls.length} CALL / ${puts.length} PUT).` };
+  }
+  const winners = calls.length > puts.length ? calls : puts;
+  return {
+    direction: winners[0].direction,
+    score: mean(winners.map(s => s.score)) * (winners.length / votes.length),
+    reason: `Mayoría ${winners[0].direction}: ${winners.length}/${votes.length} fuentes (${winners.map(s => s.source).join(', ')}).`,
+  };
+}
+
+/**
+ * Unanimidad: todas las fuentes direccionales deben coincidir; la puntuación es la suma ponderada.
+ */
+function fuseUnanimous(signals) {
+  const votes = directionalVotes(signals);
+  const directions = new Set(votes.map(s => s.direction));
+  if (directions.size !== 1) {
+    return {
+      direction: 'HOLD',
+      score: 0,
+      reason: votes.length === 0 ? 'Sin señales direccionales.' : `Sin unanimidad: ${votes.map(s => `${s.source} ${s.direction}`).join(', ')}.`,
+    };
+  }
+  const fused = fuseWeighted(signals);
+  return { ...fused, reason: `Unanimidad ${fused.direction} (${votes.map(s => s.source).join(', ')}). ${fused.reason}` };
+}
+
+/**
+ * Suma ponderada en la que las fuentes de veto anulan la operación si apuntan en contra con fuerza.
+ */
+function fuseVeto(signals) {
+  const fused = fuseWeighted(signals);
+  if (fused.direction === 'HOLD') return fused;
+  const veto = signals.find(s => config.vetoSources.includes(s.source)
+    && s.direction !== 'HOLD' && s.direction !== fused.direction && s.score >= config.vetoMinScore);
+  if (veto) {
+    return {
+      direction: 'HOLD',
+      score: 0,
+      reason: `Veto de ${veto.source} (${veto.direction} ${veto.score.toFixed(2)}) contra ${fused.direction}.`,
+      contributions: fused.contributions,
+    };
+  }
+  return fused;
+}
+
+/**
+ * Suma ponderada con los pesos aprendidos (ver setLearnedWeights); sin ellos, con los configurados.
+ */
+function fuseLearned(signals) {
+  const { learnedWeights } = state;
+  const fused = fuseWeighted(signals, learnedWeights ? { ...config.weights, ...learnedWeights } : config.weights);
+  return { ...fused, reason: `${learnedWeights ? 'Pesos aprendidos' : 'Sin pesos aprendidos, pesos configurados'}. ${fused.reason}` };
+}
+
+const FUSION_STRATEGIES = {
+  weighted: fuseWeighted,
+  majority: fuseMajority,
+  unanimous: fuseUnanimous,
+  veto: fuseVeto,
+  learned: fuseLearned,
 };
 
+// === APRENDIZAJE DE PESOS ===
+
+async function loadState() {
+  if (!config.persist || !(await fileExists(config.stateFilePath))) return;
+  try {
+    const loadedState = await readJsonFile(config.stateFilePath);
+    state = { ...state, ...loadedState };
+  } catch (error) {
+    logger.error('No se pudo cargar el estado de signalrank-ia.', error);
+  }
+}
+
+function saveState() {
+  dirty = false;
+  if (!config.persist) return Promise.resolve();
+  const save = saveQueue
+    .then(() => saveJsonFile(config.stateFilePath, state))
+    .catch(error => logger.error('No se pudo guardar el estado de signalrank-ia.', error));
+  saveQueue = save;
+  return save;
+}
+
+// === ESTADÍSTICAS DE SEÑALES ===
+
+/**
+ * Registra una evaluación de getFinalScore en las estadísticas.
+ * @param {string|null} rejection - Motivo del descarte (REJECTION_REASONS) o null si la señal es operable.
+ * @param {number|null} score - Puntuación de la señal si tuvo dirección tras la fusión.
+ */
+function recordEvaluation(rejection, score) {
+  state.totalSignals++;
+  if (rejection) {
+    state.filteredOut++;
+    state.rejections[rejection] = (state.rejections[rejection] || 0) + 1;
+  } else {
+    state.acceptedSignals++;
+  }
+  if (score !== null) {
+    state.confidenceHistory.push(Math.round(score * 10000) / 10000);
+    if (state.confidenceHistory.length > config.confidenceHistoryLimit) {
+      state.confidenceHistory.splice(0, state.confidenceHistory.length - config.confidenceHistoryLimit);
+    }
+    state.avgConfidence = Math.round(mean(state.confidenceHistory) * 10000) / 10000;
+  }
+  state.updatedAt = new Date().toISOString();
+  dirty = true;
+}
+
+function roundWeight(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Re-estima el peso de cada fuente con su tasa de acierto reciente: el peso configurado se escala por
+ * hitRate / 0.5 (una fuente que acierta como una moneda conserva su peso) y se limita a [minWeight, maxWeight].
+ * Las fuentes sin muestras suficientes no se incluyen y conservan el peso configurado.
+ */
+function estimateWeights() {
+  const { minWeight, maxWeight, minSamples } = config.learning;
+  const weights = {};
+  Object.entries(state.sourceOutcomes).forEach(([source, outcomes]) => {
+    if (outcomes.length < minSamples) return;
+    const hitRate = outcomes.reduce((sum, hit) => sum + hit, 0) / outcomes.length;
+    const base = weightOf(source, config.weights);
+    weights[source] = roundWeight(Math.min(maxWeight, Math.max(minWeight, base * (hitRate / 0.5))));
+  });
+  return Object.keys(weights).length > 0 ? weights : null;
+}
+
+function sampleCounts() {
+  return Object.fromEntries(Object.entries(state.sourceOutcomes).map(([source, outcomes]) => [source, outcomes.length]));
+}
+
+function addWeightHistory(entry) {
+  state.weightHistory.push({ time: new Date().toISOString(), ...entry, weights: state.learnedWeights, samples: sampleCounts() });
+  if (state.weightHistory.length > config.learning.historyLimit) {
+    state.weightHistory.splice(0, state.weightHistory.length - config.learning.historyLimit);
+  }
+}
+
+/**
+ * Inicializa el módulo cargando los pesos aprendidos y su historial.
+ * @param {object} [options]
+ * @param {boolean} [options.persist] - Si es false no se lee ni escribe el archivo de estado.
+ * @param {boolean} [options.reset] - Descarta el estado previo.
+ * @param {string} [options.stateFilePath] - Ruta del archivo de estado.
+ * @param {object} [options.state] - Estado a restaurar, ej. { lastTradeTimes, learnedWeights }; sustituye al persistido.
+ */
+async function init(options = {}) {
+  if (options.persist !== undefined) config.persist = options.persist;
+  if (options.stateFilePath) config.stateFilePath = options.stateFilePath;
+  state = createInitialState();
+  dirty = false;
+  if (options.state) state = { ...state, ...JSON.parse(JSON.stringify(options.state)) };
+  else if (!options.reset) await loadState();
+  logger.info(`Signalrank-ia inicializado con la estrategia '${config.fusionStrategy}'${state.learnedWeights ? ' y pesos aprendidos' : ''}.`);
+}
+
+/**
+ * Registra una operación abierta: arranca el cooldown de su par y dirección y guarda la aportación
+ * de cada fuente para evaluarla cuando se cierre.
+ * @param {string} tradeId - Id de la operación.
+ * @param {{symbol: string, direction: string, signals: object[]}} finalSignal - Resultado de getFinalScore con el que se abrió.
+ * @param {object} [options]
+ * @param {number} [options.now] - Instante de apertura en ms (por defecto, ahora).
+ */
+async function recordTradeSignals(tradeId, { symbol, direction, signals = [] }, { now = clock.now() } = {}) {
+  if (symbol) {
+    // Las entradas con el cooldown vencido ya no hacen falta.
+    const cooldownMs = config.cooldownMinutes * 60 * 1000;
+    Object.entries(state.lastTradeTimes).forEach(([key, time]) => {
+      if (now - time >= cooldownMs) delete state.lastTradeTimes[key];
+    });
+    state.lastTradeTimes[`${symbol}-${direction}`] = now;
+  }
+  state.pendingTrades[tradeId] = {
+    time: new Date(now).toISOString(),
+    direction,
+    signals: signals
+      .filter(signal => signal.direction !== 'HOLD')
+      .map(({ source, direction: signalDirection, score }) => ({ source, direction: signalDirection, score })),
+  };
+  const tradeIds = Object.keys(state.pendingTrades);
+  if (tradeIds.length > MAX_PENDING_TRADES) {
+    tradeIds.slice(0, tradeIds.length - MAX_PENDING_TRADES).forEach(id => delete state.pendingTrades[id]);
+  }
+  await saveState();
+}
+
+/**
+ * Evalúa las fuentes de una operación cerrada y re-estima los pesos aprendidos.
+ * Una fuente acierta si apuntaba en la dirección de la operación y se ganó, o en la contraria y se perdió.
+ * Los empates no cuentan.
+ * @param {object} params
+ * @param {string} params.tradeId - Id de la operación.
+ * @param {'win'|'loss'|'tie'} params.result - Resultado de la operación.
+ * @returns {Promise<Object<string, number>|null>} Los pesos aprendidos, o null si la operación no estaba registrada.
+ */
+async function recordTradeOutcome({ tradeId, result }) {
+  const trade = state.pendingTrades[tradeId];
+  if (!trade) return null;
+  delete state.pendingTrades[tradeId];
+
+  if (result === 'win' || result === 'loss') {
+    trade.signals.forEach(signal => {
+      const hit = (signal.direction === trade.direction) === (result === 'win') ? 1 : 0;
+      const outcomes = state.sourceOutcomes[signal.source] || (state.sourceOutcomes[signal.source] = []);
+      outcomes.push(hit);
+      if (outcomes.length > config.learning.window) outcomes.splice(0, outcomes.length - config.learning.window);
+    });
+
+    const weights = estimateWeights();
+    if (JSON.stringify(weights) !== JSON.stringify(state.learnedWeights)) {
+      state.learnedWeights = weights;
+      addWeightHistory({ tradeId, reason: 'learned' });
+      logger.info('Pesos de señal re-estimados.', { weights });
+    }
+  }
+  await saveState();
+  return state.learnedWeights;
+}
+
+// === API PÚBLICA ===
+
 /**
  * Calcula la puntuación final para una oportunidad de trading.
  *
  * @param {object} params - Parámetros para el cálculo.
- * @param {object} params.signals - Objeto con las señales de los diferentes módulos.
- *   Ej: { tech: { score: 0.8, direction: 'CALL' }, sent: { score: 0.6 }, ... }
+ * @param {object|Array} params.signals - Señales por fuente o array en el esquema común.
+ *   Ej: { tech: { score: 0.8, direction: 'CALL' }, 'geo-usa': { action: 'PUT', confidence: 0.6 }, vol: { penalty: 0.5 } }
  * @param {Array} params.openTrades - Array de operaciones actualmente abiertas.
  *   Ej: [{ symbol: 'EURUSD', direction: 'CALL', ... }]
- * @param {object} params.lastTradeTimes - Objeto que mapea 'symbol-direction' a un timestamp.
- *   Ej: { 'EURUSD-CALL': 1678886400000 }
+ * @param {object} [params.lastTradeTimes] - Objeto que mapea 'symbol-direction' a un timestamp.
+ *   Ej: { 'EURUSD-CALL': 1678886400000 }. Por defecto, el reloj del módulo (ver recordTradeSignals).
  * @param {string} params.symbol - El símbolo del activo a evaluar, ej: 'EURUSD'.
+ * @param {string} [params.strategy] - Estrategia de fusión (por defecto SIGNAL_FUSION_STRATEGY).
+ * @param {number} [params.now] - Instante de la evaluación en ms (caducidad de señales y cooldown).
  *
- * @returns {{finalScore: number, direction: string, reason: string}}
+ * @returns {{finalScore: number, direction: string, reason: string, rejection: string|null, strategy: string, symbol: string, signals: object[], breakdown: object}}
+ *   `rejection` es el motivo del descarte ('fusion', 'dedupe', 'cooldown', 'belowThreshold') o null si la señal es operable.
+ *   `breakdown` desglosa el cálculo: { fused: {direction, score}, contributions: [{source, weight, contribution}],
+ *   volPenalty, threshold } (contributions solo en las estrategias basadas en la suma ponderada).
  */
-function getFinalScore({ signals, openTrades = [], lastTradeTimes = {}, symbol }) {
-  // La dirección principal la dicta la señal técnica, que es la más fuerte.
-  const primaryDirection = signals.tech?.direction;
-  if (!primaryDirection || primaryDirection === 'HOLD') {
-    return { finalScore: 0, direction: 'HOLD', reason: 'La señal técnica principal es HOLD.' };
+function getFinalScore({ signals, openTrades = [], lastTradeTimes = state.lastTradeTimes, symbol, strategy = config.fusionStrategy, now = clock.now() }) {
+  const fuse = FUSION_STRATEGIES[strategy];
+  if (!fuse) {
+    throw new Error(`Estrategia de fusión desconocida: ${strategy}. Opciones: ${Object.keys(FUSION_STRATEGIES).join(', ')}`);
+  }
+  const normalized = collectSignals(signals, now);
+
+  // 1. Fusionar las señales vigentes según la estrategia
+  const fused = fuse(normalized);
+  // Penalizador de volatilidad: el mayor de las fuentes moduladoras, entre 0 y 1.
+  const volPenalty = Math.max(0, ...normalized.filter(s => s.penalty !== undefined).map(s => s.penalty));
+  const breakdown = {
+    fused: { direction: fused.direction, score: fused.score },
+    contributions: fused.contributions || [],
+    volPenalty: config.weights.volatilityPenalty * volPenalty,
+    threshold: config.minSignalScore,
+  };
+  const result = (finalScore, direction, reason, rejection) => ({
+    finalScore, direction, reason, rejection, strategy, symbol, signals: normalized, breakdown,
+  });
+  if (fused.direction === 'HOLD') {
+    recordEvaluation('fusion', null);
+    return result(0, 'HOLD', fused.reason, 'fusion');
   }
+  const direction = fused.direction;
+
+  // 2. Aplicar penalizador de volatilidad (si existe) y normalizar el score final para que esté entre 0 y 1.
+  const normalizedScore = Math.max(0, Math.min(1, fused.score - config.weights.volatilityPenalty * volPenalty));
 
-  // 1. De-duplicación: No operar si ya hay una operación abierta en la misma dirección.
+  // 3. De-duplicación: No operar si ya hay una operación abierta en la misma dirección.
   const hasOpenTrade = openTrades.some(
-    trade => trade.symbol === symbol && trade.direction === primaryDirection
+    trade => trade.symbol === symbol && trade.direction === direction
   );
   if (hasOpenTrade) {
-    return { finalScore: 0, direction: 'HOLD', reason: `Ya hay una operación ${primaryDirection} abierta para ${symbol}.` };
+    recordEvaluation('dedupe', normalizedScore);
+    return result(0, 'HOLD', `Ya hay una operación ${direction} abierta para ${symbol}.`, 'dedupe');
   }
 
-  // 2. Cooldown: No operar si se ha hecho una operación reciente en la misma dirección.
-  const cooldownKey = `${symbol}-${primaryDirection}`;
+  // 4. Cooldown: No operar si se ha hecho una operación reciente en la misma dirección.
+  const cooldownKey = `${symbol}-${direction}`;
   const lastTradeTime = lastTradeTimes[cooldownKey];
   if (lastTradeTime) {
-    const now = Date.now();
     const diffMinutes = (now - lastTradeTime) / (1000 * 60);
     if (diffMinutes < config.cooldownMinutes) {
-      return {
-        finalScore: 0,
-        direction: 'HOLD',
-        reason: `Cooldown activo para ${symbol} ${primaryDirection}. Esperando ${(config.cooldownMinutes - diffMinutes).toFixed(1)} min.`,
-      };
+      recordEvaluation('cooldown', normalizedScore);
+      return result(0, 'HOLD', `Cooldown activo para ${symbol} ${direction}. Esperando ${(config.cooldownMinutes - diffMinutes).toFixed(1)} min.`, 'cooldown');
     }
   }
 
-  // 3. Algoritmo de Puntuación Ponderada
-  let finalScore = 0;
-  let reason = 'Puntuación base:';
+  let reason = `${fused.reason} | Vol Penalty: ${-(config.weights.volatilityPenalty * volPenalty).toFixed(2)}`;
 
-  // Normalizar scores: si la dirección de una señal secundaria no coincide, su score se vuelve negativo.
-  const techScore = signals.tech?.score || 0;
-  const sentScore = (signals.sent?.direction === primaryDirection ? 1 : -1) * (signals.sent?.score || 0);
-  const predScore = (signals.pred?.direction === primaryDirection ? 1 : -1) * (signals.pred?.score || 0);
+  // 5. Aplicar el umbral final
+  if (normalizedScore < config.minSignalScore) {
+    reason = `Puntuación final (${normalizedScore.toFixed(2)}) por debajo del umbral (${config.minSignalScore}). | ` + reason;
+    recordEvaluation('belowThreshold', normalizedScore);
+    return result(normalizedScore, 'HOLD', reason, 'belowThreshold');
+  }
 
-  finalScore =
-    (config.weights.tech * techScore) +
-    (config.weights.sent * sentScore) +
-    (config.weights.pred * predScore);
+  recordEvaluation(null, normalizedScore);
+  return result(normalizedScore, direction, reason, null);
+}
 
-  reason += ` | Tech: ${(config.weights.tech * techScore).toFixed(2)}`;
-  reason += ` | Sent: ${(config.weights.sent * sentScore).toFixed(2)}`;
-  reason += ` | Pred: ${(config.weights.pred * predScore).toFixed(2)}`;
+/**
+ * Ordena las oportunidades de la cartera (una por símbolo) de mayor a menor puntuación, descartando las que
+ * no tienen dirección o no superan el umbral. Con la misma puntuación se prefiere la de mayor puntuación bruta.
+ * @param {Array<{symbol: string, direction: string, score: number, finalScore?: number}>} candidates
+ *   `score` es la puntuación efectiva (tras MTF u otros ajustes); `finalScore`, la de getFinalScore.
+ * @param {object} [options]
+ * @param {number} [options.minScore] - Umbral mínimo (por defecto MIN_SIGNAL_SCORE).
+ * @param {number} [options.limit] - Número máximo de oportunidades a devolver.
+ * @returns {object[]} Las oportunidades ordenadas, con su posición en `rank` (1 = la mejor).
+ */
+function rankCandidates(candidates, { minScore = config.minSignalScore, limit = Infinity } = {}) {
+  return candidates
+    .filter(candidate => candidate.direction !== 'HOLD' && candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score || (b.finalScore || 0) - (a.finalScore || 0))
+    .slice(0, limit)
+    .map((candidate, i) => ({ ...candidate, rank: i + 1 }));
+}
 
-  // 4. Aplicar penalizador de volatilidad (si existe)
-  // Se asume que vol.penalty es un valor entre 0 y 1.
-  const volPenalty = signals.vol?.penalty || 0;
-  finalScore -= (config.weights.volatilityPenalty * volPenalty);
-  reason += ` | Vol Penalty: ${-(config.weights.volatilityPenalty * volPenalty).toFixed(2)}`;
+/**
+ * Fija a mano los pesos por fuente de la estrategia 'learned' (null vuelve a los configurados).
+ * Queda en el historial y se sustituye con la siguiente re-estimación.
+ * @param {Object<string, number>|null} weights
+ */
+async function setLearnedWeights(weights) {
+  state.learnedWeights = weights ? { ...weights } : null;
+  addWeightHistory({ reason: 'manual' });
+  await saveState();
+}
 
-  // 5. Normalizar el score final para que esté entre 0 y 1.
-  const normalizedScore = Math.max(0, Math.min(1, finalScore));
+/**
+ * Guarda las estadísticas de las evaluaciones de getFinalScore si han cambiado desde el último guardado.
+ * getFinalScore no escribe el archivo en cada llamada: el orquestador lo llama al final de cada ciclo.
+ * @returns {Promise<void>}
+ */
+function saveStats() {
+  return dirty ? saveState() : saveQueue;
+}
 
-  // 6. Aplicar el umbral final
-  if (normalizedScore < config.minSignalScore) {
-    reason = `Puntuación final (${normalizedScore.toFixed(2)}) por debajo del umbral (${config.minSignalScore}). | ` + reason;
-    return { finalScore: normalizedScore, direction: 'HOLD', reason };
-  }
+function getLearnedWeights() {
+  return state.learnedWeights ? { ...state.learnedWeights } : null;
+}
+
+/**
+ * Evolución de los pesos aprendidos, opcionalmente filtrada por fechas.
+ * @param {object} [filters]
+ * @param {string|number|Date} [filters.from]
+ * @param {string|number|Date} [filters.to]
+ * @returns {object[]}
+ */
+function getWeightHistory({ from, to } = {}) {
+  const fromMs = from !== undefined ? new Date(from).getTime() : -Infinity;
+  const toMs = to !== undefined ? new Date(to).getTime() : Infinity;
+  return state.weightHistory.filter(entry => {
+    const ms = new Date(entry.time).getTime();
+    return ms >= fromMs && ms <= toMs;
+  });
+}
 
-  return { finalScore: normalizedScore, direction: primaryDirection, reason };
+function getState() {
+  return {
+    strategy: config.fusionStrategy,
+    totalSignals: state.totalSignals,
+    acceptedSignals: state.acceptedSignals,
+    filteredOut: state.filteredOut,
+    rejections: { ...state.rejections },
+    avgConfidence: state.avgConfidence,
+    lastTradeTimes: { ...state.lastTradeTimes },
+    learnedWeights: getLearnedWeights(),
+    samples: sampleCounts(),
+    pendingTrades: Object.keys(state.pendingTrades).length,
+    weightHistoryLength: state.weightHistory.length,
+  };
 }
 
 module.exports = {
+  init,
   getFinalScore,
+  normalizeSignal,
+  recordTradeSignals,
+  recordTradeOutcome,
+  rankCandidates,
+  setLearnedWeights,
+  saveStats,
+  getLearnedWeights,
+  getWeightHistory,
+  getState,
+  FUSION_STRATEGIES,
 };
@@ -4,10 +4,54 @@
  * Función:
  * - Proporcionar una función pura para calcular un conjunto de indicadores técnicos
  *   a partir de datos de mercado (OHLCV).
- * - Este módulo es stateless y no guarda información en disco.
+ * - Traducir los indicadores a una señal direccional { score, direction } mediante un motor de reglas.
+ * - Analizar varias temporalidades (MTF) y emitir un veredicto de alineación de tendencia.
+ * - Ofrecer un motor de indicadores incremental (streaming) que se actualiza en O(1) por vela.
+ * - Este módulo no guarda información en disco; el único estado vive en los streams que crea quien los usa.
  */
 
-const { RSI, EMA, MACD, ATR } = require('technicalindicators');
+const {
+  RSI,
+  EMA,
+  SMA,
+  MACD,
+  ATR,
+  BollingerBands,
+  Stochastic,
+  ADX,
+  CCI,
+  VWAP,
+} = require('technicalindicators');
+const { timeframeToMs } = require('../utils/helpers');
+
+// === CONFIGURACIÓN DEL MOTOR DE REGLAS ===
+// Pesos y umbrales por defecto. Se pueden sobrescribir con `options.rules` en deriveSignal.
+const DEFAULT_SIGNAL_RULES = {
+  emaCross: { weight: 0.3 },
+  macd: { weight: 0.3 },
+  rsi: { weight: 0.4, overbought: 70, oversold: 30 },
+  // El régimen de ATR no vota dirección: escala la confianza según la volatilidad relativa (ATR / precio).
+  atrRegime: { minAtrPct: 0.0001, maxAtrPct: 0.003, quietFactor: 0.6, volatileFactor: 0.7 },
+  // Puntuación neta mínima (en valor absoluto) para emitir CALL/PUT en lugar de HOLD.
+  minEdge: 0.15,
+};
+
+// === CÁLCULO DE INDICADORES ===
+
+/**
+ * Devuelve el último valor de una serie calculada, o null si está vacía.
+ */
+function lastOf(values) {
+  return values.length > 0 ? values[values.length - 1] : null;
+}
+
+/**
+ * Alinea una serie de indicador con la serie de precios rellenando con null
+ * las primeras posiciones (período de calentamiento), de modo que series[i] corresponda a close[i].
+ */
+function alignSeries(values, length) {
+  return Array(Math.max(0, length - values.length)).fill(null).concat(values);
+}
 
 /**
  * Calcula un conjunto de indicadores técnicos para una serie de datos de mercado.
@@ -21,38 +65,63 @@ const { RSI, EMA, MACD, ATR } = require('technicalindicators');
  * @param {object} params - Parámetros para los indicadores.
  * @param {number} params.rsiPeriod - Período para el RSI.
  * @param {number[]} params.emaPeriods - Array de períodos para las EMAs.
+ * @param {number[]} params.smaPeriods - Array de períodos para las SMAs.
  * @param {object} params.macdParams - Parámetros para el MACD.
  * @param {number} params.atrPeriod - Período para el ATR.
- * @returns {object} - Un objeto con los valores más recientes de los indicadores calculados.
+ * @param {object} params.bbParams - Bandas de Bollinger: { period, stdDev }.
+ * @param {object} params.stochasticParams - Estocástico: { period, signalPeriod }.
+ * @param {number} params.adxPeriod - Período para el ADX.
+ * @param {number} params.cciPeriod - Período para el CCI.
+ * @param {boolean} params.vwap - Si es true, calcula el VWAP (requiere volumen).
+ * @param {boolean} params.series - Si es true, añade `series` con las series completas alineadas con `ohlcv.close`.
+ * @returns {object} - Un objeto con los valores más recientes de los indicadores calculados
+ *   (y, opcionalmente, sus series completas en `series`).
  */
-function computeIndicators(ohlcv, params) {
+function computeIndicators(ohlcv, params = {}) {
   if (!ohlcv || !ohlcv.close || ohlcv.close.length === 0) {
     throw new Error('Los datos de entrada (ohlcv.close) son insuficientes para calcular indicadores.');
   }
 
   const results = {};
+  const series = {};
+  const length = ohlcv.close.length;
+  const hasHighLow = Boolean(ohlcv.high && ohlcv.low);
 
   // Calcular RSI
-  if (params.rsiPeriod && ohlcv.close.length > params.rsiPeriod) {
-    const rsiInput = { values: ohlcv.close, period: params.rsiPeriod };
-    const rsiResult = RSI.calculate(rsiInput);
-    results.rsi = rsiResult.length > 0 ? rsiResult[rsiResult.length - 1] : null;
+  if (params.rsiPeriod && length > params.rsiPeriod) {
+    const rsiResult = RSI.calculate({ values: ohlcv.close, period: params.rsiPeriod });
+    results.rsi = lastOf(rsiResult);
+    series.rsi = alignSeries(rsiResult, length);
   }
 
   // Calcular EMAs
   if (params.emaPeriods && params.emaPeriods.length > 0) {
     results.emas = {};
+    series.emas = {};
     params.emaPeriods.forEach(period => {
-      if (ohlcv.close.length > period) {
-        const emaInput = { values: ohlcv.close, period };
-        const emaResult = EMA.calculate(emaInput);
-        results.emas[`ema${period}`] = emaResult.length > 0 ? emaResult[emaResult.length - 1] : null;
+      if (length > period) {
+        const emaResult = EMA.calculate({ values: ohlcv.close, period });
+        results.emas[`ema${period}`] = lastOf(emaResult);
+        series.emas[`ema${period}`] = alignSeries(emaResult, length);
+      }
+    });
+  }
+
+  // Calcular SMAs
+  if (params.smaPeriods && params.smaPeriods.length > 0) {
+    results.smas = {};
+    series.smas = {};
+    params.smaPeriods.forEach(period => {
+      if (length >= period) {
+        const smaResult = SMA.calculate({ values: ohlcv.close, period });
+        results.smas[`sma${period}`] = lastOf(smaResult);
+        series.smas[`sma${period}`] = alignSeries(smaResult, length);
       }
     });
   }
 
   // Calcular MACD
-  if (params.macdParams && ohlcv.close.length > params.macdParams.slowPeriod) {
+  if (params.macdParams && length > params.macdParams.slowPeriod) {
     const macdInput = {
       values: ohlcv.close,
       ...params.macdParams,
@@ -60,11 +129,12 @@ function computeIndicators(ohlcv, params) {
       SimpleMASignal: false,
     };
     const macdResult = MACD.calculate(macdInput);
-    results.macd = macdResult.length > 0 ? macdResult[macdResult.length - 1] : null;
+    results.macd = lastOf(macdResult);
+    series.macd = alignSeries(macdResult, length);
   }
 
   // Calcular ATR
-  if (params.atrPeriod && ohlcv.high && ohlcv.low && ohlcv.close.length > params.atrPeriod) {
+  if (params.atrPeriod && hasHighLow && length > params.atrPeriod) {
     const atrInput = {
       high: ohlcv.high,
       low: ohlcv.low,
@@ -72,28 +142,510 @@ function computeIndicators(ohlcv, params) {
       period: params.atrPeriod,
     };
     const atrResult = ATR.calculate(atrInput);
-    results.atr = atrResult.length > 0 ? atrResult[atrResult.length - 1] : null;
-  }
-
-  /*
-   * NOTA PARA FUTURA EXPANSIÓN (Multi-Timeframe):
-   * Para implementar análisis Multi-Timeframe (MTF), esta función podría ser llamada
-   * varias veces con datos de diferentes temporalidades (ej. M15, H1).
-   *
-   * Ejemplo:
-   * const m15_data = await getMarketData('EURUSD', '15m');
-   * const h1_data = await getMarketData('EURUSD', '1h');
-   *
-   * const m15_indicators = computeIndicators(m15_data, params);
-   * const h1_indicators = computeIndicators(h1_data, params);
-   *
-   * Luego, un módulo de nivel superior combinaría estos resultados para determinar una tendencia general.
-   */
+    results.atr = lastOf(atrResult);
+    series.atr = alignSeries(atrResult, length);
+  }
+
+  // Calcular Bandas de Bollinger
+  if (params.bbParams && length >= params.bbParams.period) {
+    const bbResult = BollingerBands.calculate({ values: ohlcv.close, ...params.bbParams });
+    results.bollinger = lastOf(bbResult);
+    series.bollinger = alignSeries(bbResult, length);
+  }
+
+  // Calcular Estocástico
+  if (params.stochasticParams && hasHighLow && length >= params.stochasticParams.period) {
+    const stochasticResult = Stochastic.calculate({
+      high: ohlcv.high,
+      low: ohlcv.low,
+      close: ohlcv.close,
+      ...params.stochasticParams,
+    });
+    results.stochastic = lastOf(stochasticResult);
+    series.stochastic = alignSeries(stochasticResult, length);
+  }
+
+  // Calcular ADX (necesita 2 * período velas para la primera lectura)
+  if (params.adxPeriod && hasHighLow && length >= params.adxPeriod * 2) {
+    const adxResult = ADX.calculate({
+      high: ohlcv.high,
+      low: ohlcv.low,
+      close: ohlcv.close,
+      period: params.adxPeriod,
+    });
+    results.adx = lastOf(adxResult);
+    series.adx = alignSeries(adxResult, length);
+  }
+
+  // Calcular CCI
+  if (params.cciPeriod && hasHighLow && length >= params.cciPeriod) {
+    const cciResult = CCI.calculate({
+      high: ohlcv.high,
+      low: ohlcv.low,
+      close: ohlcv.close,
+      period: params.cciPeriod,
+    });
+    results.cci = lastOf(cciResult);
+    series.cci = alignSeries(cciResult, length);
+  }
+
+  // Calcular VWAP (acumulado desde el inicio de la serie)
+  if (params.vwap && hasHighLow && ohlcv.volume && ohlcv.volume.length === length) {
+    const vwapResult = VWAP.calculate({
+      high: ohlcv.high,
+      low: ohlcv.low,
+      close: ohlcv.close,
+      volume: ohlcv.volume,
+    });
+    results.vwap = lastOf(vwapResult);
+    series.vwap = alignSeries(vwapResult, length);
+  }
+
+  // El análisis Multi-Timeframe (MTF) vive en analyzeMultiTimeframe, que llama a esta
+  // función una vez por temporalidad (remuestreando desde la temporalidad base si hace falta).
+
+  if (params.series) {
+    results.series = series;
+  }
 
   return results;
 }
 
+// === CÁLCULO INCREMENTAL (STREAMING) ===
+
+/**
+ * Crea un motor de indicadores con estado que se actualiza vela a vela.
+ *
+ * Produce exactamente los mismos valores que computeIndicators sobre la serie acumulada
+ * (mismos parámetros y mismos umbrales de calentamiento), pero cada actualización cuesta O(1)
+ * respecto al histórico, en lugar de recalcular toda la serie. No soporta la opción `series`.
+ *
+ * @param {object} params - Los mismos parámetros que computeIndicators.
+ * @returns {{update: function(object): object, getIndicators: function(): object, count: number, lastTime: number|null}}
+ */
+function createIndicatorStream(params = {}) {
+  const trackers = [];
+  const closeInput = candle => candle.close;
+  const hlcInput = candle => ({ high: candle.high, low: candle.low, close: candle.close });
+  const emptyHlc = () => ({ high: [], low: [], close: [] });
+
+  // Cada tracker guarda la instancia del indicador, cómo alimentarla y a partir de cuántas velas
+  // computeIndicators empezaría a devolver el valor (para que ambas salidas coincidan).
+  function track(key, subKey, indicator, input, isReady) {
+    trackers.push({ key, subKey, indicator, input, isReady, last: null });
+  }
+
+  if (params.rsiPeriod) {
+    track('rsi', null, new RSI({ values: [], period: params.rsiPeriod }), closeInput, n => n > params.rsiPeriod);
+  }
+  (params.emaPeriods || []).forEach(period => {
+    track('emas', `ema${period}`, new EMA({ values: [], period }), closeInput, n => n > period);
+  });
+  (params.smaPeriods || []).forEach(period => {
+    track('smas', `sma${period}`, new SMA({ values: [], period }), closeInput, n => n >= period);
+  });
+  if (params.macdParams) {
+    const macd = new MACD({ values: [], ...params.macdParams, SimpleMAOscillator: false, SimpleMASignal: false });
+    track('macd', null, macd, closeInput, n => n > params.macdParams.slowPeriod);
+  }
+  if (params.atrPeriod) {
+    track('atr', null, new ATR({ ...emptyHlc(), period: params.atrPeriod }), hlcInput, n => n > params.atrPeriod);
+  }
+  if (params.bbParams) {
+    track('bollinger', null, new BollingerBands({ values: [], ...params.bbParams }), closeInput, n => n >= params.bbParams.period);
+  }
+  if (params.stochasticParams) {
+    const stochastic = new Stochastic({ ...emptyHlc(), ...params.stochasticParams });
+    track('stochastic', null, stochastic, hlcInput, n => n >= params.stochasticParams.period);
+  }
+  if (params.adxPeriod) {
+    track('adx', null, new ADX({ ...emptyHlc(), period: params.adxPeriod }), hlcInput, n => n >= params.adxPeriod * 2);
+  }
+  if (params.cciPeriod) {
+    track('cci', null, new CCI({ ...emptyHlc(), period: params.cciPeriod }), hlcInput, n => n >= params.cciPeriod);
+  }
+  if (params.vwap) {
+    const vwapInput = candle => ({ ...hlcInput(candle), volume: candle.volume || 0 });
+    track('vwap', null, new VWAP({ ...emptyHlc(), volume: [] }), vwapInput, () => true);
+  }
+
+  let count = 0;
+  let lastTime = null;
+
+  function getIndicators() {
+    const results = {};
+    if (params.emaPeriods && params.emaPeriods.length > 0) results.emas = {};
+    if (params.smaPeriods && params.smaPeriods.length > 0) results.smas = {};
+    trackers.forEach(tracker => {
+      if (!tracker.isReady(count)) return;
+      if (tracker.subKey) {
+        results[tracker.key][tracker.subKey] = tracker.last;
+      } else {
+        results[tracker.key] = tracker.last;
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Incorpora una vela cerrada. Las velas con `time` igual o anterior a la última procesada se ignoran,
+   * de modo que se le puede pasar la ventana completa de velas en cada ciclo sin duplicar datos.
+   */
+  function update(candle) {
+    if (candle.time !== undefined && lastTime !== null && candle.time <= lastTime) {
+      return getIndicators();
+    }
+    count++;
+    if (candle.time !== undefined) lastTime = candle.time;
+    trackers.forEach(tracker => {
+      const value = tracker.indicator.nextValue(tracker.input(candle));
+      if (value !== undefined) tracker.last = value;
+    });
+    return getIndicators();
+  }
+
+  return {
+    update,
+    getIndicators,
+    get count() { return count; },
+    get lastTime() { return lastTime; },
+  };
+}
+
+// === MOTOR DE REGLAS ===
+
+function sign(value) {
+  if (value > 0) return 1;
+  if (value < 0) return -1;
+  return 0;
+}
+
+function directionOf(vote) {
+  if (vote > 0) return 'CALL';
+  if (vote < 0) return 'PUT';
+  return 'HOLD';
+}
+
+/**
+ * Regla de cruce de EMAs: la EMA rápida por encima de la lenta vota CALL y por debajo PUT.
+ * Un cruce recién producido (respecto a los indicadores anteriores) tiene fuerza máxima.
+ */
+function evaluateEmaCross(indicators, previous) {
+  const periods = Object.keys(indicators.emas || {})
+    .filter(key => typeof indicators.emas[key] === 'number')
+    .map(key => parseInt(key.replace('ema', ''), 10))
+    .sort((a, b) => a - b);
+  if (periods.length < 2) return null;
+
+  const fastKey = `ema${periods[0]}`;
+  const slowKey = `ema${periods[periods.length - 1]}`;
+  const diff = indicators.emas[fastKey] - indicators.emas[slowKey];
+  const vote = sign(diff);
+
+  const prevDiff = previous && previous.emas && typeof previous.emas[fastKey] === 'number' && typeof previous.emas[slowKey] === 'number'
+    ? previous.emas[fastKey] - previous.emas[slowKey]
+    : null;
+  const freshCross = prevDiff !== null && sign(prevDiff) !== vote && vote !== 0;
+
+  return {
+    vote,
+    strength: freshCross ? 1 : 0.6,
+    detail: `${fastKey} ${vote > 0 ? '>' : vote < 0 ? '<' : '='} ${slowKey}${freshCross ? ' (cruce reciente)' : ''}`,
+  };
+}
+
+/**
+ * Regla del histograma MACD: el signo vota la dirección y la pendiente respecto
+ * al histograma anterior refuerza (expansión) o debilita (contracción) el voto.
+ */
+function evaluateMacd(indicators, previous) {
+  const histogram = indicators.macd && indicators.macd.histogram;
+  if (typeof histogram !== 'number') return null;
+
+  const vote = sign(histogram);
+  const prevHistogram = previous && previous.macd ? previous.macd.histogram : undefined;
+  let strength = 0.5;
+  let slope = 'desconocida';
+
+  if (typeof prevHistogram === 'number') {
+    const delta = histogram - prevHistogram;
+    const expanding = sign(delta) === vote;
+    strength = expanding ? 1 : 0.25;
+    slope = expanding ? 'expansión' : 'contracción';
+  }
+
+  return {
+    vote,
+    strength,
+    detail: `histograma ${histogram.toFixed(6)}, pendiente ${slope}`,
+  };
+}
+
+/**
+ * Regla RSI: sobrecompra vota PUT y sobreventa CALL (reversión);
+ * en la zona media vota a favor del momentum con fuerza proporcional a la distancia a 50.
+ */
+function evaluateRsi(indicators, rules) {
+  const { rsi } = indicators;
+  if (typeof rsi !== 'number') return null;
+
+  const { overbought, oversold } = rules.rsi;
+  if (rsi >= overbought) {
+    return { vote: -1, strength: Math.min(1, 0.5 + (rsi - overbought) / (100 - overbought)), detail: `RSI ${rsi.toFixed(1)} en sobrecompra` };
+  }
+  if (rsi <= oversold) {
+    return { vote: 1, strength: Math.min(1, 0.5 + (oversold - rsi) / oversold), detail: `RSI ${rsi.toFixed(1)} en sobreventa` };
+  }
+
+  const halfRange = rsi >= 50 ? overbought - 50 : 50 - oversold;
+  return {
+    vote: sign(rsi - 50),
+    strength: 0.5 * Math.min(1, Math.abs(rsi - 50) / halfRange),
+    detail: `RSI ${rsi.toFixed(1)} en zona de momentum`,
+  };
+}
+
+/**
+ * Clasifica el régimen de volatilidad a partir del ATR relativo al precio.
+ */
+function evaluateAtrRegime(indicators, price, rules) {
+  const { minAtrPct, maxAtrPct, quietFactor, volatileFactor } = rules.atrRegime;
+  if (typeof indicators.atr !== 'number' || typeof price !== 'number' || price <= 0) {
+    return { name: 'unknown', factor: 1, atrPct: null };
+  }
+
+  const atrPct = indicators.atr / price;
+  if (atrPct < minAtrPct) return { name: 'quiet', factor: quietFactor, atrPct };
+  if (atrPct > maxAtrPct) return { name: 'volatile', factor: volatileFactor, atrPct };
+  return { name: 'normal', factor: 1, atrPct };
+}
+
+/**
+ * Deriva una señal direccional a partir de la salida de computeIndicators.
+ *
+ * Cada regla emite un voto (+1 CALL, -1 PUT, 0 neutral) con una fuerza entre 0 y 1.
+ * La puntuación neta es la media ponderada de los votos (entre -1 y 1); su signo fija la dirección
+ * y su valor absoluto, escalado por el régimen de ATR, es el score final entre 0 y 1.
+ *
+ * @param {object} indicators - Resultado de computeIndicators.
+ * @param {object} [options]
+ * @param {object} [options.previous] - Indicadores del ciclo anterior (para cruces y pendientes).
+ * @param {number} [options.price] - Último precio de cierre (para el régimen de ATR).
+ * @param {object} [options.rules] - Sobrescritura parcial de DEFAULT_SIGNAL_RULES.
+ * @returns {{score: number, direction: 'CALL'|'PUT'|'HOLD', net: number, rules: object[], regime: object}}
+ */
+function deriveSignal(indicators, { previous = null, price, rules: ruleOverrides = {} } = {}) {
+  if (!indicators) {
+    throw new Error('Se necesitan indicadores para derivar una señal técnica.');
+  }
+
+  const rules = { ...DEFAULT_SIGNAL_RULES };
+  Object.keys(ruleOverrides).forEach(key => {
+    rules[key] = typeof ruleOverrides[key] === 'object' ? { ...rules[key], ...ruleOverrides[key] } : ruleOverrides[key];
+  });
+
+  const evaluations = {
+    emaCross: evaluateEmaCross(indicators, previous),
+    macd: evaluateMacd(indicators, previous),
+    rsi: evaluateRsi(indicators, rules),
+  };
+
+  const breakdown = [];
+  let weightedSum = 0;
+  let totalWeight = 0;
+  Object.keys(evaluations).forEach(rule => {
+    const evaluation = evaluations[rule];
+    if (!evaluation) return;
+    const { weight } = rules[rule];
+    const contribution = evaluation.vote * evaluation.strength * weight;
+    weightedSum += contribution;
+    totalWeight += weight;
+    breakdown.push({
+      rule,
+      vote: directionOf(evaluation.vote),
+      strength: evaluation.strength,
+      weight,
+      contribution,
+      detail: evaluation.detail,
+    });
+  });
+
+  const regime = evaluateAtrRegime(indicators, price, rules);
+  const net = totalWeight > 0 ? weightedSum / totalWeight : 0;
+  const direction = Math.abs(net) >= rules.minEdge ? directionOf(net) : 'HOLD';
+  const score = direction === 'HOLD' ? 0 : Math.round(Math.abs(net) * regime.factor * 10000) / 10000;
+
+  return { score, direction, net, rules: breakdown, regime };
+}
+
+// === ANÁLISIS MULTI-TIMEFRAME ===
+
+/**
+ * Remuestrea velas de una temporalidad base a una temporalidad superior (ej. M1 -> M15).
+ * Si la serie trae `time` se agrupa por el inicio del intervalo superior; si no, se agrupa
+ * por número de velas contando desde el final. Las velas superiores incompletas de los extremos se descartan.
+ *
+ * @param {object} ohlcv - Serie base en formato de arrays (con `time` opcional, en ms).
+ * @param {string} targetTimeframe - Temporalidad destino, ej: 'M15'.
+ * @param {string} baseTimeframe - Temporalidad de la serie base, ej: 'M1'.
+ * @returns {object} Serie remuestreada en el mismo formato.
+ */
+function resampleOHLCV(ohlcv, targetTimeframe, baseTimeframe) {
+  const baseMs = timeframeToMs(baseTimeframe);
+  const targetMs = timeframeToMs(targetTimeframe);
+  if (targetMs < baseMs || targetMs % baseMs !== 0) {
+    throw new Error(`No se puede remuestrear de ${baseTimeframe} a ${targetTimeframe}.`);
+  }
+
+  const factor = targetMs / baseMs;
+  const length = ohlcv.close.length;
+  const bucketOf = ohlcv.time
+    ? i => Math.floor(ohlcv.time[i] / targetMs) * targetMs
+    : i => Math.floor((i - (length % factor)) / factor);
+
+  const buckets = [];
+  for (let i = 0; i < length; i++) {
+    const key = bucketOf(i);
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.key !== key) {
+      bucket = { key, first: i, last: i };
+      buckets.push(bucket);
+    } else {
+      bucket.last = i;
+    }
+  }
+
+  // Las velas superiores de los extremos pueden estar incompletas (serie recortada o vela aún abierta).
+  const isIncomplete = bucket => bucket.last - bucket.first + 1 < factor;
+  if (buckets.length > 0 && isIncomplete(buckets[buckets.length - 1])) buckets.pop();
+  if (buckets.length > 0 && isIncomplete(buckets[0])) buckets.shift();
+
+  const result = { open: [], high: [], low: [], close: [], volume: [] };
+  if (ohlcv.time) result.time = [];
+  buckets.forEach(({ key, first, last }) => {
+    const high = ohlcv.high ? ohlcv.high.slice(first, last + 1) : ohlcv.close.slice(first, last + 1);
+    const low = ohlcv.low ? ohlcv.low.slice(first, last + 1) : ohlcv.close.slice(first, last + 1);
+    if (ohlcv.time) result.time.push(key);
+    result.open.push(ohlcv.open ? ohlcv.open[first] : ohlcv.close[first]);
+    result.high.push(Math.max(...high));
+    result.low.push(Math.min(...low));
+    result.close.push(ohlcv.close[last]);
+    result.volume.push(ohlcv.volume ? ohlcv.volume.slice(first, last + 1).reduce((a, b) => a + b, 0) : 0);
+  });
+  return result;
+}
+
+/**
+ * Clasifica la tendencia de una temporalidad: EMA rápida vs. lenta, confirmada por el signo de la línea MACD.
+ * @returns {'CALL'|'PUT'|'HOLD'}
+ */
+function classifyTrend(indicators) {
+  const periods = Object.keys(indicators.emas || {})
+    .filter(key => typeof indicators.emas[key] === 'number')
+    .map(key => parseInt(key.replace('ema', ''), 10))
+    .sort((a, b) => a - b);
+  if (periods.length < 2) return 'HOLD';
+
+  const emaVote = sign(indicators.emas[`ema${periods[0]}`] - indicators.emas[`ema${periods[periods.length - 1]}`]);
+  const macdLine = indicators.macd && indicators.macd.MACD;
+  if (typeof macdLine === 'number' && sign(macdLine) !== emaVote) return 'HOLD';
+  return directionOf(emaVote);
+}
+
+/**
+ * Calcula los indicadores en varias temporalidades y emite un veredicto de alineación de tendencia.
+ *
+ * @param {object} candlesByTimeframe - Series OHLCV por temporalidad, ej: { M1: ohlcv, H1: ohlcv }.
+ * @param {object} params - Parámetros de indicadores (los mismos que computeIndicators).
+ * @param {object} [options]
+ * @param {string} [options.baseTimeframe] - Temporalidad base desde la que remuestrear las que falten.
+ * @param {string[]} [options.timeframes] - Temporalidades a analizar. Por defecto, las claves de candlesByTimeframe.
+ * @returns {{timeframes: object, direction: string, alignment: number, aligned: boolean, higherTimeframe: string, higherDirection: string}}
+ *   Cada temporalidad indica con `insufficientData` si le faltan velas para calcular todas las EMAs.
+ */
+function analyzeMultiTimeframe(candlesByTimeframe, params, { baseTimeframe, timeframes } = {}) {
+  const requested = timeframes || Object.keys(candlesByTimeframe);
+  const all = baseTimeframe && !requested.includes(baseTimeframe) ? [baseTimeframe, ...requested] : requested;
+  const ordered = [...all].sort((a, b) => timeframeToMs(a) - timeframeToMs(b));
+
+  const perTimeframe = {};
+  ordered.forEach(timeframe => {
+    let ohlcv = candlesByTimeframe[timeframe];
+    if (!ohlcv && baseTimeframe && candlesByTimeframe[baseTimeframe]) {
+      ohlcv = resampleOHLCV(candlesByTimeframe[baseTimeframe], timeframe, baseTimeframe);
+    }
+    if (!ohlcv || !ohlcv.close || ohlcv.close.length === 0) {
+      perTimeframe[timeframe] = { candles: 0, indicators: null, trend: 'HOLD', insufficientData: true };
+      return;
+    }
+    const indicators = computeIndicators(ohlcv, params);
+    // Sin velas suficientes para la EMA más lenta, la tendencia de esa temporalidad no se puede clasificar.
+    const insufficientData = (params.emaPeriods || []).some(period => typeof (indicators.emas || {})[`ema${period}`] !== 'number');
+    perTimeframe[timeframe] = { candles: ohlcv.close.length, indicators, trend: classifyTrend(indicators), insufficientData };
+  });
+
+  const votes = ordered.map(tf => perTimeframe[tf].trend).filter(trend => trend !== 'HOLD');
+  const calls = votes.filter(v => v === 'CALL').length;
+  const puts = votes.length - calls;
+  let direction = 'HOLD';
+  if (calls > puts) direction = 'CALL';
+  if (puts > calls) direction = 'PUT';
+
+  const higherTimeframe = ordered[ordered.length - 1];
+  return {
+    timeframes: perTimeframe,
+    direction,
+    alignment: ordered.length > 0 ? Math.max(calls, puts) / ordered.length : 0,
+    aligned: votes.length === ordered.length && (calls === 0 || puts === 0),
+    higherTimeframe,
+    higherDirection: higherTimeframe ? perTimeframe[higherTimeframe].trend : 'HOLD',
+  };
+}
+
+/**
+ * Decide si una operación es coherente con la temporalidad superior del análisis MTF.
+ *
+ * @param {object} mtf - Resultado de analyzeMultiTimeframe.
+ * @param {'CALL'|'PUT'} direction - Dirección propuesta para la operación.
+ * @param {object} [options]
+ * @param {'veto'|'downweight'} [options.mode] - Qué hacer si la temporalidad superior va en contra.
+ * @param {number} [options.downweightFactor] - Multiplicador del score en modo 'downweight'.
+ * @returns {{action: 'allow'|'downweight'|'veto', factor: number, reason: string, insufficientData?: boolean}}
+ *   Si la temporalidad superior no tiene velas suficientes, la operación se permite pero se marca con insufficientData.
+ */
+function checkTradeAlignment(mtf, direction, { mode = 'downweight', downweightFactor = 0.5 } = {}) {
+  const { higherTimeframe, higherDirection } = mtf;
+  const higher = (mtf.timeframes || {})[higherTimeframe];
+  if (higher && higher.insufficientData) {
+    return {
+      action: 'allow',
+      factor: 1,
+      insufficientData: true,
+      reason: `Datos insuficientes en la temporalidad superior ${higherTimeframe} (${higher.candles} velas): no se puede confirmar la tendencia.`,
+    };
+  }
+  if (higherDirection === 'HOLD' || higherDirection === direction) {
+    return {
+      action: 'allow',
+      factor: 1,
+      reason: `Temporalidad superior ${higherTimeframe} ${higherDirection === 'HOLD' ? 'sin tendencia definida' : `alineada (${higherDirection})`}.`,
+    };
+  }
+
+  const reason = `Temporalidad superior ${higherTimeframe} en contra (${higherDirection} vs ${direction}).`;
+  if (mode === 'veto') {
+    return { action: 'veto', factor: 0, reason };
+  }
+  return { action: 'downweight', factor: downweightFactor, reason };
+}
+
 // === EXPORTAR MÓDULO ===
 module.exports = {
   computeIndicators,
+  createIndicatorStream,
+  deriveSignal,
+  resampleOHLCV,
+  analyzeMultiTimeframe,
+  checkTradeAlignment,
+  DEFAULT_SIGNAL_RULES,
 };
@@ -0,0 +1,65 @@
+const http = require('http');
+const execIA = require('../exec-ia/exec-ia');
+
+describe('Atlas Automation (orchestrator)', () => {
+  let automation;
+  let server;
+
+  beforeAll(async () => {
+    // Cargar el orquestador detecta errores de sintaxis y de importación en todo el grafo de módulos.
+    automation = require('../atlas-automation');
+    server = automation.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const get = route => new Promise((resolve, reject) => {
+    http.get({ port: server.address().port, path: route }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+
+  test('requiring the orchestrator should not start the bot', () => {
+    expect(typeof automation.start).toBe('function');
+    expect(typeof automation.runTradingCycle).toBe('function');
+    expect(automation.config.symbols.length).toBeGreaterThan(0);
+  });
+
+  test('module states for the daily report should include the signalrank-ia statistics', () => {
+    const { signalrank } = automation.collectModuleStates();
+    expect(signalrank).toMatchObject({ totalSignals: 0, acceptedSignals: 0, filteredOut: 0, avgConfidence: 0 });
+    expect(signalrank.rejections).toEqual(expect.objectContaining({ cooldown: 0, belowThreshold: 0 }));
+  });
+
+  test('the health endpoint should answer without starting the trading cycle', async () => {
+    const { status, body } = await get('/health');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ status: 'ok', isCycleRunning: false, lastRun: null });
+  });
+
+  test('the status endpoint should list orphaned trades apart from the open ones', async () => {
+    await execIA.init({
+      backtestMode: true,
+      state: {
+        openTrades: [
+          { tradeId: 't-open', symbol: 'EURUSD', direction: 'CALL', stake: 10, status: 'open' },
+          { tradeId: 't-orphan', symbol: 'GBPUSD', direction: 'PUT', stake: 5, status: 'orphaned', orphanReason: 'el broker no la reconoce' },
+        ],
+      },
+    });
+    try {
+      const { status, body } = await get('/status');
+      expect(status).toBe(200);
+      expect(body.openTrades.map(t => t.tradeId)).toEqual(['t-open']);
+      expect(body.orphanedTrades).toEqual([expect.objectContaining({ tradeId: 't-orphan', orphanReason: 'el broker no la reconoce' })]);
+      expect(automation.collectModuleStates()['exec-ia']).toMatchObject({ openTrades: 1, orphanedTrades: 1 });
+    } finally {
+      await execIA.init({ backtestMode: true, reset: true });
+    }
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const bankroll = require('../bankroll/bankroll-service');
+
+describe('Bankroll Service', () => {
+  let dir;
+  let stateFilePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-bankroll-'));
+    stateFilePath = path.join(dir, 'bankroll-state.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('closed trades should update the balance and survive a restart', async () => {
+    await bankroll.init({ initialBalance: 1000, stateFilePath, reset: true });
+    await bankroll.applyTradeResult({ profit: 8.5, tradeId: 't1' });
+    await bankroll.applyTradeResult({ profit: -10, tradeId: 't2' });
+    expect(bankroll.getBalance()).toBe(998.5);
+
+    // Al reiniciar no vuelve a DEFAULT_BANKROLL
+    await bankroll.init({ initialBalance: 1000, stateFilePath });
+    expect(bankroll.getBalance()).toBe(998.5);
+    expect(bankroll.getHistory().map(h => h.reason)).toEqual(['init', 'trade', 'trade']);
+    expect(bankroll.getHistory()[2]).toMatchObject({ tradeId: 't2', change: -10, balance: 998.5 });
+  });
+
+  test('syncWithBroker should adopt the broker balance and flag mismatches beyond the tolerance', async () => {
+    let brokerBalance = 990;
+    await bankroll.init({ initialBalance: 1000, stateFilePath, reset: true, balanceSource: async () => brokerBalance });
+    // Al arrancar ya se sincroniza: 10 de diferencia es un descuadre
+    expect(bankroll.getBalance()).toBe(990);
+    expect(bankroll.getState().lastMismatch).toMatchObject({ computed: 1000, actual: 990, difference: -10 });
+
+    // El stake de una operación abierta ya está descontado en el broker: no es un descuadre
+    await bankroll.applyTradeResult({ profit: 5 });
+    brokerBalance = 985;
+    const sync = await bankroll.syncWithBroker({ openStake: 10, force: true });
+    expect(sync).toEqual({ computed: 995, actual: 995, difference: 0, mismatch: false });
+
+    // Sin force se respeta el intervalo mínimo entre sincronizaciones
+    expect(await bankroll.syncWithBroker()).toBeNull();
+  });
+
+  test('syncWithBroker should keep the computed balance when the broker is unavailable', async () => {
+    await bankroll.init({
+      initialBalance: 1000, stateFilePath, reset: true, balanceSource: async () => { throw new Error('desconectado'); },
+    });
+    expect(bankroll.getBalance()).toBe(1000);
+    expect(bankroll.getState().lastSyncAt).toBeNull();
+  });
+
+  test('getBalanceAt should return the balance at a past time from the history', async () => {
+    await bankroll.init({ initialBalance: 1000, stateFilePath, reset: true });
+    const before = Date.now() - 1000;
+    await bankroll.applyTradeResult({ profit: 20 });
+    expect(bankroll.getBalanceAt(before)).toBe(1000);
+    expect(bankroll.getBalanceAt(Date.now() + 1000)).toBe(1020);
+  });
+});
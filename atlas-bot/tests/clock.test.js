@@ -0,0 +1,38 @@
+const clock = require('../utils/clock');
+
+describe('Clock', () => {
+  afterEach(() => clock.reset());
+
+  test('now should follow the system clock until a fixed time or a function is set', () => {
+    const before = Date.now();
+    expect(clock.now()).toBeGreaterThanOrEqual(before);
+
+    clock.setClock('2025-07-01T10:00:00.000Z');
+    expect(clock.now()).toBe(Date.UTC(2025, 6, 1, 10, 0));
+
+    let time = 1000;
+    clock.setClock(() => time);
+    time += 500;
+    expect(clock.now()).toBe(1500);
+    expect(() => clock.setClock('no-es-una-fecha')).toThrow('Instante inválido');
+  });
+
+  test('a seeded random generator should repeat the same sequence', () => {
+    clock.setRandomSeed(42);
+    const first = [clock.random(), clock.random(), clock.random()];
+    clock.setRandomSeed(42);
+    expect([clock.random(), clock.random(), clock.random()]).toEqual(first);
+    first.forEach(value => expect(value).toBeGreaterThanOrEqual(0));
+
+    clock.setRandom(() => 0.25);
+    expect(clock.random()).toBe(0.25);
+  });
+
+  test('reset should restore the system clock and Math.random', () => {
+    clock.setClock(0);
+    clock.setRandom(() => 0.5);
+    clock.reset();
+    expect(clock.now()).toBeGreaterThan(0);
+    expect(clock.random()).not.toBe(0.5);
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const compoundLogic = require('../compound-logic/compound-logic');
+
+describe('Compound Logic Module', () => {
+  beforeEach(async () => {
+    // Estado limpio y sin escribir en disco
+    await compoundLogic.init({ persist: false, reset: true, strategy: 'fixed-fractional' });
+  });
+
+  test('fixed-fractional should stake a percentage of the bankroll within the absolute limits', () => {
+    expect(compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1 })).toBe(10);
+    expect(compoundLogic.calculateStake({ bankroll: 50, recommendedStakePct: 1 })).toBe(1); // Mínimo absoluto
+    expect(compoundLogic.calculateStake({ bankroll: 100000, recommendedStakePct: 1 })).toBe(100); // Máximo absoluto
+    expect(() => compoundLogic.calculateStake({ bankroll: 0, recommendedStakePct: 1 })).toThrow();
+  });
+
+  test('fixed should stake a constant amount scaled by the risk reduction', () => {
+    expect(compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1, strategy: 'fixed' })).toBe(10);
+    expect(compoundLogic.calculateStake({ bankroll: 5000, recommendedStakePct: 0.5, strategy: 'fixed' })).toBe(5);
+  });
+
+  test('kelly should size from the recent win rate and payout once there is enough history', async () => {
+    // Sin historial suficiente se comporta como fixed-fractional
+    expect(compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1, payout: 0.8, strategy: 'kelly' })).toBe(10);
+
+    // 15 aciertos y 5 fallos: p = 0.75, f* = (0.75·0.8 − 0.25) / 0.8 = 0.4375 -> 1/4 Kelly = 10.94%, tope del 5%
+    for (let i = 0; i < 20; i++) await compoundLogic.recordTradeResult({ result: i % 4 === 3 ? 'loss' : 'win' });
+    expect(compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1, payout: 0.8, strategy: 'kelly' })).toBe(50);
+
+    // Sin ventaja (p = 0.5 con payout < 1) no se opera: el mínimo absoluto no se aplica
+    await compoundLogic.init({ persist: false, reset: true });
+    for (let i = 0; i < 20; i++) await compoundLogic.recordTradeResult({ result: i % 2 ? 'loss' : 'win' });
+    expect(compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1, payout: 0.8, strategy: 'kelly' })).toBe(0);
+  });
+
+  test('kelly without edge should probe with the minimum stake and resume trading once the edge returns', async () => {
+    await compoundLogic.init({ persist: false, reset: true });
+    for (let i = 0; i < 20; i++) await compoundLogic.recordTradeResult({ result: i % 2 ? 'loss' : 'win' });
+    const stake = () => compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1, payout: 0.8, strategy: 'kelly' });
+
+    // Cada KELLY_PROBE_AFTER (10) descartes se coloca una operación de sondeo con el stake mínimo
+    for (let probe = 0; probe < 3; probe++) {
+      for (let i = 0; i < 9; i++) expect(stake()).toBe(0);
+      expect(stake()).toBe(1);
+      await compoundLogic.recordTradeResult({ result: 'win' });
+    }
+
+    // 13 aciertos de 23: p = 0.565 > 1 / 1.8, vuelve a haber ventaja y se opera sin esperar al sondeo
+    expect(stake()).toBeGreaterThan(1);
+    expect(compoundLogic.getState().kellySkips).toBe(0);
+  });
+
+  test('anti-martingale should step up after wins, cap the steps and reset after a loss', async () => {
+    await compoundLogic.init({ persist: false, reset: true, strategy: 'anti-martingale' });
+    const stake = () => compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1 });
+
+    expect(stake()).toBe(10);
+    await compoundLogic.recordTradeResult({ result: 'win' });
+    expect(stake()).toBe(15);
+    await compoundLogic.recordTradeResult({ result: 'tie' }); // Un empate no cambia el escalón
+    expect(stake()).toBe(15);
+    await compoundLogic.recordTradeResult({ result: 'win' });
+    await compoundLogic.recordTradeResult({ result: 'win' });
+    expect(stake()).toBe(33.75); // Tope de 3 escalones: 10 · 1.5³
+    await compoundLogic.recordTradeResult({ result: 'win' });
+    expect(stake()).toBe(10); // Completados los escalones, vuelve al base
+    await compoundLogic.recordTradeResult({ result: 'win' });
+    await compoundLogic.recordTradeResult({ result: 'loss' });
+    expect(stake()).toBe(10);
+
+    expect(compoundLogic.getState()).toMatchObject({ strategy: 'anti-martingale', currentLotSize: 10, tradeCount: 7, totalCompounds: 2 });
+  });
+
+  test('the stake should never exceed the exposure room given by riskmap-ia', async () => {
+    await compoundLogic.init({ persist: false, reset: true, strategy: 'anti-martingale' });
+    for (let i = 0; i < 3; i++) await compoundLogic.recordTradeResult({ result: 'win' });
+    // 33.75 según la anti-martingala, pero solo quedan 20 bajo el límite de exposición total
+    expect(compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1, maxStake: 20 })).toBe(20);
+    // El tope prevalece sobre el mínimo absoluto
+    expect(compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1, maxStake: 0.555 })).toBe(0.55);
+    expect(compoundLogic.getState().currentLotSize).toBe(0.55);
+  });
+
+  test('state should persist to the state file for the dashboards', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-compound-'));
+    const stateFilePath = path.join(dir, 'compound-state.json');
+    await compoundLogic.init({ persist: true, reset: true, stateFilePath, strategy: 'fixed' });
+
+    compoundLogic.calculateStake({ bankroll: 1000, recommendedStakePct: 1 });
+    await compoundLogic.recordTradeResult({ result: 'win', balance: 1008.5 });
+    const saved = JSON.parse(await fs.readFile(stateFilePath, 'utf8'));
+    expect(saved).toMatchObject({ strategy: 'fixed', currentLotSize: 10, tradeCount: 1, lastBalance: 1008.5, winStreak: 1 });
+
+    // Al reiniciar se recupera el estado
+    await compoundLogic.init({ persist: true, stateFilePath });
+    expect(compoundLogic.getState()).toMatchObject({ tradeCount: 1, recentResults: ['win'] });
+    await compoundLogic.init({ persist: false, reset: true });
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const decisionJournal = require('../journal/decision-journal');
+
+describe('Decision Journal', () => {
+  let dir;
+
+  beforeEach(async () => {
+    // Cada prueba escribe en un registro temporal propio
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-decisions-'));
+    await decisionJournal.init({ filePath: path.join(dir, 'decisions.jsonl') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const cycle = (cycleId, time, symbols, action, extra = {}) => decisionJournal.recordDecision({
+    cycleId,
+    time,
+    symbols,
+    closedTrades: [],
+    evaluations: symbols.map(symbol => ({ symbol, outcome: 'hold', reason: 'Sin señales direccionales.' })),
+    ranking: [],
+    decisions: [],
+    action,
+    reason: null,
+    ...extra,
+  });
+
+  test('recordDecision should keep the full cycle record, including why no trade was taken', async () => {
+    await cycle('c1', '2025-07-01T10:00:00.000Z', ['EURUSD', 'GBPUSD'], 'no-trade', {
+      ranking: [{ rank: 1, symbol: 'EURUSD', direction: 'CALL', score: 0.8 }],
+      decisions: [{ symbol: 'EURUSD', direction: 'CALL', action: 'risk-denied', reason: 'Noticia de alto impacto', risk: { allowed: false } }],
+    });
+
+    const [decision] = await decisionJournal.queryDecisions();
+    expect(decision).toMatchObject({
+      cycleId: 'c1',
+      action: 'no-trade',
+      evaluations: [{ symbol: 'EURUSD', outcome: 'hold' }, { symbol: 'GBPUSD', outcome: 'hold' }],
+      decisions: [{ action: 'risk-denied', reason: 'Noticia de alto impacto' }],
+    });
+  });
+
+  test('queryDecisions should filter by date range, symbol, action and cycle', async () => {
+    await cycle('c1', '2025-07-01T10:00:00.000Z', ['EURUSD', 'GBPUSD'], 'no-trade');
+    await cycle('c2', '2025-07-01T10:01:00.000Z', ['EURUSD'], 'traded');
+    await cycle('c3', '2025-07-02T10:00:00.000Z', ['USDJPY'], 'error');
+    const ids = decisions => decisions.map(d => d.cycleId);
+
+    expect(ids(await decisionJournal.queryDecisions({ from: '2025-07-01T10:00:30.000Z', to: '2025-07-01T23:59:59.999Z' }))).toEqual(['c2']);
+    expect(ids(await decisionJournal.queryDecisions({ symbol: 'EURUSD' }))).toEqual(['c1', 'c2']);
+    expect(ids(await decisionJournal.queryDecisions({ action: 'traded' }))).toEqual(['c2']);
+    expect(ids(await decisionJournal.queryDecisions({ cycleId: 'c3' }))).toEqual(['c3']);
+    expect(ids(await decisionJournal.queryDecisions({ limit: 2 }))).toEqual(['c2', 'c3']);
+    await expect(decisionJournal.queryDecisions({ to: 'not-a-date' })).rejects.toThrow('Rango de fechas');
+  });
+
+  test('corrupt lines should be skipped', async () => {
+    await cycle('c1', '2025-07-01T10:00:00.000Z', ['EURUSD'], 'no-trade');
+    await fs.appendFile(path.join(dir, 'decisions.jsonl'), '{corrupta\n');
+    await cycle('c2', '2025-07-01T10:01:00.000Z', ['EURUSD'], 'no-trade');
+
+    expect(await decisionJournal.readDecisions()).toHaveLength(2);
+  });
+
+  test('hashCandles should identify the exact candle series', () => {
+    const ohlcv = { time: [1, 2], open: [1.1, 1.2], high: [1.2, 1.3], low: [1.0, 1.1], close: [1.2, 1.25], volume: [10, 20] };
+    const hash = decisionJournal.hashCandles(ohlcv);
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(decisionJournal.hashCandles({ ...ohlcv })).toBe(hash);
+    expect(decisionJournal.hashCandles({ ...ohlcv, close: [1.2, 1.26] })).not.toBe(hash);
+  });
+});
@@ -0,0 +1,86 @@
+const riskmapIA = require('../riskmap-ia/riskmap-ia');
+const compoundLogic = require('../compound-logic/compound-logic');
+const signalRankIA = require('../signalrank-ia/signalrank-ia');
+const { scoreSymbol, selectTrades, config } = require('../decision-pipeline/decision-pipeline');
+
+describe('Decision Pipeline', () => {
+  // Martes en plena sesión de Londres
+  const now = Date.UTC(2025, 6, 1, 10, 0);
+  const tech = direction => ({ tech: { direction, score: 0.9, timestamp: now } });
+
+  beforeEach(async () => {
+    await riskmapIA.init({ persist: false, reset: true, balance: 1000, atrProfiles: {} });
+    await compoundLogic.init({ persist: false, reset: true, strategy: 'fixed-fractional' });
+    await signalRankIA.init({ persist: false, reset: true });
+  });
+
+  test('scoreSymbol should block news windows before scoring the signals', () => {
+    const signals = { ...tech('CALL'), news: { blocked: true, event: { event: 'NFP' } } };
+    expect(scoreSymbol({ symbol: 'EURUSD', signals, openTrades: [], now })).toEqual({
+      outcome: 'news-blocked', reason: 'Ventana de noticias (NFP).',
+    });
+  });
+
+  test('scoreSymbol should apply the MTF alignment only to the proposed direction', () => {
+    const checkAlignment = jest.fn(() => ({ action: 'downweight', factor: 0.5, reason: 'En contra.' }));
+    const scored = scoreSymbol({ symbol: 'EURUSD', signals: tech('CALL'), openTrades: [], now, checkAlignment });
+
+    expect(checkAlignment).toHaveBeenCalledWith('CALL');
+    expect(scored).toMatchObject({ outcome: 'candidate', score: 0.45, mtf: { action: 'downweight', factor: 0.5 } });
+    expect(scored.signalrank).toMatchObject({ direction: 'CALL', finalScore: 0.9 });
+
+    const vetoed = scoreSymbol({
+      symbol: 'EURUSD', signals: tech('CALL'), openTrades: [], now, checkAlignment: () => ({ action: 'veto', factor: 0, reason: 'Vetada.' }),
+    });
+    expect(vetoed).toMatchObject({ outcome: 'mtf-veto', reason: 'Vetada.' });
+
+    // Sin análisis MTF la puntuación es la de signalrank-ia
+    expect(scoreSymbol({ symbol: 'EURUSD', signals: tech('PUT'), openTrades: [], now }).score).toBe(0.9);
+  });
+
+  test('selectTrades should rank, cap the trades per cycle and open them with the computed stake', async () => {
+    const place = jest.fn(async candidate => `t-${candidate.symbol}`);
+    const selection = await selectTrades({
+      candidates: [
+        { symbol: 'EURUSD', direction: 'CALL', score: 0.8, indicators: {} },
+        { symbol: 'USDJPY', direction: 'PUT', score: 0.95, indicators: {} },
+        { symbol: 'GBPUSD', direction: 'CALL', score: 0.5, indicators: {} },
+      ],
+      openTrades: [],
+      balance: 1000,
+      upcomingEvents: [],
+      now,
+      getPayout: () => 0.8,
+      place,
+    });
+
+    expect(config.maxTradesPerCycle).toBe(1);
+    expect(selection.ranking.map(c => c.symbol)).toEqual(['USDJPY', 'EURUSD']);
+    expect(selection.decisions).toEqual([
+      expect.objectContaining({ symbol: 'USDJPY', action: 'placed', tradeId: 't-USDJPY', stake: expect.objectContaining({ payout: 0.8, stake: 10 }) }),
+      expect.objectContaining({ symbol: 'EURUSD', action: 'cycle-limit' }),
+    ]);
+    expect(place).toHaveBeenCalledTimes(1);
+    expect(selection).toMatchObject({ action: 'traded', reason: '1 operación(es) abierta(s).' });
+  });
+
+  test('selectTrades should skip the trade when the stake strategy gives no amount', async () => {
+    await compoundLogic.init({ persist: false, reset: true, strategy: 'kelly' });
+    for (let i = 0; i < 20; i++) await compoundLogic.recordTradeResult({ result: i % 2 ? 'loss' : 'win' });
+    const place = jest.fn();
+
+    const selection = await selectTrades({
+      candidates: [{ symbol: 'EURUSD', direction: 'CALL', score: 0.9, indicators: {} }],
+      openTrades: [],
+      balance: 1000,
+      upcomingEvents: [],
+      now,
+      getPayout: () => 0.8,
+      place,
+    });
+
+    expect(place).not.toHaveBeenCalled();
+    expect(selection.action).toBe('no-trade');
+    expect(selection.decisions[0]).toMatchObject({ action: 'stake-skipped', stake: { strategy: 'kelly', stake: 0 } });
+  });
+});
@@ -0,0 +1,58 @@
+const { createEventBus, EVENTS, ALL_EVENTS } = require('../event-bus/event-bus');
+
+describe('Event Bus', () => {
+  test('publish should run the subscribers of the event in order and wait for them', async () => {
+    const eventBus = createEventBus();
+    const calls = [];
+    eventBus.subscribe(EVENTS.TRADE_CLOSED, async ({ tradeId }) => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      calls.push(`journal ${tradeId}`);
+    });
+    eventBus.subscribe(EVENTS.TRADE_CLOSED, ({ tradeId }, { event }) => calls.push(`${event} ${tradeId}`));
+    eventBus.subscribe(EVENTS.CANDLE_CLOSED, () => calls.push('candle'));
+
+    await eventBus.publish(EVENTS.TRADE_CLOSED, { tradeId: 't1' });
+    expect(calls).toEqual(['journal t1', 'trade-closed t1']);
+  });
+
+  test('a failing subscriber should not affect the publisher or the other subscribers', async () => {
+    const eventBus = createEventBus();
+    const received = [];
+    eventBus.subscribe(EVENTS.RISK_PAUSED, () => { throw new Error('fallo del suscriptor'); });
+    eventBus.subscribe(EVENTS.RISK_PAUSED, ({ reason }) => received.push(reason));
+
+    await expect(eventBus.publish(EVENTS.RISK_PAUSED, { reason: '3 pérdidas seguidas' })).resolves.toBeUndefined();
+    expect(received).toEqual(['3 pérdidas seguidas']);
+  });
+
+  test('wildcard subscribers should receive every event until they unsubscribe', async () => {
+    const eventBus = createEventBus();
+    const events = [];
+    const unsubscribe = eventBus.subscribe(ALL_EVENTS, (payload, { event }) => events.push(event));
+
+    await eventBus.publish(EVENTS.CANDLE_CLOSED, { symbol: 'EURUSD' });
+    await eventBus.publish(EVENTS.NEWS_WINDOW_OPENED, { event: { currency: 'USD' } });
+    unsubscribe();
+    await eventBus.publish(EVENTS.SIGNAL_UPDATED, { symbol: 'EURUSD' });
+
+    expect(events).toEqual(['candle-closed', 'news-window-opened']);
+  });
+
+  test('recent events should be kept up to the history limit', async () => {
+    const eventBus = createEventBus({ historyLimit: 2 });
+    await eventBus.publish(EVENTS.CANDLE_CLOSED, { symbol: 'EURUSD' });
+    await eventBus.publish(EVENTS.SIGNAL_UPDATED, { symbol: 'EURUSD' });
+    await eventBus.publish(EVENTS.CANDLE_CLOSED, { symbol: 'GBPUSD' });
+
+    const recent = eventBus.getRecentEvents();
+    expect(recent.map(e => e.event)).toEqual(['signal-updated', 'candle-closed']);
+    expect(recent[1]).toMatchObject({ payload: { symbol: 'GBPUSD' } });
+    expect(eventBus.getRecentEvents({ event: EVENTS.CANDLE_CLOSED, limit: 5 })).toHaveLength(1);
+  });
+
+  test('unknown events should throw', async () => {
+    const eventBus = createEventBus();
+    expect(() => eventBus.subscribe('candle-open', () => {})).toThrow('Evento desconocido');
+    await expect(eventBus.publish('candle-open')).rejects.toThrow('Evento desconocido');
+  });
+});
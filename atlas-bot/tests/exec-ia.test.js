@@ -4,16 +4,15 @@ const execIA = require('../exec-ia/exec-ia');
 jest.mock('../utils/helpers', () => ({
   ...jest.requireActual('../utils/helpers'), // Mantener las funciones reales que no queremos mockear
   saveJsonFile: jest.fn().mockResolvedValue(true),
-  readJsonFile: jest.fn().mockResolvedValue({ openTrades: [] }),
+  readJsonFile: jest.fn(async () => ({ openTrades: [] })),
   fileExists: jest.fn().mockResolvedValue(true),
 }));
 
 describe('Execution IA Module (Backtest Mode)', () => {
   beforeEach(async () => {
     // Reiniciar el estado del módulo antes de cada prueba, forzando el modo backtest
-    await execIA.init({ backtestMode: true });
-    // Limpiar cualquier operación abierta de pruebas anteriores
-    execIA.getOpenTrades().length = 0;
+    // y sin operaciones abiertas de pruebas anteriores
+    await execIA.init({ backtestMode: true, reset: true, priceSource: null, payoutTable: {} });
   });
 
   test('placeTrade should simulate a trade in backtest mode', async () => {
@@ -53,6 +52,9 @@ describe('Execution IA Module (Backtest Mode)', () => {
   });
 
   test('checkTradeResult should return "closed" for an expired trade', async () => {
+    // El precio sube entre la entrada y el vencimiento
+    const entryTime = Date.now();
+    await execIA.init({ backtestMode: true, priceSource: (symbol, time) => (time >= entryTime ? 1.1000 : 1.1010) });
     const tradeParams = {
       symbol: 'EURUSD',
       direction: 'CALL',
@@ -67,6 +69,60 @@ describe('Execution IA Module (Backtest Mode)', () => {
     expect(result.status).toBe('closed');
     expect(result).toHaveProperty('result'); // 'win' or 'loss'
     expect(result).toHaveProperty('profit');
+    expect(result.entryPrice).toBe(1.1000);
+    expect(result.exitPrice).toBe(1.1010);
+  });
+
+  test('checkTradeResult should settle a win using the payout table', async () => {
+    let price = 1.2000;
+    await execIA.init({
+      backtestMode: true,
+      priceSource: () => price,
+      payoutTable: { EURUSD: { default: 0.8, '-1': 0.75 } },
+    });
+    await execIA.placeTrade({ symbol: 'EURUSD', direction: 'PUT', stake: 20, expiryMinutes: -1 });
+    price = 1.1990; // El precio baja: la operación PUT gana
+
+    const result = await execIA.checkTradeResult(execIA.getOpenTrades()[0]);
+
+    expect(result.result).toBe('win');
+    expect(result.profit).toBeCloseTo(15); // 20 * 0.75
+  });
+
+  test('checkTradeResult should refund the stake on a tie', async () => {
+    await execIA.init({ backtestMode: true, priceSource: () => 1.3000 });
+    await execIA.placeTrade({ symbol: 'EURUSD', direction: 'CALL', stake: 10, expiryMinutes: -1 });
+
+    const result = await execIA.checkTradeResult(execIA.getOpenTrades()[0]);
+
+    expect(result.status).toBe('closed');
+    expect(result.result).toBe('tie');
+    expect(result.profit).toBe(0);
+  });
+
+  test('checkTradeResult should keep the trade open while the exit price is unknown', async () => {
+    await execIA.init({ backtestMode: true, priceSource: () => null });
+    await execIA.placeTrade({ symbol: 'EURUSD', direction: 'CALL', stake: 10, expiryMinutes: -1 });
+
+    const result = await execIA.checkTradeResult(execIA.getOpenTrades()[0]);
+
+    expect(result.status).toBe('open');
+  });
+
+  test('checkTradeResult should orphan a simulated trade still without prices well past expiry', async () => {
+    await execIA.init({ backtestMode: true, priceSource: () => null, orphanGraceMs: 10 * 60000 });
+    await execIA.placeTrade({ symbol: 'EURUSD', direction: 'CALL', stake: 10, expiryMinutes: -30 }); // Venció hace 30 min
+
+    const result = await execIA.checkTradeResult(execIA.getOpenTrades()[0]);
+
+    expect(result.status).toBe('orphaned');
+    expect(execIA.getActiveTrades()).toHaveLength(0);
+    expect(execIA.getOrphanedTrades()[0].orphanReason).toContain('sin precio de entrada');
+  });
+
+  test('settleTrade should lose the full stake on a wrong direction', () => {
+    const result = execIA.settleTrade({ direction: 'CALL', stake: 10, entryPrice: 1.5, exitPrice: 1.49, payout: 0.85 });
+    expect(result).toEqual({ result: 'loss', profit: -10 });
   });
 
   test('removeTrade should remove a trade from the openTrades list', async () => {
@@ -0,0 +1,128 @@
+const path = require('path');
+const marketData = require('../market-data/market-data');
+const { createMockProvider } = require('../market-data/providers/mock-provider');
+const { createEventBus, EVENTS } = require('../event-bus/event-bus');
+
+describe('Market Data Module', () => {
+  afterEach(async () => {
+    await marketData.shutdown();
+  });
+
+  test('ingestTick should aggregate ticks into candles per timeframe', async () => {
+    const provider = { name: 'test', connect: async () => {}, poll: async () => {} };
+    await marketData.init({ symbols: ['EURUSD'], timeframes: ['1m', '5m'], providerInstance: provider });
+
+    const start = Date.UTC(2024, 0, 1, 10, 0, 0);
+    marketData.ingestTick('EURUSD', { price: 1.1, time: start });
+    marketData.ingestTick('EURUSD', { price: 1.12, time: start + 20000 });
+    marketData.ingestTick('EURUSD', { price: 1.09, time: start + 40000 });
+    // El siguiente tick abre un nuevo minuto y cierra la primera vela de 1m.
+    const closed = marketData.ingestTick('EURUSD', { price: 1.11, time: start + 60000 });
+
+    expect(closed).toBe(1);
+    const candles = marketData.getCandles('EURUSD', '1m');
+    expect(candles).toHaveLength(1);
+    expect(candles[0]).toMatchObject({ time: start, open: 1.1, high: 1.12, low: 1.09, close: 1.09 });
+    // La vela de 5m sigue en construcción.
+    expect(marketData.getCandles('EURUSD', '5m')).toHaveLength(0);
+    expect(marketData.getLastPrice('EURUSD')).toBe(1.11);
+  });
+
+  test('getPriceAt should resolve the price at a given instant', async () => {
+    const provider = { name: 'test', connect: async () => {}, poll: async () => {} };
+    await marketData.init({ symbols: ['EURUSD'], timeframes: ['1m'], providerInstance: provider });
+
+    const start = Date.UTC(2024, 0, 1, 10, 0, 0);
+    marketData.ingestCandle('EURUSD', '1m', { time: start, open: 1.1, high: 1.1, low: 1.1, close: 1.101 });
+    marketData.ingestCandle('EURUSD', '1m', { time: start + 60000, open: 1.101, high: 1.103, low: 1.1, close: 1.102 });
+
+    // Al final de cada vela el precio es su cierre.
+    expect(marketData.getPriceAt('EURUSD', start + 60000)).toBe(1.101);
+    expect(marketData.getPriceAt('EURUSD', start + 120000)).toBe(1.102);
+    // Sin datos antes de la primera vela ni demasiado después de la última.
+    expect(marketData.getPriceAt('EURUSD', start)).toBeNull();
+    expect(marketData.getPriceAt('EURUSD', start + 300000)).toBeNull();
+  });
+
+  test('replay provider should deliver historical candles progressively', async () => {
+    await marketData.init({
+      symbols: ['EURUSD'],
+      timeframes: ['15min'],
+      provider: 'replay',
+      providerOptions: {
+        files: { EURUSD: path.join(__dirname, 'mock-data', 'ohlcv.json') },
+        warmupCandles: 20,
+        startTime: Date.UTC(2024, 0, 1),
+      },
+    });
+
+    expect(marketData.getOHLCV('EURUSD', '15min').close).toHaveLength(20);
+
+    const newCandles = await marketData.refresh('EURUSD');
+    const ohlcv = marketData.getOHLCV('EURUSD', '15min');
+
+    expect(newCandles).toBe(1);
+    expect(ohlcv.close).toHaveLength(21);
+    expect(ohlcv.time[1] - ohlcv.time[0]).toBe(15 * 60000);
+  });
+
+  test('mock provider should be reproducible with the same seed', async () => {
+    const now = () => Date.UTC(2024, 0, 1, 12, 0, 0);
+
+    await marketData.init({
+      symbols: ['EURUSD'],
+      timeframes: ['1m'],
+      providerInstance: createMockProvider({ timeframe: '1m', seed: 7, warmupCandles: 50, now }),
+    });
+    const first = marketData.getOHLCV('EURUSD');
+
+    await marketData.init({
+      symbols: ['EURUSD'],
+      timeframes: ['1m'],
+      providerInstance: createMockProvider({ timeframe: '1m', seed: 7, warmupCandles: 50, now }),
+    });
+    const second = marketData.getOHLCV('EURUSD');
+
+    expect(first.close).toHaveLength(50);
+    expect(second.close).toEqual(first.close);
+  });
+
+  test('closed candles should be published on the event bus, except the initial history', async () => {
+    const eventBus = createEventBus();
+    const published = [];
+    eventBus.subscribe(EVENTS.CANDLE_CLOSED, ({ symbol, timeframe, candle }) => published.push([symbol, timeframe, candle.time]));
+    let clock = Date.UTC(2024, 0, 1, 12, 0, 30);
+    const provider = createMockProvider({ timeframe: '1m', warmupCandles: 10, now: () => clock });
+
+    await marketData.init({ symbols: ['EURUSD'], timeframes: ['1m'], providerInstance: provider, eventBus });
+    expect(marketData.getCandles('EURUSD')).toHaveLength(10);
+    expect(published).toHaveLength(0);
+
+    clock += 60000;
+    await marketData.refresh('EURUSD');
+    expect(published).toEqual([['EURUSD', '1m', Date.UTC(2024, 0, 1, 12, 0)]]);
+
+    // Sin velas nuevas no se publica nada
+    await marketData.refresh('EURUSD');
+    expect(published).toHaveLength(1);
+  });
+
+  test('a candle without further ticks should be closed and published when its interval ends', async () => {
+    const eventBus = createEventBus();
+    const published = [];
+    eventBus.subscribe(EVENTS.CANDLE_CLOSED, ({ timeframe, candle }) => published.push([timeframe, candle.close]));
+    const start = Date.UTC(2024, 0, 1, 10, 0, 0);
+    let clock = start;
+    const provider = { name: 'test', connect: async () => {}, poll: async () => {}, now: () => clock };
+    await marketData.init({ symbols: ['EURUSD'], timeframes: ['1m', '5m'], providerInstance: provider, eventBus });
+
+    marketData.ingestTick('EURUSD', { price: 1.1, time: start + 10000 });
+    marketData.ingestTick('EURUSD', { price: 1.105, time: start + 50000 });
+    await marketData.refresh('EURUSD');
+    expect(published).toHaveLength(0);
+
+    clock = start + 60000;
+    await marketData.refresh('EURUSD');
+    expect(published).toEqual([['1m', 1.105]]);
+  });
+});
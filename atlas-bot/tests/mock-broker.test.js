@@ -0,0 +1,124 @@
+const execIA = require('../exec-ia/exec-ia');
+const { createMockBrokerServer } = require('../exec-ia/brokers/mock-broker-server');
+
+// Aislar el estado persistido de exec-ia
+jest.mock('../utils/helpers', () => ({
+  ...jest.requireActual('../utils/helpers'),
+  saveJsonFile: jest.fn().mockResolvedValue(true),
+  readJsonFile: jest.fn(async () => ({ openTrades: [] })),
+  fileExists: jest.fn().mockResolvedValue(false),
+}));
+
+describe('Execution IA Module (Live Mode against the mock broker)', () => {
+  let server;
+  let port;
+
+  beforeEach(async () => {
+    // Un "minuto" de vencimiento dura 50 ms para que las pruebas sean rápidas
+    server = createMockBrokerServer({ latencyMs: 5, expiryUnitMs: 50, tickIntervalMs: 20, initialBalance: 1000 });
+    port = await server.start();
+    await execIA.init({
+      backtestMode: false,
+      reset: true,
+      broker: 'mock',
+      brokerOptions: { url: `ws://127.0.0.1:${port}` },
+      reconnect: { initialDelayMs: 10, maxDelayMs: 40, waitMs: 150 },
+    });
+  });
+
+  afterEach(async () => {
+    await execIA.shutdown();
+    await server.stop();
+  });
+
+  test('placeTrade should fill on the broker and settle at expiry', async () => {
+    const tradeId = await execIA.placeTrade({ symbol: 'EURUSD', direction: 'CALL', stake: 10, expiryMinutes: 1 });
+    const trade = execIA.getOpenTrades()[0];
+
+    expect(tradeId).toContain('mock-');
+    expect(typeof trade.entryPrice).toBe('number');
+    // El stake se descuenta al ejecutar la orden
+    expect(await execIA.getBalance()).toBe(990);
+
+    // Antes del vencimiento el broker la sigue considerando abierta
+    trade.expiryAt = new Date(Date.now() - 1).toISOString();
+    expect((await execIA.checkTradeResult(trade)).status).toBe('open');
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    const result = await execIA.checkTradeResult(trade);
+
+    expect(result.status).toBe('closed');
+    expect(['win', 'loss', 'tie']).toContain(result.result);
+    expect(result.entryPrice).toBe(trade.entryPrice);
+    expect(typeof result.exitPrice).toBe('number');
+    expect(await execIA.getBalance()).toBeCloseTo(1000 + result.profit);
+  });
+
+  test('placeTrade should surface broker rejections', async () => {
+    await expect(execIA.placeTrade({ symbol: 'EURUSD', direction: 'PUT', stake: 5000, expiryMinutes: 1 }))
+      .rejects.toThrow('Saldo insuficiente');
+    expect(execIA.getOpenTrades()).toHaveLength(0);
+  });
+
+  test('subscribeQuotes should stream normalized ticks', async () => {
+    const ticks = [];
+    const unsubscribe = await execIA.subscribeQuotes('EURUSD', tick => ticks.push(tick));
+    await new Promise(resolve => setTimeout(resolve, 70));
+    unsubscribe();
+
+    expect(ticks.length).toBeGreaterThan(0);
+    expect(ticks[0]).toEqual({ price: expect.any(Number), time: expect.any(Number), volume: 0 });
+  });
+
+  test('placeTrade should wait for the automatic reconnection after a drop', async () => {
+    server.dropConnections();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(execIA.getConnectionState().state).not.toBe('connected');
+
+    const tradeId = await execIA.placeTrade({ symbol: 'EURUSD', direction: 'CALL', stake: 10, expiryMinutes: 1 });
+
+    expect(tradeId).toContain('mock-');
+    expect(execIA.getConnectionState()).toMatchObject({ state: 'connected', attempts: 0 });
+  });
+
+  test('placeTrade should fail when the broker does not come back in time', async () => {
+    await server.stop();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await expect(execIA.placeTrade({ symbol: 'EURUSD', direction: 'CALL', stake: 10, expiryMinutes: 1 }))
+      .rejects.toThrow('No conectado');
+    expect(execIA.getConnectionState().attempts).toBeGreaterThan(0);
+  });
+
+  test('reconnection should reconcile open trades with the broker positions', async () => {
+    // Una operación registrada que el broker desconoce
+    const unknown = { tradeId: 'mock-999', symbol: 'EURUSD', direction: 'PUT', stake: 10, expiryAt: new Date(Date.now() + 300000).toISOString(), status: 'open' };
+    await execIA.init({ backtestMode: false, state: { openTrades: [unknown] }, broker: 'mock', brokerOptions: { url: `ws://127.0.0.1:${port}` } });
+    const tradeId = await execIA.placeTrade({ symbol: 'EURUSD', direction: 'PUT', stake: 10, expiryMinutes: 5 });
+    const placed = execIA.getOpenTrades().find(t => t.tradeId === tradeId);
+    // Simular una caída entre la orden y el guardado
+    await execIA.removeTrade(tradeId);
+
+    server.dropConnections();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const trades = execIA.getOpenTrades();
+    expect(trades.find(t => t.tradeId === placed.tradeId)).toMatchObject({ adopted: true, status: 'open', stake: 10 });
+    expect(trades.find(t => t.tradeId === 'mock-999').status).toBe('orphaned');
+  });
+
+  test('checkTradeResult should flag trades unresolved well past expiry as orphaned', async () => {
+    const trade = {
+      tradeId: 'mock-404',
+      symbol: 'EURUSD',
+      direction: 'CALL',
+      stake: 10,
+      expiryAt: new Date(Date.now() - 3600000).toISOString(), // Venció hace una hora
+      status: 'open',
+    };
+    const result = await execIA.checkTradeResult(trade);
+
+    expect(result.status).toBe('orphaned');
+    expect(trade.status).toBe('orphaned');
+  });
+});
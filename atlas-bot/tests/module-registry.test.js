@@ -0,0 +1,100 @@
+const { createModuleRegistry } = require('../module-registry/module-registry');
+
+describe('Module Registry', () => {
+  let clock;
+  const context = { symbol: 'EURUSD', indicators: {}, ohlcv: { close: [1.1] } };
+  const create = (options = {}) => createModuleRegistry({ timeoutMs: 50, maxFailures: 2, retryIntervalMs: 1000, now: () => clock, ...options });
+
+  beforeEach(() => {
+    clock = Date.UTC(2025, 6, 8, 12, 0);
+  });
+
+  test('register should reject incomplete or duplicated modules', () => {
+    const registry = create();
+    expect(() => registry.register({ name: 'sent' })).toThrow('getSignal');
+    registry.register({ name: 'sent', getSignal: () => null });
+    expect(() => registry.register({ name: 'sent', getSignal: () => null })).toThrow('ya registrado');
+  });
+
+  test('gatherSignals should add each module signal and pass the earlier ones in the context', async () => {
+    const registry = create();
+    const seen = [];
+    registry.register({ name: 'sent', getSignal: () => ({ sentiment: 'positive', confidence: 0.7 }) });
+    registry.register({ name: 'pred', getSignal: ({ symbol, signals }) => { seen.push(symbol, Object.keys(signals)); return { direction: 'CALL', confidence: 0.6 }; } });
+    await registry.initAll();
+
+    const { signals, skipped } = await registry.gatherSignals(context, { tech: { direction: 'CALL', score: 0.8 } });
+    expect(Object.keys(signals)).toEqual(['tech', 'sent', 'pred']);
+    expect(seen).toEqual(['EURUSD', ['tech', 'sent']]);
+    expect(skipped).toEqual({});
+  });
+
+  test('a module that fails to init should be skipped and retried later', async () => {
+    const registry = create();
+    let attempts = 0;
+    registry.register({ name: 'geo-usa', init: async () => { attempts++; if (attempts === 1) throw new Error('sin red'); }, getSignal: () => ({ action: 'CALL', confidence: 0.7 }) });
+    registry.register({ name: 'vol', getSignal: () => ({ volatility: 'low', confidence: 0.2 }) });
+    await registry.initAll();
+
+    expect(registry.getStatus()['geo-usa']).toMatchObject({ status: 'failed', lastError: 'sin red' });
+    let result = await registry.gatherSignals(context);
+    expect(result.skipped).toEqual({ 'geo-usa': 'failed' });
+    expect(result.signals.vol).toBeDefined();
+
+    // Pasado el intervalo de reintento el módulo vuelve a iniciarse
+    clock += 1000;
+    result = await registry.gatherSignals(context);
+    expect(attempts).toBe(2);
+    expect(result.signals['geo-usa']).toMatchObject({ action: 'CALL' });
+    expect(registry.getStatus()['geo-usa'].status).toBe('ready');
+  });
+
+  test('slow or failing signals should be skipped and disable the module after maxFailures', async () => {
+    const registry = create();
+    registry.register({ name: 'slow', getSignal: () => new Promise(resolve => setTimeout(() => resolve({ direction: 'CALL' }), 200)) });
+    registry.register({ name: 'broken', getSignal: () => { throw new Error('fallo'); } });
+    await registry.initAll();
+
+    let result = await registry.gatherSignals(context);
+    expect(result.skipped).toEqual({ slow: 'error', broken: 'error' });
+    expect(registry.getStatus().slow.lastError).toContain('sin respuesta');
+    expect(registry.getStatus().broken).toMatchObject({ status: 'ready', failures: 1 });
+
+    result = await registry.gatherSignals(context);
+    expect(registry.getStatus().broken).toMatchObject({ status: 'failed', failures: 2 });
+    result = await registry.gatherSignals(context);
+    expect(result.skipped.broken).toBe('failed');
+  });
+
+  test('stale data should be skipped and failed refreshes should keep the previous data', async () => {
+    const registry = create();
+    let lastTrained = null;
+    let refreshes = 0;
+    registry.register({ name: 'pred', lastUpdate: () => lastTrained, maxAgeMs: 60000, getSignal: () => ({ direction: 'PUT', confidence: 0.6 }) });
+    registry.register({ name: 'news', refresh: () => { refreshes++; return false; }, refreshIntervalMs: 10000, maxAgeMs: 30000, getSignal: () => ({ blocked: false }) });
+    await registry.initAll();
+
+    // Sin modelo entrenado pred-ia no se consulta
+    let result = await registry.gatherSignals(context);
+    expect(result.skipped.pred).toBe('stale');
+    lastTrained = new Date(clock).toISOString();
+    expect((await registry.gatherSignals(context)).signals.pred).toBeDefined();
+
+    // El refresco fallido no descarta los datos del init hasta que caducan
+    clock += 20000;
+    result = await registry.gatherSignals(context);
+    expect(refreshes).toBe(1);
+    expect(result.signals.news).toBeDefined();
+    expect(registry.getStatus().news.lastError).toContain('No se pudieron');
+    clock += 20000;
+    result = await registry.gatherSignals(context);
+    expect(result.skipped).toEqual({ news: 'stale' });
+  });
+
+  test('a null signal should be reported as empty', async () => {
+    const registry = create();
+    registry.register({ name: 'vol', getSignal: () => null });
+    await registry.initAll();
+    expect((await registry.gatherSignals(context)).skipped).toEqual({ vol: 'empty' });
+  });
+});
@@ -0,0 +1,58 @@
+const { computePerformance } = require('../analytics/performance-analytics');
+
+describe('Performance Analytics', () => {
+  // Secuencia conocida: +8.5, +8.5, -10, -10, -10, +8.5, empate
+  const trades = [
+    { result: 'win', profit: 8.5, direction: 'CALL', placedAt: '2025-07-06T04:00:00Z' },
+    { result: 'win', profit: 8.5, direction: 'CALL', placedAt: '2025-07-06T04:30:00Z' },
+    { result: 'loss', profit: -10, direction: 'PUT', placedAt: '2025-07-06T05:00:00Z' },
+    { result: 'loss', profit: -10, direction: 'CALL', placedAt: '2025-07-06T05:15:00Z' },
+    { result: 'loss', profit: -10, direction: 'PUT', placedAt: '2025-07-06T05:30:00Z' },
+    { result: 'win', profit: 8.5, direction: 'PUT', placedAt: '2025-07-06T06:00:00Z' },
+    { result: 'tie', profit: 0, direction: 'CALL', placedAt: '2025-07-06T06:30:00Z' },
+  ];
+
+  test('computePerformance should compute the equity curve, drawdown and summary', () => {
+    const perf = computePerformance(trades, { initialBalance: 100 });
+
+    expect(perf.summary).toMatchObject({ trades: 7, wins: 3, losses: 3, ties: 1, winRate: 0.5, finalBalance: 95.5 });
+    expect(perf.equityCurve).toHaveLength(8);
+    expect(perf.equityCurve[2].balance).toBe(117);
+    // Pico de 117 tras dos aciertos, valle de 87 tras tres fallos
+    expect(perf.maxDrawdown).toBe(30);
+    expect(perf.maxDrawdownPct).toBeCloseTo(30 / 117, 4);
+  });
+
+  test('computePerformance should compute ratios, expectancy and streaks', () => {
+    const perf = computePerformance(trades, { initialBalance: 100 });
+
+    expect(perf.profitFactor).toBeCloseTo(25.5 / 30, 4);
+    expect(perf.expectancy).toBeCloseTo(-4.5 / 7, 2);
+    expect(perf.avgWin).toBe(8.5);
+    expect(perf.avgLoss).toBe(-10);
+    expect(perf.sharpeRatio).toBeLessThan(0);
+    expect(perf.sortinoRatio).toBeLessThan(0);
+    expect(perf.streaks).toMatchObject({ maxWinStreak: 2, maxLossStreak: 3, current: { type: 'win', length: 1 } });
+  });
+
+  test('computePerformance should break down results by hour and direction', () => {
+    const perf = computePerformance(trades, { initialBalance: 100 });
+
+    expect(perf.byHour['5']).toMatchObject({ trades: 3, losses: 3, winRate: 0 });
+    expect(perf.byHour['4']).toMatchObject({ trades: 2, wins: 2, profit: 17 });
+    expect(perf.byDirection.CALL).toMatchObject({ trades: 4, wins: 2, losses: 1, ties: 1 });
+    expect(perf.byDirection.PUT).toMatchObject({ trades: 3, wins: 1, losses: 2, profit: -11.5 });
+  });
+
+  test('computePerformance should handle an empty or loss-free history', () => {
+    const empty = computePerformance([], { initialBalance: 100 });
+    expect(empty.summary).toMatchObject({ trades: 0, finalBalance: 100 });
+    expect(empty.maxDrawdown).toBe(0);
+    expect(empty.sharpeRatio).toBeNull();
+
+    // Sin fechas se respeta el orden recibido; sin pérdidas el profit factor no está definido
+    const onlyWins = computePerformance([{ result: 'win', profit: 5 }, { result: 'win', profit: 7 }]);
+    expect(onlyWins.profitFactor).toBeNull();
+    expect(onlyWins.equityCurve.map(p => p.balance)).toEqual([1000, 1005, 1012]);
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const decisionJournal = require('../journal/decision-journal');
+const riskmapIA = require('../riskmap-ia/riskmap-ia');
+const compoundLogic = require('../compound-logic/compound-logic');
+const { replayCycle, diffDecisions, runReplay, formatReport } = require('../replay/replay');
+
+describe('Decision Replay', () => {
+  // Martes en plena sesión de Londres
+  const time = '2025-07-01T10:00:00.000Z';
+  const timeMs = Date.parse(time);
+  let dir;
+  let filePath;
+  let startState;
+
+  // Ciclo sin resultados registrados: se completa con su propia reproducción.
+  const cycleInputs = (cycleId, overrides = {}) => ({
+    cycleId,
+    time,
+    symbols: ['EURUSD', 'GBPUSD'],
+    closedTrades: [],
+    upcomingEvents: [],
+    state: startState,
+    evaluations: [
+      {
+        symbol: 'EURUSD',
+        inputs: {
+          indicators: { atr: 0.0005 },
+          signals: { tech: { direction: 'CALL', score: 0.9, timestamp: timeMs } },
+        },
+        signalrank: { direction: 'CALL' },
+        mtf: { action: 'allow', factor: 1, reason: 'Alineado.' },
+      },
+      {
+        symbol: 'GBPUSD',
+        inputs: {
+          indicators: { atr: 0.0006 },
+          signals: { tech: { direction: 'PUT', score: 0.2, timestamp: timeMs } },
+        },
+      },
+    ],
+    ...overrides,
+  });
+
+  const recordCycle = async (cycleId, overrides) => {
+    const inputs = cycleInputs(cycleId, overrides);
+    const replayed = await replayCycle(inputs);
+    const record = { ...inputs, ...replayed, state: inputs.state };
+    await decisionJournal.recordDecision(record);
+    return record;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-replay-'));
+    filePath = path.join(dir, 'decisions.jsonl');
+    await decisionJournal.init({ filePath });
+    // Estado de partida de los módulos, tal como lo guarda el orquestador
+    await riskmapIA.init({ persist: false, reset: true, balance: 1000, atrProfiles: {} });
+    await compoundLogic.init({ persist: false, reset: true });
+    startState = {
+      balance: 1000,
+      openTrades: [],
+      riskmap: riskmapIA.getState(),
+      atrProfiles: {},
+      compound: compoundLogic.getState(),
+      signalrank: { lastTradeTimes: {}, learnedWeights: null },
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('replaying a cycle with unchanged code and config should reproduce the recorded decisions', async () => {
+    const record = await recordCycle('c1');
+    expect(record).toMatchObject({
+      action: 'traded',
+      ranking: [{ rank: 1, symbol: 'EURUSD', direction: 'CALL' }],
+      decisions: [{ symbol: 'EURUSD', action: 'placed', stake: { bankroll: 1000 } }],
+    });
+    expect(record.evaluations.map(e => e.outcome)).toEqual(['candidate', 'hold']);
+
+    const result = await runReplay({ filePath, calendar: {} });
+    expect(result).toMatchObject({ cycles: 1, skipped: [], differences: [] });
+    expect(formatReport(result)).toContain('coinciden con las registradas');
+  });
+
+  test('replays should be deterministic and use the cycle time, not the wall clock', async () => {
+    // Operación de EURUSD CALL un minuto antes del ciclo: el cooldown solo sigue activo a la hora del ciclo.
+    const cooldownState = { ...startState, signalrank: { lastTradeTimes: { 'EURUSD-CALL': timeMs - 60000 }, learnedWeights: null } };
+    const inputs = cycleInputs('c1', { state: cooldownState });
+
+    const first = await replayCycle(inputs);
+    const second = await replayCycle(inputs);
+    expect(second).toEqual(first);
+    expect(first.evaluations[0]).toMatchObject({ outcome: 'hold', signalrank: { rejection: 'cooldown' } });
+    expect(first.action).toBe('no-trade');
+  });
+
+  test('replays should use the ATR profiles saved with the cycle, not the ones on disk', async () => {
+    // Un perfil que bloquea el ATR de EURUSD (0.0005) en la temporalidad base
+    const atrProfiles = { EURUSD: { '1m': { reducedAbove: 0.0002, blockedAbove: 0.0004, reducedPercentile: 80, blockedPercentile: 95 } } };
+    const blocked = await replayCycle(cycleInputs('c1', { state: { ...startState, atrProfiles } }));
+    expect(blocked.action).toBe('no-trade');
+    expect(blocked.decisions[0]).toMatchObject({ symbol: 'EURUSD', action: 'risk-denied' });
+
+    const record = await recordCycle('c2');
+    expect(record.state.atrProfiles).toEqual({});
+    expect((await replayCycle(record)).action).toBe('traded');
+  });
+
+  test('a stake strategy without edge should skip the trade instead of placing the minimum stake', async () => {
+    // Kelly con un 50% de aciertos y payout < 1: esperanza negativa
+    await compoundLogic.init({ persist: false, reset: true, strategy: 'kelly' });
+    for (let i = 0; i < 20; i++) await compoundLogic.recordTradeResult({ result: i % 2 ? 'loss' : 'win' });
+    const replayed = await replayCycle(cycleInputs('c1', { state: { ...startState, compound: compoundLogic.getState() } }));
+
+    expect(replayed.action).toBe('no-trade');
+    expect(replayed.decisions[0]).toMatchObject({ symbol: 'EURUSD', action: 'stake-skipped', stake: { strategy: 'kelly', stake: 0 } });
+  });
+
+  test('replays should use the payout recorded with the stake, not the current payout table', async () => {
+    const record = await recordCycle('c1');
+    record.decisions[0].stake.payout = 0.7;
+
+    const replayed = await replayCycle(record);
+    expect(replayed.decisions[0]).toMatchObject({ symbol: 'EURUSD', action: 'placed', stake: { payout: 0.7 } });
+  });
+
+  test('a change in the inputs should be reported as a difference in the decisions', async () => {
+    const record = await recordCycle('c1');
+    // La misma decisión, pero partiendo de un cooldown activo en EURUSD CALL
+    const changed = await replayCycle({
+      ...record,
+      state: { ...startState, signalrank: { lastTradeTimes: { 'EURUSD-CALL': timeMs - 60000 }, learnedWeights: null } },
+    });
+
+    const fields = diffDecisions(record, changed).map(d => d.field);
+    expect(fields).toEqual(expect.arrayContaining([
+      'action',
+      'evaluations.EURUSD.outcome',
+      'evaluations.EURUSD.rejection',
+      'ranking',
+      'decisions.EURUSD.action',
+      'decisions.EURUSD.stake',
+    ]));
+    expect(fields).not.toContain('evaluations.GBPUSD.outcome');
+    expect(diffDecisions(record, changed).find(d => d.field === 'action')).toEqual({
+      cycleId: 'c1', field: 'action', recorded: 'traded', replayed: 'no-trade',
+    });
+  });
+
+  test('runReplay should filter cycles and skip those without a start state or with errors', async () => {
+    await recordCycle('c1');
+    await decisionJournal.recordDecision({ cycleId: 'c2', time, symbols: ['EURUSD'], evaluations: [], action: 'no-trade' });
+    await decisionJournal.recordDecision({ cycleId: 'c3', time, symbols: ['EURUSD'], action: 'error', reason: 'fallo' });
+    await recordCycle('c4', { symbols: ['GBPUSD'] });
+
+    const result = await runReplay({ filePath, calendar: {} });
+    expect(result.replayed.map(d => d.cycleId)).toEqual(['c1', 'c4']);
+    expect(result.skipped.map(s => s.cycleId)).toEqual(['c2', 'c3']);
+
+    const onlyOne = await runReplay({ filePath, cycleId: 'c4', calendar: {} });
+    expect(onlyOne).toMatchObject({ cycles: 1, differences: [] });
+  });
+});
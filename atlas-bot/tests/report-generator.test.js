@@ -0,0 +1,90 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const tradeJournal = require('../journal/trade-journal');
+const { buildReport, generateReport } = require('../reporting/report-generator');
+
+describe('Report Generator', () => {
+  const trades = [
+    { tradeId: 't1', symbol: 'EURUSD', direction: 'CALL', stake: 10, entryPrice: 1.1, exitPrice: 1.2, placedAt: '2025-07-06T04:00:00.000Z', expiryAt: '2025-07-06T04:05:00.000Z', status: 'closed', result: 'win', profit: 8.5, finalSignal: { direction: 'CALL', finalScore: 0.8 } },
+    { tradeId: 't2', symbol: 'EURUSD', direction: 'PUT', stake: 12, entryPrice: 1.2, exitPrice: 1.21, placedAt: '2025-07-06T05:00:00.000Z', expiryAt: '2025-07-06T05:05:00.000Z', status: 'closed', result: 'loss', profit: -12, finalSignal: { direction: 'PUT', finalScore: 0.9 } },
+  ];
+
+  test('buildReport should fill every section of the report template', () => {
+    const report = buildReport({
+      trades,
+      phase: 'demo',
+      symbols: ['EURUSD'],
+      initialBalance: 1000,
+      startTime: '2025-07-06T04:00:00.000Z',
+      endTime: '2025-07-06T07:00:00.000Z',
+      moduleStates: { compound: { totalCompounds: 5 }, 'vol-ia': { volatility: 'low' } },
+    });
+
+    expect(report).toMatchObject({ phase: 'demo', pair: 'EUR/USD', duration: 3, totalOperations: 2, status: 'demo_completed' });
+    expect(report.summary).toMatchObject({ totalTrades: 2, winTrades: 1, lossTrades: 1, winRate: 0.5, finalBalance: 996.5, profit: -3.5, maxDrawdown: 12 });
+    expect(report.riskmap).toMatchObject({ lossesInRow: 1, tradeCount: 2, maxLossStreak: 1 });
+    // El estado del módulo tiene prioridad sobre lo derivado del diario
+    expect(report.compound).toMatchObject({ tradeCount: 2, currentLotSize: 12, totalCompounds: 5, avgLotSize: 11 });
+    expect(report.signalrank).toMatchObject({ totalSignals: 2, avgConfidence: 0.85, bestSignal: { confidence: 0.9, timestamp: '2025-07-06T05:00:00.000Z' } });
+    expect(report.exec.operations[0]).toEqual({
+      id: 't1', pair: 'EUR/USD', action: 'CALL', amount: 10, entryPrice: 1.1, exitPrice: 1.2, result: 'win', profit: 8.5, timestamp: '2025-07-06T04:00:00.000Z', duration: 300,
+    });
+    expect(report.modules['vol-ia']).toEqual({ status: 'active', volatility: 'low' });
+    // Sin el estado de signalrank-ia no se inventan descartes
+    expect(report.signalrank).not.toHaveProperty('filteredOut');
+  });
+
+  test('buildReport should report the signal statistics persisted by signalrank-ia', () => {
+    const report = buildReport({
+      trades,
+      startTime: '2025-07-06T04:00:00.000Z',
+      endTime: '2025-07-06T07:00:00.000Z',
+      moduleStates: {
+        signalrank: { totalSignals: 40, acceptedSignals: 2, filteredOut: 38, rejections: { cooldown: 3, belowThreshold: 35 }, avgConfidence: 0.61 },
+      },
+    });
+
+    expect(report.signalrank).toMatchObject({
+      totalSignals: 40, acceptedSignals: 2, filteredOut: 38, rejections: { cooldown: 3, belowThreshold: 35 }, avgConfidence: 0.61,
+      bestSignal: { confidence: 0.9 },
+    });
+  });
+
+  test('the report pair should list the watchlist and every symbol traded in the period', () => {
+    const report = buildReport({
+      trades: [...trades, { ...trades[0], tradeId: 't3', symbol: 'USDJPY' }],
+      symbols: ['EURUSD', 'GBPUSD'],
+      startTime: '2025-07-06T04:00:00.000Z',
+      endTime: '2025-07-06T07:00:00.000Z',
+    });
+
+    expect(report.pairs).toEqual(['EUR/USD', 'GBP/USD', 'USD/JPY']);
+    expect(report.pair).toBe('EUR/USD, GBP/USD, USD/JPY');
+  });
+
+  test('generateReport should write dated JSON and HTML files from the journal', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-report-'));
+    try {
+      await tradeJournal.init({ filePath: path.join(dir, 'trades.jsonl') });
+      await tradeJournal.recordPlaced(trades[0], { finalSignal: trades[0].finalSignal });
+      await tradeJournal.recordClosed('t1', { result: 'win', profit: 8.5, exitPrice: 1.2 });
+
+      const { jsonPath, htmlPath } = await generateReport({
+        from: '2025-07-06T00:00:00.000Z',
+        to: '2025-07-06T23:59:59.999Z',
+        phase: 'real',
+        reportsDir: dir,
+      });
+
+      expect(path.basename(jsonPath)).toBe('report-real-2025-07-06.json');
+      const written = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+      expect(written.summary.totalTrades).toBe(1);
+      const html = await fs.readFile(htmlPath, 'utf8');
+      expect(html).toContain('<svg');
+      expect(html).toContain('t1');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
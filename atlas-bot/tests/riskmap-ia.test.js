@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const riskmapIA = require('../riskmap-ia/riskmap-ia');
+const { calibrateAtrProfile, runCalibration } = require('../riskmap-ia/atr-calibration');
+
+describe('RiskMap IA Module (Circuit Breaker)', () => {
+  const start = Date.UTC(2025, 6, 7, 10, 0, 0);
+  const minutes = n => start + n * 60000;
+
+  beforeEach(async () => {
+    // Estado limpio y sin escribir en disco
+    await riskmapIA.init({ balance: 1000, persist: false, reset: true });
+  });
+
+  test('assessRisk should allow trades under normal conditions', () => {
+    const risk = riskmapIA.assessRisk({ upcomingEvents: [], indicators: { atr: 0.001 }, now: start });
+    expect(risk.allowed).toBe(true);
+    expect(risk.recommendedStakePct).toBeGreaterThan(0);
+  });
+
+  test('assessRisk should deny trades outside the trading schedule of the symbol', () => {
+    const saturday = Date.UTC(2025, 6, 12, 10, 0);
+    const risk = riskmapIA.assessRisk({ symbol: 'EURUSD', upcomingEvents: [], indicators: {}, now: saturday });
+    expect(risk).toMatchObject({ allowed: false, recommendedStakePct: 0 });
+    expect(risk.reason).toContain('fin de semana');
+  });
+
+  test('consecutive losses should pause trading until the pause expires', async () => {
+    await riskmapIA.recordTradeResult({ result: 'loss', profit: -10, now: minutes(0) });
+    await riskmapIA.recordTradeResult({ result: 'tie', profit: 0, now: minutes(1) }); // No rompe la racha
+    await riskmapIA.recordTradeResult({ result: 'loss', profit: -10, now: minutes(2) });
+    const state = await riskmapIA.recordTradeResult({ result: 'loss', profit: -10, now: minutes(3) });
+
+    expect(state).toMatchObject({ isPaused: true, lossesInRow: 3, maxLossStreak: 3, tradeCount: 4 });
+    expect(riskmapIA.assessRisk({ upcomingEvents: [], indicators: {}, now: minutes(30) }).allowed).toBe(false);
+
+    // Tras PAUSE_MINUTES (60 por defecto) se reanuda y la racha se reinicia
+    const risk = riskmapIA.assessRisk({ upcomingEvents: [], indicators: {}, now: minutes(64) });
+    expect(risk.allowed).toBe(true);
+    expect(riskmapIA.getState()).toMatchObject({ isPaused: false, lossesInRow: 0, maxLossStreak: 3 });
+  });
+
+  test('hitting the daily loss limit should pause until the next day', async () => {
+    // Una pérdida del 6% supera el límite diario por defecto (5%)
+    const state = await riskmapIA.recordTradeResult({ result: 'loss', profit: -60, now: minutes(0) });
+
+    expect(state.isPaused).toBe(true);
+    expect(state.pauseUntil).toBe('2025-07-08T00:00:00.000Z');
+    expect(state.pauseReason).toContain('pérdida diaria');
+    expect(riskmapIA.assessRisk({ upcomingEvents: [], indicators: {}, now: minutes(600) }).allowed).toBe(false);
+    expect(riskmapIA.assessRisk({ upcomingEvents: [], indicators: {}, now: Date.UTC(2025, 6, 8, 0, 1) }).allowed).toBe(true);
+  });
+
+  test('hitting the daily profit target should also pause, and daily P&L should reset each day', async () => {
+    await riskmapIA.recordTradeResult({ result: 'win', profit: 50, now: minutes(0) });
+    expect(riskmapIA.getState().isPaused).toBe(false);
+    const paused = await riskmapIA.recordTradeResult({ result: 'win', profit: 60, now: minutes(5) });
+    expect(paused.pauseReason).toContain('beneficio diario');
+
+    const nextDay = await riskmapIA.recordTradeResult({ result: 'win', profit: 5, now: Date.UTC(2025, 6, 8, 9, 0) });
+    expect(nextDay).toMatchObject({ isPaused: false, day: '2025-07-08', dailyPnl: 5, dayStartBalance: 1110 });
+  });
+
+  test('drawdown from the peak should be tracked and trigger a pause', async () => {
+    await riskmapIA.recordTradeResult({ result: 'win', profit: 50, now: minutes(0) });
+    // Un acierto y una pérdida por día, sin tocar el límite diario ni la racha de pérdidas
+    let state;
+    for (const [day, loss] of [[8, 47], [9, 45], [10, 43], [11, 41]]) {
+      await riskmapIA.recordTradeResult({ result: 'win', profit: 1, now: Date.UTC(2025, 6, day, 9) });
+      state = await riskmapIA.recordTradeResult({ result: 'loss', profit: -loss, now: Date.UTC(2025, 6, day, 10) });
+    }
+
+    expect(state.peakBalance).toBe(1051);
+    expect(state.drawdownPct).toBeGreaterThanOrEqual(15);
+    expect(state.pauseReason).toContain('Drawdown');
+  });
+
+  describe('Exposure and correlation limits', () => {
+    const assess = (signal, openTrades) => riskmapIA.assessRisk({
+      signal, openTrades, balance: 1000, upcomingEvents: [], indicators: {}, now: start,
+    });
+
+    test('computeCurrencyExposure should decompose pairs into currency legs', () => {
+      const exposure = riskmapIA.computeCurrencyExposure([
+        { symbol: 'EURUSD', direction: 'CALL' },
+        { symbol: 'USDCHF', direction: 'PUT' },
+      ]);
+      // Largo EURUSD + corto USDCHF = doble corto en USD
+      expect(exposure).toEqual({ EUR: { net: 1, trades: 1 }, USD: { net: -2, trades: 2 }, CHF: { net: 1, trades: 1 } });
+    });
+
+    test('assessRisk should shrink the stake when a trade doubles a currency exposure', () => {
+      const risk = assess({ symbol: 'USDCHF', direction: 'PUT' }, [{ symbol: 'EURUSD', direction: 'CALL', stake: 10 }]);
+      expect(risk.allowed).toBe(true);
+      expect(risk.recommendedStakePct).toBeCloseTo(0.5);
+      expect(risk.reason).toContain('USD quedaría 2 veces corta');
+    });
+
+    test('assessRisk should deny trades beyond the correlated exposure limit', () => {
+      const open = [
+        { symbol: 'EURUSD', direction: 'CALL', stake: 10 },
+        { symbol: 'USDCHF', direction: 'PUT', stake: 10 },
+      ];
+      const risk = assess({ symbol: 'GBPUSD', direction: 'CALL' }, open);
+      expect(risk.allowed).toBe(false);
+      expect(risk.reason).toContain('Exposición correlacionada excesiva');
+
+      // Una operación que compensa la exposición sí se permite
+      expect(assess({ symbol: 'USDJPY', direction: 'CALL' }, open).allowed).toBe(true);
+    });
+
+    test('assessRisk should cap the total open stake', () => {
+      // 5% de 1000 = 50 de exposición total máxima
+      expect(assess({ symbol: 'AUDNZD', direction: 'CALL' }, [{ symbol: 'EURJPY', direction: 'CALL', stake: 50 }]).allowed).toBe(false);
+
+      const shrunk = assess({ symbol: 'AUDNZD', direction: 'CALL' }, [{ symbol: 'EURJPY', direction: 'CALL', stake: 45 }]);
+      expect(shrunk.allowed).toBe(true);
+      expect(shrunk.recommendedStakePct).toBeCloseTo(0.5); // Quedan 5 de hueco: 0.5% del capital
+      // El hueco también se devuelve en importe, para limitar el stake de cualquier estrategia
+      expect(shrunk.maxStake).toBe(5);
+      expect(assess({ symbol: 'AUDNZD', direction: 'CALL' }, []).maxStake).toBe(50);
+    });
+
+    test('orphaned trades should not count toward the exposure limits', () => {
+      const orphaned = [{ symbol: 'EURJPY', direction: 'CALL', stake: 50, status: 'orphaned' }];
+      expect(assess({ symbol: 'AUDNZD', direction: 'CALL' }, orphaned)).toMatchObject({ allowed: true, maxStake: 50 });
+    });
+  });
+
+  describe('ATR calibration', () => {
+    // Velas sintéticas con un rango creciente: el ATR crece de forma monótona
+    const candles = n => {
+      const ohlcv = { open: [], high: [], low: [], close: [], volume: [] };
+      for (let i = 0; i < n; i++) {
+        const range = 0.0005 + i * 0.00001;
+        ohlcv.open.push(1.1);
+        ohlcv.high.push(1.1 + range / 2);
+        ohlcv.low.push(1.1 - range / 2);
+        ohlcv.close.push(1.1);
+        ohlcv.volume.push(100);
+      }
+      return ohlcv;
+    };
+
+    test('calibrateAtrProfile should derive ordered percentile bands', () => {
+      const profile = calibrateAtrProfile(candles(300), { atrPeriod: 14, reducedPercentile: 80, blockedPercentile: 95 });
+      expect(profile.samples).toBe(286);
+      expect(profile.percentiles.p50).toBeLessThan(profile.reducedAbove);
+      expect(profile.reducedAbove).toBeLessThan(profile.blockedAbove);
+      expect(() => calibrateAtrProfile(candles(300), { reducedPercentile: 95, blockedPercentile: 80 })).toThrow();
+    });
+
+    test('runCalibration should store profiles by symbol and normalized timeframe', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-atr-'));
+      const profilesPath = path.join(dir, 'atr-profiles.json');
+      await fs.writeFile(profilesPath, JSON.stringify({ GBPUSD: { '5m': { reducedAbove: 1, blockedAbove: 2 } } }));
+
+      const profiles = await runCalibration({
+        targets: [{ symbol: 'EURUSD', timeframe: '15min' }],
+        loadCandles: async () => candles(300),
+        profilesPath,
+      });
+      expect(Object.keys(profiles)).toEqual(['GBPUSD', 'EURUSD']);
+      expect(JSON.parse(await fs.readFile(profilesPath, 'utf8')).EURUSD['15m'].samples).toBe(286);
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('assessRisk should grade the stake using the symbol profile', async () => {
+      const atrProfiles = { EURUSD: { '15m': { reducedAbove: 0.001, blockedAbove: 0.002, reducedPercentile: 80, blockedPercentile: 95 } } };
+      await riskmapIA.init({ balance: 1000, persist: false, reset: true, atrProfiles });
+      const assess = (atr, symbol = 'EURUSD') => riskmapIA.assessRisk({
+        symbol, timeframe: 'M15', upcomingEvents: [], indicators: { atr }, now: start,
+      });
+
+      expect(assess(0.0008)).toMatchObject({ allowed: true, atrLevel: 'normal', recommendedStakePct: 1 });
+      expect(assess(0.0015)).toMatchObject({ allowed: true, atrLevel: 'reduced', recommendedStakePct: 0.5 });
+      expect(assess(0.003)).toMatchObject({ allowed: false, atrLevel: 'blocked' });
+      // Sin perfil se mantiene el umbral global MAX_ATR_THRESHOLD
+      expect(assess(0.003, 'USDJPY')).toMatchObject({ allowed: true, atrLevel: 'normal' });
+
+      // Los perfiles en uso se exponen (filtrados por símbolo) para guardarlos con cada decisión
+      expect(riskmapIA.getAtrProfiles(['EURUSD', 'USDJPY'])).toEqual(atrProfiles);
+      expect(riskmapIA.getAtrProfiles(['USDJPY'])).toEqual({});
+    });
+  });
+});
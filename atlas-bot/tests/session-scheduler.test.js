@@ -0,0 +1,56 @@
+const sessionScheduler = require('../session-scheduler/session-scheduler');
+
+describe('Session Scheduler Module', () => {
+  beforeEach(async () => {
+    // Calendario en memoria para no depender de trading-calendar.json
+    await sessionScheduler.init({
+      calendar: {
+        symbols: { default: ['london', 'newYork'], USDJPY: ['tokyo'] },
+        holidays: [
+          { date: '2025-12-25', name: 'Navidad' },
+          { date: '2025-11-27', name: 'Acción de Gracias', currencies: ['USD'] },
+        ],
+        blackouts: [
+          { name: 'Rollover', timezone: 'America/New_York', start: '16:55', end: '17:15' },
+          { name: 'Mantenimiento', from: '2025-07-09T12:00:00Z', to: '2025-07-09T13:00:00Z', symbols: ['EURUSD'] },
+        ],
+      },
+    });
+  });
+
+  test('sessions should follow each city local time, including daylight saving', () => {
+    // 07:30 UTC: en julio son las 08:30 en Londres (BST), en enero las 07:30 (GMT)
+    expect(sessionScheduler.getActiveSessions(Date.UTC(2025, 6, 8, 7, 30))).toContain('london');
+    expect(sessionScheduler.getActiveSessions(Date.UTC(2025, 0, 7, 7, 30))).not.toContain('london');
+    expect(sessionScheduler.getActiveSessions(Date.UTC(2025, 0, 7, 1, 0))).toEqual(['sydney', 'tokyo']);
+  });
+
+  test('isTradingAllowed should respect the sessions configured for each symbol', () => {
+    const tokyoOnly = Date.UTC(2025, 6, 8, 2, 0);
+    expect(sessionScheduler.isTradingAllowed('EURUSD', tokyoOnly)).toMatchObject({ allowed: false, sessions: [] });
+    expect(sessionScheduler.isTradingAllowed('USDJPY', tokyoOnly)).toEqual({ allowed: true, reason: null, sessions: ['tokyo'] });
+    expect(sessionScheduler.getSymbolSessions('GBPUSD')).toEqual(['london', 'newYork']);
+  });
+
+  test('the market should be closed from Friday to Sunday 17:00 New York time', () => {
+    expect(sessionScheduler.isTradingAllowed('EURUSD', Date.UTC(2025, 6, 11, 20, 59)).reason).not.toContain('fin de semana');
+    expect(sessionScheduler.isTradingAllowed('EURUSD', Date.UTC(2025, 6, 11, 21, 0)).reason).toContain('fin de semana');
+    expect(sessionScheduler.isTradingAllowed('EURUSD', Date.UTC(2025, 6, 13, 3, 0)).reason).toContain('fin de semana');
+  });
+
+  test('holidays and blackout windows should block trading for the affected symbols', () => {
+    expect(sessionScheduler.isTradingAllowed('EURUSD', Date.UTC(2025, 11, 25, 14, 0)).reason).toContain('Navidad');
+    // Acción de Gracias solo afecta a los pares con USD
+    expect(sessionScheduler.isTradingAllowed('EURUSD', Date.UTC(2025, 10, 27, 14, 0)).reason).toContain('Acción de Gracias');
+    expect(sessionScheduler.isTradingAllowed('EURGBP', Date.UTC(2025, 10, 27, 14, 0)).allowed).toBe(true);
+    // Rollover a las 17:00 de Nueva York (21:00 UTC en verano)
+    expect(sessionScheduler.isTradingAllowed('USDJPY', Date.UTC(2025, 6, 8, 21, 0)).reason).toContain('Rollover');
+    expect(sessionScheduler.isTradingAllowed('EURUSD', Date.UTC(2025, 6, 9, 12, 30)).reason).toContain('Mantenimiento');
+    expect(sessionScheduler.isTradingAllowed('GBPUSD', Date.UTC(2025, 6, 9, 12, 30)).allowed).toBe(true);
+  });
+
+  test('init should reject unknown timezones and sessions', async () => {
+    await expect(sessionScheduler.init({ calendar: { timezone: 'Mars/Olympus' } })).rejects.toThrow();
+    await expect(sessionScheduler.init({ calendar: { symbols: { EURUSD: ['frankfurt'] } } })).rejects.toThrow('frankfurt');
+  });
+});
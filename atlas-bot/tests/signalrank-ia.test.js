@@ -0,0 +1,249 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const signalRankIA = require('../signalrank-ia/signalrank-ia');
+
+describe('SignalRank IA Module', () => {
+  const now = Date.UTC(2025, 6, 8, 12, 0);
+  const score = (signals, options = {}) => signalRankIA.getFinalScore({ signals, symbol: 'EURUSD', now, ...options });
+
+  beforeEach(async () => {
+    // Estado limpio y sin escribir en disco
+    await signalRankIA.init({ persist: false, reset: true });
+  });
+
+  test('normalizeSignal should map every module output to the common schema', () => {
+    expect(signalRankIA.normalizeSignal('tech', { direction: 'CALL', score: 0.8 }, now))
+      .toEqual({ source: 'tech', direction: 'CALL', score: 0.8, timestamp: now, ttl: 15 * 60 * 1000 });
+    expect(signalRankIA.normalizeSignal('geo', { action: 'PUT', confidence: 0.6, source: 'geo-usa' }, now))
+      .toMatchObject({ source: 'geo-usa', direction: 'PUT', score: 0.6 });
+    expect(signalRankIA.normalizeSignal('sent', { sentiment: 'negative', confidence: 0.7 }, now))
+      .toMatchObject({ direction: 'PUT', score: 0.7 });
+    expect(signalRankIA.normalizeSignal('vol', { volatility: 'high', confidence: 0.9 }, now))
+      .toMatchObject({ direction: 'HOLD', penalty: 0.9 });
+    expect(signalRankIA.normalizeSignal('geo-eur', { action: 'HOLD', confidence: 1.4 }, now))
+      .toMatchObject({ direction: 'HOLD', score: 1 });
+  });
+
+  test('weighted should normalize by the sources present and accept geo signals', () => {
+    // Solo tech: la puntuación es la de tech, no 0.5 · 0.8
+    expect(score({ tech: { direction: 'CALL', score: 0.8 } })).toMatchObject({ direction: 'CALL', finalScore: 0.8 });
+
+    // geo-usa en contra resta su parte ponderada: (0.5·0.9 − 0.1·0.6) / 0.6 = 0.65
+    const mixed = score({ tech: { direction: 'CALL', score: 0.9 }, 'geo-usa': { action: 'PUT', confidence: 0.6 } });
+    expect(mixed.direction).toBe('HOLD');
+    expect(mixed.finalScore).toBeCloseTo(0.65);
+    expect(mixed.reason).toContain('umbral');
+    // El desglose conserva la aportación de cada fuente para el registro de decisiones
+    expect(mixed.breakdown.fused).toMatchObject({ direction: 'CALL' });
+    expect(mixed.breakdown.contributions.map(c => [c.source, c.weight])).toEqual([['tech', 0.5], ['geo-usa', 0.1]]);
+    expect(mixed.breakdown.contributions[1].contribution).toBeCloseTo(-0.06);
+
+    // Un módulo sin dirección (ej. geo-eur en un par sin EUR, pred-ia sin modelo) no diluye la puntuación
+    const abstained = score({ tech: { direction: 'CALL', score: 0.8 }, 'geo-eur': { action: 'HOLD', confidence: 0 }, pred: { direction: 'HOLD', confidence: 0 } });
+    expect(abstained).toMatchObject({ direction: 'CALL', finalScore: 0.8 });
+  });
+
+  test('expired signals should be ignored', () => {
+    const stale = { direction: 'PUT', score: 1, timestamp: now - 60 * 60 * 1000, ttl: 60 * 1000 };
+    const result = score([{ source: 'tech', direction: 'CALL', score: 0.8 }, { source: 'pred', ...stale }]);
+    expect(result).toMatchObject({ direction: 'CALL', finalScore: 0.8 });
+    expect(result.signals.map(s => s.source)).toEqual(['tech']);
+  });
+
+  test('majority and unanimous should vote across any number of sources', () => {
+    const signals = {
+      tech: { direction: 'CALL', score: 0.9 },
+      pred: { direction: 'CALL', score: 0.8 },
+      'geo-eur': { action: 'PUT', confidence: 0.9 },
+    };
+    // 2 de 3 a favor: media 0.85 · 2/3
+    const majority = score(signals, { strategy: 'majority' });
+    expect(majority.finalScore).toBeCloseTo(0.567, 3);
+    expect(majority.reason).toContain('2/3');
+    expect(score({ tech: { direction: 'CALL', score: 0.9 }, pred: { direction: 'PUT', score: 0.9 } }, { strategy: 'majority' }).reason)
+      .toContain('Sin mayoría');
+
+    expect(score(signals, { strategy: 'unanimous' }).reason).toContain('Sin unanimidad');
+    const { 'geo-eur': _geo, ...agreeing } = signals;
+    expect(score(agreeing, { strategy: 'unanimous' })).toMatchObject({ direction: 'CALL', strategy: 'unanimous' });
+  });
+
+  test('veto sources should cancel a trade they strongly oppose', () => {
+    const signals = { tech: { direction: 'CALL', score: 1 }, 'geo-usa': { action: 'PUT', confidence: 0.5 } };
+    expect(score(signals, { strategy: 'veto' }).direction).toBe('CALL');
+
+    signals['geo-usa'].confidence = 0.8;
+    expect(score(signals, { strategy: 'veto' })).toMatchObject({ direction: 'HOLD', finalScore: 0 });
+    expect(score(signals, { strategy: 'veto' }).reason).toContain('Veto de geo-usa');
+  });
+
+  test('learned should use the learned weights when available', async () => {
+    const signals = { tech: { direction: 'CALL', score: 0.9 }, sent: { direction: 'PUT', score: 0.9 } };
+    // Con los pesos configurados tech pesa más, pero no lo suficiente para superar el umbral
+    expect(score(signals, { strategy: 'learned' }).reason).toContain('pesos configurados');
+    expect(score(signals, { strategy: 'learned' }).finalScore).toBeCloseTo(0.386, 3);
+
+    // (0.1·0.9 − 0.9·0.9) / 1 = −0.72
+    await signalRankIA.setLearnedWeights({ tech: 0.1, sent: 0.9 });
+    expect(score(signals, { strategy: 'learned' })).toMatchObject({ direction: 'PUT', strategy: 'learned' });
+    expect(score(signals, { strategy: 'learned' }).finalScore).toBeCloseTo(0.72);
+  });
+
+  test('closed trades should re-estimate the weights from each source hit rate', async () => {
+    const trade = (id, { tech, sent }) => signalRankIA.recordTradeSignals(id, {
+      direction: 'CALL',
+      signals: [
+        { source: 'tech', direction: tech, score: 0.8 },
+        { source: 'sent', direction: sent, score: 0.6 },
+        { source: 'vol', direction: 'HOLD', score: 0.4, penalty: 0 },
+      ],
+    });
+
+    // 30 operaciones: tech siempre a favor, sent siempre en contra. 3 de cada 4 se ganan.
+    for (let i = 0; i < 29; i++) {
+      await trade(`t${i}`, { tech: 'CALL', sent: 'PUT' });
+      await signalRankIA.recordTradeOutcome({ tradeId: `t${i}`, result: i % 4 === 3 ? 'loss' : 'win' });
+    }
+    // Sin el mínimo de muestras los pesos no cambian
+    expect(signalRankIA.getLearnedWeights()).toBeNull();
+
+    await trade('t29', { tech: 'CALL', sent: 'PUT' });
+    await signalRankIA.recordTradeOutcome({ tradeId: 't29', result: 'win' });
+    // tech acierta 23/30 (0.5 · 1.53), sent 7/30 (0.2 · 0.47)
+    expect(signalRankIA.getLearnedWeights()).toEqual({ tech: 0.767, sent: 0.093 });
+    expect(signalRankIA.getState().samples).toEqual({ tech: 30, sent: 30 });
+
+    // Los empates y las operaciones desconocidas no cuentan
+    await trade('t30', { tech: 'CALL', sent: 'PUT' });
+    await signalRankIA.recordTradeOutcome({ tradeId: 't30', result: 'tie' });
+    expect(await signalRankIA.recordTradeOutcome({ tradeId: 'unknown', result: 'win' })).toBeNull();
+    expect(signalRankIA.getState()).toMatchObject({ samples: { tech: 30 }, pendingTrades: 0 });
+  });
+
+  test('weights should stay within the limits and their history should persist', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-signalrank-'));
+    const stateFilePath = path.join(dir, 'signalrank-ia-state.json');
+    await signalRankIA.init({ persist: true, reset: true, stateFilePath });
+
+    // pred siempre falla: su peso baja hasta el mínimo
+    for (let i = 0; i < 31; i++) {
+      await signalRankIA.recordTradeSignals(`t${i}`, { direction: 'PUT', signals: [{ source: 'pred', direction: 'PUT', score: 0.9 }] });
+      await signalRankIA.recordTradeOutcome({ tradeId: `t${i}`, result: 'loss' });
+    }
+    expect(signalRankIA.getLearnedWeights()).toEqual({ pred: 0.05 });
+    // Solo se registra cuando los pesos cambian
+    expect(signalRankIA.getWeightHistory()).toHaveLength(1);
+    expect(signalRankIA.getWeightHistory()[0]).toMatchObject({ tradeId: 't29', reason: 'learned', weights: { pred: 0.05 }, samples: { pred: 30 } });
+
+    // Al reiniciar se recuperan los pesos y su historial
+    await signalRankIA.init({ persist: true, stateFilePath });
+    expect(signalRankIA.getLearnedWeights()).toEqual({ pred: 0.05 });
+    expect(signalRankIA.getWeightHistory({ from: Date.now() - 60000 })).toHaveLength(1);
+    expect(signalRankIA.getWeightHistory({ to: '2020-01-01' })).toHaveLength(0);
+    await signalRankIA.init({ persist: false, reset: true });
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('volatility, open trades and cooldown should still hold the trade', () => {
+    const tech = { direction: 'CALL', score: 0.75 };
+    expect(score({ tech, vol: { volatility: 'high', confidence: 1 } })).toMatchObject({ direction: 'HOLD' });
+    expect(score({ tech }, { openTrades: [{ symbol: 'EURUSD', direction: 'CALL' }] }).reason).toContain('abierta');
+    expect(score({ tech }, { lastTradeTimes: { 'EURUSD-CALL': now - 5 * 60 * 1000 } }).reason).toContain('Cooldown');
+    expect(score({ tech }, { lastTradeTimes: { 'EURUSD-CALL': now - 30 * 60 * 1000 } }).direction).toBe('CALL');
+  });
+
+  test('a news block should not count as a volatility penalty', () => {
+    const tech = { direction: 'CALL', score: 0.75 };
+    const news = { blocked: true, event: { event: 'NFP', currency: 'USD' } };
+    expect(signalRankIA.normalizeSignal('news', news, now)).toMatchObject({ direction: 'HOLD', blocked: true });
+    expect(signalRankIA.normalizeSignal('news', news, now).penalty).toBeUndefined();
+
+    const result = score({ tech, news });
+    expect(result).toMatchObject({ direction: 'CALL', finalScore: 0.75 });
+    expect(result.breakdown.volPenalty).toBe(0);
+  });
+
+  test('the cooldown clock should start when a trade is recorded', async () => {
+    const tech = { direction: 'CALL', score: 0.8 };
+    const signal = score({ tech });
+    expect(signal).toMatchObject({ direction: 'CALL', symbol: 'EURUSD', rejection: null });
+
+    await signalRankIA.recordTradeSignals('t1', signal, { now });
+    expect(score({ tech }, { now: now + 5 * 60 * 1000 })).toMatchObject({ direction: 'HOLD', rejection: 'cooldown' });
+    expect(score({ tech: { direction: 'PUT', score: 0.8 } }, { now: now + 5 * 60 * 1000 }).direction).toBe('PUT');
+    expect(score({ tech }, { now: now + 16 * 60 * 1000 }).direction).toBe('CALL');
+    expect(signalRankIA.getState().lastTradeTimes).toEqual({ 'EURUSD-CALL': now });
+  });
+
+  test('signal statistics should count rejections by reason and persist for the dashboards', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-signalrank-'));
+    const stateFilePath = path.join(dir, 'signalrank-ia-state.json');
+    await signalRankIA.init({ persist: true, reset: true, stateFilePath });
+
+    score({ tech: { direction: 'HOLD', score: 0 } }); // fusion
+    score({ tech: { direction: 'CALL', score: 0.6 } }); // belowThreshold
+    score({ tech: { direction: 'CALL', score: 0.9 } }, { openTrades: [{ symbol: 'EURUSD', direction: 'CALL' }] }); // dedupe
+    score({ tech: { direction: 'CALL', score: 0.9 } }, { lastTradeTimes: { 'EURUSD-CALL': now - 60000 } }); // cooldown
+    score({ tech: { direction: 'PUT', score: 0.8 } }); // operable
+    await signalRankIA.recordTradeSignals('t1', { symbol: 'EURUSD', direction: 'PUT', signals: [] }, { now });
+
+    const saved = JSON.parse(await fs.readFile(stateFilePath, 'utf8'));
+    expect(saved).toMatchObject({
+      totalSignals: 5,
+      acceptedSignals: 1,
+      filteredOut: 4,
+      rejections: { fusion: 1, dedupe: 1, cooldown: 1, belowThreshold: 1 },
+      // Solo las señales con dirección tras la fusión
+      confidenceHistory: [0.6, 0.9, 0.9, 0.8],
+      avgConfidence: 0.8,
+      lastTradeTimes: { 'EURUSD-PUT': now },
+    });
+
+    // Al reiniciar se recuperan las estadísticas y el cooldown
+    await signalRankIA.init({ persist: true, stateFilePath });
+    expect(signalRankIA.getState()).toMatchObject({ totalSignals: 5, filteredOut: 4 });
+    expect(score({ tech: { direction: 'PUT', score: 0.8 } }).rejection).toBe('cooldown');
+    await signalRankIA.init({ persist: false, reset: true });
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('evaluations should be saved once with saveStats instead of on every call', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-signalrank-'));
+    const stateFilePath = path.join(dir, 'signalrank-ia-state.json');
+    await signalRankIA.init({ persist: true, reset: true, stateFilePath });
+
+    score({ tech: { direction: 'CALL', score: 0.9 } });
+    score({ tech: { direction: 'PUT', score: 0.6 } });
+    // getFinalScore no escribe el archivo
+    await expect(fs.access(stateFilePath)).rejects.toThrow();
+
+    await signalRankIA.saveStats();
+    expect(JSON.parse(await fs.readFile(stateFilePath, 'utf8'))).toMatchObject({ totalSignals: 2, filteredOut: 1 });
+
+    // Sin evaluaciones nuevas no se vuelve a escribir
+    await fs.rm(stateFilePath);
+    await signalRankIA.saveStats();
+    await expect(fs.access(stateFilePath)).rejects.toThrow();
+
+    await signalRankIA.init({ persist: false, reset: true });
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('rankCandidates should order the watchlist opportunities by score', () => {
+    const ranked = signalRankIA.rankCandidates([
+      { symbol: 'EURUSD', direction: 'CALL', score: 0.75, finalScore: 0.75 },
+      { symbol: 'GBPUSD', direction: 'PUT', score: 0.9, finalScore: 0.9 },
+      { symbol: 'USDJPY', direction: 'HOLD', score: 0.95 },
+      { symbol: 'AUDUSD', direction: 'CALL', score: 0.6 },
+      // Misma puntuación efectiva que EURUSD pero mejor puntuación antes de MTF
+      { symbol: 'EURGBP', direction: 'PUT', score: 0.75, finalScore: 0.85 },
+    ]);
+    expect(ranked.map(c => [c.rank, c.symbol])).toEqual([[1, 'GBPUSD'], [2, 'EURGBP'], [3, 'EURUSD']]);
+    expect(signalRankIA.rankCandidates(ranked, { limit: 1, minScore: 0.8 }).map(c => c.symbol)).toEqual(['GBPUSD']);
+  });
+
+  test('an unknown strategy should throw', () => {
+    expect(() => score({ tech: { direction: 'CALL', score: 0.9 } }, { strategy: 'coin-flip' })).toThrow('coin-flip');
+  });
+});
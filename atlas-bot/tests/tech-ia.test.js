@@ -1,4 +1,11 @@
-const { computeIndicators } = require('../tech-ia/tech-ia');
+const {
+  computeIndicators,
+  createIndicatorStream,
+  deriveSignal,
+  resampleOHLCV,
+  analyzeMultiTimeframe,
+  checkTradeAlignment,
+} = require('../tech-ia/tech-ia');
 const mockOhlcv = require('./mock-data/ohlcv.json');
 
 describe('Technical Analysis IA Module', () => {
@@ -51,3 +58,242 @@ describe('Technical Analysis IA Module', () => {
     expect(() => computeIndicators({ close: [] })).toThrow();
   });
 });
+
+describe('Extended Indicators and Series Output', () => {
+  const params = {
+    rsiPeriod: 14,
+    emaPeriods: [10],
+    smaPeriods: [10],
+    macdParams: { fastPeriod: 5, slowPeriod: 10, signalPeriod: 3 },
+    atrPeriod: 14,
+    bbParams: { period: 20, stdDev: 2 },
+    stochasticParams: { period: 14, signalPeriod: 3 },
+    adxPeriod: 7,
+    cciPeriod: 14,
+    vwap: true,
+  };
+
+  test('computeIndicators should calculate the extended indicator set', () => {
+    const indicators = computeIndicators(mockOhlcv, params);
+
+    expect(typeof indicators.smas.sma10).toBe('number');
+    expect(indicators.bollinger.upper).toBeGreaterThan(indicators.bollinger.lower);
+    expect(indicators.stochastic).toHaveProperty('k');
+    expect(indicators.stochastic).toHaveProperty('d');
+    expect(indicators.adx).toHaveProperty('adx');
+    expect(typeof indicators.cci).toBe('number');
+    expect(typeof indicators.vwap).toBe('number');
+    // Sin la opción `series` solo se devuelven los últimos valores.
+    expect(indicators.series).toBeUndefined();
+  });
+
+  test('computeIndicators should return full series aligned with the input when requested', () => {
+    const indicators = computeIndicators(mockOhlcv, { ...params, series: true });
+    const { length } = mockOhlcv.close;
+
+    expect(indicators.series.rsi).toHaveLength(length);
+    expect(indicators.series.emas.ema10).toHaveLength(length);
+    expect(indicators.series.macd).toHaveLength(length);
+    expect(indicators.series.bollinger).toHaveLength(length);
+    // El calentamiento se rellena con null y el último valor coincide con el valor escalar.
+    expect(indicators.series.rsi[0]).toBeNull();
+    expect(indicators.series.rsi[length - 1]).toBe(indicators.rsi);
+    expect(indicators.series.smas.sma10[9]).toBeCloseTo(mockOhlcv.close.slice(0, 10).reduce((a, b) => a + b, 0) / 10);
+    expect(indicators.series.atr[length - 1]).toBe(indicators.atr);
+  });
+});
+
+describe('Streaming Indicator Engine', () => {
+  // Serie pseudoaleatoria reproducible para comparar el cálculo incremental con el cálculo por lotes.
+  function buildRandomWalk(length) {
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    const ohlcv = { time: [], open: [], high: [], low: [], close: [], volume: [] };
+    let price = 1.1;
+    for (let i = 0; i < length; i++) {
+      const open = price;
+      price *= 1 + (random() - 0.5) * 0.002;
+      ohlcv.time.push(i * 60000);
+      ohlcv.open.push(open);
+      ohlcv.close.push(price);
+      ohlcv.high.push(Math.max(open, price) + random() * 0.0005);
+      ohlcv.low.push(Math.min(open, price) - random() * 0.0005);
+      ohlcv.volume.push(Math.round(100 + random() * 900));
+    }
+    return ohlcv;
+  }
+
+  const params = {
+    rsiPeriod: 14,
+    emaPeriods: [20, 50],
+    smaPeriods: [20],
+    macdParams: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+    atrPeriod: 14,
+    bbParams: { period: 20, stdDev: 2 },
+    stochasticParams: { period: 14, signalPeriod: 3 },
+    adxPeriod: 14,
+    cciPeriod: 20,
+    vwap: true,
+  };
+
+  test('createIndicatorStream should match computeIndicators at every checkpoint', () => {
+    const ohlcv = buildRandomWalk(200);
+    const stream = createIndicatorStream(params);
+
+    for (let i = 0; i < ohlcv.close.length; i++) {
+      const streamed = stream.update({
+        time: ohlcv.time[i],
+        open: ohlcv.open[i],
+        high: ohlcv.high[i],
+        low: ohlcv.low[i],
+        close: ohlcv.close[i],
+        volume: ohlcv.volume[i],
+      });
+
+      // Se compara en varios puntos, incluidos los umbrales de calentamiento.
+      if ([10, 15, 21, 28, 60, 199].includes(i)) {
+        const slice = {};
+        Object.keys(ohlcv).forEach(key => { slice[key] = ohlcv[key].slice(0, i + 1); });
+        expect(streamed).toEqual(computeIndicators(slice, params));
+      }
+    }
+    expect(stream.count).toBe(200);
+  });
+
+  test('createIndicatorStream should ignore candles that were already processed', () => {
+    const stream = createIndicatorStream({ emaPeriods: [3] });
+    const candles = [1, 2, 3, 4, 5].map((close, i) => ({ time: i, open: close, high: close, low: close, close }));
+
+    candles.forEach(candle => stream.update(candle));
+    const first = stream.getIndicators();
+    // Volver a pasar la ventana completa no altera el resultado.
+    candles.forEach(candle => stream.update(candle));
+
+    expect(stream.count).toBe(5);
+    expect(stream.getIndicators()).toEqual(first);
+  });
+});
+
+describe('Technical Signal Rule Engine', () => {
+  test('deriveSignal should produce a CALL with a per-rule breakdown on bullish indicators', () => {
+    const previous = { emas: { ema10: 1.0990, ema20: 1.1000 }, macd: { histogram: 0.0001 } };
+    const indicators = {
+      rsi: 60,
+      emas: { ema10: 1.1010, ema20: 1.1000 },
+      macd: { MACD: 0.0006, signal: 0.0003, histogram: 0.0003 },
+      atr: 0.0008,
+    };
+
+    const signal = deriveSignal(indicators, { previous, price: 1.1012 });
+
+    expect(signal.direction).toBe('CALL');
+    expect(signal.score).toBeGreaterThan(0);
+    expect(signal.score).toBeLessThanOrEqual(1);
+    expect(signal.regime.name).toBe('normal');
+    expect(signal.rules.map(r => r.rule)).toEqual(['emaCross', 'macd', 'rsi']);
+    expect(signal.rules.find(r => r.rule === 'emaCross').detail).toContain('cruce reciente');
+    signal.rules.forEach(rule => expect(rule.vote).toBe('CALL'));
+  });
+
+  test('deriveSignal should vote PUT on overbought RSI and return HOLD on mixed signals', () => {
+    const overbought = deriveSignal({ rsi: 85 });
+    expect(overbought.direction).toBe('PUT');
+
+    const mixed = deriveSignal({
+      rsi: 50,
+      emas: { ema10: 1.1010, ema20: 1.1000 },
+      macd: { histogram: -0.0002 },
+    });
+    expect(mixed.direction).toBe('HOLD');
+    expect(mixed.score).toBe(0);
+  });
+
+  test('deriveSignal should describe equal EMAs as neither above nor below', () => {
+    const signal = deriveSignal({ rsi: 50, emas: { ema10: 1.1, ema20: 1.1 } });
+    expect(signal.rules.find(r => r.rule === 'emaCross').detail).toBe('ema10 = ema20');
+  });
+
+  test('deriveSignal should scale down the score in a volatile ATR regime', () => {
+    const indicators = { rsi: 25, emas: { ema10: 1.2, ema20: 1.1 }, macd: { histogram: 0.001 } };
+    const normal = deriveSignal({ ...indicators, atr: 0.001 }, { price: 1.1 });
+    const volatile = deriveSignal({ ...indicators, atr: 0.01 }, { price: 1.1 });
+
+    expect(volatile.regime.name).toBe('volatile');
+    expect(volatile.score).toBeLessThan(normal.score);
+  });
+
+  test('deriveSignal should work on real computeIndicators output', () => {
+    const params = { rsiPeriod: 14, emaPeriods: [10, 20], macdParams: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 }, atrPeriod: 14 };
+    const signal = deriveSignal(computeIndicators(mockOhlcv, params), { price: mockOhlcv.close[mockOhlcv.close.length - 1] });
+
+    expect(['CALL', 'PUT', 'HOLD']).toContain(signal.direction);
+    expect(signal.rules.length).toBeGreaterThan(0);
+  });
+});
+
+describe('Multi-Timeframe Analysis', () => {
+  // Serie de 1 minuto con tendencia constante, útil para verificar la alineación.
+  function buildTrend(length, step, start = Date.UTC(2024, 0, 1)) {
+    const close = Array.from({ length }, (_, i) => 1.1 + i * step + (i % 2 === 0 ? 0.00002 : -0.00002));
+    return {
+      time: close.map((_, i) => start + i * 60000),
+      open: close.map((c, i) => (i === 0 ? c : close[i - 1])),
+      high: close.map(c => c + 0.0003),
+      low: close.map(c => c - 0.0003),
+      close,
+      volume: close.map(() => 100),
+    };
+  }
+
+  const params = { emaPeriods: [5, 10], macdParams: { fastPeriod: 3, slowPeriod: 6, signalPeriod: 3 } };
+
+  test('resampleOHLCV should aggregate base candles into complete higher timeframe candles', () => {
+    const base = buildTrend(47, 0.0001);
+    const m15 = resampleOHLCV(base, 'M15', 'M1');
+
+    // 47 velas de 1m -> 3 velas completas de 15m (la última incompleta se descarta).
+    expect(m15.close).toHaveLength(3);
+    expect(m15.open[0]).toBe(base.open[0]);
+    expect(m15.close[0]).toBe(base.close[14]);
+    expect(m15.high[0]).toBe(Math.max(...base.high.slice(0, 15)));
+    expect(m15.volume[0]).toBe(1500);
+    expect(m15.time[1] - m15.time[0]).toBe(15 * 60000);
+  });
+
+  test('analyzeMultiTimeframe should report aligned trends from a single base feed', () => {
+    const base = buildTrend(600, 0.0001);
+    const mtf = analyzeMultiTimeframe({ M1: base }, params, { baseTimeframe: 'M1', timeframes: ['M5', 'M15'] });
+
+    expect(Object.keys(mtf.timeframes)).toEqual(['M1', 'M5', 'M15']);
+    expect(mtf.timeframes.M15.candles).toBe(40);
+    expect(mtf.direction).toBe('CALL');
+    expect(mtf.aligned).toBe(true);
+    expect(mtf.higherTimeframe).toBe('M15');
+    expect(mtf.higherDirection).toBe('CALL');
+  });
+
+  test('checkTradeAlignment should veto or down-weight trades against the higher timeframe', () => {
+    const mtf = analyzeMultiTimeframe({ M1: buildTrend(600, -0.0001) }, params, { baseTimeframe: 'M1', timeframes: ['M15'] });
+
+    expect(checkTradeAlignment(mtf, 'PUT').action).toBe('allow');
+    expect(checkTradeAlignment(mtf, 'CALL', { mode: 'veto' }).action).toBe('veto');
+
+    const downweighted = checkTradeAlignment(mtf, 'CALL', { mode: 'downweight', downweightFactor: 0.4 });
+    expect(downweighted.action).toBe('downweight');
+    expect(downweighted.factor).toBe(0.4);
+  });
+
+  test('checkTradeAlignment should report insufficient data when the higher timeframe lacks candles', () => {
+    // 150 velas de 1m son solo 10 de 15m: no alcanzan para la EMA 10
+    const mtf = analyzeMultiTimeframe({ M1: buildTrend(150, -0.0001) }, params, { baseTimeframe: 'M1', timeframes: ['M15'] });
+    expect(mtf.timeframes.M15).toMatchObject({ candles: 10, insufficientData: true });
+    expect(mtf.timeframes.M1.insufficientData).toBe(false);
+
+    const alignment = checkTradeAlignment(mtf, 'CALL', { mode: 'veto' });
+    expect(alignment).toMatchObject({ action: 'allow', factor: 1, insufficientData: true });
+    expect(alignment.reason).toContain('Datos insuficientes en la temporalidad superior M15 (10 velas)');
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const tradeJournal = require('../journal/trade-journal');
+const { createEventBus, EVENTS } = require('../event-bus/event-bus');
+
+describe('Trade Journal', () => {
+  let dir;
+
+  beforeEach(async () => {
+    // Cada prueba escribe en un diario temporal propio
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-journal-'));
+    await tradeJournal.init({ filePath: path.join(dir, 'trades.jsonl') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const placeAndClose = async ({ tradeId, placedAt, symbol = 'EURUSD', direction = 'CALL', result, profit }) => {
+    await tradeJournal.recordPlaced(
+      { tradeId, placedAt, symbol, direction, stake: 10, entryPrice: 1.1, payout: 0.85 },
+      {
+        signals: { tech: { direction, score: 0.8, rules: [] } },
+        finalSignal: { direction, finalScore: 0.75 },
+        risk: { allowed: true, recommendedStakePct: 1, reason: 'ok' },
+        mode: 'backtest',
+      }
+    );
+    if (result) await tradeJournal.recordClosed(tradeId, { result, profit, exitPrice: 1.2 });
+  };
+
+  test('getTrades should merge placed and closed records into one trade', async () => {
+    await placeAndClose({ tradeId: 't1', placedAt: '2025-07-06T04:00:00.000Z', result: 'win', profit: 8.5 });
+    await placeAndClose({ tradeId: 't2', placedAt: '2025-07-06T05:00:00.000Z' });
+
+    const trades = await tradeJournal.getTrades();
+
+    expect(trades).toHaveLength(2);
+    expect(trades[0]).toMatchObject({
+      tradeId: 't1',
+      status: 'closed',
+      result: 'win',
+      profit: 8.5,
+      entryPrice: 1.1,
+      exitPrice: 1.2,
+      signals: { tech: { direction: 'CALL', score: 0.8 } },
+      risk: { allowed: true, recommendedStakePct: 1 },
+    });
+    expect(trades[1]).toMatchObject({ tradeId: 't2', status: 'open', result: null });
+  });
+
+  test('recordPlaced should keep the signalrank score, the MTF-adjusted score and the rank', async () => {
+    await tradeJournal.recordPlaced(
+      { tradeId: 'm1', placedAt: '2025-07-06T04:00:00.000Z', symbol: 'EURUSD', direction: 'CALL', stake: 10 },
+      { finalSignal: { direction: 'CALL', finalScore: 0.9, reason: 'ok' }, effectiveScore: 0.45, rank: 2 }
+    );
+    await placeAndClose({ tradeId: 'm2', placedAt: '2025-07-06T05:00:00.000Z' });
+
+    const [adjusted, plain] = await tradeJournal.getTrades();
+    expect(adjusted.finalSignal).toEqual({ direction: 'CALL', finalScore: 0.9, effectiveScore: 0.45, rank: 2 });
+    // Sin ajuste MTF la puntuación efectiva es la de signalrank-ia
+    expect(plain.finalSignal).toEqual({ direction: 'CALL', finalScore: 0.75, effectiveScore: 0.75, rank: null });
+  });
+
+  test('queryTrades should filter by date range, symbol, direction and result', async () => {
+    await placeAndClose({ tradeId: 'a', placedAt: '2025-07-01T10:00:00.000Z', result: 'win', profit: 8.5 });
+    await placeAndClose({ tradeId: 'b', placedAt: '2025-07-02T10:00:00.000Z', direction: 'PUT', result: 'loss', profit: -10 });
+    await placeAndClose({ tradeId: 'c', placedAt: '2025-07-03T10:00:00.000Z', symbol: 'GBPUSD', result: 'loss', profit: -10 });
+
+    const ids = trades => trades.map(t => t.tradeId);
+    expect(ids(await tradeJournal.queryTrades({ from: '2025-07-02', to: '2025-07-03T23:59:59Z' }))).toEqual(['b', 'c']);
+    expect(ids(await tradeJournal.queryTrades({ symbol: 'GBPUSD' }))).toEqual(['c']);
+    expect(ids(await tradeJournal.queryTrades({ direction: 'PUT' }))).toEqual(['b']);
+    expect(ids(await tradeJournal.queryTrades({ result: 'loss', symbol: 'EURUSD' }))).toEqual(['b']);
+    await expect(tradeJournal.queryTrades({ from: 'not-a-date' })).rejects.toThrow('Rango de fechas');
+  });
+
+  test('getSummary should survive a restart by reading the file back', async () => {
+    await placeAndClose({ tradeId: 'a', placedAt: '2025-07-01T10:00:00.000Z', result: 'win', profit: 8.5 });
+    await placeAndClose({ tradeId: 'b', placedAt: '2025-07-01T11:00:00.000Z', result: 'tie', profit: 0 });
+    // Una línea corrupta no debe romper la lectura
+    await fs.appendFile(path.join(dir, 'trades.jsonl'), '{corrupta\n');
+
+    await tradeJournal.init({ filePath: path.join(dir, 'trades.jsonl') });
+    const summary = await tradeJournal.getSummary();
+
+    expect(summary).toEqual({ wins: 1, losses: 0, ties: 1, total: 2, profit: 8.5 });
+  });
+
+  test('trade-closed events should be recorded as closes', async () => {
+    const eventBus = createEventBus();
+    const unsubscribe = tradeJournal.subscribeToEvents(eventBus);
+    await placeAndClose({ tradeId: 'e1', placedAt: '2025-07-01T10:00:00.000Z' });
+
+    await eventBus.publish(EVENTS.TRADE_CLOSED, { trade: { tradeId: 'e1' }, result: { result: 'loss', profit: -10, exitPrice: 1.09 }, balance: 990 });
+    unsubscribe();
+
+    const [trade] = await tradeJournal.getTrades();
+    expect(trade).toMatchObject({ tradeId: 'e1', status: 'closed', result: 'loss', profit: -10, exitPrice: 1.09 });
+  });
+});
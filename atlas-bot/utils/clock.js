@@ -0,0 +1,79 @@
+/**
+ * clock.js - Reloj y generador aleatorio inyectables para A.T.L.A.S.
+ *
+ * Función:
+ * - Dar a los módulos de decisión una única fuente de tiempo (`now`) y de aleatoriedad (`random`).
+ * - Permitir fijar ambos para reproducir un ciclo de forma determinista (ver replay/replay.js):
+ *   un instante fijo o una función que lo devuelva, y una semilla para el generador.
+ *
+ * Por defecto se comporta como Date.now() y Math.random().
+ */
+
+const { createSeededRandom } = require('./helpers');
+
+// === ESTADO ===
+let nowSource = () => Date.now();
+let randomSource = () => Math.random();
+
+/**
+ * Instante actual en ms según el reloj configurado.
+ * @returns {number}
+ */
+function now() {
+  return nowSource();
+}
+
+/**
+ * Número aleatorio en [0, 1) según el generador configurado.
+ * @returns {number}
+ */
+function random() {
+  return randomSource();
+}
+
+/**
+ * Fija el reloj.
+ * @param {number|string|Date|function(): number} time - Instante fijo o función que devuelve el instante en ms.
+ */
+function setClock(time) {
+  if (typeof time === 'function') {
+    nowSource = time;
+    return;
+  }
+  const ms = new Date(time).getTime();
+  if (Number.isNaN(ms)) throw new Error(`Instante inválido para el reloj: ${time}`);
+  nowSource = () => ms;
+}
+
+/**
+ * Sustituye el generador aleatorio por uno con semilla (misma semilla, misma secuencia).
+ * @param {number} seed - Semilla entera.
+ */
+function setRandomSeed(seed) {
+  randomSource = createSeededRandom(seed);
+}
+
+/**
+ * Sustituye el generador aleatorio por una función propia.
+ * @param {function(): number} fn - Función que devuelve valores en [0, 1).
+ */
+function setRandom(fn) {
+  randomSource = fn;
+}
+
+/**
+ * Vuelve al reloj del sistema y a Math.random().
+ */
+function reset() {
+  nowSource = () => Date.now();
+  randomSource = () => Math.random();
+}
+
+module.exports = {
+  now,
+  random,
+  setClock,
+  setRandomSeed,
+  setRandom,
+  reset,
+};
@@ -140,7 +140,8 @@ function normalizeConfidence(confidence) {
 }
 
 /**
- * Fusionar múltiples señales.
+ * Fusionar múltiples señales por mayoría simple.
+ * Para decidir operaciones se usa signalrank-ia.getFinalScore, que admite varias estrategias de fusión.
  * @param {object[]} signals Array de señales.
  * @returns {object} Señal fusionada.
  */
@@ -171,6 +172,16 @@ function fuseSignals(signals) {
   };
 }
 
+/**
+ * Descompone un par en sus divisas, ej: 'EURUSD' -> ['EUR', 'USD'].
+ * @param {string} symbol Símbolo del par, con o sin barra.
+ * @returns {string[]|null} Divisa base y cotizada, o null si no es un par de divisas.
+ */
+function splitSymbol(symbol) {
+  const match = /^([A-Z]{3})\/?([A-Z]{3})$/.exec(String(symbol).toUpperCase());
+  return match ? [match[1], match[2]] : null;
+}
+
 // === FUNCIONES DE TIEMPO ===
 
 /**
@@ -190,6 +201,43 @@ function getCurrentTimestamp() {
   return new Date().toISOString();
 }
 
+/**
+ * Convertir una temporalidad a milisegundos.
+ * Acepta los formatos '1m', '15m', '1h', '1d', 'M1', 'M15', 'H1', 'D1' y los de Alpha Vantage ('15min', '60min').
+ * @param {string} timeframe Temporalidad.
+ * @returns {number} Duración de una vela en milisegundos.
+ */
+function timeframeToMs(timeframe) {
+  const units = { m: 60000, min: 60000, h: 3600000, d: 86400000 };
+  const value = String(timeframe).trim();
+
+  let match = value.match(/^(\d+)\s*(min|m|h|d)$/i);
+  if (match) return parseInt(match[1], 10) * units[match[2].toLowerCase()];
+
+  match = value.match(/^(M|H|D)(\d+)$/i);
+  if (match) return parseInt(match[2], 10) * units[match[1].toLowerCase()];
+
+  throw new Error(`Temporalidad no reconocida: ${timeframe}`);
+}
+
+// === FUNCIONES DE ALEATORIEDAD ===
+
+/**
+ * Crear un generador de números pseudoaleatorios reproducible (mulberry32).
+ * @param {number} seed Semilla entera.
+ * @returns {function(): number} Función que devuelve valores en [0, 1).
+ */
+function createSeededRandom(seed = 1) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 // === FUNCIONES DE LOGGING ===
 
 /**
@@ -228,10 +276,15 @@ module.exports = {
   // Manejo de señales
   normalizeConfidence,
   fuseSignals,
+  splitSymbol,
 
   // Tiempo
   delay,
   getCurrentTimestamp,
+  timeframeToMs,
+
+  // Aleatoriedad
+  createSeededRandom,
 
   // Logging
   setupLogger,
@@ -2,7 +2,7 @@
  * vol-ia.js - Módulo de Análisis de Volatilidad para Kamikaze Rip A.T.L.A.S.
  *
  * Función:
- * - Analizar la volatilidad del mercado en tiempo real.
+ * - Analizar la volatilidad del mercado en tiempo real, por separado para cada símbolo.
  * - Proporcionar señales basadas en cambios de volatilidad.
  * - Persistir el estado en disco.
  */
@@ -10,7 +10,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
-const { StandardDeviation } = require('ml-stat');
+const { array: { standardDeviation } } = require('ml-stat');
 
 // === CONFIGURACIÓN ===
 const config = {
@@ -22,7 +22,8 @@ const config = {
     MEDIUM: 0.01, // 1%
     HIGH: 0.02,   // 2%
   },
-  PAIR: 'EURUSD',
+  DEFAULT_PAIR: 'EURUSD', // Símbolo por defecto si no se indica ninguno
+  MAX_SIGNALS: 100, // Señales que se conservan por símbolo
   TIMEFRAME: '1m',
 };
 
@@ -42,12 +43,24 @@ const logger = winston.createLogger({
 // === ESTADO DEL MÓDULO ===
 let state = {
   lastUpdate: null,
-  priceHistory: [],
-  currentVolatility: 0,
-  volatilityLevel: 'medium', // low, medium, high
-  signals: [],
+  symbols: {}, // Estado por símbolo (ver createSymbolState)
 };
 
+function createSymbolState() {
+  return {
+    priceHistory: [],
+    currentVolatility: 0,
+    volatilityLevel: 'medium', // low, medium, high
+    signals: [],
+  };
+}
+
+// === OBTENER ESTADO DE UN SÍMBOLO ===
+function getSymbolState(symbol) {
+  if (!state.symbols[symbol]) state.symbols[symbol] = createSymbolState();
+  return state.symbols[symbol];
+}
+
 // === CARGAR ESTADO DESDE DISCO ===
 async function loadState() {
   try {
@@ -57,12 +70,12 @@ async function loadState() {
 
       // Restaurar solo campos clave con validación
       state.lastUpdate = saved.lastUpdate || null;
-      state.priceHistory = saved.priceHistory || [];
-      state.currentVolatility = saved.currentVolatility || 0;
-      state.volatilityLevel = saved.volatilityLevel || 'medium';
-      state.signals = saved.signals || [];
+      state.symbols = {};
+      Object.entries(saved.symbols || {}).forEach(([symbol, symbolState]) => {
+        state.symbols[symbol] = { ...createSymbolState(), ...symbolState };
+      });
 
-      logger.info(`🟢 Vol-IA: Estado cargado. Volatilidad actual: ${state.volatilityLevel}`);
+      logger.info(`🟢 Vol-IA: Estado cargado para ${Object.keys(state.symbols).length} símbolos.`);
     } else {
       // Inicializar con valores por defecto
       await saveState();
@@ -98,82 +111,86 @@ async function fileExists(filePath) {
 }
 
 // === ACTUALIZAR HISTORIAL DE PRECIOS ===
-function updatePriceHistory(price) {
+async function updatePriceHistory(price, symbol = config.DEFAULT_PAIR) {
   try {
-    state.priceHistory.push(price);
+    const symbolState = getSymbolState(symbol);
+    symbolState.priceHistory.push(price);
 
     // Mantener solo los últimos WINDOW_SIZE precios
-    if (state.priceHistory.length > config.WINDOW_SIZE) {
-      state.priceHistory = state.priceHistory.slice(-config.WINDOW_SIZE);
+    if (symbolState.priceHistory.length > config.WINDOW_SIZE) {
+      symbolState.priceHistory = symbolState.priceHistory.slice(-config.WINDOW_SIZE);
     }
 
     // Calcular volatilidad si hay suficientes datos
-    if (state.priceHistory.length >= config.WINDOW_SIZE) {
-      calculateVolatility();
+    if (symbolState.priceHistory.length >= config.WINDOW_SIZE) {
+      calculateVolatility(symbol);
     }
 
     await saveState();
-    logger.debug(`📊 Vol-IA: Precio actualizado: ${price}`);
+    logger.debug(`📊 Vol-IA: Precio actualizado para ${symbol}: ${price}`);
   } catch (error) {
     logger.error(`❌ Error al actualizar historial de precios: ${error.message}`);
   }
 }
 
 // === CALCULAR VOLATILIDAD ===
-function calculateVolatility() {
+// No guarda el estado: lo hace quien actualiza los precios o genera la señal.
+function calculateVolatility(symbol = config.DEFAULT_PAIR) {
   try {
-    if (state.priceHistory.length < config.WINDOW_SIZE) {
-      logger.warn('⚠️ Vol-IA: No hay suficientes datos para calcular volatilidad.');
+    const symbolState = getSymbolState(symbol);
+    if (symbolState.priceHistory.length < config.WINDOW_SIZE) {
+      logger.warn(`⚠️ Vol-IA: No hay suficientes datos para calcular volatilidad de ${symbol}.`);
       return;
     }
 
     // Calcular retornos logarítmicos
     const logReturns = [];
-    for (let i = 1; i < state.priceHistory.length; i++) {
-      const ret = Math.log(state.priceHistory[i] / state.priceHistory[i - 1]);
+    for (let i = 1; i < symbolState.priceHistory.length; i++) {
+      const ret = Math.log(symbolState.priceHistory[i] / symbolState.priceHistory[i - 1]);
       logReturns.push(ret);
     }
 
     // Calcular desviación estándar de los retornos
-    const stdDev = StandardDeviation(logReturns);
-    state.currentVolatility = stdDev;
+    const stdDev = standardDeviation(logReturns);
+    symbolState.currentVolatility = stdDev;
 
     // Determinar nivel de volatilidad
     if (stdDev < config.VOLATILITY_LEVELS.LOW) {
-      state.volatilityLevel = 'low';
+      symbolState.volatilityLevel = 'low';
     } else if (stdDev < config.VOLATILITY_LEVELS.MEDIUM) {
-      state.volatilityLevel = 'medium';
+      symbolState.volatilityLevel = 'medium';
     } else {
-      state.volatilityLevel = 'high';
+      symbolState.volatilityLevel = 'high';
     }
 
-    await saveState();
-    logger.info(`📈 Vol-IA: Volatilidad calculada: ${stdDev.toFixed(6)} (${state.volatilityLevel})`);
+    logger.info(`📈 Vol-IA: Volatilidad calculada para ${symbol}: ${stdDev.toFixed(6)} (${symbolState.volatilityLevel})`);
   } catch (error) {
     logger.error(`❌ Error al calcular volatilidad: ${error.message}`);
   }
 }
 
 // === GENERAR SEÑAL ===
-function generateSignal() {
+async function generateSignal(symbol = config.DEFAULT_PAIR) {
   try {
-    if (state.priceHistory.length < config.WINDOW_SIZE) {
-      logger.warn('⚠️ Vol-IA: No hay suficientes datos para generar señal.');
+    const symbolState = getSymbolState(symbol);
+    if (symbolState.priceHistory.length < config.WINDOW_SIZE) {
+      logger.warn(`⚠️ Vol-IA: No hay suficientes datos para generar señal de ${symbol}.`);
       return null;
     }
 
     let signal = {
-      volatility: state.volatilityLevel,
-      value: state.currentVolatility,
+      symbol,
+      volatility: symbolState.volatilityLevel,
+      value: symbolState.currentVolatility,
       timestamp: new Date().toISOString(),
     };
 
     // Generar recomendación basada en volatilidad
-    if (state.volatilityLevel === 'high') {
+    if (symbolState.volatilityLevel === 'high') {
       signal.recommendation = 'reduce_lot_size';
       signal.confidence = 0.9;
       signal.reason = 'Volatilidad alta detectada';
-    } else if (state.volatilityLevel === 'low') {
+    } else if (symbolState.volatilityLevel === 'low') {
       signal.recommendation = 'increase_lot_size';
       signal.confidence = 0.7;
       signal.reason = 'Volatilidad baja detectada';
@@ -184,10 +201,13 @@ function generateSignal() {
     }
 
     // Registrar señal
-    state.signals.push(signal);
+    symbolState.signals.push(signal);
+    if (symbolState.signals.length > config.MAX_SIGNALS) {
+      symbolState.signals = symbolState.signals.slice(-config.MAX_SIGNALS);
+    }
     await saveState();
 
-    logger.info(`🎯 Vol-IA: Señal generada. Volatilidad: ${state.volatilityLevel}. Recomendación: ${signal.recommendation}`);
+    logger.info(`🎯 Vol-IA: Señal generada para ${symbol}. Volatilidad: ${symbolState.volatilityLevel}. Recomendación: ${signal.recommendation}`);
     return signal;
   } catch (error) {
     logger.error(`❌ Error al generar señal: ${error.message}`);
@@ -196,9 +216,11 @@ function generateSignal() {
 }
 
 // === OBTENER SEÑAL ACTUAL ===
-function getCurrentSignal() {
-  if (state.signals.length === 0) {
+function getCurrentSignal(symbol = config.DEFAULT_PAIR) {
+  const signals = state.symbols[symbol] ? state.symbols[symbol].signals : [];
+  if (signals.length === 0) {
     return {
+      symbol,
       volatility: 'medium',
       value: 0,
       recommendation: 'maintain_lot_size',
@@ -206,7 +228,7 @@ function getCurrentSignal() {
       reason: 'No hay datos suficientes',
     };
   }
-  return state.signals[state.signals.length - 1];
+  return signals[signals.length - 1];
 }
 
 // === INICIALIZAR MÓDULO ===